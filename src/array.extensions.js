@@ -1,4 +1,7 @@
 import { Patch } from '@nejs/extension'
+import { StringPrototypeExtensions } from './string.extensions.js'
+
+const { fuzzyMatch: pFuzzyMatch } = StringPrototypeExtensions.patches
 
 /**
  * `ArrayExtensions` is a constant that applies a patch to the global
@@ -117,8 +120,8 @@ export const ArrayPrototypeExtensions = new Patch(Array.prototype, {
      * scenarios where you need to quickly access the first item of an array
      * without the need for additional checks or method calls.
      *
-     * @returns {*} The first element of the array or `undefined` if the array
-     * is empty.
+     * @returns {T|undefined} The first element of the array or `undefined`
+     * if the array is empty.
      */
     get first() {
       return this[0];
@@ -259,7 +262,7 @@ export const ArrayPrototypeExtensions = new Patch(Array.prototype, {
      * to access the last item in an array, improving code readability and
      * avoiding manual index calculation.
      *
-     * @returns {*} The last element of the array or `undefined` if the
+     * @returns {T|undefined} The last element of the array or `undefined` if the
      * array is empty.
      */
     get last() {
@@ -433,6 +436,44 @@ export const ArrayPrototypeExtensions = new Patch(Array.prototype, {
       return object
     },
 
+    /**
+     * Ranks the elements of the array by how well they match `query`, as
+     * scored by `String.prototype.fuzzyMatch`, best first. Elements that
+     * score equally keep their order. This suits "did you mean"
+     * suggestions for mistyped command names or enum keys.
+     *
+     * @param {string} query The text to look for.
+     * @param {object} [options] How to rank the elements.
+     * @param {string|symbol|function(*): string} [options.key] The property
+     * holding the text of each element, or a function returning it. By
+     * default elements are matched as strings.
+     * @param {number} [options.limit=Infinity] The most results to return.
+     * @param {number} [options.threshold=0.4] The lowest score a result may
+     * have. In-order matches always score `0.5` or more, so a threshold
+     * below that also admits near misses, such as typos.
+     * @returns {Array<{item: *, index: number, score: number, ranges:
+     * Array<[number, number]>}>} The matching elements, their positions in
+     * the array, their scores and their matched ranges.
+     *
+     * @example
+     * ['start', 'status', 'stop'].fuzzyFind('stauts', { limit: 1 })
+     * // [{ item: 'status', index: 1, score: 0.48…, ranges: [...] }]
+     */
+    fuzzyFind(query, { key = undefined, limit = Infinity, threshold = 0.4 } = {}) {
+      const textOf = typeof key === 'function'
+        ? key
+        : (item) => key === undefined ? item : item?.[key]
+
+      return Array.from(this, (item, index) => ({
+        item,
+        index,
+        ...pFuzzyMatch.call(String(textOf(item) ?? ''), query),
+      }))
+        .filter(({ score }) => score >= threshold)
+        .sort((left, right) => right.score - left.score || left.index - right.index)
+        .slice(0, Math.max(0, limit))
+    },
+
     /**
      * @property {object} kTypeDefaults
      * @description
@@ -138,7 +138,10 @@ export const BigIntExtensions = new Patch(BigInt, {
   },
 })
 
-const { isBigInt: pIsBigInt, ifBigInt: pIfBigInt } = BigIntExtensions.patches
+const {
+  isBigInt: pIsBigInt, ifBigInt: pIfBigInt,
+  min: pMin, max: pMax,
+} = BigIntExtensions.patches
 
 /**
  * `BigIntPrototypeExtensions` is a patch for the JavaScript built-in
@@ -182,7 +185,7 @@ export const BigIntPrototypeExtensions = new Patch(BigInt.prototype, {
     if (typeof minValue !== 'bigint' || typeof maxValue !== 'bigint')
       throw new TypeError('All values must be big integers')
 
-    return BigInt.max(minValue, BigInt.min(maxValue, this))
+    return pMax(minValue, pMin(maxValue, this))
   },
 
   /**
@@ -1,4 +1,5 @@
 import { Extension } from '@nejs/extension'
+import { getColorLevel } from '../utils/colors.js'
 
 /**
  * Deferreds, which were first introduced by jQuery for browsers in the early
@@ -269,7 +270,8 @@ export class Deferred extends Promise {
    * The output includes the state of the Deferred (resolved, rejected, or
    * unsettled) along with the resolved value or rejection reason, if
    * applicable. This provides a quick, readable status of the Deferred
-   * instance directly in the console or debugging tools.
+   * instance directly in the console or debugging tools. Styling is left
+   * out when the shared color level is `0`, as it is when `NO_COLOR` is set.
    *
    * @param {number} depth The depth to which `util.inspect` will recurse.
    * @param {object} options Formatting options provided by `util.inspect`.
@@ -277,14 +279,21 @@ export class Deferred extends Promise {
    * @returns {string} A formatted string representing the Deferred instance.
    */
   [Symbol.for('nodejs.util.inspect.custom')](depth, options, inspect) {
+    const colors = getColorLevel() > 0
+    const bold = (s) => colors ? `\x1b[1m${s}\x1b[22m` : s
+    const italic = (s) => colors ? `\x1b[3m${s}\x1b[23m` : s
+    const red = (s) => colors ? `\x1b[31m${s}\x1b[39m` : s
+    const green = (s) => colors ? `\x1b[32m${s}\x1b[39m` : s
+    const yellow = (s) => colors ? `\x1b[33m${s}\x1b[39m` : s
+
     return [
-      '\x1b[1mDeferred [\x1b[22;3mPromise\x1b[23;1m]\x1b[22m ',
-      '{ ',
+      `${bold('Deferred [')}${italic('Promise')}${bold(']')}`,
+      ' { ',
       (this.settled
         ? (this.wasResolved
-          ? `resolved with \x1b[32m${this.value}\x1b[39m`
-          : `rejected with \x1b[31m${this.reason?.message ?? this.reason}\x1b[39m`)
-        : '\x1b[33munsettled valued or reason\x1b[39m'
+          ? `resolved with ${green(this.value)}`
+          : `rejected with ${red(this.reason?.message ?? this.reason)}`)
+        : yellow('unsettled valued or reason')
       ),
       ' }'
     ].join('')
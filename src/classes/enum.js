@@ -1,5 +1,12 @@
 import { Extension } from '@nejs/extension'
-import { accessor, as, data, isDescriptor, redescribe } from '../utils/index.js'
+import {
+  accessor,
+  as,
+  data,
+  getColorLevel,
+  isDescriptor,
+  redescribe,
+} from '../utils/index.js'
 
 /**
  * Creates an enumeration object with specified values and properties.
@@ -403,22 +410,26 @@ export function makeBaseEnum(name) {
     /**
      * For users of the node.js REPL, this symbol represents enum types in a
      * more readily readable format. See the docs for node's `util.inspect()`
-     * function for more details.
+     * function for more details. Styling is left out when the shared color
+     * level is `0`, as it is when `NO_COLOR` is set.
      *
      * @type {function(number, object, function): string}
      */
     [Symbol.for('nodejs.util.inspect.custom')]: data(
       function(_, __, ___) {
+        const colors = getColorLevel() > 0
+        const bold = (s) => colors ? `\x1b[1m${s}\x1b[22m` : s
+        const faint = (s) => colors ? `\x1b[1;2m${s}\x1b[22m` : s
         const valueKeys = this[Symbol.for('Enum.valueKeys')] ?? []
 
         let valueText = valueKeys
-          .map(key => `\x1b[1;2m${key}\x1b[22m`)
+          .map((key) => faint(key))
           .join(', ')
 
         if (valueText.length)
           valueText = ` { ${valueText} }`
 
-        return `\x1b[1menum \x1b[22m${name}${valueText}`
+        return `${bold('enum ')}${name}${valueText}`
       }, false, true, false
     ),
 
@@ -21,6 +21,8 @@ export * from './introspector.js'
 import {Iterable, Iterator } from './iterable.js'
 export * from './iterable.js'
 
+export * from './iterator.polyfill.js'
+
 import { ParamParser } from './param.parser.js'
 export * from './param.parser.js'
 
@@ -30,6 +32,9 @@ export * from './pluggable.proxy.js'
 import { Property, PropertyExtensions } from './property.js'
 export * from './property.js'
 
+import { Random } from './random.js'
+export * from './random.js'
+
 import { RefMap  } from './refmap.js'
 export * from './refmap.js'
 
@@ -56,6 +61,7 @@ export const NewClassesExtension = new Patch(globalThis, {
   PluggableProxy,
   ProxyHandler,
   Property,
+  Random,
   RefMap,
   RefSet,
   Symkeys,
@@ -1,4 +1,6 @@
 import { Extension } from '@nejs/extension'
+import { declareNative } from '../utils/native.counterparts.js'
+import { IteratorPolyfills, isSpecIterator } from './iterator.polyfill.js'
 
 /**
  * The Iterable class is designed to provide a convenient way to create synchronous
@@ -292,4 +294,16 @@ export class Iterator {
 }
 
 export const IterableExtensions = new Extension(Iterable)
-export const IteratorExtensions = new Extension(Iterator)
\ No newline at end of file
+export const IteratorExtensions = new Extension(Iterator)
+
+/**
+ * Runtimes with iterator helpers define a global `Iterator` that this
+ * class would otherwise shadow. In compatibility mode the native one is
+ * kept when it passes {@link isSpecIterator}, and a spec-accurate
+ * polyfill is installed in its place when it does not, leaving this
+ * class available only through its import.
+ */
+declareNative(IteratorExtensions, 'Iterator', {
+  probe: isSpecIterator,
+  polyfill: IteratorPolyfills,
+})
\ No newline at end of file
@@ -0,0 +1,683 @@
+import { Patch } from '@nejs/extension'
+
+/**
+ * The prototype shared by every built-in iterator, known in the
+ * specification as %IteratorPrototype%. The global `Iterator` of a
+ * runtime with iterator helpers uses it as its `prototype`.
+ *
+ * @type {object}
+ */
+export const IteratorPrototype = Object.getPrototypeOf(
+  Object.getPrototypeOf([][Symbol.iterator]())
+)
+
+/**
+ * Returned by the step functions of iterator helpers in place of a value
+ * once their underlying iterator is exhausted.
+ *
+ * @type {symbol}
+ */
+const kDone = Symbol('iterator helper done')
+
+/**
+ * The state of each iterator helper, keyed by the helper. Each entry holds
+ * the `step` that produces the next value, the `close` that shuts down the
+ * underlying iterator, and whether the helper is `running` or `done`.
+ *
+ * @type {WeakMap<object, object>}
+ */
+const helperStates = new WeakMap()
+
+/**
+ * The prototype of the iterators returned by `map`, `filter`, `take`,
+ * `drop` and `flatMap`, known in the specification as
+ * %IteratorHelperPrototype%. Calling `return` closes the underlying
+ * iterator even when `next` was never called.
+ *
+ * @type {object}
+ */
+const IteratorHelperPrototype = Object.create(IteratorPrototype, {
+  next: {
+    value: function next() {
+      const state = helperState(this)
+
+      if (state.done)
+        return { value: undefined, done: true }
+
+      state.running = true
+
+      try {
+        const value = state.step()
+
+        if (value === kDone) {
+          state.done = true
+          return { value: undefined, done: true }
+        }
+
+        return { value, done: false }
+      }
+      catch (error) {
+        state.done = true
+        throw error
+      }
+      finally {
+        state.running = false
+      }
+    },
+    writable: true,
+    configurable: true,
+  },
+
+  return: {
+    value: function return_() {
+      const state = helperState(this)
+
+      if (!state.done) {
+        state.done = true
+        state.close()
+      }
+
+      return { value: undefined, done: true }
+    },
+    writable: true,
+    configurable: true,
+  },
+
+  [Symbol.toStringTag]: {
+    value: 'Iterator Helper',
+    configurable: true,
+  },
+})
+
+/**
+ * A spec-accurate stand-in for the global `Iterator` constructor of the
+ * iterator helpers proposal, for runtimes that do not ship it. Like the
+ * native constructor it is abstract, may only be subclassed, and has
+ * %IteratorPrototype% as its `prototype`.
+ *
+ * This is distinct from the {@link Iterator} class in `iterable.js`, which
+ * wraps an iterable and is not installed in compatibility mode.
+ *
+ * @throws {TypeError} If called without `new`, or constructed directly
+ * rather than through a subclass.
+ */
+function Iterator() {
+  if (new.target === undefined || new.target === Iterator)
+    throw new TypeError('Abstract class Iterator not directly constructable')
+}
+
+Object.defineProperty(Iterator, 'prototype', {
+  value: IteratorPrototype,
+  writable: false,
+  enumerable: false,
+  configurable: false,
+})
+
+Object.defineProperty(Iterator, 'from', {
+  /**
+   * Converts an iterable, or an object with a `next` method, into an
+   * iterator inheriting the iterator helpers. Iterators that already
+   * inherit them are returned as they are.
+   *
+   * @param {Iterable|Iterator|string} object The value to convert.
+   * @returns {Iterator} An iterator over `object`.
+   * @throws {TypeError} If `object` is neither an object nor a string.
+   */
+  value: function from(object) {
+    if (typeof object !== 'string' && Object(object) !== object)
+      throw new TypeError('Iterator.from requires an object or a string')
+
+    const method = object[Symbol.iterator]
+    const iterator = method == null ? object : method.call(object)
+
+    if (Object(iterator) !== iterator)
+      throw new TypeError('Iterator.from requires an iterator')
+
+    if (Object.prototype.isPrototypeOf.call(IteratorPrototype, iterator))
+      return iterator
+
+    const record = direct(iterator)
+
+    return Object.create(IteratorPrototype, {
+      next: { value: () => record.next.call(record.iterator) },
+      return: {
+        value: () => {
+          const close = record.iterator.return
+
+          return close == null
+            ? { value: undefined, done: true }
+            : close.call(record.iterator)
+        },
+      },
+    })
+  },
+  writable: true,
+  enumerable: false,
+  configurable: true,
+})
+
+/**
+ * The iterator helpers, installed on %IteratorPrototype% when the runtime
+ * lacks them, or when its own fail the probe declared alongside the
+ * `Iterator` extension.
+ *
+ * @type {Patch}
+ */
+export const IteratorHelpersPolyfill = new Patch(IteratorPrototype, {
+  [Patch.kMutablyHidden]: {
+    /**
+     * Lazily maps each value of this iterator.
+     *
+     * @param {function(*, number): *} mapper Receives each value and its
+     * index and returns the value to yield.
+     * @returns {Iterator} An iterator over the mapped values.
+     */
+    map(mapper) {
+      const record = direct(this)
+      callable(mapper, record)
+
+      let counter = 0
+
+      return createHelper(record, () => {
+        const value = advance(record)
+
+        return value === kDone
+          ? kDone
+          : guarded(record, () => mapper(value, counter++))
+      })
+    },
+
+    /**
+     * Lazily yields only the values of this iterator passing `predicate`.
+     *
+     * @param {function(*, number): boolean} predicate Receives each value
+     * and its index.
+     * @returns {Iterator} An iterator over the passing values.
+     */
+    filter(predicate) {
+      const record = direct(this)
+      callable(predicate, record)
+
+      let counter = 0
+
+      return createHelper(record, () => {
+        while (true) {
+          const value = advance(record)
+
+          if (
+            value === kDone ||
+            guarded(record, () => predicate(value, counter++))
+          ) {
+            return value
+          }
+        }
+      })
+    },
+
+    /**
+     * Lazily yields at most `limit` values of this iterator, closing it
+     * once the limit is reached.
+     *
+     * @param {number} limit The number of values to yield.
+     * @returns {Iterator} An iterator over the first `limit` values.
+     * @throws {RangeError} If `limit` is `NaN` or negative.
+     */
+    take(limit) {
+      const record = direct(this)
+      let left = count(limit, record)
+
+      return createHelper(record, () => {
+        if (left === 0) {
+          closeIterator(record.iterator)
+          return kDone
+        }
+
+        left--
+
+        return advance(record)
+      })
+    },
+
+    /**
+     * Lazily skips the first `limit` values of this iterator.
+     *
+     * @param {number} limit The number of values to skip.
+     * @returns {Iterator} An iterator over the remaining values.
+     * @throws {RangeError} If `limit` is `NaN` or negative.
+     */
+    drop(limit) {
+      const record = direct(this)
+      let left = count(limit, record)
+
+      return createHelper(record, () => {
+        while (left > 0) {
+          left--
+
+          if (advance(record) === kDone)
+            return kDone
+        }
+
+        return advance(record)
+      })
+    },
+
+    /**
+     * Lazily maps each value of this iterator to an iterator or iterable,
+     * yielding each of their values in turn. Strings are not flattened.
+     *
+     * @param {function(*, number): (Iterator|Iterable)} mapper Receives
+     * each value and its index.
+     * @returns {Iterator} An iterator over the flattened values.
+     */
+    flatMap(mapper) {
+      const record = direct(this)
+      callable(mapper, record)
+
+      let counter = 0
+      let inner = null
+
+      const step = () => {
+        while (true) {
+          if (inner) {
+            const value = guarded(record, () => advance(inner))
+
+            if (value !== kDone)
+              return value
+
+            inner = null
+          }
+
+          const value = advance(record)
+
+          if (value === kDone)
+            return kDone
+
+          inner = guarded(record, () => flatten(mapper(value, counter++)))
+        }
+      }
+
+      const close = () => {
+        if (inner)
+          guarded(record, () => closeIterator(inner.iterator))
+
+        closeIterator(record.iterator)
+      }
+
+      return createHelper(record, step, close)
+    },
+
+    /**
+     * Reduces the values of this iterator to a single value.
+     *
+     * @param {function(*, *, number): *} reducer Receives the accumulator,
+     * each value and its index.
+     * @param {*} [initialValue] The starting accumulator. When omitted the
+     * first value is used.
+     * @returns {*} The final accumulator.
+     * @throws {TypeError} If the iterator is empty and no `initialValue`
+     * was supplied.
+     */
+    reduce(reducer, ...initialValue) {
+      const record = direct(this)
+      callable(reducer, record)
+
+      const values = iterate(record)
+      let accumulator = initialValue[0]
+      let counter = 0
+
+      if (!initialValue.length) {
+        const first = values.next()
+
+        if (first.done) {
+          throw new TypeError(
+            'Reduce of empty iterator with no initial value'
+          )
+        }
+
+        accumulator = first.value
+        counter = 1
+      }
+
+      for (const value of values)
+        accumulator = reducer(accumulator, value, counter++)
+
+      return accumulator
+    },
+
+    /**
+     * Collects the values of this iterator into an array.
+     *
+     * @returns {Array} The values.
+     */
+    toArray() {
+      return [...iterate(direct(this))]
+    },
+
+    /**
+     * Calls `fn` with each value of this iterator.
+     *
+     * @param {function(*, number)} fn Receives each value and its index.
+     * @returns {undefined}
+     */
+    forEach(fn) {
+      const record = direct(this)
+      callable(fn, record)
+
+      let counter = 0
+
+      for (const value of iterate(record))
+        fn(value, counter++)
+
+      return undefined
+    },
+
+    /**
+     * Determines whether any value of this iterator passes `predicate`,
+     * closing the iterator as soon as one does.
+     *
+     * @param {function(*, number): boolean} predicate The test to apply.
+     * @returns {boolean} `true` if a value passed.
+     */
+    some(predicate) {
+      const record = direct(this)
+      callable(predicate, record)
+
+      let counter = 0
+
+      for (const value of iterate(record)) {
+        if (predicate(value, counter++))
+          return true
+      }
+
+      return false
+    },
+
+    /**
+     * Determines whether every value of this iterator passes `predicate`,
+     * closing the iterator as soon as one does not.
+     *
+     * @param {function(*, number): boolean} predicate The test to apply.
+     * @returns {boolean} `true` if every value passed.
+     */
+    every(predicate) {
+      const record = direct(this)
+      callable(predicate, record)
+
+      let counter = 0
+
+      for (const value of iterate(record)) {
+        if (!predicate(value, counter++))
+          return false
+      }
+
+      return true
+    },
+
+    /**
+     * Finds the first value of this iterator passing `predicate`, closing
+     * the iterator once it is found.
+     *
+     * @param {function(*, number): boolean} predicate The test to apply.
+     * @returns {*} The value found, or `undefined`.
+     */
+    find(predicate) {
+      const record = direct(this)
+      callable(predicate, record)
+
+      let counter = 0
+
+      for (const value of iterate(record)) {
+        if (predicate(value, counter++))
+          return value
+      }
+
+      return undefined
+    },
+  },
+})
+
+/**
+ * Installs the {@link Iterator} stand-in as the global `Iterator`.
+ *
+ * @type {Patch}
+ */
+export const IteratorGlobalPolyfill = new Patch(globalThis, {
+  [Patch.kMutablyHidden]: {
+    Iterator,
+  },
+})
+
+/**
+ * The patches that together provide the global `Iterator` and its
+ * helpers, in the order they should be applied.
+ *
+ * @type {Patch[]}
+ */
+export const IteratorPolyfills = [
+  IteratorHelpersPolyfill,
+  IteratorGlobalPolyfill,
+]
+
+/**
+ * Determines whether `NativeIterator` provides the iterator helpers as the
+ * specification describes them. Used as the probe for the native
+ * counterpart of the `Iterator` extension.
+ *
+ * @param {Function} NativeIterator The runtime's global `Iterator`.
+ * @returns {boolean} `true` if it can be used in place of a polyfill.
+ */
+export function isSpecIterator(NativeIterator) {
+  const helpers = [
+    'drop', 'every', 'filter', 'find', 'flatMap', 'forEach', 'map',
+    'reduce', 'some', 'take', 'toArray',
+  ]
+
+  if (
+    typeof NativeIterator !== 'function' ||
+    NativeIterator.prototype !== IteratorPrototype ||
+    typeof NativeIterator.from !== 'function' ||
+    !helpers.every((name) => typeof IteratorPrototype[name] === 'function')
+  ) {
+    return false
+  }
+
+  const doubled = NativeIterator
+    .from([1, 2, 3, 4])
+    .map((value) => value * 2)
+    .filter((value) => value > 2)
+    .drop(1)
+    .take(2)
+    .toArray()
+
+  return doubled.join() === '6,8'
+}
+
+export { Iterator as IteratorPolyfill }
+
+export default {
+  IteratorGlobalPolyfill,
+  IteratorPolyfill: Iterator,
+  IteratorHelpersPolyfill,
+  IteratorPolyfills,
+  IteratorPrototype,
+
+  isSpecIterator,
+}
+
+/**
+ * Reads the `next` method of `iterator` once, as the specification's
+ * GetIteratorDirect does.
+ *
+ * @param {*} iterator The iterator to read.
+ * @returns {{iterator: object, next: Function}} The iterator record.
+ * @throws {TypeError} If `iterator` is not an object.
+ */
+function direct(iterator) {
+  if (Object(iterator) !== iterator)
+    throw new TypeError('Iterator helper called on a non-object')
+
+  return { iterator, next: iterator.next }
+}
+
+/**
+ * Steps through an iterator record, closing the iterator if iteration
+ * stops before it is done, unless the iterator itself threw.
+ *
+ * @param {{iterator: object, next: Function}} record From {@link direct}.
+ * @yields {*} Each value of the iterator.
+ */
+function* iterate(record) {
+  let finished = false
+
+  try {
+    while (true) {
+      let result
+
+      try {
+        result = record.next.call(record.iterator)
+
+        if (Object(result) !== result)
+          throw new TypeError('Iterator result is not an object')
+      }
+      catch (error) {
+        finished = true
+        throw error
+      }
+
+      if (result.done) {
+        finished = true
+        return
+      }
+
+      yield result.value
+    }
+  }
+  finally {
+    if (!finished)
+      closeIterator(record.iterator)
+  }
+}
+
+/**
+ * Creates an iterator helper inheriting {@link IteratorHelperPrototype}.
+ *
+ * @param {{iterator: object, next: Function}} record The underlying
+ * iterator, from {@link direct}.
+ * @param {function(): *} step Produces the next value, or `kDone`.
+ * @param {function()} [close] Closes the underlying iterator. Defaults to
+ * calling its `return` method.
+ * @returns {Iterator} The helper.
+ */
+function createHelper(record, step, close) {
+  const helper = Object.create(IteratorHelperPrototype)
+
+  helperStates.set(helper, {
+    step,
+    close: close ?? (() => closeIterator(record.iterator)),
+    running: false,
+    done: false,
+  })
+
+  return helper
+}
+
+function helperState(helper) {
+  const state = helperStates.get(Object(helper))
+
+  if (!state)
+    throw new TypeError('Method called on an incompatible iterator helper')
+
+  if (state.running)
+    throw new TypeError('Iterator helper is already running')
+
+  return state
+}
+
+/**
+ * Steps an iterator record once. The iterator is not closed if it throws.
+ *
+ * @param {{iterator: object, next: Function}} record From {@link direct}.
+ * @returns {*} The next value, or `kDone` once the iterator is exhausted.
+ * @throws {TypeError} If the iterator returns a non-object result.
+ */
+function advance(record) {
+  const result = record.next.call(record.iterator)
+
+  if (Object(result) !== result)
+    throw new TypeError('Iterator result is not an object')
+
+  return result.done ? kDone : result.value
+}
+
+/**
+ * Runs `fn`, closing the iterator of `record` if it throws. The error
+ * thrown by `fn` wins over any thrown while closing.
+ *
+ * @param {{iterator: object, next: Function}} record From {@link direct}.
+ * @param {function(): *} fn The callback to run.
+ * @returns {*} Whatever `fn` returns.
+ */
+function guarded(record, fn) {
+  try {
+    return fn()
+  }
+  catch (error) {
+    try {
+      closeIterator(record.iterator)
+    }
+    catch {
+      // The original error is the one to report.
+    }
+
+    throw error
+  }
+}
+
+/**
+ * Reads an iterator from the value returned by a `flatMap` mapper. Strings
+ * and other primitives are rejected rather than iterated.
+ *
+ * @param {*} inner The mapped value.
+ * @returns {{iterator: object, next: Function}} The iterator record.
+ * @throws {TypeError} If `inner` is not an object.
+ */
+function flatten(inner) {
+  if (Object(inner) !== inner)
+    throw new TypeError('flatMap mapper must return an object')
+
+  const method = inner[Symbol.iterator]
+
+  return direct(method == null ? inner : method.call(inner))
+}
+
+function closeIterator(iterator) {
+  const close = iterator.return
+
+  if (close != null)
+    close.call(iterator)
+}
+
+function callable(fn, record) {
+  if (typeof fn !== 'function') {
+    closeIterator(record.iterator)
+    throw new TypeError(`${String(fn)} is not a function`)
+  }
+}
+
+function count(limit, record) {
+  const number = Number(limit)
+
+  if (Number.isNaN(number)) {
+    closeIterator(record.iterator)
+    throw new RangeError(`${String(limit)} must be a number`)
+  }
+
+  const integer = Math.trunc(number)
+
+  if (integer < 0) {
+    closeIterator(record.iterator)
+    throw new RangeError(`${String(limit)} must be positive`)
+  }
+
+  return integer
+}
@@ -0,0 +1,516 @@
+import { Extension } from '@nejs/extension'
+
+/**
+ * A seedable pseudo-random number generator, using the xoshiro128**
+ * algorithm. Generators created with the same seed produce the same
+ * sequence of values, which makes code that depends on randomness
+ * repeatable, such as snapshot tests.
+ *
+ * Every random helper in this library, such as `String.random36` or
+ * `String.randomRGBA`, draws from the shared generator, {@link
+ * Random.current}. Seeding it with {@link Random.seed}, or for the length
+ * of a callback with {@link Random.withSeed}, makes them deterministic.
+ * The static generator methods, such as {@link Random.int}, also draw from
+ * it.
+ *
+ * The generator is fast and well distributed, but it is not
+ * cryptographically secure; use `crypto.getRandomValues` for secrets.
+ *
+ * @example
+ * Random.withSeed(42, () => String.random36()) // the same string every run
+ *
+ * const dice = new Random('dice')
+ * dice.int(1, 6) // the same roll every run
+ */
+export class Random {
+  /**
+   * The four 32-bit words of the generator's state.
+   *
+   * @type {Uint32Array}
+   * @private
+   */
+  #state = new Uint32Array(4)
+
+  /**
+   * The seed the generator started from.
+   *
+   * @type {number|bigint|string}
+   * @private
+   */
+  #seed = undefined
+
+  /**
+   * A second standard normal value produced alongside the last one by
+   * {@link Random#normal}, kept for the next call.
+   *
+   * @type {number|undefined}
+   * @private
+   */
+  #spareNormal = undefined
+
+  /**
+   * Creates a generator. Any number, bigint or string is a valid seed,
+   * and equal seeds produce equal sequences.
+   *
+   * @param {number|bigint|string} [seed] The seed to start from. Without
+   * one, a seed is chosen from `Math.random`.
+   */
+  constructor(seed = randomSeed()) {
+    this.#seed = seed
+
+    let hash = hashSeed(seed)
+
+    for (let index = 0; index < 4; index++) {
+      hash = (hash + 0x9E3779B9) >>> 0
+      this.#state[index] = splitMix(hash)
+    }
+
+    if (this.#state.every((word) => word === 0))
+      this.#state[0] = 1
+  }
+
+  /**
+   * The seed this generator started from.
+   *
+   * @type {number|bigint|string}
+   */
+  get seed() {
+    return this.#seed
+  }
+
+  /**
+   * Advances the generator and returns its next 32-bit output.
+   *
+   * @returns {number} An integer from `0` to `2 ** 32 - 1`.
+   */
+  next() {
+    const state = this.#state
+    const result = Math.imul(rotate(Math.imul(state[1], 5), 7), 9) >>> 0
+    const shifted = state[1] << 9
+
+    state[2] ^= state[0]
+    state[3] ^= state[1]
+    state[1] ^= state[2]
+    state[0] ^= state[3]
+    state[2] ^= shifted
+    state[3] = rotate(state[3], 11)
+
+    return result
+  }
+
+  /**
+   * Returns a number from `0` up to but not including `1`, with 53 bits
+   * of precision, as a seeded replacement for `Math.random`.
+   *
+   * @returns {number} The number.
+   */
+  random() {
+    return ((this.next() >>> 5) * 67108864 + (this.next() >>> 6)) / 2 ** 53
+  }
+
+  /**
+   * Returns a number from `min` up to but not including `max`.
+   *
+   * @param {number} [min=0] The lowest possible value.
+   * @param {number} [max=1] The value results stay below.
+   * @returns {number} The number.
+   */
+  float(min = 0, max = 1) {
+    return min + this.random() * (max - min)
+  }
+
+  /**
+   * Returns an integer from `min` to `max`, both included. Called with a
+   * single argument, returns an integer from `0` to that argument.
+   *
+   * @param {number} min The lowest possible value, or the highest when
+   * `max` is left out.
+   * @param {number} [max] The highest possible value.
+   * @returns {number} The integer.
+   * @throws {TypeError} If the bounds are not finite numbers.
+   *
+   * @example
+   * new Random(1).int(1, 6) // a die roll
+   */
+  int(min, max = undefined) {
+    if (max === undefined)
+      [min, max] = [0, min]
+
+    if (!Number.isFinite(min) || !Number.isFinite(max))
+      throw new TypeError('Random#int requires finite bounds')
+
+    const low = Math.ceil(Math.min(min, max))
+    const high = Math.floor(Math.max(min, max))
+
+    return low + Math.floor(this.random() * (high - low + 1))
+  }
+
+  /**
+   * Picks one element of `items` at random.
+   *
+   * @param {Iterable<*>} items The elements to pick from.
+   * @returns {*} The element, or `undefined` if there are none.
+   */
+  choice(items) {
+    const array = Array.from(items ?? [])
+
+    return array.length ? array[this.int(array.length - 1)] : undefined
+  }
+
+  /**
+   * Returns the elements of `items` in a random order, leaving `items`
+   * itself unchanged. Every order is equally likely.
+   *
+   * @param {Iterable<*>} items The elements to shuffle.
+   * @returns {Array<*>} A shuffled copy.
+   */
+  shuffle(items) {
+    const array = Array.from(items ?? [])
+
+    for (let index = array.length - 1; index > 0; index--) {
+      const other = this.int(index)
+
+      ;[array[index], array[other]] = [array[other], array[index]]
+    }
+
+    return array
+  }
+
+  /**
+   * Picks `count` distinct elements of `items` at random, in random order.
+   * Elements are distinct by position, so repeated values may be picked
+   * more than once.
+   *
+   * @param {Iterable<*>} items The elements to pick from.
+   * @param {number} [count=1] How many to pick, at most all of them.
+   * @returns {Array<*>} The picked elements.
+   */
+  sample(items, count = 1) {
+    const array = Array.from(items ?? [])
+    const size = Math.max(0, Math.min(array.length, Math.floor(count) || 0))
+
+    for (let index = 0; index < size; index++) {
+      const other = index + this.int(array.length - 1 - index)
+
+      ;[array[index], array[other]] = [array[other], array[index]]
+    }
+
+    return array.slice(0, size)
+  }
+
+  /**
+   * Returns a number drawn from a normal (Gaussian) distribution, using
+   * the Box-Muller transform.
+   *
+   * @param {number} [mean=0] The mean of the distribution.
+   * @param {number} [standardDeviation=1] Its standard deviation.
+   * @returns {number} The number.
+   */
+  normal(mean = 0, standardDeviation = 1) {
+    if (this.#spareNormal !== undefined) {
+      const spare = this.#spareNormal
+
+      this.#spareNormal = undefined
+
+      return mean + standardDeviation * spare
+    }
+
+    const radius = Math.sqrt(-2 * Math.log(1 - this.random()))
+    const angle = 2 * Math.PI * this.random()
+
+    this.#spareNormal = radius * Math.sin(angle)
+
+    return mean + standardDeviation * radius * Math.cos(angle)
+  }
+
+  /**
+   * Returns a number drawn from an exponential distribution, such as the
+   * time between events that happen `rate` times per unit on average.
+   *
+   * @param {number} [rate=1] The rate of the distribution, whose mean is
+   * `1 / rate`.
+   * @returns {number} The number.
+   * @throws {TypeError} If `rate` is not a positive number.
+   */
+  exponential(rate = 1) {
+    if (!(rate > 0))
+      throw new TypeError('Random#exponential requires a positive rate')
+
+    return -Math.log(1 - this.random()) / rate
+  }
+
+  /**
+   * The shared generator the random helpers of this library draw from.
+   * It is seeded from `Math.random` until {@link Random.seed} is called.
+   * Within a call to {@link Random.withSeed} it is that call's generator
+   * instead.
+   *
+   * @type {Random}
+   */
+  static get current() {
+    return seedStorage?.getStore() ?? shared
+  }
+
+  /**
+   * Replaces the shared generator with one started from `seed`, making
+   * every random helper of this library repeatable from here on. Code
+   * running within {@link Random.withSeed} keeps drawing from that call's
+   * generator.
+   *
+   * @param {number|bigint|string} [seed] The seed. Without one, a seed is
+   * chosen from `Math.random`, undoing the effect of an earlier seed.
+   * @returns {Random} The new shared generator.
+   *
+   * @example
+   * Random.seed(7)
+   * const first = String.random16()
+   * Random.seed(7)
+   * String.random16() === first // true
+   */
+  static seed(seed = randomSeed()) {
+    return shared = new Random(seed)
+  }
+
+  /**
+   * Calls `fn` with the shared generator replaced by one started from
+   * `seed`, for `fn` and the asynchronous work it starts alone. The
+   * replacement is tracked with `AsyncLocalStorage`, so when `fn` returns
+   * a promise, code running concurrently outside of it still draws from
+   * the shared generator, and concurrent calls each draw from their own.
+   *
+   * Where `node:async_hooks` is not available, the shared generator is
+   * swapped instead and restored once `fn`, and any promise it returns,
+   * has settled; other code drawing random values in the meantime then
+   * draws from the seeded generator too.
+   *
+   * @param {number|bigint|string} seed The seed.
+   * @param {function(Random): *} fn The function to call, which receives
+   * the seeded generator.
+   * @returns {*} What `fn` returns.
+   * @throws {TypeError} If `fn` is not a function.
+   *
+   * @example
+   * const colors = Random.withSeed('theme', () => [
+   *   String.randomRGBHex(),
+   *   String.randomRGBHex(),
+   * ])
+   */
+  static withSeed(seed, fn) {
+    if (typeof fn !== 'function')
+      throw new TypeError('Random.withSeed requires a function to call')
+
+    const generator = new Random(seed)
+
+    if (seedStorage)
+      return seedStorage.run(generator, fn, generator)
+
+    const previous = shared
+    const restore = () => {
+      if (shared === generator)
+        shared = previous
+    }
+
+    shared = generator
+
+    let result
+
+    try {
+      result = fn(generator)
+    }
+    catch (error) {
+      restore()
+      throw error
+    }
+
+    if (typeof result?.then === 'function')
+      return Promise.resolve(result).finally(restore)
+
+    restore()
+
+    return result
+  }
+
+  /**
+   * Returns a random base 36 string for keys and tokens that must not
+   * repeat, such as those made by `Symkeys` and `Object.prekeyed`. Unlike
+   * the other helpers it never draws from a seeded generator, since
+   * seeding exists to make values repeat and would make such keys collide.
+   * It uses `crypto.getRandomValues` where available and `Math.random`
+   * otherwise.
+   *
+   * @returns {string} The key, such as `'1kz8q3x5e2vd'`.
+   *
+   * @example
+   * Random.withSeed(1, () => Random.key()) // a different key every run
+   */
+  static key() {
+    const words = new Uint32Array(2)
+
+    if (globalThis.crypto?.getRandomValues)
+      globalThis.crypto.getRandomValues(words)
+
+    else
+      words.forEach((_, index) => words[index] = Math.random() * 2 ** 32)
+
+    return [...words].map((word) => word.toString(36)).join('')
+  }
+
+  /**
+   * Returns a number from `0` up to but not including `1` from the shared
+   * generator, as a seeded replacement for `Math.random`.
+   *
+   * @returns {number} The number.
+   */
+  static random() {
+    return Random.current.random()
+  }
+
+  /**
+   * As {@link Random#float}, drawing from the shared generator.
+   *
+   * @param {number} [min=0] The lowest possible value.
+   * @param {number} [max=1] The value results stay below.
+   * @returns {number} The number.
+   */
+  static float(min = 0, max = 1) {
+    return Random.current.float(min, max)
+  }
+
+  /**
+   * As {@link Random#int}, drawing from the shared generator.
+   *
+   * @param {number} min The lowest possible value, or the highest when
+   * `max` is left out.
+   * @param {number} [max] The highest possible value.
+   * @returns {number} The integer.
+   */
+  static int(min, max = undefined) {
+    return Random.current.int(min, max)
+  }
+
+  /**
+   * As {@link Random#choice}, drawing from the shared generator.
+   *
+   * @param {Iterable<*>} items The elements to pick from.
+   * @returns {*} The element, or `undefined` if there are none.
+   */
+  static choice(items) {
+    return Random.current.choice(items)
+  }
+
+  /**
+   * As {@link Random#shuffle}, drawing from the shared generator.
+   *
+   * @param {Iterable<*>} items The elements to shuffle.
+   * @returns {Array<*>} A shuffled copy.
+   */
+  static shuffle(items) {
+    return Random.current.shuffle(items)
+  }
+
+  /**
+   * As {@link Random#sample}, drawing from the shared generator.
+   *
+   * @param {Iterable<*>} items The elements to pick from.
+   * @param {number} [count=1] How many to pick.
+   * @returns {Array<*>} The picked elements.
+   */
+  static sample(items, count = 1) {
+    return Random.current.sample(items, count)
+  }
+
+  /**
+   * As {@link Random#normal}, drawing from the shared generator.
+   *
+   * @param {number} [mean=0] The mean of the distribution.
+   * @param {number} [standardDeviation=1] Its standard deviation.
+   * @returns {number} The number.
+   */
+  static normal(mean = 0, standardDeviation = 1) {
+    return Random.current.normal(mean, standardDeviation)
+  }
+
+  /**
+   * As {@link Random#exponential}, drawing from the shared generator.
+   *
+   * @param {number} [rate=1] The rate of the distribution.
+   * @returns {number} The number.
+   */
+  static exponential(rate = 1) {
+    return Random.current.exponential(rate)
+  }
+
+  /**
+   * Ensures that the class is tagged `Random` by
+   * `Object.prototype.toString`.
+   *
+   * @type {string}
+   */
+  get [Symbol.toStringTag]() {
+    return this.constructor.name
+  }
+}
+
+/**
+ * The generator returned by {@link Random.current}.
+ *
+ * @type {Random}
+ */
+let shared = new Random()
+
+/**
+ * The generator of the {@link Random.withSeed} call the code currently
+ * running belongs to, if any. Only available where `node:async_hooks` is.
+ *
+ * @type {AsyncLocalStorage|undefined}
+ */
+const seedStorage = (() => {
+  const hooks = globalThis.process?.getBuiltinModule?.('node:async_hooks')
+
+  return hooks?.AsyncLocalStorage ? new hooks.AsyncLocalStorage() : undefined
+})()
+
+export const RandomExtension = new Extension(Random)
+
+function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32)
+}
+
+function rotate(value, bits) {
+  return ((value << bits) | (value >>> (32 - bits))) >>> 0
+}
+
+/**
+ * Reduces a seed of any type to 32 bits, by hashing its string form with
+ * the 32-bit FNV-1a hash, tagged with its type so that `1`, `1n` and `'1'`
+ * differ.
+ *
+ * @param {number|bigint|string} seed The seed.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+function hashSeed(seed) {
+  let hash = 0x811C9DC5
+
+  for (const char of `${typeof seed}:${String(seed)}`) {
+    hash ^= char.codePointAt(0)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+
+  return hash
+}
+
+/**
+ * The SplitMix32 finalizer, spreading the bits of a counter so that
+ * neighboring seeds produce unrelated states.
+ *
+ * @param {number} value A 32-bit unsigned integer.
+ * @returns {number} Its mixed bits.
+ */
+function splitMix(value) {
+  let mixed = value
+
+  mixed = Math.imul(mixed ^ (mixed >>> 16), 0x21F0AAAD)
+  mixed = Math.imul(mixed ^ (mixed >>> 15), 0x735A2D97)
+
+  return (mixed ^ (mixed >>> 15)) >>> 0
+}
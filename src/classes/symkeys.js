@@ -1,4 +1,5 @@
 import { Extension } from '@nejs/extension'
+import { Random } from './random.js'
 
 /**
  * Represents a secure container for storing and retrieving unique symbols
@@ -496,7 +497,7 @@ export class Symkeys {
    * This method creates a pseudo-random token that can be used for various
    * purposes within the library, such as generating unique identifiers or
    * keys. The token is generated using a base 36 encoding, which includes
-   * numbers and lowercase letters.
+   * numbers and lowercase letters, by {@link Random.key}.
    *
    * @returns A random token string.
    *
@@ -506,7 +507,7 @@ export class Symkeys {
    * console.log(token); // Outputs a string like 'qg6k1zr0is'
    */
   static get token() {
-    return Math.random().toString(36).slice(2);
+    return Random.key();
   }
 
   /**
@@ -1,6 +1,8 @@
 import { Extension } from '@nejs/extension'
 
 import { Introspector } from './introspector.js'
+import { is } from '../utils/toolkit.js'
+import { typeRegistry } from '../utils/type.registry.js'
 
 export class Type {
   mapped = new Map(Type.mapped.entries())
@@ -9,9 +11,15 @@ export class Type {
   class(value) { return Type.class(value) }
   isPrimitive(value) { return Type.isPrimitive(value) }
 
-  static is(value, ofType) {
-    const name = Type.of(value)
-    return name === Type.name(ofType)
+  static is(value, ofType, owner = globalThis) {
+    // Predicates built by the toolkit combinators (is.oneOf, is.arrayOf...)
+    // describe a type better than any name could, so simply ask them.
+    if (is.predicate(ofType))
+      return ofType(value)
+
+    // is.a understands classes, typeof names and any name registered with
+    // the shared typeRegistry, such as Type.is(value, 'Money')
+    return is.a(value, ofType, owner)
   }
 
   static of(value) {
@@ -33,6 +41,10 @@ export class Type {
   static class(value, mapped) {
     mapped = mapped ?? Type.mapped
 
+    const registered = typeRegistry.classOf(value)
+    if (registered)
+      return registered
+
     const name = (
       value?.[Symbol.toStringTag] ??
       (value instanceof Function ? value.name : undefined) ??
@@ -424,4 +436,4 @@ export class Type {
   }
 }
 
-export const TypeExtensions = new Extension(Type)
\ No newline at end of file
+export const TypeExtensions = new Extension(Type)
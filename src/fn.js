@@ -0,0 +1,679 @@
+/**
+ * Every entry of `StaticPatches` and `InstancePatches` as a standalone
+ * function, for code that must not modify built-in objects.
+ *
+ * Static entries take the same arguments as their patched counterparts,
+ * so `stripTo(object, keys)` behaves as `Object.stripTo(object, keys)`.
+ * Instance entries take their receiver as the first argument, so
+ * `first(array)` reads `array.first` and `contains(array, value)` calls
+ * `array.contains(value)`. Static getters become functions of no
+ * arguments returning the getter's value.
+ *
+ * Each function is built from the descriptor of its patch entry, so it
+ * always runs the same code as the patch, whether or not that patch has
+ * been applied. Entries held back because the runtime has a working
+ * native version, such as `groupBy`, use the held back code instead.
+ * Where several entries share a name, the first in table order, static
+ * before instance, keeps it and the others are prefixed with their owner,
+ * as in `setPrototypeContains`. The `min` and `max` of both `BigInt` and
+ * `Math` are always prefixed, as `bigIntMin` and `mathMin`, so neither is
+ * mistaken for the other. Names that are reserved words are always
+ * prefixed, as in `regExpNull`.
+ *
+ * Each export is built by a call marked `@__PURE__`, and no module of the
+ * package patches anything on import, so bundlers drop the functions left
+ * unused along with the patch tables only those functions are built from.
+ *
+ * @example
+ * import { first, stripTo } from '@nejs/basic-extensions/fn'
+ *
+ * first([1, 2, 3])                         // 1
+ * stripTo({ a: 1, b: 2 }, ['a'])           // { a: 1 }
+ */
+
+import { ArrayExtensions, ArrayPrototypeExtensions } from './array.extensions.js'
+import { BigIntExtensions, BigIntPrototypeExtensions } from './big.int.extension.js'
+import { FunctionExtensions, FunctionPrototypeExtensions } from './function.extensions.js'
+import { JSONExtensions } from './json.extensions.js'
+import { MapExtensions, MapPrototypeExtensions } from './map.extensions.js'
+import { MathExtensions } from './math.extension.js'
+import { NumberExtensions, NumberPrototypeExtensions } from './number.extension.js'
+import { ObjectExtensions, ObjectPrototypeExtensions } from './object.extensions.js'
+import { ReflectExtensions } from './reflect.extensions.js'
+import { RegExpExtensions } from './regular.expression.extensions.js'
+import { SetExtensions, SetPrototypeExtensions } from './set.extensions.js'
+import { StringExtensions, StringPrototypeExtensions } from './string.extensions.js'
+import { SymbolExtensions, SymbolPrototypeExtensions } from './symbol.extensions.js'
+import { entryDescriptor } from './utils/native.counterparts.js'
+
+/**
+ * The object each static patch's functions are called upon, keyed by
+ * patch. It holds the patch's entries and inherits from the patch's owner,
+ * so entries calling one another through `this` find the patched version
+ * while anything else resolves to the built-in.
+ *
+ * @type {Map<Patch, object>}
+ */
+const contexts = new Map()
+
+// Array
+export const ifArray = /* @__PURE__ */ standalone(ArrayExtensions, 'ifArray')
+
+// BigInt
+export const areBigInts = /* @__PURE__ */ standalone(
+  BigIntExtensions, 'areBigInts'
+)
+export const isBigInt = /* @__PURE__ */ standalone(BigIntExtensions, 'isBigInt')
+export const ifBigInt = /* @__PURE__ */ standalone(BigIntExtensions, 'ifBigInt')
+export const bigIntMin = /* @__PURE__ */ standalone(BigIntExtensions, 'min')
+export const bigIntMax = /* @__PURE__ */ standalone(BigIntExtensions, 'max')
+
+// Function
+export const getClassProperties = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'getClassProperties'
+)
+export const isAsync = /* @__PURE__ */ standalone(FunctionExtensions, 'isAsync')
+export const ifAsync = /* @__PURE__ */ standalone(FunctionExtensions, 'ifAsync')
+export const isAsyncGenerator = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'isAsyncGenerator'
+)
+export const ifAsyncGenerator = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'ifAsyncGenerator'
+)
+export const isBigArrow = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'isBigArrow'
+)
+export const ifBigArrow = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'ifBigArrow'
+)
+export const isBound = /* @__PURE__ */ standalone(FunctionExtensions, 'isBound')
+export const ifBound = /* @__PURE__ */ standalone(FunctionExtensions, 'ifBound')
+export const isClass = /* @__PURE__ */ standalone(FunctionExtensions, 'isClass')
+export const ifClass = /* @__PURE__ */ standalone(FunctionExtensions, 'ifClass')
+export const isFunction = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'isFunction'
+)
+export const ifFunction = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'ifFunction'
+)
+export const isGenerator = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'isGenerator'
+)
+export const ifGenerator = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'ifGenerator'
+)
+export const StringTagHasInstance = /* @__PURE__ */ standalone(
+  FunctionExtensions, 'StringTagHasInstance'
+)
+
+// JSON
+export const extractAllFrom = /* @__PURE__ */ standalone(
+  JSONExtensions, 'extractAllFrom'
+)
+export const extractFrom = /* @__PURE__ */ standalone(
+  JSONExtensions, 'extractFrom'
+)
+export const mightContain = /* @__PURE__ */ standalone(
+  JSONExtensions, 'mightContain'
+)
+export const JSONStartPattern = /* @__PURE__ */ standalone(
+  JSONExtensions, 'JSONStartPattern'
+)
+
+// Map
+export const isMap = /* @__PURE__ */ standalone(MapExtensions, 'isMap')
+export const ifMap = /* @__PURE__ */ standalone(MapExtensions, 'ifMap')
+export const groupBy = /* @__PURE__ */ standalone(MapExtensions, 'groupBy')
+
+// Math
+export const mathMin = /* @__PURE__ */ standalone(MathExtensions, 'min')
+export const mathMax = /* @__PURE__ */ standalone(MathExtensions, 'max')
+
+// Number
+export const isNumber = /* @__PURE__ */ standalone(NumberExtensions, 'isNumber')
+export const areNumbers = /* @__PURE__ */ standalone(
+  NumberExtensions, 'areNumbers'
+)
+export const ifNumber = /* @__PURE__ */ standalone(NumberExtensions, 'ifNumber')
+export const ifNumbers = /* @__PURE__ */ standalone(
+  NumberExtensions, 'ifNumbers'
+)
+export const clamp = /* @__PURE__ */ standalone(NumberExtensions, 'clamp')
+
+// Object
+export const add = /* @__PURE__ */ standalone(ObjectExtensions, 'add')
+export const addAccessor = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'addAccessor'
+)
+export const addData = /* @__PURE__ */ standalone(ObjectExtensions, 'addData')
+export const copy = /* @__PURE__ */ standalone(ObjectExtensions, 'copy')
+export const deepCopy = /* @__PURE__ */ standalone(ObjectExtensions, 'deepCopy')
+export const define = /* @__PURE__ */ standalone(ObjectExtensions, 'define')
+export const definitionType = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'definitionType'
+)
+export const defineAccessor = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'defineAccessor'
+)
+export const fromEntriesUsing = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'fromEntriesUsing'
+)
+export const getPrototypeChainEntries = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'getPrototypeChainEntries'
+)
+export const getStringTag = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'getStringTag'
+)
+export const getType = /* @__PURE__ */ standalone(ObjectExtensions, 'getType')
+export const hasStringTag = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'hasStringTag'
+)
+export const isNullDefined = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'isNullDefined'
+)
+export const ifNullDefined = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'ifNullDefined'
+)
+export const isObject = /* @__PURE__ */ standalone(ObjectExtensions, 'isObject')
+export const ifObject = /* @__PURE__ */ standalone(ObjectExtensions, 'ifObject')
+export const isPrimitive = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'isPrimitive'
+)
+export const ifPrimitive = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'ifPrimitive'
+)
+export const isValidKey = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'isValidKey'
+)
+export const ifValidKey = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'ifValidKey'
+)
+export const kDescriptorStore = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'kDescriptorStore'
+)
+export const mapKeys = /* @__PURE__ */ standalone(ObjectExtensions, 'mapKeys')
+export const prekeyed = /* @__PURE__ */ standalone(ObjectExtensions, 'prekeyed')
+export const redescribe = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'redescribe'
+)
+export const stripTo = /* @__PURE__ */ standalone(ObjectExtensions, 'stripTo')
+export const withProperties = /* @__PURE__ */ standalone(
+  ObjectExtensions, 'withProperties'
+)
+export const toolkit = /* @__PURE__ */ standalone(ObjectExtensions, 'toolkit')
+
+// Reflect
+export const hasAll = /* @__PURE__ */ standalone(ReflectExtensions, 'hasAll')
+export const hasSome = /* @__PURE__ */ standalone(ReflectExtensions, 'hasSome')
+export const metadata = /* @__PURE__ */ standalone(
+  ReflectExtensions, 'metadata'
+)
+export const ownDescriptors = /* @__PURE__ */ standalone(
+  ReflectExtensions, 'ownDescriptors'
+)
+export const entries = /* @__PURE__ */ standalone(ReflectExtensions, 'entries')
+export const values = /* @__PURE__ */ standalone(ReflectExtensions, 'values')
+
+// RegExp
+export const anything = /* @__PURE__ */ standalone(RegExpExtensions, 'anything')
+export const nonCaptureGroup = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'nonCaptureGroup'
+)
+export const captureGroup = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'captureGroup'
+)
+export const oneOf = /* @__PURE__ */ standalone(RegExpExtensions, 'oneOf')
+export const zeroOrMore = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'zeroOrMore'
+)
+export const zeroOrOne = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'zeroOrOne'
+)
+export const regExpNull = /* @__PURE__ */ standalone(RegExpExtensions, 'null')
+export const bool = /* @__PURE__ */ standalone(RegExpExtensions, 'bool')
+export const currencySymbols = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'currencySymbols'
+)
+export const escape = /* @__PURE__ */ standalone(RegExpExtensions, 'escape')
+export const number = /* @__PURE__ */ standalone(RegExpExtensions, 'number')
+export const integer = /* @__PURE__ */ standalone(RegExpExtensions, 'integer')
+export const string = /* @__PURE__ */ standalone(RegExpExtensions, 'string')
+export const whitespace = /* @__PURE__ */ standalone(
+  RegExpExtensions, 'whitespace'
+)
+export const comma = /* @__PURE__ */ standalone(RegExpExtensions, 'comma')
+
+// Set
+export const isSet = /* @__PURE__ */ standalone(SetExtensions, 'isSet')
+export const ifSet = /* @__PURE__ */ standalone(SetExtensions, 'ifSet')
+
+// String
+export const isString = /* @__PURE__ */ standalone(StringExtensions, 'isString')
+export const ifString = /* @__PURE__ */ standalone(StringExtensions, 'ifString')
+export const parenthesisPair = /* @__PURE__ */ standalone(
+  StringExtensions, 'parenthesisPair'
+)
+export const squareBracketsPair = /* @__PURE__ */ standalone(
+  StringExtensions, 'squareBracketsPair'
+)
+export const curlyBracketsPair = /* @__PURE__ */ standalone(
+  StringExtensions, 'curlyBracketsPair'
+)
+export const random36 = /* @__PURE__ */ standalone(StringExtensions, 'random36')
+export const random16 = /* @__PURE__ */ standalone(StringExtensions, 'random16')
+export const randomRGBHex = /* @__PURE__ */ standalone(
+  StringExtensions, 'randomRGBHex'
+)
+export const randomARGBHex = /* @__PURE__ */ standalone(
+  StringExtensions, 'randomARGBHex'
+)
+export const randomRGBAHex = /* @__PURE__ */ standalone(
+  StringExtensions, 'randomRGBAHex'
+)
+export const randomRGB = /* @__PURE__ */ standalone(
+  StringExtensions, 'randomRGB'
+)
+export const randomRGBA = /* @__PURE__ */ standalone(
+  StringExtensions, 'randomRGBA'
+)
+export const sgr = /* @__PURE__ */ standalone(StringExtensions, 'sgr')
+export const style = /* @__PURE__ */ standalone(StringExtensions, 'style')
+export const visibleLength = /* @__PURE__ */ standalone(
+  StringExtensions, 'visibleLength'
+)
+export const wrap = /* @__PURE__ */ standalone(StringExtensions, 'wrap')
+export const columns = /* @__PURE__ */ standalone(StringExtensions, 'columns')
+export const levenshteinDistance = /* @__PURE__ */ standalone(
+  StringExtensions, 'levenshteinDistance'
+)
+export const damerauDistance = /* @__PURE__ */ standalone(
+  StringExtensions, 'damerauDistance'
+)
+export const jaroWinklerSimilarity = /* @__PURE__ */ standalone(
+  StringExtensions, 'jaroWinklerSimilarity'
+)
+
+// Symbol
+export const symbolAdd = /* @__PURE__ */ standalone(SymbolExtensions, 'add')
+export const deleteData = /* @__PURE__ */ standalone(
+  SymbolExtensions, 'deleteData'
+)
+export const evalKey = /* @__PURE__ */ standalone(SymbolExtensions, 'evalKey')
+export const hasData = /* @__PURE__ */ standalone(SymbolExtensions, 'hasData')
+export const isSymbol = /* @__PURE__ */ standalone(SymbolExtensions, 'isSymbol')
+export const isRegistered = /* @__PURE__ */ standalone(
+  SymbolExtensions, 'isRegistered'
+)
+export const isNonRegistered = /* @__PURE__ */ standalone(
+  SymbolExtensions, 'isNonRegistered'
+)
+export const keys = /* @__PURE__ */ standalone(SymbolExtensions, 'keys')
+export const setData = /* @__PURE__ */ standalone(SymbolExtensions, 'setData')
+export const sharedKey = /* @__PURE__ */ standalone(
+  SymbolExtensions, 'sharedKey'
+)
+export const singleton = /* @__PURE__ */ standalone(
+  SymbolExtensions, 'singleton'
+)
+export const withData = /* @__PURE__ */ standalone(SymbolExtensions, 'withData')
+
+// Array.prototype
+export const contains = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'contains'
+)
+export const findEntry = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'findEntry'
+)
+export const first = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'first'
+)
+export const isArray = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'isArray'
+)
+export const arrayPrototypeIfArray = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'ifArray'
+)
+export const oneIs = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'oneIs'
+)
+export const someAre = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'someAre'
+)
+export const allAre = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'allAre'
+)
+export const last = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'last'
+)
+export const onlyTruthy = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'onlyTruthy'
+)
+export const onlyFalsy = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'onlyFalsy'
+)
+export const variants = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'variants'
+)
+export const weave = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'weave'
+)
+export const fuzzyFind = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'fuzzyFind'
+)
+export const kDefaultsByType = /* @__PURE__ */ receiverFirst(
+  ArrayPrototypeExtensions, 'kDefaultsByType'
+)
+
+// BigInt.prototype
+export const bigIntPrototypeClamp = /* @__PURE__ */ receiverFirst(
+  BigIntPrototypeExtensions, 'clamp'
+)
+export const instance = /* @__PURE__ */ receiverFirst(
+  BigIntPrototypeExtensions, 'instance'
+)
+export const bigIntPrototypeIsBigInt = /* @__PURE__ */ receiverFirst(
+  BigIntPrototypeExtensions, 'isBigInt'
+)
+export const bigIntPrototypeIfBigInt = /* @__PURE__ */ receiverFirst(
+  BigIntPrototypeExtensions, 'ifBigInt'
+)
+export const within = /* @__PURE__ */ receiverFirst(
+  BigIntPrototypeExtensions, 'within'
+)
+
+// Function.prototype
+export const functionPrototypeIsAsync = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isAsync'
+)
+export const functionPrototypeIfAsync = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifAsync'
+)
+export const functionPrototypeIsAsyncGenerator = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isAsyncGenerator'
+)
+export const functionPrototypeIfAsyncGenerator = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifAsyncGenerator'
+)
+export const functionPrototypeIsBigArrow = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isBigArrow'
+)
+export const functionPrototypeIfBigArrow = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifBigArrow'
+)
+export const functionPrototypeIsBound = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isBound'
+)
+export const functionPrototypeIfBound = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifBound'
+)
+export const functionPrototypeIsClass = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isClass'
+)
+export const functionPrototypeIfClass = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifClass'
+)
+export const functionPrototypeIsFunction = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isFunction'
+)
+export const functionPrototypeIfFunction = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifFunction'
+)
+export const functionPrototypeIsGenerator = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'isGenerator'
+)
+export const functionPrototypeIfGenerator = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'ifGenerator'
+)
+export const functionPrototypeGetClassProperties = /* @__PURE__ */ receiverFirst(
+  FunctionPrototypeExtensions, 'getClassProperties'
+)
+
+// Map.prototype
+export const mapPrototypeIsMap = /* @__PURE__ */ receiverFirst(
+  MapPrototypeExtensions, 'isMap'
+)
+export const mapPrototypeIfMap = /* @__PURE__ */ receiverFirst(
+  MapPrototypeExtensions, 'ifMap'
+)
+export const getKey = /* @__PURE__ */ receiverFirst(
+  MapPrototypeExtensions, 'getKey'
+)
+
+// Number.prototype
+export const numberPrototypeInstance = /* @__PURE__ */ receiverFirst(
+  NumberPrototypeExtensions, 'instance'
+)
+export const numberPrototypeIsNumber = /* @__PURE__ */ receiverFirst(
+  NumberPrototypeExtensions, 'isNumber'
+)
+export const numberPrototypeIfNumber = /* @__PURE__ */ receiverFirst(
+  NumberPrototypeExtensions, 'ifNumber'
+)
+export const numberPrototypeWithin = /* @__PURE__ */ receiverFirst(
+  NumberPrototypeExtensions, 'within'
+)
+
+// Object.prototype
+export const objectPrototypeGetPrototypeChainEntries = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'getPrototypeChainEntries'
+)
+export const objectPrototypeIsObject = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'isObject'
+)
+export const objectPrototypeIfObject = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'ifObject'
+)
+export const objectPrototypeIsNullDefined = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'isNullDefined'
+)
+export const objectPrototypeIfNullDefined = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'ifNullDefined'
+)
+export const objectPrototypeIsPrimitive = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'isPrimitive'
+)
+export const objectPrototypeIfPrimitive = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'ifPrimitive'
+)
+export const objectPrototypeIsValidKey = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'isValidKey'
+)
+export const objectPrototypeIfValidKey = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'ifValidKey'
+)
+export const objectPrototypeHasStringTag = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'hasStringTag'
+)
+export const objectPrototypeGetStringTag = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'getStringTag'
+)
+export const objectPrototypeStripTo = /* @__PURE__ */ receiverFirst(
+  ObjectPrototypeExtensions, 'stripTo'
+)
+
+// Set.prototype
+export const concat = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'concat'
+)
+export const setPrototypeContains = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'contains'
+)
+export const every = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'every'
+)
+export const find = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'find'
+)
+export const findLast = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'findLast'
+)
+export const setPrototypeIsSet = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'isSet'
+)
+export const setPrototypeIfSet = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'ifSet'
+)
+export const length = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'length'
+)
+export const map = /* @__PURE__ */ receiverFirst(SetPrototypeExtensions, 'map')
+export const reduce = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'reduce'
+)
+export const some = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'some'
+)
+export const union = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'union'
+)
+export const intersection = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'intersection'
+)
+export const difference = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'difference'
+)
+export const symmetricDifference = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'symmetricDifference'
+)
+export const isSubsetOf = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'isSubsetOf'
+)
+export const isSupersetOf = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'isSupersetOf'
+)
+export const isDisjointFrom = /* @__PURE__ */ receiverFirst(
+  SetPrototypeExtensions, 'isDisjointFrom'
+)
+
+// String.prototype
+export const stringPrototypeIsString = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'isString'
+)
+export const stringPrototypeIfString = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'ifString'
+)
+export const stringPrototypeInstance = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'instance'
+)
+export const extractSubstring = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'extractSubstring'
+)
+export const print = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'print'
+)
+export const stripAnsi = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'stripAnsi'
+)
+export const sliceVisible = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'sliceVisible'
+)
+export const padVisible = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'padVisible'
+)
+export const truncateVisible = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'truncateVisible'
+)
+export const toWords = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toWords'
+)
+export const toCamelCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toCamelCase'
+)
+export const toPascalCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toPascalCase'
+)
+export const toSnakeCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toSnakeCase'
+)
+export const toKebabCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toKebabCase'
+)
+export const toConstantCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toConstantCase'
+)
+export const toTitleCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toTitleCase'
+)
+export const toSentenceCase = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'toSentenceCase'
+)
+export const fuzzyMatch = /* @__PURE__ */ receiverFirst(
+  StringPrototypeExtensions, 'fuzzyMatch'
+)
+
+// Symbol.prototype
+export const symbolPrototypeInstance = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'instance'
+)
+export const data = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'data'
+)
+export const embeddedJSON = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'embeddedJSON'
+)
+export const embeddedJSONParsed = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'embeddedJSONParsed'
+)
+export const isSymkey = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'isSymkey'
+)
+export const mightHaveEmbeddedJSON = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'mightHaveEmbeddedJSON'
+)
+export const refObject = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'refObject'
+)
+export const sgrString = /* @__PURE__ */ receiverFirst(
+  SymbolPrototypeExtensions, 'sgrString'
+)
+
+/**
+ * Creates a standalone function for a static patch entry. Methods are
+ * called with the patch's context as `this`; getters become functions
+ * returning their value.
+ *
+ * @param {Patch} patch The static patch containing the entry.
+ * @param {string} key The key of the entry.
+ * @returns {Function} The standalone function.
+ */
+function standalone(patch, key) {
+  const { value, get } = entryDescriptor(patch, key)
+  const fn = get
+    ? () => get.call(contextOf(patch))
+    : (...args) => value.apply(contextOf(patch), args)
+
+  return named(fn, key)
+}
+
+/**
+ * Creates a standalone function for an instance patch entry, taking the
+ * receiver as its first argument. Getters receive nothing else.
+ *
+ * @param {Patch} patch The instance patch containing the entry.
+ * @param {string} key The key of the entry.
+ * @returns {Function} The standalone function.
+ */
+function receiverFirst(patch, key) {
+  const { value, get } = entryDescriptor(patch, key)
+  const fn = get
+    ? (receiver) => get.call(receiver)
+    : (receiver, ...args) => value.apply(receiver, args)
+
+  return named(fn, key)
+}
+
+function contextOf(patch) {
+  if (!contexts.has(patch)) {
+    const descriptors = Object.fromEntries(patch.entries.map(
+      ([key, entry]) => [key, entry.descriptor]
+    ))
+
+    contexts.set(patch, Object.create(patch.owner, descriptors))
+  }
+
+  return contexts.get(patch)
+}
+
+function named(fn, name) {
+  return Object.defineProperty(fn, 'name', { value: name, configurable: true })
+}
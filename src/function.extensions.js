@@ -1,4 +1,5 @@
 import { Patch } from '@nejs/extension'
+import { is } from './utils/toolkit.js'
 
 /**
  * The `FunctionExtensions` class is a patch applied to the built-in JavaScript
@@ -303,7 +304,7 @@ export const FunctionExtensions = new Patch(Function, {
      * otherwise `false`.
      */
     isFunction(value) {
-      return value instanceof Function && !Function.isClass(value);
+      return value instanceof Function && !FunctionExtensions.patches.isClass(value);
     },
 
     /**
@@ -782,11 +783,11 @@ function isThenElse(bv, tv, ev) {
 }
 
 function hasStringTag(value) {
-  return Object.isObject(value) && Reflect.has(value, Symbol.toStringTag)
+  return is.object(value) && Reflect.has(value, Symbol.toStringTag)
 }
 
 function getStringTag(value, strict = false) {
-  if (Object.hasStringTag(value)) {
+  if (hasStringTag(value)) {
     return value[Symbol.toStringTag]
   }
 
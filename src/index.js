@@ -26,6 +26,7 @@ import {
   ProxyHandlerExtensions,
   PluggableProxyExtensionSet
 } from './classes/pluggable.proxy.js'
+import { RandomExtension } from './classes/random.js'
 import { RefMapExtensions } from './classes/refmap.js'
 import { RefSetExtensions } from './classes/refset.js'
 import { SymkeysExtension } from './classes/symkeys.js'
@@ -37,13 +38,43 @@ import {
   StdoutGlobalPatches,
   StringConsoleExtension,
 
+  captureOutput,
   captureStdout,
 } from './utils/stdout.js'
 
+export * from './utils/ansi.js'
+export * from './utils/colors.js'
 export * from './utils/copy.object.js'
+export * from './utils/native.counterparts.js'
+export * from './utils/patch.conflicts.js'
+export * from './utils/realms.js'
+export * from './utils/tokenizer.js'
 export * from './utils/toolkit.js'
+export * from './utils/type.registry.js'
 export * from './utils/descriptor.utils.js'
 
+import {
+  ConflictPolicies,
+  PatchConflictError,
+
+  applyPatchWithPolicy,
+  findPatchConflicts,
+  isPatchApplied,
+  revertPatch,
+} from './utils/patch.conflicts.js'
+
+import {
+  applyCompatPlan,
+  planCompat,
+  revertPolyfills,
+} from './utils/native.counterparts.js'
+
+import {
+  clonePatch,
+  registerRealm,
+  resolveRealm,
+} from './utils/realms.js'
+
 import {
   AsyncIteratorExtensions,
   AsyncIterableExtensions
@@ -99,6 +130,7 @@ const Extensions = {
   [PluggableProxyExtensions.key]: PluggableProxyExtensions,
   [ProxyHandlerExtensions.key]: ProxyHandlerExtensions,
   [PropertyExtensions.key]: PropertyExtensions,
+  [RandomExtension.key]: RandomExtension,
   [RefMapExtensions.key]: RefMapExtensions,
   [RefSetExtensions.key]: RefSetExtensions,
   [StringConsoleExtension.key]: StringConsoleExtension,
@@ -117,13 +149,73 @@ for (const extension of Object.values(Extensions)) {
 const Controls = {}
 
 Object.assign(Controls, {
-  enableAll() {
-    Controls.enablePatches()
-    Controls.enableExtensions()
+  /**
+   * Applies every patch and extension. Options are passed on to
+   * {@link Controls.enablePatches} and {@link Controls.enableExtensions}.
+   *
+   * @param {object} [options] Additional options.
+   * @returns {CompatDecision[]|undefined} When `options.compat` is set,
+   * the decisions made for both.
+   */
+  enableAll(options = {}) {
+    const patches = Controls.enablePatches(options)
+    const extensions = Controls.enableExtensions(options)
+
+    return options?.compat ? [...patches, ...extensions] : undefined
   },
 
-  enablePatches() {
-    Patches.forEach((extension) => { extension.apply() })
+  /**
+   * Applies every patch. By default any existing property with the same
+   * name is replaced; `onConflict` can instead leave such properties in
+   * place or refuse to apply anything at all. Use
+   * {@link Controls.preflight} to see the conflicts beforehand.
+   *
+   * With `compat` set, entries declaring a native counterpart use the
+   * runtime's implementation when it is present and spec-compliant, and
+   * install a spec-accurate polyfill when it is not. Those entries are
+   * never treated as conflicts.
+   *
+   * @param {object} [options] Additional options.
+   * @param {string} [options.onConflict='override'] One of `'override'`,
+   * `'skip'` or `'throw'`.
+   * @param {boolean} [options.compat=false] Defer to native counterparts.
+   * @returns {CompatDecision[]|undefined} When `compat` is set, which path
+   * was taken for each entry with a native counterpart.
+   * @throws {PatchConflictError} If `onConflict` is `'throw'` and any
+   * patched key already exists. No patches are applied in that case.
+   * @throws {TypeError} If `onConflict` is not a known policy.
+   */
+  enablePatches(options = {}) {
+    const { onConflict = 'override', compat = false } = options ?? {}
+
+    if (!ConflictPolicies.includes(onConflict)) {
+      throw new TypeError(
+        `onConflict must be one of ${ConflictPolicies.join(', ')}`
+      )
+    }
+
+    const entries = selectPatches([...Patches.values()])
+    const plan = compat ? planCompat(entries) : []
+    const conflicts = (onConflict === 'override'
+      ? []
+      : findPatchConflicts(entries)
+    ).filter((conflict) => !plan.some((decision) => (
+      decision.patch === conflict.patch && decision.key === conflict.key
+    )))
+
+    if (onConflict === 'throw' && conflicts.length)
+      throw new PatchConflictError(conflicts)
+
+    entries.forEach(([_, patch]) => {
+      applyCompatPlan(patch, plan, (patch, leaveOut) => applyPatchWithPolicy(
+        patch,
+        conflicts.filter((conflict) => conflict.patch === patch),
+        onConflict,
+        leaveOut
+      ))
+    })
+
+    return compat ? plan : undefined
   },
 
   enableStaticPatches(filter = ([owner, extension]) => true) {
@@ -138,8 +230,102 @@ Object.assign(Controls, {
     return patches
   },
 
-  enableExtensions() {
-    Object.values(Extensions).forEach((extension) => { extension.apply() })
+  /**
+   * Applies every extension, defining its class or function globally.
+   *
+   * @param {object} [options] Additional options.
+   * @param {boolean} [options.compat=false] Defer to native counterparts,
+   * such as the runtime's own global `Iterator`, as
+   * {@link Controls.enablePatches} does.
+   * @returns {CompatDecision[]|undefined} When `compat` is set, which path
+   * was taken for each extension with a native counterpart.
+   */
+  enableExtensions(options = {}) {
+    const { compat = false } = options ?? {}
+    const entries = selectExtensions()
+    const plan = compat ? planCompat(entries) : []
+
+    entries.forEach(([_, extension]) => {
+      applyCompatPlan(extension, plan, (extension, leaveOut) => (
+        applyPatchWithPolicy(extension, [], 'override', leaveOut)
+      ))
+    })
+
+    return compat ? plan : undefined
+  },
+
+  /**
+   * Applies every patch and extension to another realm, such as a
+   * `node:vm` context or an iframe, patching that realm's own `Array`,
+   * `Object`, `globalThis` and so on. The realm shares the functions
+   * installed here, but its patches are applied and reverted separately
+   * from those of the current realm. The realm is also registered with
+   * {@link registerRealm}, so checks such as `Object.getType` recognize
+   * its values.
+   *
+   * **This breaks the isolation of a `vm` context.** The functions and
+   * accessors installed in the realm are the ones created in this realm,
+   * not copies evaluated inside it. Code in the context can reach this
+   * realm through them, as with `[].last` read through its descriptor,
+   * whose getter's `constructor` is this realm's `Function`, which in turn
+   * returns this realm's `process`. Objects they create, such as the
+   * result of `Object.stripTo`, inherit this realm's prototypes. Only use
+   * it for contexts running trusted code; `vm` is not a security boundary
+   * to begin with, but this removes what separation it offers.
+   *
+   * Worker threads are not supported. They share no objects with the
+   * thread that created them, so a `Worker` is rejected; import this
+   * package within the worker and call {@link Controls.enableAll} there.
+   *
+   * @param {object} contextOrGlobal A `vm` context or a realm's global
+   * object. Passing `globalThis` is the same as calling
+   * {@link Controls.enableAll}.
+   * @param {object} [options] Additional options.
+   * @param {string} [options.onConflict='override'] As for
+   * {@link Controls.enablePatches}, checked against the other realm.
+   * @returns {object} The realm's global object.
+   * @throws {PatchConflictError} If `onConflict` is `'throw'` and any
+   * patched key already exists in the realm.
+   * @throws {TypeError} If `contextOrGlobal` is not a context or global
+   * object, such as a `Worker`, or `onConflict` is not a known policy.
+   *
+   * @example
+   * const context = vm.createContext({})
+   *
+   * Controls.enableIn(context)
+   * vm.runInContext('[1, 2, 3].last', context) // 3
+   */
+  enableIn(contextOrGlobal, options = {}) {
+    const { onConflict = 'override' } = options ?? {}
+
+    if (!ConflictPolicies.includes(onConflict)) {
+      throw new TypeError(
+        `onConflict must be one of ${ConflictPolicies.join(', ')}`
+      )
+    }
+
+    const realm = registerRealm(contextOrGlobal)
+
+    if (realm === globalThis) {
+      Controls.enableAll({ onConflict })
+      return realm
+    }
+
+    const entries = realmEntries(realm)
+    const conflicts = onConflict === 'override'
+      ? []
+      : findPatchConflicts(entries)
+
+    if (onConflict === 'throw' && conflicts.length)
+      throw new PatchConflictError(conflicts)
+
+    entries.forEach(([_, patch]) => applyPatchWithPolicy(
+      patch,
+      conflicts.filter((conflict) => conflict.patch === patch),
+      onConflict
+    ))
+
+    return realm
   },
 
   disableAll() {
@@ -147,24 +333,156 @@ Object.assign(Controls, {
     Controls.disableExtensions()
   },
 
+  /**
+   * Reverts the patches and extensions {@link Controls.enableIn} applied
+   * to another realm.
+   *
+   * @param {object} contextOrGlobal A `vm` context or a realm's global
+   * object. Passing `globalThis` is the same as calling
+   * {@link Controls.disableAll}.
+   */
+  disableIn(contextOrGlobal) {
+    const realm = resolveRealm(contextOrGlobal)
+
+    if (realm === globalThis) {
+      Controls.disableAll()
+      return
+    }
+
+    realmPatches.get(realm)?.forEach(([_, patch]) => revertPatch(patch))
+  },
+
   disablePatches() {
-    Patches.forEach((extension) => { extension.revert() })
+    Patches.forEach((extension) => {
+      revertPatch(extension)
+      revertPolyfills(extension)
+    })
   },
 
   disableStaticPatches(filter = ([owner, extension]) => true) {
     const patches = StaticPatches.filter(toFilterFn(filter))
-    patches.forEach(([_, extension]) => extension.revert())
+    patches.forEach(([_, extension]) => revertPatch(extension))
     return patches
   },
 
   disableInstancePatches(filter = ([owner, extension]) => true) {
     const patches = InstancePatches.filter(toFilterFn(filter))
-    patches.forEach(([_, extension]) => extension.revert())
+    patches.forEach(([_, extension]) => revertPatch(extension))
     return patches
   },
 
   disableExtensions() {
-    Object.values(Extensions).forEach((extension) => { extension.revert() })
+    Object.values(Extensions).forEach((extension) => {
+      revertPatch(extension)
+      revertPolyfills(extension)
+    })
+  },
+
+  /**
+   * Reports, without applying anything, whether each selected patch entry
+   * or extension with a native counterpart would use the runtime's
+   * implementation or a polyfill in compatibility mode.
+   *
+   * @param {*} [selection] Which patches and extensions to check. Accepts
+   * the forms {@link Controls.withPatches} does, where extensions are
+   * named by their key, such as `'Iterator'`. All of them by default.
+   * @returns {CompatDecision[]} The decisions that would be made.
+   *
+   * @example
+   * Controls.compatReport('Set.prototype')
+   *   .map(({ key, path }) => `${key}: ${path}`)
+   * // ['union: native', 'intersection: native', ...]
+   */
+  compatReport(selection = undefined) {
+    return planCompat([
+      ...selectPatches(selection),
+      ...selectExtensions(selection),
+    ])
+  },
+
+  /**
+   * Reports every key the selected patches define that already exists on
+   * the object they patch, without applying anything. Each record names
+   * the target and key, whether the existing property is native or
+   * user-defined, whether it is inherited, and whether it behaves
+   * differently from the patch.
+   *
+   * @param {*} [selection] Which patches to check, in any form accepted by
+   * {@link Controls.withPatches}. All patches by default.
+   * @returns {PatchConflict[]} The conflicts found.
+   *
+   * @example
+   * Controls.preflight('Array')
+   *   .filter(({ differs }) => differs)
+   *   .map(({ target, key, source }) => `${target}.${key} (${source})`)
+   */
+  preflight(selection = undefined) {
+    return findPatchConflicts(selectPatches(selection))
+  },
+
+  /**
+   * Applies the selected patches, runs `fn` and then restores each patch to
+   * the state it was in before the first scope using it began, even if `fn`
+   * throws or its promise rejects. Scopes are reference counted per patch,
+   * so nested scopes, and async scopes that overlap, only revert a patch
+   * once the last scope using it has finished. Patches that were already
+   * applied before any scope began are left applied.
+   *
+   * @param {*} selection Which patches to apply. `undefined` or `true`
+   * selects all of them. A function receives each `[owner, patch,
+   * ownerName]` entry and returns `true` to select it. Otherwise a value,
+   * or an array of values, where each is a `Patch`, the object patched
+   * (`Array` or `Array.prototype`), or an owner name; `'Array'` selects
+   * both the static and instance patches of `Array` while
+   * `'Array.prototype'` selects only the latter.
+   * @param {Function} fn The function to run while the patches are
+   * applied. It may be synchronous or return a promise.
+   * @returns {*} The value returned by `fn`. If that value is a promise,
+   * a promise settling once the patches have been restored.
+   *
+   * @example
+   * Controls.withPatches(['Array'], () => [1, 2, 3].last) // 3
+   * [1, 2, 3].last                                        // undefined
+   *
+   * await Controls.withPatches('Object', async () => {
+   *   await somethingElse()
+   *   return Object.isObject({})                          // true
+   * })
+   */
+  withPatches(selection, fn) {
+    if (typeof fn !== 'function')
+      throw new TypeError('withPatches requires a function to run')
+
+    const patches = selectPatches(selection).map(([_, patch]) => patch)
+    const acquired = []
+
+    try {
+      for (const patch of patches) {
+        acquirePatch(patch)
+        acquired.push(patch)
+      }
+    }
+    catch (error) {
+      acquired.forEach(releasePatch)
+      throw error
+    }
+
+    const release = () => { patches.forEach(releasePatch) }
+    let result
+
+    try {
+      result = fn()
+    }
+    catch (error) {
+      release()
+      throw error
+    }
+
+    if (typeof result?.then === 'function')
+      return Promise.resolve(result).finally(release)
+
+    release()
+    return result
   },
 })
 
@@ -245,6 +563,122 @@ export {
   GlobalFunctionsAndProps,
 }
 
+/**
+ * Reference counts for patches applied by {@link Controls.withPatches},
+ * recording for each patch how many scopes are using it and whether it was
+ * already applied when the first of them began.
+ *
+ * @type {Map<Patch, {count: number, wasApplied: boolean}>}
+ */
+const patchScopes = new Map()
+
+/**
+ * The copies of every patch and extension made for each realm passed to
+ * {@link Controls.enableIn}, as `[owner, patch, ownerName]` entries.
+ *
+ * @type {WeakMap<object, Array<[object, Patch, string]>>}
+ */
+const realmPatches = new WeakMap()
+
+function acquirePatch(patch) {
+  const scope = patchScopes.get(patch)
+
+  if (scope) {
+    scope.count++
+    return
+  }
+
+  const wasApplied = isPatchApplied(patch)
+
+  if (!wasApplied)
+    applyPatchWithPolicy(patch, [], 'override')
+
+  patchScopes.set(patch, { count: 1, wasApplied })
+}
+
+function releasePatch(patch) {
+  const scope = patchScopes.get(patch)
+
+  if (!scope || --scope.count > 0)
+    return
+
+  patchScopes.delete(patch)
+
+  if (!scope.wasApplied)
+    revertPatch(patch)
+}
+
+function selectPatches(selection) {
+  const entries = [
+    ...StaticPatches,
+    ...InstancePatches,
+    [globalThis, GlobalFunctionsAndProps, 'globalThis'],
+    [globalThis, StdoutGlobalPatches, 'globalThis'],
+  ]
+
+  if (selection === undefined || selection === true)
+    return entries
+
+  if (typeof selection === 'function')
+    return entries.filter(selection)
+
+  return filterSelection(entries, selection)
+}
+
+function selectExtensions(selection) {
+  const entries = Object.entries(Extensions)
+    .map(([key, extension]) => [globalThis, extension, key])
+
+  if (selection === undefined || selection === true)
+    return entries
+
+  if (typeof selection === 'function')
+    return entries.filter(selection)
+
+  return filterSelection(entries, selection)
+}
+
+function realmEntries(realm) {
+  if (realmPatches.has(realm))
+    return realmPatches.get(realm)
+
+  const copy = (owner, patch, ownerName) => (
+    owner ? [[owner, clonePatch(patch, owner), ownerName]] : []
+  )
+  const entries = [
+    ...StaticPatches.flatMap(([_, patch, ownerName]) => (
+      copy(realm[ownerName], patch, ownerName)
+    )),
+    ...InstancePatches.flatMap(([_, patch, ownerName]) => (
+      copy(realm[ownerName]?.prototype, patch, ownerName)
+    )),
+    ...[
+      GlobalFunctionsAndProps,
+      StdoutGlobalPatches,
+      ...Object.values(Extensions),
+    ].flatMap((patch) => copy(realm, patch, 'globalThis')),
+  ]
+
+  realmPatches.set(realm, entries)
+
+  return entries
+}
+
+function filterSelection(entries, selection) {
+  const elements = Array.isArray(selection) ? selection : [selection]
+
+  return entries.filter(([owner, patch, ownerName]) => {
+    const isInstance = InstancePatches.some(([_, other]) => other === patch)
+
+    return elements.some((element) => (
+      element === patch ||
+      element === owner ||
+      element === ownerName ||
+      (isInstance && element === `${ownerName}.prototype`)
+    ))
+  })
+}
+
 function toFilterFn(filter = ([owner, extension]) => true) {
   let filterFn = filter
 
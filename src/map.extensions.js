@@ -1,4 +1,5 @@
 import { Patch } from '@nejs/extension'
+import { declareNative } from './utils/native.counterparts.js'
 
 export const MapExtensions = new Patch(Map, {
   [Patch.kMutablyHidden]: {
@@ -52,6 +53,63 @@ export const MapExtensions = new Patch(Map, {
   }
 })
 
+declareNative(MapExtensions, 'groupBy', {
+  probe: (groupBy) => {
+    const key = {}
+    const groups = groupBy([1, 2, 3], (n) => n === 2 ? key : -0)
+
+    return groups instanceof Map &&
+      groups.get(key)?.join() === '2' &&
+      groups.get(0)?.join() === '1,3'
+  },
+
+  fallback: {
+    [Patch.kMutablyHidden]: {
+      /**
+       * Groups the values of an iterable into a `Map`, keyed by the result
+       * of calling `callback` with each value and its index. Keys are
+       * compared as `Map` keys are, so objects may be used as group keys.
+       * This matches the native `Map.groupBy`; when the runtime provides a
+       * working one, this is left out of the patch altogether.
+       *
+       * @param {Iterable} items The values to group.
+       * @param {function(*, number): *} callback Receives each value and
+       * its index and returns the key of the group it belongs to.
+       * @returns {Map<*, Array>} The groups, in the order their keys were
+       * first returned.
+       * @throws {TypeError} If `items` is not iterable or `callback` is not
+       * a function.
+       *
+       * @example
+       * Map.groupBy([1, 2, 3, 4], (n) => n % 2 ? 'odd' : 'even')
+       * // Map { 'odd' => [1, 3], 'even' => [2, 4] }
+       */
+      groupBy(items, callback) {
+        if (items === null || items === undefined)
+          throw new TypeError(`${String(items)} is not iterable`)
+
+        if (typeof callback !== 'function')
+          throw new TypeError(`${String(callback)} is not a function`)
+
+        const groups = new Map()
+        let index = 0
+
+        for (const value of items) {
+          const result = callback(value, index++)
+          const key = Object.is(result, -0) ? 0 : result
+
+          if (!groups.has(key))
+            groups.set(key, [])
+
+          groups.get(key).push(value)
+        }
+
+        return groups
+      },
+    },
+  },
+})
+
 const { isMap: pIsMap, ifMap: pIfMap } = MapExtensions.patches
 
 export const MapPrototypeExtensions = new Patch(Map.prototype, {
@@ -3,8 +3,13 @@ import { Patch } from '@nejs/extension'
 import { SymbolExtensions } from './symbol.extensions.js';
 import { Descriptor } from './classes/descriptor.js';
 import { Property } from './classes/property.js';
+import { Random } from './classes/random.js';
 
-import { as, has, is, si } from './utils/toolkit.js';
+import {
+  as, assert, delete as del, get, has, is, set, si
+} from './utils/toolkit.js';
+import { realmOf } from './utils/realms.js';
+import { typeRegistry } from './utils/type.registry.js';
 import { copyObject } from './utils/copy.object.js';
 
 const { keys: symkeys } = SymbolExtensions.patches
@@ -74,7 +79,7 @@ export const ObjectExtensions = new Patch(Object, {
       }
 
       const more = isDescriptor(_desc) ? _desc : {}
-      const flag = _flag || Object.definitionType.mutablyVisible
+      const flag = _flag || Patch.kMutablyVisible
       const props = { ...Patch.getDescriptorOverridesFromSymbol(flag), ...more }
       const type = (['accessor', 'data'].includes(_type)
         ? String(_type).toLowerCase() : 'data'
@@ -225,7 +230,7 @@ export const ObjectExtensions = new Patch(Object, {
      * // myObject now has a mutably hidden property 'myProperty' with value
      * // 'Hello, world!'
      */
-    define(object, key, value, flag = Object.definitionType.mutablyHidden) {
+    define(object, key, value, flag = Patch.kMutablyHidden) {
       const properties = Patch.getDescriptorOverridesFromSymbol(flag)
       return Object.defineProperty(object, key, { ...properties, value })
     },
@@ -292,7 +297,7 @@ export const ObjectExtensions = new Patch(Object, {
      * // and setter functions
      */
     defineAccessor(
-      object, key, get, set, flag = Object.definitionType.mutablyHidden
+      object, key, get, set, flag = Patch.kMutablyHidden
     ) {
       const properties = Patch.getDescriptorOverridesFromSymbol(flag)
       return Object.defineProperty(object, key, { ...properties, get, set })
@@ -434,24 +439,36 @@ export const ObjectExtensions = new Patch(Object, {
      * constructor or class of an object, beyond the basic types identified by
      * the `typeof` operator.
      *
+     * Classes registered with the shared `typeRegistry` are consulted
+     * before `owner` itself, first by string tag name and then by
+     * `instanceof`, so domain classes that never reach `globalThis` are
+     * still identified. Registrations made for `owner` take precedence over
+     * those made for `globalThis`.
+     *
      * @param {any} value - The value whose type is to be determined.
-     * @param {object} [owner=globalThis] - The object in which to look up the
-     * constructor corresponding to the string tag. Defaults to `globalThis`,
-     * which covers global constructors like `Array`, `Object`, etc.
+     * @param {object} [owner] - The object in which to look up the
+     * constructor corresponding to the string tag. Defaults to the global
+     * object of the realm `value` was created in, when that realm is known
+     * (see `registerRealm`), and to `globalThis` otherwise. Either covers
+     * global constructors like `Array`, `Object`, etc.
      * @returns {Function|object|null|undefined} - Returns the constructor or
      * type of the value based on its string tag. For 'Null' and 'Undefined',
      * it returns `null` and `undefined`, respectively. For other types, it
      * returns the corresponding constructor (e.g., `Array` for arrays) if
      * available in the `owner` object.
      */
-    getType(value, owner = globalThis) {
-      const stringTag = Object.getStringTag(value)
+    getType(value, owner = realmOf(value)) {
+      const stringTag = pGetStringTag(value)
 
       switch (stringTag) {
         case 'Null': return null
         case 'Undefined': return undefined
         default:
-          return owner[stringTag]
+          return (
+            typeRegistry.get(stringTag, owner)?.class ??
+            typeRegistry.classOf(value, owner) ??
+            owner[stringTag]
+          )
       }
     },
 
@@ -667,6 +684,92 @@ export const ObjectExtensions = new Patch(Object, {
       return Symbol.for('@nejs.object.descriptor.storage')
     },
 
+    /**
+     * Creates a copy of an object with each of its own enumerable string
+     * keys replaced by what `caseFn` returns for it, such as to re-case the
+     * keys of a JSON payload. Symbol keys are copied unchanged. When two
+     * keys map to the same key, the later one wins.
+     *
+     * With `deep` set, plain objects and arrays found among the values are
+     * copied and re-keyed in turn, array indices excepted. Other objects,
+     * such as dates, maps and class instances, are shared with the source.
+     * An object reached more than once, including through a cycle, is
+     * copied once, so the copy has the shape of the source graph.
+     *
+     * @param {object} object the object whose keys should be mapped
+     * @param {function(string, *, object): string} caseFn receives each key
+     * along with its value and the object holding it, and returns the key
+     * to use instead. The standalone case conversions, such as `toSnakeCase`
+     * from `@nejs/basic-extensions/fn`, can be passed directly.
+     * @param {object} [options] how to map the keys
+     * @param {boolean} [options.deep=false] whether nested plain objects and
+     * arrays should have their keys mapped too
+     * @returns {object} the copy, with the same prototype as `object`
+     * @throws {TypeError} if `object` is not an object or `caseFn` is not a
+     * function
+     *
+     * @example
+     * Object.mapKeys({ user_id: 1, home_address: { zip_code: '1' } },
+     *   (key) => key.toCamelCase(), { deep: true })
+     * // { userId: 1, homeAddress: { zipCode: '1' } }
+     */
+    mapKeys(object, caseFn, { deep = false } = {}) {
+      if (!object || typeof object !== 'object') {
+        throw new TypeError(
+          `Object.mapKeys requires an object to map. Received ${String(object)}`
+        );
+      }
+
+      if (typeof caseFn !== 'function') {
+        throw new TypeError('Object.mapKeys requires a function to map keys');
+      }
+
+      const copies = new WeakMap();
+      const isContainer = (value) => Array.isArray(value) || (
+        value && typeof value === 'object' &&
+        [Object.prototype, null].includes(Object.getPrototypeOf(value))
+      );
+
+      const mapObject = (source) => {
+        if (copies.has(source)) {
+          return copies.get(source);
+        }
+
+        const result = Array.isArray(source)
+          ? []
+          : Object.create(Object.getPrototypeOf(source));
+
+        copies.set(source, result);
+
+        for (const key of Reflect.ownKeys(source)) {
+          const descriptor = Object.getOwnPropertyDescriptor(source, key);
+
+          if (!descriptor?.enumerable) {
+            continue;
+          }
+
+          const value = source[key];
+          const mapped = deep && isContainer(value) ? mapObject(value) : value;
+          const newKey = typeof key === 'symbol' || Array.isArray(source)
+            ? key
+            : caseFn(key, value, source);
+
+          // defined rather than assigned, so that a key such as __proto__
+          // becomes an own property instead of replacing the prototype
+          Object.defineProperty(result, newKey, {
+            value: mapped,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+          });
+        }
+
+        return result;
+      };
+
+      return mapObject(object);
+    },
+
     /**
      * Creates an object with predefined keys and descriptors. This method is
      * useful for creating objects with specific properties and behaviors.
@@ -722,7 +825,7 @@ export const ObjectExtensions = new Patch(Object, {
       }
 
       for (const [key, value] of Object.entries(mapped)) {
-        let symKey = Symbol.for(`${key}#${Math.random().toString(36).slice(2)}`)
+        let symKey = Symbol.for(`${key}#${Random.key()}`)
         let suppliedValue = mapped[key] ?? defaultValue
         if (definedAs === 'accessor' && accessorMeta.get === undefined) {
           Object.defineProperty(
@@ -859,7 +962,7 @@ export const ObjectExtensions = new Patch(Object, {
      * functions for type checking and introspection.
      */
     get toolkit() {
-      return { as, has, is, si }
+      return { as, assert, delete: del, get, has, is, set, si }
     },
   },
 });
@@ -98,7 +98,7 @@ export const ProxyExtensions = new Patch(Proxy, {
 
       let object = Object.create(Object.prototype)
 
-      if (!Array.isArray(values) && !Object.isObject(values)) {
+      if (!Array.isArray(values) && !isObject(values)) {
         values = [values]
         for (let i = 1; i < argumentNames.length; i++) {
           values.push(undefined)
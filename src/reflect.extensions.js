@@ -1,4 +1,5 @@
 import { Patch } from '@nejs/extension'
+import { ObjectExtensions } from './object.extensions.js'
 
 /**
  * The `ReflectExtensions` class is a patch applied to the built-in JavaScript
@@ -24,7 +25,7 @@ export const ReflectExtensions = new Patch(Reflect, {
    * @returns a boolean value.
    */
   hasAll(object, ...keys) {
-    return Object.isObject(object) && (keys.flat(Infinity)
+    return ObjectExtensions.patches.isObject(object) && (keys.flat(Infinity)
       .map(key => Reflect.has(object, key))
       .every(has => has)
     )
@@ -290,7 +291,7 @@ export const ReflectExtensions = new Patch(Reflect, {
    * object.
    */
   values(object) {
-    return Reflect.entries.map(([,value]) => value)
+    return ReflectExtensions.patches.entries(object).map(([,value]) => value)
   },
 })
 
@@ -1,4 +1,5 @@
 import { Patch } from '@nejs/extension'
+import { declareNative } from './utils/native.counterparts.js'
 
 export const RegExpExtensions = new Patch(RegExp, {
   [Patch.kMutablyHidden]: {
@@ -244,7 +245,7 @@ export const RegExpExtensions = new Patch(RegExp, {
           .filter(code => has(code))
           .map(currency => {
             const symbol = fmt(locale, currency).formatToParts()?.[0].value
-            return symbol && `(?:${RegExp.escape(symbol)})`
+            return symbol && `(?:${(RegExp.escape ?? escapeRegExp)(symbol)})`
           })
           .join('|')
       )
@@ -414,3 +415,94 @@ export const RegExpExtensions = new Patch(RegExp, {
   }
 })
 
+declareNative(RegExpExtensions, 'escape', {
+  probe: (escape) => (
+    escape('foo.bar') === '\\x66oo\\.bar' &&
+    escape('a-b c') === '\\x61\\x2db\\x20c' &&
+    escape('\n\u2028') === '\\n\\u2028'
+  ),
+
+  fallback: {
+    [Patch.kMutablyHidden]: {
+      /**
+       * Escapes `string` so that it can be embedded in a regular
+       * expression and match itself literally. This matches the native
+       * `RegExp.escape`; when the runtime provides a working one, this is
+       * left out of the patch altogether. As with the native version, a
+       * leading digit or letter is written as a hex escape, so the result
+       * remains safe after `\0` or `\c`, and whitespace and punctuation
+       * are escaped so the result is safe inside character classes and
+       * with the `v` flag.
+       *
+       * @param {string} string The text to escape.
+       * @returns {string} The escaped text.
+       * @throws {TypeError} If `string` is not a string.
+       *
+       * @example
+       * RegExp.escape('$5.00 (USD)')  // '\\$5\\.00\\x20\\(USD\\)'
+       */
+      escape(string) {
+        return escapeRegExp(string)
+      },
+    },
+  },
+})
+
+/**
+ * The characters the specification's EncodeForRegExpEscape escapes with a
+ * backslash, and those it writes as hex escapes.
+ */
+const kSyntaxCharacters = '^$\\.*+?()[]{}|/'
+const kOtherPunctuators = ',-=<>#&!%:;@~\'`"'
+const kControlEscapes = {
+  '\t': 't', '\n': 'n', '\v': 'v', '\f': 'f', '\r': 'r',
+}
+
+/**
+ * Escapes `string` exactly as the specification's `RegExp.escape` does.
+ *
+ * @param {string} string The text to escape.
+ * @returns {string} The escaped text.
+ * @throws {TypeError} If `string` is not a string.
+ */
+function escapeRegExp(string) {
+  if (typeof string !== 'string')
+    throw new TypeError(`${String(string)} is not a string`)
+
+  let escaped = ''
+
+  for (const character of string) {
+    if (!escaped.length && /^[0-9A-Za-z]$/.test(character)) {
+      escaped += hexEscape(character)
+      continue
+    }
+
+    if (kSyntaxCharacters.includes(character)) {
+      escaped += `\\${character}`
+    }
+    else if (Object.hasOwn(kControlEscapes, character)) {
+      escaped += `\\${kControlEscapes[character]}`
+    }
+    else if (
+      kOtherPunctuators.includes(character) ||
+      /^[\s\uFEFF]$/u.test(character) ||
+      /^[\uD800-\uDFFF]$/.test(character)
+    ) {
+      escaped += hexEscape(character)
+    }
+    else {
+      escaped += character
+    }
+  }
+
+  return escaped
+}
+
+function hexEscape(character) {
+  const code = character.charCodeAt(0)
+
+  if (code <= 0xFF)
+    return `\\x${code.toString(16).padStart(2, '0')}`
+
+  return `\\u${code.toString(16).padStart(4, '0')}`
+}
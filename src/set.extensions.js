@@ -1,4 +1,5 @@
 import { Patch } from '@nejs/extension';
+import { declareNative } from './utils/native.counterparts.js'
 
 /**
  * `SetExtensions` is a constant that applies a patch to the global
@@ -381,6 +382,215 @@ export const SetPrototypeExtensions = new Patch(Set.prototype, {
   },
 })
 
+/**
+ * The set methods standardized in ES2025, each an exact polyfill of its
+ * native counterpart. They are only added to `SetPrototypeExtensions`
+ * when the runtime lacks a working native version.
+ */
+const es2025SetMethods = {
+  [Patch.kMutablyHidden]: {
+    /**
+     * Creates a new set containing every element of this set and of
+     * `other`. This matches the native `Set.prototype.union`, which is used
+     * in its place whenever the runtime provides a working one.
+     *
+     * @param {Set|object} other A set, or a set-like object with `size`,
+     * `has` and `keys` members.
+     * @returns {Set} A new set.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    union(other) {
+      const record = setRecord(this, other)
+      const result = new Set(setValues(this))
+
+      for (const value of iterateKeys(record))
+        result.add(value)
+
+      return result
+    },
+
+    /**
+     * Creates a new set containing the elements of this set that are also
+     * in `other`. Matches the native `Set.prototype.intersection`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {Set} A new set.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    intersection(other) {
+      const record = setRecord(this, other)
+      const result = new Set()
+
+      if (this.size <= record.size) {
+        for (const value of setValues(this)) {
+          if (record.has.call(other, value))
+            result.add(value)
+        }
+      }
+      else {
+        for (const value of iterateKeys(record)) {
+          if (setHas.call(this, value))
+            result.add(value)
+        }
+      }
+
+      return result
+    },
+
+    /**
+     * Creates a new set containing the elements of this set that are not
+     * in `other`. Matches the native `Set.prototype.difference`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {Set} A new set.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    difference(other) {
+      const record = setRecord(this, other)
+      const result = new Set(setValues(this))
+
+      if (this.size <= record.size) {
+        for (const value of setValues(this)) {
+          if (record.has.call(other, value))
+            result.delete(value)
+        }
+      }
+      else {
+        for (const value of iterateKeys(record))
+          result.delete(value)
+      }
+
+      return result
+    },
+
+    /**
+     * Creates a new set containing the elements found in exactly one of
+     * this set and `other`. Matches the native
+     * `Set.prototype.symmetricDifference`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {Set} A new set.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    symmetricDifference(other) {
+      const record = setRecord(this, other)
+      const result = new Set(setValues(this))
+
+      for (const value of iterateKeys(record)) {
+        if (setHas.call(this, value))
+          result.delete(value)
+        else
+          result.add(value)
+      }
+
+      return result
+    },
+
+    /**
+     * Determines whether every element of this set is in `other`. Matches
+     * the native `Set.prototype.isSubsetOf`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {boolean} `true` if this set is a subset of `other`.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    isSubsetOf(other) {
+      const record = setRecord(this, other)
+
+      if (this.size > record.size)
+        return false
+
+      for (const value of setValues(this)) {
+        if (!record.has.call(other, value))
+          return false
+      }
+
+      return true
+    },
+
+    /**
+     * Determines whether every element of `other` is in this set. Matches
+     * the native `Set.prototype.isSupersetOf`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {boolean} `true` if this set is a superset of `other`.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    isSupersetOf(other) {
+      const record = setRecord(this, other)
+
+      if (this.size < record.size)
+        return false
+
+      for (const value of iterateKeys(record)) {
+        if (!setHas.call(this, value))
+          return false
+      }
+
+      return true
+    },
+
+    /**
+     * Determines whether this set and `other` have no elements in common.
+     * Matches the native `Set.prototype.isDisjointFrom`.
+     *
+     * @param {Set|object} other A set or set-like object.
+     * @returns {boolean} `true` if the sets share no elements.
+     * @throws {TypeError} If `other` is not set-like.
+     */
+    isDisjointFrom(other) {
+      const record = setRecord(this, other)
+
+      if (this.size <= record.size) {
+        for (const value of setValues(this)) {
+          if (record.has.call(other, value))
+            return false
+        }
+      }
+      else {
+        for (const value of iterateKeys(record)) {
+          if (setHas.call(this, value))
+            return false
+        }
+      }
+
+      return true
+    },
+  },
+}
+
+for (const [key, probe] of Object.entries({
+  union: (union) => sameValues(
+    union.call(new Set([1, 2]), setLike([2, 3])), [1, 2, 3]
+  ),
+  intersection: (intersection) => sameValues(
+    intersection.call(new Set([1, 2, 3]), setLike([3, 2])), [2, 3]
+  ),
+  difference: (difference) => sameValues(
+    difference.call(new Set([1, 2, 3]), setLike([2])), [1, 3]
+  ),
+  symmetricDifference: (symmetricDifference) => sameValues(
+    symmetricDifference.call(new Set([1, 2]), setLike([2, 3])), [1, 3]
+  ),
+  isSubsetOf: (isSubsetOf) => (
+    isSubsetOf.call(new Set([1]), setLike([1, 2])) === true &&
+    isSubsetOf.call(new Set([1, 3]), setLike([1, 2])) === false
+  ),
+  isSupersetOf: (isSupersetOf) => (
+    isSupersetOf.call(new Set([1, 2]), setLike([2])) === true &&
+    isSupersetOf.call(new Set([1]), setLike([2])) === false
+  ),
+  isDisjointFrom: (isDisjointFrom) => (
+    isDisjointFrom.call(new Set([1]), setLike([2])) === true &&
+    isDisjointFrom.call(new Set([1, 2]), setLike([2])) === false
+  ),
+})) {
+  declareNative(SetPrototypeExtensions, key, {
+    probe,
+    fallback: es2025SetMethods,
+  })
+}
+
 // NOTE to self; this is repeated here otherwise a circular reference from
 // Object<->Function<->Global occurs. See original source in global.this.js
 // {@see globalThis.isThenElse}
@@ -393,3 +603,115 @@ function isThenElse(bv, tv, ev) {
     } return bv || _then;
   } return bv
 }
+
+const setHas = Set.prototype.has
+const setValuesOf = Set.prototype.values
+
+/**
+ * Iterates the elements of `set` using the native `values`, so that
+ * overriding `Symbol.iterator` on a set does not change the results of
+ * the set methods, as the specification requires.
+ *
+ * @param {Set} set The set to iterate.
+ * @returns {Iterator} An iterator of its values.
+ */
+function setValues(set) {
+  return setValuesOf.call(set)
+}
+
+/**
+ * Validates `set` and `other` as the specification's GetSetRecord does,
+ * reading `size`, `has` and `keys` from `other` exactly once.
+ *
+ * @param {Set} set The receiver of the set method.
+ * @param {*} other The argument of the set method.
+ * @returns {{size: number, has: Function, keys: Function, set: object}}
+ * The set record.
+ * @throws {TypeError} If `set` is not a `Set`, or `other` is not set-like.
+ * @throws {RangeError} If the size of `other` is negative.
+ */
+function setRecord(set, other) {
+  setHas.call(set, undefined)
+
+  if (Object(other) !== other)
+    throw new TypeError(`${String(other)} is not a set-like object`)
+
+  const rawSize = Number(other.size)
+
+  if (Number.isNaN(rawSize))
+    throw new TypeError('The size of a set-like object must be a number')
+
+  const size = Math.trunc(rawSize)
+
+  if (size < 0)
+    throw new RangeError('The size of a set-like object cannot be negative')
+
+  const { has, keys } = other
+
+  if (typeof has !== 'function')
+    throw new TypeError('A set-like object must have a has method')
+
+  if (typeof keys !== 'function')
+    throw new TypeError('A set-like object must have a keys method')
+
+  return { size, has, keys, set: other }
+}
+
+/**
+ * Steps through the iterator returned by `record.keys`, normalizing `-0`
+ * to `0` as sets do, and closing it if iteration stops early.
+ *
+ * @param {object} record From {@link setRecord}.
+ * @yields {*} Each key of the set-like object.
+ */
+function* iterateKeys(record) {
+  const iterator = record.keys.call(record.set)
+
+  if (Object(iterator) !== iterator)
+    throw new TypeError('keys() must return an iterator')
+
+  const next = iterator.next
+  let finished = false
+
+  try {
+    while (true) {
+      let result
+
+      try {
+        result = next.call(iterator)
+
+        if (Object(result) !== result)
+          throw new TypeError('Iterator result is not an object')
+      }
+      catch (error) {
+        finished = true
+        throw error
+      }
+
+      if (result.done) {
+        finished = true
+        return
+      }
+
+      yield Object.is(result.value, -0) ? 0 : result.value
+    }
+  }
+  finally {
+    if (!finished)
+      iterator.return?.()
+  }
+}
+
+function setLike(values) {
+  return {
+    size: values.length,
+    has: (value) => values.includes(value),
+    keys: () => values[Symbol.iterator](),
+  }
+}
+
+function sameValues(set, values) {
+  return set instanceof Set &&
+    set.size === values.length &&
+    values.every((value) => setHas.call(set, value))
+}
@@ -1,7 +1,81 @@
 import { Patch } from '@nejs/extension'
+import {
+  BasicColors,
+  getColorLevel,
+  parseColor,
+  sgrColor,
+} from './utils/colors.js'
+import { ansiPattern } from './utils/ansi.js'
+import { TokenizerPresets, tokenize } from './utils/tokenizer.js'
+import { Random } from './classes/random.js'
 
 const parenthesisPair = ['(', ')']
 
+/**
+ * Splits text into grapheme clusters, where the runtime supports it, so
+ * that emoji sequences and combining marks are measured as one character.
+ *
+ * @type {Intl.Segmenter|undefined}
+ */
+const graphemeSegmenter = globalThis.Intl?.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : undefined
+
+/**
+ * The code point ranges of East Asian wide and fullwidth characters, which
+ * take two columns in a terminal.
+ *
+ * @type {Array<[number, number]>}
+ */
+const wideRanges = [
+  [0x1100, 0x115F], [0x2329, 0x232A], [0x2E80, 0x303E], [0x3041, 0x33FF],
+  [0x3400, 0x4DBF], [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xA960, 0xA97F],
+  [0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE10, 0xFE19], [0xFE30, 0xFE6F],
+  [0xFF00, 0xFF60], [0xFFE0, 0xFFE6], [0x1B000, 0x1B2FF], [0x1F200, 0x1F251],
+  [0x20000, 0x3FFFD],
+]
+
+/**
+ * Matches the places within a run of letters and digits where a change of
+ * case begins a new word: before a capital that follows a lowercase or
+ * caseless letter or a digit, and before the capital that ends an acronym and starts the
+ * word after it, as in `XML|Http`.
+ *
+ * @type {RegExp}
+ */
+const caseBoundary = new RegExp([
+  '(?<=[\\p{Ll}\\p{Lo}\\p{N}\\p{M}])(?=[\\p{Lu}\\p{Lt}])',
+  '(?<=[\\p{Lu}\\p{Lt}])(?=[\\p{Lu}\\p{Lt}]\\p{Ll})',
+].join('|'), 'u')
+
+/**
+ * The most pairs of string and query characters `fuzzyMatch` will compare.
+ * Its tables hold an entry for every pair, so longer strings or queries
+ * are refused rather than left to exhaust memory.
+ *
+ * @type {number}
+ */
+const fuzzyMatchLimit = 1000000
+
+/**
+ * The text decorations `String.sgr` understands, with their opening and
+ * closing codes and the single letter that may stand in for them.
+ *
+ * @type {Object<string, string[]>}
+ */
+const sgrModes = {
+  blink: ['\x1b[5m', '\x1b[25m', 'k'],
+  bold: ['\x1b[1m', '\x1b[22m', 'b'],
+  conceal: ['\x1b[8m', '\x1b[28m', 'c'],
+  dim: ['\x1b[2m', '\x1b[22m', 'd'],
+  italics: ['\x1b[3m', '\x1b[23m', 'i'],
+  negative: ['\x1b[7m', '\x1b[27m', 'n'],
+  strike: ['\x1b[9m', '\x1b[29m', 's'],
+  underline: ['\x1b[4m', '\x1b[24m', 'u'],
+}
+
+Object.values(sgrModes).forEach((mode) => sgrModes[mode[2]] = mode)
+
 /**
  * `StringExtensions` is a patch for the JavaScript built-in `String` class. It
  * adds utility methods to the `String` class without modifying the global namespace
@@ -48,7 +122,7 @@ export const StringExtensions = new Patch(String, {
      * ifString(num, 'is a string', 'not a string') // 'not a string'
      */
     ifString(value, thenValue, elseValue) {
-      return isThenElse(String.isString(value), thenValue, elseValue)
+      return isThenElse(pIsString(value), thenValue, elseValue)
     },
 
     /**
@@ -111,7 +185,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomStr); // Output: "3n5yzxjkf2o"
      */
     random36() {
-      return Math.random().toString(36).slice(2)
+      return Random.random().toString(36).slice(2)
     },
 
     /**
@@ -128,7 +202,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomStr); // Output: "3a5f4c"
      */
     random16() {
-      return Math.random().toString(16).slice(2)
+      return Random.random().toString(16).slice(2)
     },
 
     /**
@@ -149,7 +223,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomColor); // Output: "#3a5f4c"
      */
     randomRGBHex(prefix = '#') {
-      const hex = Math.random().toString(16).slice(2).substring(0,6)
+      const hex = Random.random().toString(16).slice(2).substring(0,6)
       return `${prefix}${hex.padEnd(6, '0')}`
     },
 
@@ -172,7 +246,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomColor); // Output: "#3a5f4c00"
      */
     randomARGBHex(prefix = '#') {
-      const hex = Math.random().toString(16).slice(2).substring(0,8)
+      const hex = Random.random().toString(16).slice(2).substring(0,8)
       return `${prefix}${hex.padStart(6, '0').padEnd(8, '0')}`
     },
 
@@ -195,7 +269,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomColor); // Output: "#3a5f4c00"
      */
     randomRGBAHex(prefix = '#') {
-      const hex = Math.random().toString(16).slice(2).substring(0,8)
+      const hex = Random.random().toString(16).slice(2).substring(0,8)
       return `${prefix}${hex.padStart(6, '0').padStart(8, '0')}`
     },
 
@@ -217,7 +291,7 @@ export const StringExtensions = new Patch(String, {
      * console.log(randomColor); // Output: "rgb(58,95,76)"
      */
     randomRGB() {
-      const hex = Math.random().toString(16).slice(2).padEnd(8, '0')
+      const hex = Random.random().toString(16).slice(2).padEnd(8, '0')
       const red = parseInt(hex.substring(0,2), 16)
       const green = parseInt(hex.substring(2,4), 16)
       const blue = parseInt(hex.substring(4, 6), 16)
@@ -264,7 +338,7 @@ export const StringExtensions = new Patch(String, {
         alpha: undefined
       }
     ) {
-      const hex = Math.random().toString(16).slice(2).padEnd(8, '0')
+      const hex = Random.random().toString(16).slice(2).padEnd(8, '0')
       const red = force.red ?? parseInt(hex.substring(0,2), 16)
       const green = force.green ?? parseInt(hex.substring(2,4), 16)
       const blue = force.blue ?? parseInt(hex.substring(4, 6), 16)
@@ -296,6 +370,16 @@ export const StringExtensions = new Patch(String, {
      * 'fg' -> foreground   |  'bg' -> background  |  'bright' -> bright colors
      * ```
      *
+     * Extended colors, optionally prefixed with `'fg:'` or `'bg:'`:
+     * ```
+     * '#f80', '#ff8800'    |  'rgb(255, 136, 0)'  |  'hsl(32, 100%, 50%)'
+     * 'ansi256(208)'
+     * ```
+     *
+     * Colors are downgraded to the nearest one the shared color level
+     * supports, and at level `0` no escape codes are added at all. See
+     * `setColorLevel` for details.
+     *
      * Modes:
      * ```
      * 'blink' or 'k' | 'conceal' or 'c' | 'italics' or 'i'  | 'strike' or 's'
@@ -308,6 +392,8 @@ export const StringExtensions = new Patch(String, {
      *   to 'World'.
      * - `sgr('Example', 'bluebgbright')` applies bright blue
      *   background color.
+     * - `sgr('hi', '#ff8800', 'bg:#222')` applies an orange foreground on a
+     *   dark gray background.
      *
      * Short hand syntax is also allowed:
      * - `sgr('hello', 'biu')` applies bold, italics and underline
@@ -326,108 +412,98 @@ export const StringExtensions = new Patch(String, {
      * result for utility purposes, such as 'show' for immediate console output.
      */
     sgr(message, ...useModes) {
-      const colors = Object.assign(
-        ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'],
-        {
-          isBG: a => !!/bg/i.exec(a),
-          isBright: a => !!/bright/i.exec(a),
-          isColor: a => {
-            let color = colors.find(c => new RegExp(c, 'i').exec(a));
-            return [!!color, colors.indexOf(color)];
-          },
-        }
-      );
-
-      const arrayifyString = s => {
-        if (Array.isArray(s)) {
-          let results = [];
+      const [open, close] = sgrCodes(useModes)
 
-          for (const i of s) {
-            results = [ ...results, ...arrayifyString(i) ];
-          }
+      return sgrString(`${open}${message}${close}`)
+    },
 
-          return results.flat().filter(i => i.length);
-        }
+    /**
+     * A tagged template that styles text marked up with braces, compiling
+     * to the same codes as {@link StringExtensions.sgr}. Each `{` is
+     * followed by the modes to apply, joined with dots, then a single
+     * space and the text to style, up to the matching `}`. Markup may be
+     * nested, and `\{` and `\}` produce literal braces.
+     *
+     * Modes are those `sgr` accepts, named in full: colors such as `red`,
+     * `bluebg`, `bg:#222` or `hsl(32, 100%, 50%)`, and decorations such
+     * as `bold` or `u`. Spaces are allowed within a mode's parentheses.
+     * Interpolated values are inserted as text and never read as markup.
+     * Styles enclosing nested markup are restored once it ends.
+     *
+     * @param {string[]|string} strings The template's strings, or a single
+     * string of markup when not used as a tag.
+     * @param {...*} values The interpolated values.
+     * @returns {String} An `SgrString`, as `sgr` returns.
+     * @throws {SyntaxError} If the braces are unbalanced, or a `{` is not
+     * followed by known modes.
+     *
+     * @example
+     * String.style`Saved {green.bold ${count}} files in {dim ${ms}ms}`
+     * // 'Saved \x1b[32m\x1b[1m3\x1b[22m\x1b[39m files in …'
+     *
+     * String.style`{red error: {bold ${file}} is missing}`
+     * // the text after the bold file name is still red
+     */
+    style(strings, ...values) {
+      const raw = strings?.raw ?? [String(strings)]
 
-        if (!s || typeof s !== 'string') {
-          return [''];
-        }
-        else if (s.includes(',')) {
-          return arrayifyString(s.split(','));
-        }
-        else {
-          if (!colors.isColor(s)[0] && s.length > 1) {
-            return [...s];
-          }
-          else return [s];
-        }
-      }
+      return sgrString(renderMarkup(parseMarkup(raw, values)))
+    },
 
-      let modes = arrayifyString(useModes)
-
-      const sgrModes = {
-        blink: ['\x1b[5m', '\x1b[25m', 'k'],
-        bold: ['\x1b[1m', '\x1b[22m', 'b'],
-        conceal: ['\x1b[8m', '\x1b[28m', 'c'],
-        dim: ['\x1b[2m', '\x1b[22m', 'd'],
-        italics: ['\x1b[3m', '\x1b[23m', 'i'],
-        negative: ['\x1b[7m', '\x1b[27m', 'n'],
-        strike: ['\x1b[9m', '\x1b[29m', 's'],
-        underline: ['\x1b[4m', '\x1b[24m', 'u'],
-      };
-
-      Object.values(sgrModes).forEach(mode => sgrModes[mode[2]] = mode);
-
-      const codes = a => {
-        let open = '', close = '', mode = String(a).toLowerCase();
-        let [_isColor, colorIndex] = colors.isColor(mode);
-
-        if (_isColor) {
-          open = colors.isBG(mode)
-            ? `\x1b[${colors.isBright(mode) ? 10 : 4}${colorIndex}m`
-            : `\x1b[${colors.isBright(mode) ? 9 : 3}${colorIndex}m`;
-          close = colors.isBG(mode) ? '\x1b[49m' : `\x1b[39m`;
-        }
-        else if (sgrModes[mode]) {
-          open = sgrModes[mode][0];
-          close = sgrModes[mode][1];
-        }
+    /**
+     * Measures the number of terminal columns `string` occupies once
+     * printed. ANSI escape sequences take no room, East Asian wide and
+     * fullwidth characters as well as emoji take two columns and grapheme
+     * clusters, such as an emoji joined by zero width joiners or a letter
+     * followed by combining marks, are measured as a whole.
+     *
+     * @param {string} string The string to measure.
+     * @returns {number} The visible width of `string`, in columns.
+     *
+     * @example
+     * String.visibleLength(String.sgr('hello', 'red')) // 5
+     * String.visibleLength('日本語')                    // 6
+     * String.visibleLength('👩‍👩‍👧')                      // 2
+     */
+    visibleLength(string) {
+      let length = 0
 
-        return [open, close];
-      };
-
-      const onOrder = modes.map(key => codes(key)[0]).join('');
-      const offOrder = modes.map(key => codes(key)[1]).reverse().join('');
-
-      let result = Object(`${onOrder}${message}${offOrder}`)
-
-      Object.defineProperties(result, {
-        show: {
-          get() { console.log(String(this)); return this },
-          enumerable: false,
-        },
-        [Symbol.for('nodejs.util.inspect.custom')]: {
-          value(depth, options, inspect) {return String(this)},
-          enumerable: false,
-        },
-        [Symbol.toStringTag]: {
-          get() { return "SgrString" },
-          enumerable: false,
-        }
-      })
+      for (const token of ansiTokens(String(string))) {
+        if (!token.ansi)
+          length += token.width
+      }
 
-      return result
+      return length
     },
 
     /**
-     * Wraps an object's properties into a formatted string.
+     * Wraps text, or an object's properties, into lines no wider than
+     * `maxLen` columns once printed.
      *
-     * This method takes an object and a set of options to format the
-     * object's properties into a string. It allows customization of
-     * indentation, line endings, maximum line length, and more.
+     * Given a string, its words are wrapped, each line of it being treated
+     * as a separate paragraph. Given an array, its elements are wrapped, and
+     * given any other object, the names of its properties are. Widths are
+     * measured as `String.visibleLength` measures them, so escape sequences
+     * take no room and wide characters and emoji take two columns. Styles
+     * that span a line break are closed at the end of the line and reopened
+     * at the start of the next.
      *
-     * @param {Object} [object=globalThis] - The object to wrap.
+     * @param {string|Array|Object} [objectOrLines=globalThis] - The text,
+     * values or object to wrap.
      * @param {Object} [options={}] - The formatting options.
+     * @param {'left'|'right'|'center'|'justify'} [options.align='left'] - How
+     * each line sits within the width. Justified lines widen the gaps
+     * between words, except for the last line of each paragraph.
+     * @param {string|string[]} [options.colorProperties=undefined] - Modes
+     * passed to `String.sgr` to style each value with.
+     * @param {number|string} [options.hangingIndent=0] - Extra indentation,
+     * in `indentCharacter`s or as a string, for every line of a paragraph
+     * but the first.
+     * @param {'none'|'manual'|'auto'} [options.hyphens='manual'] - Where
+     * words may be hyphenated, after the CSS property of the same name.
+     * `'manual'` breaks words at soft hyphens (`\u00AD`) and after the
+     * hyphens joining two words, `'auto'` also hyphenates words broken by
+     * `wordBreak` and `'none'` never breaks words at hyphens.
      * @param {number} [options.indent=2] - The number of indentation
      * characters to use.
      * @param {string} [options.indentCharacter=' '] - The character to use
@@ -435,7 +511,9 @@ export const StringExtensions = new Patch(String, {
      * @param {Array} [options.inspector=[Object, 'getOwnPropertyNames']] -
      * The inspector to use for retrieving object properties.
      * @param {string} [options.lineEnding='\n'] - The line ending character.
-     * @param {number} [options.maxLen=78] - The maximum line length.
+     * When empty, the lines are returned as an array.
+     * @param {number} [options.maxLen=78] - The maximum line length,
+     * including indentation.
      * @param {Function} [options.perLine=undefined] - A function to apply
      * per line of output.
      * @param {Function} [options.perLinePerProperty=undefined] - A function
@@ -445,25 +523,30 @@ export const StringExtensions = new Patch(String, {
      * @param {Function} [options.preReturn=undefined] - A function to apply
      * to the final output before returning.
      * @param {string} [options.separator=', '] - The separator to use
-     * between properties.
+     * between properties. Words of text are separated by a single space.
+     * @param {'normal'|'break-word'|'break-all'} [options.wordBreak='normal']
+     * - How values too long for the line are handled. `'normal'` lets them
+     * overflow, `'break-word'` breaks those that cannot fit on a line of
+     * their own and `'break-all'` breaks any value to fill each line.
      *
-     * @returns {string} The formatted string representation of the object.
+     * @returns {string|string[]} The formatted string representation of the
+     * object, or its lines if `lineEnding` is empty.
      *
      * @example
-     * const obj = { a: 1, b: 2, c: 3 }
-     * const wrapped = StringExtensions.wrap(obj, { maxLen: 20 })
-     * console.log(wrapped)
-     * // Output:
-     * // {
-     * //   a: 1,
-     * //   b: 2,
-     * //   c: 3
-     * // }
+     * const obj = { alpha: 1, beta: 2, gamma: 3 }
+     * StringExtensions.wrap(obj, { maxLen: 16 })
+     * // '  alpha, beta\n  gamma'
+     *
+     * String.wrap('the quick brown fox', { indent: 0, maxLen: 10 })
+     * // 'the quick\nbrown fox'
      */
     wrap(
       objectOrLines,
       options = {
+        align: 'left',
         colorProperties: undefined,
+        hangingIndent: 0,
+        hyphens: 'manual',
         indent: 2,
         indentCharacter: ' ',
         inspector: [Object, 'getOwnPropertyNames'],
@@ -474,10 +557,15 @@ export const StringExtensions = new Patch(String, {
         preProcess: undefined,
         preReturn: undefined,
         separator: ', ',
+        wordBreak: 'normal',
       }
     ) {
+      const isText = pIsString(objectOrLines)
       let {
+        align = options?.align ?? 'left',
         colorProperties = undefined,
+        hangingIndent = options?.hangingIndent ?? 0,
+        hyphens = options?.hyphens ?? 'manual',
         indent = options?.indent ?? 2,
         indentCharacter = options?.indentCharacter ?? ' ',
         inspector = options?.inspector ?? [Object, 'getOwnPropertyNames'],
@@ -487,62 +575,82 @@ export const StringExtensions = new Patch(String, {
         perLinePerProperty = options?.perLinePerProperty ?? undefined,
         preProcess = options?.preProcess ?? undefined,
         preReturn = options?.preReturn ?? undefined,
-        separator = options?.separator ?? ', ',
+        separator = isText ? ' ' : (options?.separator ?? ', '),
+        wordBreak = options?.wordBreak ?? 'normal',
       } = options ?? {}
 
-      let tab = indent === 0 ? ''
+      const tab = indent === 0 ? ''
         : indentCharacter.repeat(Number(indent) || 2)
-      maxLen = 78 - tab.length
+      const hang = typeof hangingIndent === 'string' ? hangingIndent
+        : indentCharacter.repeat(Math.max(0, Number(hangingIndent) || 0))
 
-      const sgr = this.sgr;
+      const sgr = pSgr
       const validMapper = f => typeof f === 'function'
+      const context = { indent, indentCharacter, lineEnding, maxLen, tab, sgr }
 
-      let line = []
-      let getElements = inspector[0][inspector[1]]
-      let values = Array.isArray(objectOrLines)
-        ? objectOrLines : getElements(Object(objectOrLines))
-
-      if (validMapper(preProcess)) {
-        values = preProcess(values)
-      }
+      const getElements = inspector[0][inspector[1]]
+      const blocks = isText
+        ? String(objectOrLines).split(/\r?\n/).map((paragraph) => (
+            paragraph.split(/[ \t]+/).filter(Boolean)
+          ))
+        : [Array.isArray(objectOrLines)
+            ? objectOrLines : getElements(Object(objectOrLines))]
 
-      const context = { indent, indentCharacter, lineEnding, maxLen, tab, sgr }
+      const laidOut = blocks.flatMap((block) => {
+        let values = validMapper(preProcess) ? preProcess(block) : block
 
-      let finalLines = values.reduce((acc, nextProp) => {
-        let ifCombined = [...line, nextProp].join(separator)
+        if (colorProperties) {
+          const sgrArgs = [colorProperties].flat()
 
-        if ((tab.length + ifCombined.length) <= maxLen) {
-          line.push(nextProp)
+          values = values.map((value) => String(sgr(value, ...sgrArgs)))
         }
 
-        else {
-          let lineProps = [...line]
+        return layoutLines(values.map(String), {
+          hyphens,
+          separator,
+          wordBreak,
+          widthAt: (index) => maxLen - pVisibleLength(index ? tab + hang : tab),
+        }).map((line, index) => ({
+          ...line,
+          prefix: index ? tab + hang : tab,
+        }))
+      })
+
+      const contents = balanceStyles(laidOut.map((line) => {
+        const room = maxLen - pVisibleLength(line.prefix)
+        let parts = line.parts
 
-          if (validMapper(perLinePerProperty)) {
-            lineProps = lineProps.map((value, index, array) => {
-              return perLinePerProperty(value, index, array, context)
-            })
-          }
-
-          if (colorProperties) {
-            const sgrArgs = (Array.isArray(colorProperties)
-              ? colorProperties
-              : [colorProperties]
-            )
-            lineProps = lineProps.map(v => sgr(v, ...sgrArgs))
-          }
-
-          lineProps = [tab, lineProps.join(separator)].join('')
-          if (validMapper(perLine)) {
-            lineProps = perLine(lineProps[0], 0, lineProps)?.[0] ?? lineProps[0]
-          }
-
-          acc.push(lineProps)
-          line = []
+        if (validMapper(perLinePerProperty)) {
+          const texts = parts.map(({ text }) => text)
+
+          parts = parts.map((part, index) => ({
+            ...part,
+            text: perLinePerProperty(part.text, index, texts, context),
+          }))
         }
 
-        return acc
-      }, [])
+        if (align === 'justify' && !line.end)
+          parts = justifyParts(parts, room - line.width)
+
+        return parts.map(({ join, text }) => `${join}${text}`).join('') +
+          (line.hyphen ? '-' : '')
+      }))
+
+      let finalLines = contents.map((content, index) => {
+        const { prefix } = laidOut[index]
+        const room = Math.max(
+          0, maxLen - pVisibleLength(prefix) - pVisibleLength(content)
+        )
+        const offset = ({ right: room, center: Math.floor(room / 2) })[align]
+
+        return `${prefix}${' '.repeat(offset ?? 0)}${content}`
+      })
+
+      if (validMapper(perLine)) {
+        finalLines = finalLines.map((value, index, array) => {
+          return perLine(value, index, array, context)
+        })
+      }
 
       if (validMapper(preReturn)) {
         finalLines = finalLines.map((value, index, array) => {
@@ -550,18 +658,164 @@ export const StringExtensions = new Patch(String, {
         })
       }
 
-      Symbol.for(`@nejs.string.wrap ${JSON.stringify({lines: finalLines})}`)
-
       if (lineEnding) {
         finalLines = finalLines.join(lineEnding)
       }
 
       return finalLines
     },
+
+    /**
+     * Lays blocks of text out side by side, as columns, such as to compare
+     * two values in the REPL. Each block is wrapped to the width of its
+     * column, measured as `String.visibleLength` measures it, and the rows
+     * of every column are padded so that the next one lines up.
+     *
+     * @param {Array<string|string[]>} blocks The text of each column, as a
+     * string or as its lines.
+     * @param {Object} [options={}] - The layout options.
+     * @param {'left'|'right'|'center'|'justify'|Array<string>} [options.align='left']
+     * - How text sits within its column, for every column or for each.
+     * @param {string} [options.gutter='  '] - The text placed between
+     * columns.
+     * @param {number|Array<number|undefined>} [options.widths] - The width
+     * of every column, or of each. Columns without a width are as wide as
+     * their longest line and are not wrapped.
+     * @param {string} [options.lineEnding='\n'] - The line ending character.
+     * When empty, the rows are returned as an array.
+     *
+     * @returns {string|string[]} The columns, row by row.
+     *
+     * @example
+     * String.columns(['left side', 'right'], { widths: 4, gutter: ' | ' })
+     * // 'left | righ\nside | t'
+     */
+    columns(
+      blocks,
+      options = {
+        align: 'left',
+        gutter: '  ',
+        lineEnding: '\n',
+        widths: undefined,
+      }
+    ) {
+      const {
+        align = 'left',
+        gutter = '  ',
+        lineEnding = '\n',
+        widths = undefined,
+      } = options ?? {}
+
+      const columns = [...(blocks ?? [])].map((block, index) => {
+        const text = Array.isArray(block) ? block.join('\n') : String(block)
+        const alignment = [align].flat()[Array.isArray(align) ? index : 0]
+          ?? 'left'
+        const width = Array.isArray(widths) ? widths[index] : widths
+        const lines = width === undefined
+          ? text.split(/\r?\n/)
+          : pWrap(text, {
+              align: alignment === 'justify' ? 'justify' : 'left',
+              indent: 0,
+              lineEnding: null,
+              maxLen: width,
+              wordBreak: 'break-word',
+            })
+
+        return {
+          alignment: alignment === 'justify' ? 'left' : alignment,
+          lines,
+          width: width ?? Math.max(0, ...lines.map(pVisibleLength)),
+        }
+      })
+
+      const rows = Array.from(
+        { length: Math.max(0, ...columns.map(({ lines }) => lines.length)) },
+        (_, row) => columns.map(({ alignment, lines, width }, index) => {
+          const line = lines[row] ?? ''
+          const room = Math.max(0, width - pVisibleLength(line))
+          const before = ({
+            right: room,
+            center: Math.floor(room / 2),
+          })[alignment] ?? 0
+
+          return index === columns.length - 1 && alignment === 'left'
+            ? line
+            : `${' '.repeat(before)}${line}${' '.repeat(room - before)}`
+        }).join(gutter)
+      )
+
+      return lineEnding ? rows.join(lineEnding) : rows
+    },
+
+    /**
+     * Counts the single character insertions, deletions and substitutions
+     * needed to turn one string into another. Characters are compared by
+     * code point, so an emoji counts as one character.
+     *
+     * @param {string} left The first string.
+     * @param {string} right The second string.
+     * @returns {number} The Levenshtein distance between them.
+     *
+     * @example
+     * String.levenshteinDistance('kitten', 'sitting') // 3
+     */
+    levenshteinDistance(left, right) {
+      return editDistance(Array.from(String(left)), Array.from(String(right)))
+    },
+
+    /**
+     * Counts the edits needed to turn one string into another, as
+     * `String.levenshteinDistance` does, but also allowing two adjacent
+     * characters to be swapped as one edit. This is the optimal string
+     * alignment form of the Damerau-Levenshtein distance, in which no part
+     * of the string is edited more than once, and suits mistyped names well.
+     *
+     * @param {string} left The first string.
+     * @param {string} right The second string.
+     * @returns {number} The distance between them.
+     *
+     * @example
+     * String.levenshteinDistance('stauts', 'status') // 2
+     * String.damerauDistance('stauts', 'status')     // 1
+     */
+    damerauDistance(left, right) {
+      return editDistance(
+        Array.from(String(left)), Array.from(String(right)), true
+      )
+    },
+
+    /**
+     * Measures how alike two strings are with the Jaro-Winkler similarity,
+     * which favors strings sharing a prefix, as names that differ by a typo
+     * usually do.
+     *
+     * @param {string} left The first string.
+     * @param {string} right The second string.
+     * @param {number} [prefixScale=0.1] How much each of up to four shared
+     * leading characters adds, at most `0.25`.
+     * @returns {number} The similarity, from `0` for strings with nothing
+     * in common to `1` for equal strings.
+     *
+     * @example
+     * String.jaroWinklerSimilarity('MARTHA', 'MARHTA') // 0.9611…
+     */
+    jaroWinklerSimilarity(left, right, prefixScale = 0.1) {
+      return jaroWinkler(
+        Array.from(String(left)),
+        Array.from(String(right)),
+        Math.min(0.25, Math.max(0, Number(prefixScale) || 0))
+      )
+    },
   },
 });
 
-const { isString: pIsString, ifString: pIfString } = StringExtensions.patches
+const {
+  isString: pIsString,
+  ifString: pIfString,
+  sgr: pSgr,
+  visibleLength: pVisibleLength,
+  wrap: pWrap,
+} = StringExtensions.patches
 
 /**
  * `StringPrototypeExtensions` provides a set of utility methods that are
@@ -654,41 +908,45 @@ export const StringPrototypeExtensions = new Patch(String.prototype, {
      * where the level of nesting or the presence of escape characters must
      * be considered.
      *
+     * The string is scanned by `tokenize`, with the opening and closing
+     * tokens as its only pair. By default nothing else is special; pass
+     * `rules`, or the name of one of the `TokenizerPresets`, to have tokens
+     * within quotes or comments, or escaped ones, ignored.
+     *
      * @param {number} offset The position in the string from which to start the
      * search for the substring.
      * @param {[string, string]} tokens An array containing two strings: the
      * opening and closing tokens that define the boundaries of the substring
      * to be extracted.
+     * @param {TokenizerRules|string} [rules='brackets'] The quotes, escape
+     * and comments to honor while scanning, or the name of a preset
+     * supplying them.
+     * @throws {TypeError} If `rules` names no preset.
      * @returns {Object} An object with two properties: `extracted`, the
      * extracted substring, and `newOffset`, the position in the original
      * string immediately after the end of the extracted substring. If no
      * substring is found, `extracted` is `null` and `newOffset` is the same
      * as the input offset.
+     *
+     * @example
+     * 'call(")", x) and more'.extractSubstring(0, ['(', ')'], 'javascript')
+     * // { extracted: '(")", x)', range: [4, 11], newOffset: 12,
+     * //   leadingToken: 'call' }
      */
-    extractSubstring(offset = 0, tokens = parenthesisPair) {
-      let [openToken, closeToken] = tokens;
-      let depth = 0;
-      let start = -1;
-      let end = -1;
-      let leadingToken = '';
-      let firstToken = 0;
-
-      for (let i = offset; i < this.length; i++) {
-        const char = this[i];
+    extractSubstring(offset = 0, tokens = parenthesisPair, rules = 'brackets') {
+      if (typeof rules === 'string' && !Object.hasOwn(TokenizerPresets, rules))
+        throw new TypeError(`Unknown tokenizer preset: ${rules}`)
 
-        if (char === openToken) {
-          depth++;
-          if (start === -1)
-            start = i;
-        }
-        else if (char === closeToken) {
-          depth--;
-          if (depth === 0) {
-            end = i;
-            break;
-          }
-        }
-      }
+      const { children } = tokenize(String(this), {
+        ...TokenizerPresets.brackets,
+        ...(typeof rules === 'string' ? TokenizerPresets[rules] : rules),
+        pairs: [tokens],
+        offset,
+      })
+      const region = children.find(({ type }) => type === 'pair')
+      const start = region?.start ?? -1
+      const end = region?.closed ? region.end - 1 : -1
+      let leadingToken = '';
 
       let lRange = [
         Math.max(0, start - 100),
@@ -764,6 +1022,265 @@ export const StringPrototypeExtensions = new Patch(String.prototype, {
 
       return string
     },
+
+    /**
+     * Removes every ANSI escape sequence, such as those added by
+     * `String.sgr`, leaving only the text that would be visible.
+     *
+     * @returns {string} The string without escape sequences.
+     *
+     * @example
+     * String.sgr('warning', 'yellow,bold').stripAnsi() // 'warning'
+     */
+    stripAnsi() {
+      return String(this).replace(ansiPattern(), '')
+    },
+
+    /**
+     * Extracts the columns from `start` up to, but not including, `end` as
+     * they would be printed, much as `slice` does for code units. Escape
+     * sequences are kept, styles begun before `start` are reopened and any
+     * styles still open at `end` are closed again. A wide character that
+     * would be cut in half is left out.
+     *
+     * @param {number} [start=0] The first column to include. Negative values
+     * count back from the visible end.
+     * @param {number} [end] The column to stop before. Negative values count
+     * back from the visible end. Defaults to the visible length.
+     * @returns {string} The visible slice, with its styling intact.
+     *
+     * @example
+     * const text = `plain ${String.sgr('red', 'red')} text`
+     * text.sliceVisible(6, 9) // '\x1b[31mred\x1b[39m'
+     */
+    sliceVisible(start = 0, end = undefined) {
+      const { body, closing } = sliceColumns(String(this), start, end)
+
+      return `${body}${closing}`
+    },
+
+    /**
+     * Pads the string with `fill` until it occupies `width` columns once
+     * printed, ignoring escape sequences and counting wide characters as
+     * two columns. Strings that are already as wide are returned unchanged.
+     *
+     * @param {number} width The number of columns to fill.
+     * @param {string} [fill=' '] The text to pad with, repeated and cut as
+     * needed.
+     * @param {'left'|'right'|'center'} [align='left'] Where the string sits
+     * within the padding. Centered strings favor the left when the padding
+     * cannot be split evenly.
+     * @returns {string} The padded string.
+     *
+     * @example
+     * String.sgr('ok', 'green').padVisible(6, '.')          // '\x1b[32mok\x1b[39m....'
+     * '日本'.padVisible(6, ' ', 'right')                     // '  日本'
+     */
+    padVisible(width, fill = ' ', align = 'left') {
+      const string = String(this)
+      const room = Math.max(0, width - pVisibleLength(string))
+      const pad = (columns) => {
+        const unit = String(fill)
+        const unitLength = pVisibleLength(unit)
+
+        if (!columns || !unitLength)
+          return ''
+
+        return sliceColumns(
+          unit.repeat(Math.ceil(columns / unitLength)), 0, columns
+        ).body
+      }
+
+      switch (align) {
+        case 'right':
+          return `${pad(room)}${string}`
+
+        case 'center':
+          return `${pad(Math.floor(room / 2))}${string}${pad(Math.ceil(room / 2))}`
+
+        default:
+          return `${string}${pad(room)}`
+      }
+    },
+
+    /**
+     * Shortens the string to at most `width` columns once printed, ending
+     * it with `ellipsis` when anything had to be removed. The ellipsis keeps
+     * the styling of the text it follows, and any styles open at the cut
+     * are closed after it.
+     *
+     * @param {number} width The most columns the result may occupy,
+     * including the ellipsis.
+     * @param {string} [ellipsis='…'] The text marking the cut.
+     * @returns {string} The string, truncated if it was wider than `width`.
+     *
+     * @example
+     * 'Hello, World!'.truncateVisible(8)                 // 'Hello, …'
+     * String.sgr('Hello, World!', 'red').truncateVisible(8)
+     * // '\x1b[31mHello, …\x1b[39m'
+     */
+    truncateVisible(width, ellipsis = '…') {
+      const string = String(this)
+
+      if (pVisibleLength(string) <= width)
+        return string
+
+      const room = Math.max(0, width - pVisibleLength(ellipsis))
+      const { body, closing } = sliceColumns(string, 0, room)
+
+      return `${body}${ellipsis}${closing}`
+    },
+
+    /**
+     * Splits the string into the words its case conversions are built
+     * from. Words are separated by anything other than letters, digits and
+     * combining marks, and by changes of case: a lowercase letter or digit
+     * followed by an uppercase one, or the last capital of an acronym that
+     * begins the next word. Digits stay with the word before them, and runs
+     * of letters without case, as in most Asian scripts, are not split.
+     *
+     * @returns {string[]} The words, in their original case.
+     *
+     * @example
+     * 'XMLHttpRequest'.toWords()      // ['XML', 'Http', 'Request']
+     * 'utf8_encoder-v2'.toWords()     // ['utf8', 'encoder', 'v2']
+     * 'ÉcoleNormale'.toWords()        // ['École', 'Normale']
+     */
+    toWords() {
+      return caseWords(String(this))
+    },
+
+    /**
+     * Converts the string to camelCase, with each word but the first
+     * capitalized and acronyms treated as words.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'XMLHttpRequest'.toCamelCase()  // 'xmlHttpRequest'
+     * 'user_id'.toCamelCase()         // 'userId'
+     */
+    toCamelCase() {
+      return caseWords(String(this))
+        .map((word, index) => index ? capitalize(word) : word.toLowerCase())
+        .join('')
+    },
+
+    /**
+     * Converts the string to PascalCase, with every word capitalized and
+     * acronyms treated as words.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'xml http request'.toPascalCase() // 'XmlHttpRequest'
+     */
+    toPascalCase() {
+      return caseWords(String(this)).map(capitalize).join('')
+    },
+
+    /**
+     * Converts the string to snake_case.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'XMLHttpRequest'.toSnakeCase()  // 'xml_http_request'
+     */
+    toSnakeCase() {
+      return caseWords(String(this)).map((word) => word.toLowerCase()).join('_')
+    },
+
+    /**
+     * Converts the string to kebab-case.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'backgroundColor'.toKebabCase() // 'background-color'
+     */
+    toKebabCase() {
+      return caseWords(String(this)).map((word) => word.toLowerCase()).join('-')
+    },
+
+    /**
+     * Converts the string to CONSTANT_CASE.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'maxRetryCount'.toConstantCase() // 'MAX_RETRY_COUNT'
+     */
+    toConstantCase() {
+      return caseWords(String(this)).map((word) => word.toUpperCase()).join('_')
+    },
+
+    /**
+     * Converts the string to Title Case, capitalizing every word and
+     * separating words with spaces. Acronyms are kept in capitals.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'parseXMLDocument'.toTitleCase() // 'Parse XML Document'
+     */
+    toTitleCase() {
+      return caseWords(String(this))
+        .map((word) => isAcronym(word) ? word : capitalize(word))
+        .join(' ')
+    },
+
+    /**
+     * Converts the string to Sentence case, capitalizing only the first
+     * word and separating words with spaces. Acronyms are kept in capitals.
+     *
+     * @returns {string} The converted string.
+     *
+     * @example
+     * 'parseXMLDocument'.toSentenceCase() // 'Parse XML document'
+     */
+    toSentenceCase() {
+      return caseWords(String(this))
+        .map((word, index) => {
+          if (isAcronym(word))
+            return word
+
+          return index ? word.toLowerCase() : capitalize(word)
+        })
+        .join(' ')
+    },
+
+    /**
+     * Scores how well `query` matches the string, ignoring case, along with
+     * the parts of the string that matched, so that they can be highlighted.
+     *
+     * When the characters of `query` appear in the string in order, the
+     * score is between `0.5` and `1`, higher when they are consecutive,
+     * begin words (after a separator or at a change of case) and cover more
+     * of the string. Otherwise, as for a mistyped name, the score is half the
+     * Jaro-Winkler similarity of the two, and the ranges cover the longest
+     * run of characters they have in common, in order.
+     *
+     * The work and memory needed grow with the length of the string times
+     * that of `query`, which may be at most a million characters.
+     *
+     * @param {string} query The text to look for.
+     * @returns {{score: number, ranges: Array<[number, number]>}} The score,
+     * from `0` to `1`, and the matched ranges as `[start, end]` offsets into
+     * the string, with `end` excluded as `slice` expects.
+     * @throws {RangeError} If the string's length times that of `query`
+     * exceeds a million characters.
+     *
+     * @example
+     * 'getStringTag'.fuzzyMatch('gst')
+     * // { score: 0.925, ranges: [[0, 1], [3, 5]] }
+     *
+     * const { ranges } = 'status'.fuzzyMatch('stat')
+     * ranges.map(([start, end]) => 'status'.slice(start, end)) // ['stat']
+     */
+    fuzzyMatch(query) {
+      return fuzzyScore(String(this), String(query))
+    },
   },
 })
 
@@ -779,3 +1296,938 @@ function isThenElse(bv, tv, ev) {
     } return bv || _then;
   } return bv
 }
+
+/**
+ * Builds the codes that turn the `String.sgr` modes in `useModes` on, and
+ * back off in reverse order, at the shared color level.
+ *
+ * @param {Array<string|string[]>} useModes The modes, as passed to
+ * `String.sgr`.
+ * @returns {[string, string]} The opening and closing codes.
+ */
+function sgrCodes(useModes) {
+  const level = getColorLevel()
+  const codes = arrayifyModes(useModes).map((mode) => modeCodes(mode, level))
+
+  return [
+    codes.map(([open]) => open).join(''),
+    codes.map(([, close]) => close).reverse().join(''),
+  ]
+}
+
+/**
+ * Flattens `String.sgr` modes into single modes, splitting comma separated
+ * lists and runs of single letter shorthands such as `'biu'`.
+ *
+ * @param {string|string[]} modes The modes to flatten.
+ * @returns {string[]} One entry per mode.
+ */
+function arrayifyModes(modes) {
+  if (Array.isArray(modes))
+    return modes.flatMap(arrayifyModes).filter((mode) => mode.length)
+
+  if (!modes || typeof modes !== 'string')
+    return ['']
+
+  const parts = modes.split(/,(?![^(]*\))/)
+
+  if (parts.length > 1)
+    return arrayifyModes(parts)
+
+  if (
+    !basicColor(modes)[0] &&
+    !extendedColor(modes) &&
+    !sgrModes[modes.toLowerCase()] &&
+    modes.length > 1
+  ) {
+    return [...modes]
+  }
+
+  return [modes]
+}
+
+/**
+ * Builds the codes turning a single `String.sgr` mode on and off. Unknown
+ * modes produce empty codes.
+ *
+ * @param {string} mode The mode, such as `'red'`, `'bluebgbright'`,
+ * `'bg:#222'` or `'u'`.
+ * @param {number} level The color level to render at.
+ * @returns {[string, string]} The opening and closing codes.
+ */
+function modeCodes(mode, level) {
+  mode = String(mode).toLowerCase()
+
+  const [isColor, colorIndex] = basicColor(mode)
+  const extended = extendedColor(mode)
+
+  if (extended) {
+    return sgrColor(extended.color, {
+      background: extended.background,
+      level,
+    })
+  }
+
+  if (isColor) {
+    return sgrColor({ kind: 'basic', value: colorIndex }, {
+      background: /bg/i.test(mode),
+      bright: /bright/i.test(mode),
+      level,
+    })
+  }
+
+  if (sgrModes[mode] && level)
+    return [sgrModes[mode][0], sgrModes[mode][1]]
+
+  return ['', '']
+}
+
+/**
+ * Finds the basic color named anywhere within a `String.sgr` mode, such
+ * as the blue in `'bluebgbright'`.
+ *
+ * @param {string} mode The mode to search.
+ * @returns {[boolean, number]} Whether a color was found, and its index.
+ */
+function basicColor(mode) {
+  const color = BasicColors.find((name) => new RegExp(name, 'i').exec(mode))
+
+  return [!!color, BasicColors.indexOf(color)]
+}
+
+/**
+ * Wraps styled text as an `SgrString`: a `String` object with a `show`
+ * getter that logs it, and which Node inspects as the plain string.
+ *
+ * @param {string} text The styled text.
+ * @returns {String} The `SgrString`.
+ */
+function sgrString(text) {
+  return Object.defineProperties(Object(text), {
+    show: {
+      get() { console.log(String(this)); return this },
+      enumerable: false,
+    },
+    [Symbol.for('nodejs.util.inspect.custom')]: {
+      value(depth, options, inspect) { return String(this) },
+      enumerable: false,
+    },
+    [Symbol.toStringTag]: {
+      get() { return 'SgrString' },
+      enumerable: false,
+    },
+  })
+}
+
+/**
+ * Parses the brace markup of `String.style` into a tree of nodes, each
+ * holding the modes it applies and its children: text or nested nodes.
+ *
+ * @param {string[]} raw The raw strings of the template.
+ * @param {any[]} values The interpolated values, kept as text.
+ * @returns {{modes: string[], children: Array<string|object>}} The root.
+ * @throws {SyntaxError} If the markup is malformed.
+ */
+function parseMarkup(raw, values) {
+  const root = { modes: [], children: [] }
+  const stack = [root]
+  const text = (value) => stack.at(-1).children.push(value)
+
+  raw.forEach((string, index) => {
+    for (let i = 0; i < string.length; i++) {
+      const char = string[i]
+
+      if (char === '\\') {
+        const escape = /\\(u\{[\da-f]+\}|u[\da-f]{4}|x[\da-f]{2}|\r\n|[^])/iy
+
+        escape.lastIndex = i
+        const [sequence, code] = escape.exec(string) ?? ['\\', '']
+
+        text(cookEscape(code))
+        i += sequence.length - 1
+      }
+      else if (char === '{') {
+        const chainPattern = /^(?:[^\s{}()]|\([^(){}]*\))+/
+        const [chain = ''] = chainPattern.exec(string.slice(i + 1)) ?? []
+        const modes = chain.split(/\.(?![^(]*\))/).filter(Boolean)
+        const after = string[i + 1 + chain.length]
+
+        if (!modes.length || (after !== '}' && !/\s/.test(after ?? '')))
+          throw new SyntaxError(`Expected styles and a space after '{' in ${string}`)
+
+        for (const mode of modes) {
+          if (!isKnownMode(mode))
+            throw new SyntaxError(`Unknown style '${mode}'`)
+        }
+
+        const node = { modes, children: [] }
+
+        stack.at(-1).children.push(node)
+        stack.push(node)
+        i += chain.length + (after === '}' ? 0 : 1)
+      }
+      else if (char === '}') {
+        if (stack.length === 1)
+          throw new SyntaxError(`Unmatched '}' in ${string}`)
+
+        stack.pop()
+      }
+      else {
+        text(char)
+      }
+    }
+
+    if (index < values.length)
+      text(String(values[index]))
+  })
+
+  if (stack.length > 1)
+    throw new SyntaxError(`Missing '}' for {${stack.at(-1).modes.join('.')}`)
+
+  return root
+}
+
+/**
+ * Renders a tree from {@link parseMarkup}. After each nested node closes,
+ * the styles of the nodes enclosing it are opened again, since closing a
+ * color or decoration also ends any outer one of the same kind.
+ *
+ * @param {{modes: string[], children: Array<string|object>}} node The
+ * node to render.
+ * @param {string} [enclosing=''] The opening codes of every enclosing
+ * node, outermost first.
+ * @returns {string} The styled text.
+ */
+function renderMarkup(node, enclosing = '') {
+  return node.children.map((child) => {
+    if (typeof child === 'string')
+      return child
+
+    const [open, close] = sgrCodes(child.modes)
+    const inner = renderMarkup(child, `${enclosing}${open}`)
+
+    return `${open}${inner}${close}${enclosing}`
+  }).join('')
+}
+
+function isKnownMode(mode) {
+  return (
+    basicColor(mode)[0] ||
+    !!extendedColor(mode) ||
+    !!sgrModes[mode.toLowerCase()]
+  )
+}
+
+function cookEscape(code) {
+  const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }
+
+  if (/^u\{|^[ux]/i.test(code) && code.length > 1)
+    return String.fromCodePoint(parseInt(code.replace(/[ux{}]/gi, ''), 16))
+
+  if (code === '\n' || code === '\r\n' || code === '\r')
+    return ''
+
+  return simple[code] ?? code
+}
+
+/**
+ * Reads a `String.sgr` mode naming an extended color, such as `'#ff8800'`
+ * or `'bg:rgb(34, 34, 34)'`. The 8 basic color names are left to the
+ * existing mode parsing, which also understands `'bright'`.
+ *
+ * @param {string} mode The mode to read.
+ * @returns {{color: ParsedColor, background: boolean}|undefined} The
+ * color and whether it applies to the background, or `undefined` if
+ * `mode` is not an extended color.
+ */
+function extendedColor(mode) {
+  const [, pen, spec] = /^(?:(fg|bg):)?(.+)$/i.exec(String(mode).trim()) ?? []
+  const color = parseColor(spec)
+
+  if (!color || color.kind === 'basic')
+    return undefined
+
+  return { color, background: /^bg$/i.test(pen ?? '') }
+}
+
+/**
+ * Breaks `string` into its escape sequences and its visible graphemes, in
+ * order, giving the width of each.
+ *
+ * @param {string} string The string to break up.
+ * @yields {{ansi: boolean, text: string, width: number}} Each piece.
+ */
+function* ansiTokens(string) {
+  let index = 0
+
+  for (const match of string.matchAll(ansiPattern())) {
+    yield* graphemeTokens(string.slice(index, match.index))
+    yield { ansi: true, text: match[0], width: 0 }
+
+    index = match.index + match[0].length
+  }
+
+  yield* graphemeTokens(string.slice(index))
+}
+
+function* graphemeTokens(text) {
+  const graphemes = graphemeSegmenter
+    ? Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment)
+    : Array.from(text)
+
+  for (const grapheme of graphemes)
+    yield { ansi: false, text: grapheme, width: graphemeWidth(grapheme) }
+}
+
+/**
+ * Determines how many terminal columns a grapheme cluster occupies.
+ *
+ * @param {string} grapheme A single grapheme cluster.
+ * @returns {0|1|2} Its width.
+ */
+function graphemeWidth(grapheme) {
+  const codePoint = grapheme.codePointAt(0)
+
+  if (codePoint < 0x20 || (codePoint >= 0x7F && codePoint < 0xA0))
+    return 0
+
+  if (/^[\p{Mn}\p{Me}\p{Cf}]+$/u.test(grapheme))
+    return 0
+
+  if (
+    /\p{Emoji_Presentation}|\p{Regional_Indicator}/u.test(grapheme) ||
+    (grapheme.includes('\uFE0F') && /\p{Emoji}/u.test(grapheme))
+  ) {
+    return 2
+  }
+
+  return wideRanges.some(([low, high]) => codePoint >= low && codePoint <= high)
+    ? 2
+    : 1
+}
+
+/**
+ * Slices `string` by visible columns, as `sliceVisible` does, returning
+ * the slice and the codes closing the styles still open at its end
+ * separately, so that text can be placed between them.
+ *
+ * @param {string} string The string to slice.
+ * @param {number} [start=0] The first column to include.
+ * @param {number} [end] The column to stop before.
+ * @returns {{body: string, closing: string}} The slice and its closing
+ * codes.
+ */
+function sliceColumns(string, start = 0, end = undefined) {
+  const tokens = [...ansiTokens(string)]
+  const total = tokens.reduce((sum, { width }) => sum + width, 0)
+  const toColumn = (value) => {
+    const column = Math.trunc(Number(value)) || 0
+
+    return Math.min(total, column < 0 ? Math.max(0, total + column) : column)
+  }
+  const from = toColumn(start)
+  const to = end === undefined ? total : toColumn(end)
+  const styles = new Map()
+
+  let column = 0
+  let body = ''
+  let started = false
+
+  for (const token of tokens) {
+    if (token.ansi) {
+      if (column >= to)
+        break
+
+      if (started)
+        body += token.text
+
+      trackSgr(styles, token.text)
+      continue
+    }
+
+    const next = column + token.width
+
+    if (column < from) {
+      column = next
+      continue
+    }
+
+    if (next > to)
+      break
+
+    if (!started) {
+      body += [...styles.values()].map(({ open }) => open).join('')
+      started = true
+    }
+
+    body += token.text
+    column = next
+  }
+
+  const closing = started
+    ? [...new Set([...styles.values()].reverse().map(({ close }) => (
+        `\x1b[${close}m`
+      )))].join('')
+    : ''
+
+  return { body, closing }
+}
+
+/**
+ * Updates `styles`, the SGR styles currently in effect keyed by the slot
+ * they occupy, with the codes in `sequence`. Sequences other than SGR
+ * codes are ignored.
+ *
+ * @param {Map<number, {open: string, close: number}>} styles The styles
+ * in effect, updated in place.
+ * @param {string} sequence An escape sequence.
+ */
+function trackSgr(styles, sequence) {
+  const match = /^\x1b\[([\d;:]*)m$/.exec(sequence)
+
+  if (!match)
+    return
+
+  const params = match[1].split(/[;:]/)
+
+  for (let i = 0; i < params.length; i++) {
+    const code = Number(params[i] || 0)
+    const style = sgrStyle(code)
+
+    if (code === 0) {
+      styles.clear()
+    }
+    else if (style) {
+      const [slot, close] = style
+      const size = [38, 48, 58].includes(code)
+        ? ({ 5: 3, 2: 5 })[params[i + 1]] ?? 1
+        : 1
+
+      styles.set(slot, {
+        open: `\x1b[${params.slice(i, i + size).join(';')}m`,
+        close,
+      })
+
+      i += size - 1
+    }
+    else {
+      for (const [slot, { close }] of styles) {
+        if (close === code)
+          styles.delete(slot)
+      }
+    }
+  }
+}
+
+/**
+ * Finds the slot an SGR code occupies, shared by codes that replace one
+ * another such as foreground colors, and the code that turns it off.
+ *
+ * @param {number} code An SGR parameter.
+ * @returns {[number, number]|undefined} The slot and closing code, or
+ * `undefined` if `code` does not begin a style.
+ */
+function sgrStyle(code) {
+  const closers = {
+    1: 22, 2: 22, 3: 23, 4: 24, 5: 25, 6: 25, 7: 27, 8: 28, 9: 29,
+    21: 24, 53: 55, 58: 59,
+  }
+
+  if ((code >= 30 && code <= 38) || (code >= 90 && code <= 97))
+    return [38, 39]
+
+  if ((code >= 40 && code <= 48) || (code >= 100 && code <= 107))
+    return [48, 49]
+
+  return closers[code] ? [code, closers[code]] : undefined
+}
+
+/**
+ * Fills lines greedily with `values`, as `String.wrap` does, breaking
+ * values at hyphens or, as `wordBreak` asks, anywhere when they are too
+ * long.
+ *
+ * @param {string[]} values The values to lay out.
+ * @param {object} options How to lay them out.
+ * @param {string} options.hyphens When to hyphenate, as for `String.wrap`.
+ * @param {string} options.separator The text placed between values.
+ * @param {string} options.wordBreak When to break values, as for
+ * `String.wrap`.
+ * @param {function(number): number} options.widthAt The width available
+ * to the line at an index.
+ * @returns {Array<WrappedLine>} The lines, at least one.
+ */
+function layoutLines(values, { hyphens, separator, wordBreak, widthAt }) {
+  const queue = values.flatMap((value) => (
+    hyphenationPieces(value, hyphens).map((piece, index) => ({
+      ...piece,
+      join: index ? '' : separator,
+    }))
+  ))
+  const lines = []
+  const hyphen = hyphens === 'auto' ? 1 : 0
+
+  let line = { parts: [], width: 0, hyphen: false, end: false }
+
+  const push = ({ text, width, soft = false }, join) => {
+    line.parts.push({ text, join, soft })
+    line.width += pVisibleLength(join) + width
+  }
+  const flush = (hyphenate) => {
+    if (hyphenate)
+      line.width += 1
+
+    lines.push({ ...line, hyphen: hyphenate })
+    line = { parts: [], width: 0, hyphen: false, end: false }
+  }
+  const breakInto = (part, join, columns) => {
+    const [head, rest] = splitColumns(part.text, columns)
+
+    push({ text: head, width: pVisibleLength(head) }, join)
+    flush(hyphen && rest !== '')
+
+    return rest === ''
+      ? []
+      : [{ ...part, text: rest, width: pVisibleLength(rest), join: '' }]
+  }
+
+  for (let index = 0; index < queue.length; index++) {
+    const part = queue[index]
+    const room = widthAt(lines.length)
+    const join = line.parts.length ? part.join : ''
+    const available = room - line.width - pVisibleLength(join)
+
+    if (part.width <= available) {
+      push(part, join)
+      continue
+    }
+
+    if (
+      wordBreak === 'break-all' &&
+      pVisibleLength(splitColumns(part.text, available - hyphen)[0]) <=
+        available - hyphen
+    ) {
+      queue.splice(index + 1, 0, ...breakInto(part, join, available - hyphen))
+      continue
+    }
+
+    if (line.parts.length) {
+      const last = line.parts.at(-1)
+
+      if (last.soft && line.width + 1 > room && line.parts.length > 1) {
+        line.parts.pop()
+        line.width = line.parts.reduce((width, { join, text }) => (
+          width + pVisibleLength(join) + pVisibleLength(text)
+        ), 0)
+        index--
+      }
+
+      flush(line.parts.at(-1).soft)
+      index--
+      continue
+    }
+
+    if (wordBreak !== 'normal' && room - hyphen > 0) {
+      queue.splice(index + 1, 0, ...breakInto(part, '', room - hyphen))
+      continue
+    }
+
+    push(part, '')
+  }
+
+  lines.push({ ...line, end: true })
+
+  return lines
+}
+
+/**
+ * Splits a value at its hyphenation opportunities: after soft hyphens,
+ * which are removed, and after hyphens joining two words.
+ *
+ * @param {string} value The value to split.
+ * @param {string} hyphens When to hyphenate, as for `String.wrap`.
+ * @returns {Array<{text: string, width: number, soft: boolean}>} The
+ * pieces, where `soft` marks those that need a hyphen when a line breaks
+ * after them.
+ */
+function hyphenationPieces(value, hyphens) {
+  const pieces = hyphens === 'none'
+    ? [value]
+    : value.split(/(?<=\u00AD)|(?<=\p{L}-)(?=\p{L})/u).filter(Boolean)
+
+  return pieces.map((piece) => {
+    const text = piece.replaceAll('\u00AD', '')
+
+    return {
+      text,
+      width: pVisibleLength(text),
+      soft: hyphens !== 'none' && piece.endsWith('\u00AD'),
+    }
+  })
+}
+
+/**
+ * Splits `text` after as many graphemes as fit in `columns`, but after one
+ * at least. Escape sequences before the first grapheme left out stay with
+ * the rest.
+ *
+ * @param {string} text The text to split.
+ * @param {number} columns The columns the first half may occupy.
+ * @returns {[string, string]} Both halves.
+ */
+function splitColumns(text, columns) {
+  let head = ''
+  let pending = ''
+  let width = 0
+  let taken = 0
+
+  for (const token of ansiTokens(text)) {
+    if (token.ansi) {
+      pending += token.text
+      taken += token.text.length
+      continue
+    }
+
+    if (width + token.width > columns && width > 0)
+      break
+
+    head += pending + token.text
+    width += token.width
+    taken += token.text.length
+    pending = ''
+  }
+
+  return [head, text.slice(taken - pending.length)]
+}
+
+/**
+ * Widens the gaps between the values of a line by `extra` columns in
+ * total, favoring the first gaps when they cannot be widened evenly.
+ *
+ * @param {Array<{join: string, text: string}>} parts The line's values.
+ * @param {number} extra The columns to add.
+ * @returns {Array<{join: string, text: string}>} The widened values.
+ */
+function justifyParts(parts, extra) {
+  const gaps = parts.flatMap(({ join }, index) => (index && join ? [index] : []))
+
+  if (!gaps.length || extra <= 0)
+    return parts
+
+  return parts.map((part, index) => {
+    const gap = gaps.indexOf(index)
+
+    if (gap < 0)
+      return part
+
+    const spaces = Math.floor(extra / gaps.length) + (gap < extra % gaps.length)
+
+    return { ...part, join: `${part.join}${' '.repeat(spaces)}` }
+  })
+}
+
+/**
+ * Closes the SGR styles still open at the end of each line and reopens
+ * them at the start of the next, so that every line is styled on its own.
+ *
+ * @param {string[]} lines The lines to balance.
+ * @returns {string[]} The balanced lines.
+ */
+function balanceStyles(lines) {
+  const styles = new Map()
+
+  return lines.map((line) => {
+    const opening = [...styles.values()].map(({ open }) => open).join('')
+
+    for (const sequence of line.match(ansiPattern()) ?? [])
+      trackSgr(styles, sequence)
+
+    const closing = [...new Set(
+      [...styles.values()].reverse().map(({ close }) => `\x1b[${close}m`)
+    )].join('')
+
+    return `${opening}${line}${closing}`
+  })
+}
+
+/**
+ * A line laid out by `String.wrap`, before it is indented and aligned.
+ *
+ * ```
+ * interface WrappedLine {
+ *   parts: Array<{ text: string, join: string, soft: boolean }>;
+ *   width: number;    // visible columns, including any hyphen
+ *   hyphen: boolean;  // whether the line ends in an added hyphen
+ *   end: boolean;     // whether the line ends its paragraph
+ * }
+ * ```
+ *
+ * @typedef {object} WrappedLine
+ */
+
+/**
+ * Splits `string` into words, as `String.prototype.toWords` describes.
+ *
+ * @param {string} string The string to split.
+ * @returns {string[]} The words.
+ */
+function caseWords(string) {
+  return string
+    .split(/[^\p{L}\p{N}\p{M}]+/u)
+    .flatMap((chunk) => chunk.split(caseBoundary))
+    .filter(Boolean)
+}
+
+function capitalize(word) {
+  const [first = '', ...rest] = word
+
+  return `${first.toUpperCase()}${rest.join('').toLowerCase()}`
+}
+
+function isAcronym(word) {
+  return /^\p{Lu}[\p{Lu}\p{N}]+$/u.test(word)
+}
+
+/**
+ * Computes the Levenshtein distance between two lists of characters, or
+ * with `transpositions`, the optimal string alignment distance, keeping
+ * only the rows of the table it needs.
+ *
+ * @param {string[]} left The first characters.
+ * @param {string[]} right The second characters.
+ * @param {boolean} [transpositions=false] Whether swapping two adjacent
+ * characters counts as a single edit.
+ * @returns {number} The distance.
+ */
+function editDistance(left, right, transpositions = false) {
+  let before = []
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i]
+
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1
+
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      )
+
+      if (
+        transpositions && i > 1 && j > 1 &&
+        left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]
+      ) {
+        current[j] = Math.min(current[j], before[j - 2] + 1)
+      }
+    }
+
+    before = previous
+    previous = current
+  }
+
+  return previous[right.length]
+}
+
+function jaroWinkler(left, right, prefixScale) {
+  if (!left.length && !right.length)
+    return 1
+
+  const longest = Math.max(left.length, right.length)
+  const window = Math.max(0, Math.floor(longest / 2) - 1)
+  const leftMatched = []
+  const rightMatched = []
+
+  for (let i = 0; i < left.length; i++) {
+    const from = Math.max(0, i - window)
+    const to = Math.min(right.length, i + window + 1)
+
+    for (let j = from; j < to; j++) {
+      if (!rightMatched[j] && left[i] === right[j]) {
+        leftMatched[i] = rightMatched[j] = true
+        break
+      }
+    }
+  }
+
+  const leftChars = left.filter((_, index) => leftMatched[index])
+  const rightChars = right.filter((_, index) => rightMatched[index])
+  const matches = leftChars.length
+
+  if (!matches)
+    return 0
+
+  const transpositions = leftChars
+    .filter((char, index) => char !== rightChars[index]).length / 2
+  const jaro = (
+    matches / left.length +
+    matches / right.length +
+    (matches - transpositions) / matches
+  ) / 3
+
+  let prefix = 0
+
+  while (prefix < Math.min(4, left.length) && left[prefix] === right[prefix])
+    prefix++
+
+  return jaro + prefix * prefixScale * (1 - jaro)
+}
+
+/**
+ * Scores `query` against `text` as `String.prototype.fuzzyMatch`
+ * describes. The best in-order match is found by dynamic programming over
+ * the query and text characters, rewarding each matched character that
+ * follows the previous match or begins a word.
+ *
+ * @param {string} text The text searched.
+ * @param {string} query The text looked for.
+ * @returns {{score: number, ranges: Array<[number, number]>}} The match.
+ */
+function fuzzyScore(text, query) {
+  const chars = [...text.matchAll(/./gsu)].map(({ 0: char, index }) => ({
+    char,
+    folded: char.toLowerCase(),
+    index,
+  }))
+  const wanted = Array.from(query.toLowerCase())
+
+  if (!wanted.length)
+    return { score: 1, ranges: [] }
+
+  if (chars.length * wanted.length > fuzzyMatchLimit) {
+    throw new RangeError(
+      `fuzzyMatch compares at most ${fuzzyMatchLimit} pairs of characters`
+    )
+  }
+
+  const boundary = chars.map(({ char }, index) => {
+    const previous = chars[index - 1]?.char
+
+    return index === 0 ||
+      !/[\p{L}\p{N}]/u.test(previous) ||
+      (/\p{Ll}/u.test(previous) && /\p{Lu}/u.test(char))
+  })
+
+  // best[i][j] is the most points for matching wanted[0..i] with wanted[i]
+  // at chars[j], and from[i][j] the position of wanted[i - 1] in that match
+  const best = wanted.map(() => new Float64Array(chars.length).fill(-Infinity))
+  const from = wanted.map(() => new Int32Array(chars.length).fill(-1))
+
+  for (let i = 0; i < wanted.length; i++) {
+    let leading = -Infinity
+    let leadingAt = -1
+
+    for (let j = i; j < chars.length; j++) {
+      if (i > 0 && j > 1 && best[i - 1][j - 2] > leading) {
+        leading = best[i - 1][j - 2]
+        leadingAt = j - 2
+      }
+
+      if (chars[j].folded !== wanted[i])
+        continue
+
+      if (i === 0) {
+        best[i][j] = 1 + (boundary[j] ? 1 : 0)
+        continue
+      }
+
+      const adjacent = best[i - 1][j - 1] + 2
+      const apart = leading + 1 + (boundary[j] ? 1 : 0)
+
+      if (adjacent >= apart && adjacent > -Infinity) {
+        best[i][j] = adjacent
+        from[i][j] = j - 1
+      }
+      else if (apart > -Infinity) {
+        best[i][j] = apart
+        from[i][j] = leadingAt
+      }
+    }
+  }
+
+  const last = best[wanted.length - 1]
+  let end = -1
+
+  for (let j = 0; j < last.length; j++) {
+    if (last[j] > -Infinity && (end < 0 || last[j] > last[end]))
+      end = j
+  }
+
+  if (end < 0) {
+    return {
+      score: jaroWinkler(
+        chars.map(({ folded }) => folded), wanted, 0.1
+      ) / 2,
+      ranges: commonRanges(chars, wanted),
+    }
+  }
+
+  const matched = []
+
+  for (let i = wanted.length - 1, j = end; i >= 0; j = from[i][j], i--)
+    matched.unshift(j)
+
+  const quality = (last[end] / (2 * wanted.length)) *
+    (0.8 + 0.2 * Math.min(1, wanted.length / chars.length))
+
+  return {
+    score: 0.5 + quality / 2,
+    ranges: toRanges(chars, matched),
+  }
+}
+
+/**
+ * Finds the characters of `text` in its longest common subsequence with
+ * `wanted`, as ranges.
+ *
+ * @param {Array<{folded: string, index: number, char: string}>} chars The
+ * characters of the text.
+ * @param {string[]} wanted The characters of the query.
+ * @returns {Array<[number, number]>} The ranges.
+ */
+function commonRanges(chars, wanted) {
+  const lengths = Array.from(
+    { length: chars.length + 1 },
+    () => new Uint32Array(wanted.length + 1)
+  )
+
+  for (let i = chars.length - 1; i >= 0; i--) {
+    for (let j = wanted.length - 1; j >= 0; j--) {
+      lengths[i][j] = chars[i].folded === wanted[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const matched = []
+
+  for (let i = 0, j = 0; i < chars.length && j < wanted.length;) {
+    if (chars[i].folded === wanted[j]) {
+      matched.push(i++)
+      j++
+    }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1])
+      i++
+    else
+      j++
+  }
+
+  return toRanges(chars, matched)
+}
+
+function toRanges(chars, matched) {
+  const ranges = []
+
+  for (const position of matched) {
+    const { char, index } = chars[position]
+    const range = ranges.at(-1)
+
+    if (range && range[1] === index)
+      range[1] = index + char.length
+    else
+      ranges.push([index, index + char.length])
+  }
+
+  return ranges
+}
@@ -198,7 +198,7 @@ export const SymbolExtensions = new Patch(Symbol, {
    * `Symbol('name')`
    */
   isRegistered(value, allowOnlySymbols = false) {
-    if (!Symbol.isSymbol(value)) {
+    if (!pIsSymbol(value)) {
       if (allowOnlySymbols) {
         throw new TypeError('allowOnlySymbols specified; value is not a symbol')
       }
@@ -227,7 +227,7 @@ export const SymbolExtensions = new Patch(Symbol, {
    * returns `undefined` if passed to `Symbol.keyFor`
    */
   isNonRegistered(value, allowOnlySymbols = false) {
-    return !Symbol.isRegistered(value, allowOnlySymbols)
+    return !pIsRegistered(value, allowOnlySymbols)
   },
 
   /**
@@ -365,6 +365,10 @@ export const SymbolExtensions = new Patch(Symbol, {
   },
 });
 
+const { isSymbol: pIsSymbol, isRegistered: pIsRegistered } = (
+  SymbolExtensions.patches
+)
+
 export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
   [Patch.kMutablyHidden]: {
     /**
@@ -426,8 +430,8 @@ export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
      * let data = sym.data() // undefined
      */
     get data() {
-      if (Symbol?.keys && Symkeys.isSymkey(this)) {
-        const possibleData = Symbol.keys[this]
+      if (Symkeys.isSymkey(this)) {
+        const possibleData = symkeys[this]
         if (possibleData) {
           return possibleData
         }
@@ -493,7 +497,7 @@ export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
      */
     set data(value) {
       if (Symkeys.isSymkey(this)) {
-        Symbol.keys.setData(this, value)
+        symkeys.setData(this, value)
       }
       else {
         console.error(`The symbol ${this.description} is not a symkey`)
@@ -553,7 +557,7 @@ export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
      * console.log(sym.embeddedJSONParsed) // Output: undefined
      */
     get embeddedJSONParsed() {
-      const json = this.embeddedJSON
+      const json = pEmbeddedJSON.call(this)
 
       if (json) {
         try {
@@ -648,7 +652,7 @@ export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
         const [_match, token] = re
         const shareKey = `internal.refkey:${token}`
         const symbol = SymbolExtensions.patches.sharedKey(shareKey)
-        return symbol?.data
+        return symbol && pData.call(symbol)
       }
 
       return undefined
@@ -770,3 +774,8 @@ export const SymbolPrototypeExtensions = new Patch(Symbol.prototype, {
     },
   },
 })
+
+const { get: pData } = SymbolPrototypeExtensions.patchEntries.data.descriptor
+const { get: pEmbeddedJSON } = (
+  SymbolPrototypeExtensions.patchEntries.embeddedJSON.descriptor
+)
@@ -0,0 +1,481 @@
+import { BasicColors } from './colors.js'
+
+/**
+ * The colors the 16 basic colors are shown in when converted to HTML, in
+ * palette order: the 8 standard colors, then their bright variants.
+ *
+ * @type {string[]}
+ */
+export const AnsiPalette = [
+  '#000000', '#cd3131', '#0dbc79', '#e5e510',
+  '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+  '#666666', '#f14c4c', '#23d18b', '#f5f543',
+  '#3b8eea', '#d670d6', '#29b8db', '#ffffff',
+]
+
+/**
+ * The text decorations an {@link AnsiStyle} may hold, with the SGR codes
+ * that turn each on and off and the CSS that renders it.
+ *
+ * @type {Map<string, {on: number[], off: number[], css: string[]}>}
+ */
+const decorations = new Map([
+  ['bold', { on: [1], off: [22], css: ['font-weight', 'bold'] }],
+  ['dim', { on: [2], off: [22], css: ['opacity', '0.5'] }],
+  ['italic', { on: [3], off: [23], css: ['font-style', 'italic'] }],
+  ['underline', { on: [4, 21], off: [24], css: ['text-decoration', 'underline'] }],
+  ['blink', { on: [5, 6], off: [25], css: ['text-decoration', 'blink'] }],
+  ['inverse', { on: [7], off: [27], css: [] }],
+  ['hidden', { on: [8], off: [28], css: ['visibility', 'hidden'] }],
+  ['strike', { on: [9], off: [29], css: ['text-decoration', 'line-through'] }],
+  ['overline', { on: [53], off: [55], css: ['text-decoration', 'overline'] }],
+])
+
+/**
+ * Creates a regular expression matching ANSI escape sequences: control
+ * sequences such as SGR codes, operating system commands such as
+ * hyperlinks, and the remaining two character escapes.
+ *
+ * @returns {RegExp} A new global pattern, so its `lastIndex` is not shared.
+ */
+export function ansiPattern() {
+  return /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|(?:\x1b\[|\x9b)[0-?]*[ -\/]*[@-~]|\x1b[@-Z\\-_]/g
+}
+
+/**
+ * Parses text containing ANSI escape sequences, such as that captured by
+ * `StringConsole` or `captureStdout`, into a tree of styled spans. Every
+ * SGR code `String.sgr` and `StringConsole` emit is understood, including
+ * 256 color and truecolor codes. Other escape sequences are dropped.
+ *
+ * The root holds the text in order. Text without any styling is a `text`
+ * node of its own, while styled text is wrapped in a `span` node carrying
+ * its {@link AnsiStyle}. Adjacent text sharing a style is merged.
+ *
+ * @param {string} input The text to parse.
+ * @returns {AnsiNode} The root node.
+ *
+ * @example
+ * parseAnsi('plain \x1b[1;31mbold red\x1b[0m')
+ * // {
+ * //   type: 'root',
+ * //   children: [
+ * //     { type: 'text', value: 'plain ' },
+ * //     {
+ * //       type: 'span',
+ * //       style: { bold: true, foreground: { kind: 'basic', value: 1 } },
+ * //       children: [{ type: 'text', value: 'bold red' }]
+ * //     }
+ * //   ]
+ * // }
+ */
+export function parseAnsi(input) {
+  const root = { type: 'root', children: [] }
+  const string = String(input)
+  let style = {}
+  let index = 0
+
+  const append = (value) => {
+    if (!value)
+      return
+
+    const last = root.children.at(-1)
+    const styled = Object.keys(style).length > 0
+
+    if (!styled && last?.type === 'text')
+      last.value += value
+
+    else if (styled && last?.type === 'span' && sameStyle(last.style, style))
+      last.children[0].value += value
+
+    else if (styled)
+      root.children.push({
+        type: 'span',
+        style: { ...style },
+        children: [{ type: 'text', value }],
+      })
+
+    else
+      root.children.push({ type: 'text', value })
+  }
+
+  for (const match of string.matchAll(ansiPattern())) {
+    append(string.slice(index, match.index))
+
+    const sgr = /^(?:\x1b\[|\x9b)([\d;:]*)m$/.exec(match[0])
+
+    if (sgr)
+      style = applySgr(style, sgr[1])
+
+    index = match.index + match[0].length
+  }
+
+  append(string.slice(index))
+
+  return root
+}
+
+/**
+ * Converts text containing ANSI escape sequences to HTML, with each styled
+ * run of text in a `<span>`. The result is meant to be placed within a
+ * `<pre>`, or an element styled with `white-space: pre`, and any HTML in
+ * the text itself is escaped.
+ *
+ * By default styles are written inline. With `classes` set, the 16 basic
+ * colors and the text decorations are given class names instead, which
+ * {@link ansiStylesheet} provides rules for; 256 color and truecolor codes
+ * are still written inline, having no class names of their own.
+ *
+ * @param {string|AnsiNode} input The text to convert, or a tree already
+ * parsed by {@link parseAnsi}.
+ * @param {object} [options] How to render it.
+ * @param {boolean} [options.classes=false] Use class names rather than
+ * inline styles where possible.
+ * @param {string} [options.prefix='ansi-'] The prefix of class names.
+ * @param {string[]} [options.palette=AnsiPalette] The CSS colors of the 16
+ * basic colors, for inline styles.
+ * @returns {string} The HTML.
+ *
+ * @example
+ * ansiToHtml('\x1b[31mfailed\x1b[39m: 1 < 2')
+ * // '<span style="color: #cd3131">failed</span>: 1 &lt; 2'
+ *
+ * ansiToHtml('\x1b[1mok\x1b[22m', { classes: true })
+ * // '<span class="ansi-bold">ok</span>'
+ */
+export function ansiToHtml(input, options = {}) {
+  const {
+    classes = false,
+    prefix = 'ansi-',
+    palette = AnsiPalette,
+  } = options ?? {}
+  const root = input?.type === 'root' ? input : parseAnsi(input)
+
+  return root.children.map((node) => {
+    const text = escapeHtml(node.type === 'text'
+      ? node.value
+      : node.children.map(({ value }) => value).join('')
+    )
+
+    if (node.type === 'text')
+      return text
+
+    const { classNames, css } = renderStyle(node.style, classes, prefix, palette)
+    const attributes = [
+      classNames.length ? ` class="${classNames.join(' ')}"` : '',
+      css.length ? ` style="${css.join('; ')}"` : '',
+    ].join('')
+
+    return `<span${attributes}>${text}</span>`
+  }).join('')
+}
+
+/**
+ * Converts text containing ANSI escape sequences to plain text, for places
+ * where neither a terminal nor HTML is available.
+ *
+ * @param {string|AnsiNode} input The text to convert, or a tree already
+ * parsed by {@link parseAnsi}.
+ * @returns {string} The text without any escape sequences.
+ *
+ * @example
+ * ansiToText('\x1b[32m✔\x1b[39m 12 passed') // '✔ 12 passed'
+ */
+export function ansiToText(input) {
+  const root = input?.type === 'root' ? input : parseAnsi(input)
+
+  return root.children.map((node) => (
+    node.type === 'text'
+      ? node.value
+      : node.children.map(({ value }) => value).join('')
+  )).join('')
+}
+
+/**
+ * Builds the CSS rules for the class names {@link ansiToHtml} uses when
+ * its `classes` option is set.
+ *
+ * @param {string} [prefix='ansi-'] The prefix of class names.
+ * @param {string[]} [palette=AnsiPalette] The CSS colors of the 16 basic
+ * colors.
+ * @returns {string} The stylesheet.
+ *
+ * @example
+ * ansiStylesheet().split('\n')[0] // '.ansi-bold { font-weight: bold }'
+ */
+export function ansiStylesheet(prefix = 'ansi-', palette = AnsiPalette) {
+  const rules = []
+
+  for (const [name, { css }] of decorations) {
+    if (css.length)
+      rules.push(`.${prefix}${name} { ${css[0]}: ${css[1]} }`)
+  }
+
+  // Each line decoration sets text-decoration on its own, so text with
+  // several needs a rule, more specific than theirs, combining them
+  const lines = [...decorations]
+    .filter(([, { css }]) => css[0] === 'text-decoration')
+
+  for (let mask = 1; mask < 1 << lines.length; mask++) {
+    const chosen = lines.filter((_, index) => mask & 1 << index)
+
+    if (chosen.length < 2)
+      continue
+
+    const selector = chosen.map(([name]) => `.${prefix}${name}`).join('')
+    const values = chosen.map(([, { css }]) => css[1]).join(' ')
+
+    rules.push(`${selector} { text-decoration: ${values} }`)
+  }
+
+  palette.forEach((color, index) => {
+    const name = colorClass(index)
+
+    rules.push(`.${prefix}fg-${name} { color: ${color} }`)
+    rules.push(`.${prefix}bg-${name} { background-color: ${color} }`)
+  })
+
+  return rules.join('\n')
+}
+
+/**
+ * The style of a run of text parsed by {@link parseAnsi}. Only the
+ * properties in effect are present.
+ *
+ * ```
+ * interface AnsiStyle {
+ *   foreground?: ParsedColor;  // basic colors 8 to 15 are bright
+ *   background?: ParsedColor;
+ *   bold?: true;
+ *   dim?: true;
+ *   italic?: true;
+ *   underline?: true;
+ *   blink?: true;
+ *   inverse?: true;
+ *   hidden?: true;
+ *   strike?: true;
+ *   overline?: true;
+ * }
+ * ```
+ *
+ * @typedef {object} AnsiStyle
+ */
+
+/**
+ * A node of the tree returned by {@link parseAnsi}.
+ *
+ * ```
+ * interface AnsiNode {
+ *   type: 'root' | 'span' | 'text';
+ *   style?: AnsiStyle;       // spans only
+ *   children?: AnsiNode[];   // the root and spans
+ *   value?: string;          // text only
+ * }
+ * ```
+ *
+ * @typedef {object} AnsiNode
+ */
+
+export default {
+  AnsiPalette,
+
+  ansiPattern,
+  ansiStylesheet,
+  ansiToHtml,
+  ansiToText,
+  parseAnsi,
+}
+
+/**
+ * Applies the parameters of an SGR sequence to a style, returning the new
+ * style. Unknown parameters are ignored.
+ *
+ * @param {AnsiStyle} style The style in effect before the sequence.
+ * @param {string} parameters The sequence's parameters, such as `'1;31'`.
+ * @returns {AnsiStyle} The style in effect after it.
+ */
+function applySgr(style, parameters) {
+  const groups = parameters.split(';').map((group) => (
+    group.split(':').map((param) => Number(param || 0))
+  ))
+  const next = { ...style }
+
+  for (let i = 0; i < groups.length; i++) {
+    const [code, ...subparameters] = groups[i]
+
+    if (code === 0) {
+      for (const key of Object.keys(next))
+        delete next[key]
+
+      continue
+    }
+
+    if (code === 38 || code === 48) {
+      const key = code === 38 ? 'foreground' : 'background'
+      const inline = subparameters.length > 0
+      const args = inline
+        ? subparameters
+        : groups.slice(i + 1, i + 5).map(([first]) => first)
+
+      if (args[0] === 5) {
+        next[key] = { kind: 'ansi256', value: args[1] ?? 0 }
+        i += inline ? 0 : 2
+      }
+      else if (args[0] === 2) {
+        // Colon separated, the components may follow a color space ID,
+        // which is often left empty, as in 38:2::255:136:0
+        const start = inline && args.length > 4 ? 2 : 1
+
+        next[key] = { kind: 'rgb', value: args.slice(start, start + 3) }
+        i += inline ? 0 : 4
+      }
+
+      continue
+    }
+
+    if (code === 4 && subparameters[0] === 0) {
+      delete next.underline
+      continue
+    }
+
+    if (code === 39 || code === 49) {
+      delete next[code === 39 ? 'foreground' : 'background']
+      continue
+    }
+
+    if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+      next.foreground = { kind: 'basic', value: code % 10 + (code >= 90 ? 8 : 0) }
+      continue
+    }
+
+    if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+      next.background = { kind: 'basic', value: code % 10 + (code >= 100 ? 8 : 0) }
+      continue
+    }
+
+    for (const [name, { on, off }] of decorations) {
+      if (on.includes(code))
+        next[name] = true
+
+      else if (off.includes(code))
+        delete next[name]
+    }
+  }
+
+  return next
+}
+
+/**
+ * Turns an {@link AnsiStyle} into class names and CSS declarations.
+ * Inverse text has its colors swapped, using the system colors `Canvas`
+ * and `CanvasText` for any that were left at their defaults.
+ *
+ * @param {AnsiStyle} style The style to render.
+ * @param {boolean} classes Whether to prefer class names.
+ * @param {string} prefix The prefix of class names.
+ * @param {string[]} palette The CSS colors of the 16 basic colors.
+ * @returns {{classNames: string[], css: string[]}} The class names and
+ * CSS declarations.
+ */
+function renderStyle(style, classes, prefix, palette) {
+  const classNames = []
+  const css = []
+  const lines = []
+  let { foreground, background } = style
+
+  if (style.inverse) {
+    [foreground, background] = [
+      background ?? 'Canvas',
+      foreground ?? 'CanvasText',
+    ]
+  }
+
+  for (const [pen, color] of [['fg', foreground], ['bg', background]]) {
+    const property = pen === 'fg' ? 'color' : 'background-color'
+
+    if (!color)
+      continue
+
+    if (classes && color.kind === 'basic')
+      classNames.push(`${prefix}${pen}-${colorClass(color.value)}`)
+
+    else
+      css.push(`${property}: ${cssColor(color, palette)}`)
+  }
+
+  for (const [name, { css: [property, value] }] of decorations) {
+    if (!style[name] || !property)
+      continue
+
+    if (classes)
+      classNames.push(`${prefix}${name}`)
+
+    else if (property === 'text-decoration')
+      lines.push(value)
+
+    else
+      css.push(`${property}: ${value}`)
+  }
+
+  if (lines.length)
+    css.push(`text-decoration: ${lines.join(' ')}`)
+
+  return { classNames, css }
+}
+
+function cssColor(color, palette) {
+  if (typeof color === 'string')
+    return color
+
+  switch (color.kind) {
+    case 'basic':
+      return palette[color.value]
+
+    case 'ansi256':
+      return color.value < 16
+        ? palette[color.value]
+        : `rgb(${ansi256ToRgb(color.value).join(', ')})`
+
+    default:
+      return `rgb(${color.value.join(', ')})`
+  }
+}
+
+/**
+ * Finds the RGB color of an entry of the 256 color palette above the 16
+ * basic colors: the 6×6×6 color cube, then the 24 step grayscale ramp.
+ *
+ * @param {number} index A palette index from 16 to 255.
+ * @returns {number[]} The red, green and blue components.
+ */
+function ansi256ToRgb(index) {
+  if (index >= 232)
+    return Array(3).fill(8 + (index - 232) * 10)
+
+  const levels = [0, 95, 135, 175, 215, 255]
+  const cube = index - 16
+
+  return [
+    levels[Math.floor(cube / 36)],
+    levels[Math.floor(cube / 6) % 6],
+    levels[cube % 6],
+  ]
+}
+
+function colorClass(index) {
+  return index > 7 ? `bright-${BasicColors[index - 8]}` : BasicColors[index]
+}
+
+function sameStyle(left, right) {
+  const keys = Object.keys(left)
+
+  return keys.length === Object.keys(right).length && keys.every((key) => (
+    JSON.stringify(left[key]) === JSON.stringify(right[key])
+  ))
+}
+
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+  return text.replace(/[&<>"']/g, (char) => entities[char])
+}
@@ -0,0 +1,362 @@
+/**
+ * The color levels a terminal may support, indexed by level. Each level
+ * includes those below it.
+ *
+ * - `'none'` (0) emits no escape codes at all, not even for bold or
+ *   underline.
+ * - `'basic'` (1) emits the 8 standard colors and their bright variants.
+ * - `'ansi256'` (2) adds the 256 color palette.
+ * - `'truecolor'` (3) adds 24-bit RGB colors.
+ *
+ * @type {string[]}
+ */
+export const ColorLevels = ['none', 'basic', 'ansi256', 'truecolor']
+
+/**
+ * The names of the 8 standard colors, in palette order.
+ *
+ * @type {string[]}
+ */
+export const BasicColors = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'
+]
+
+/**
+ * The color level set with {@link setColorLevel}, or `undefined` while the
+ * level is detected automatically.
+ *
+ * @type {number|undefined}
+ */
+let chosenLevel = undefined
+
+/**
+ * The level found by {@link detectColorLevel} the first time the color
+ * level was needed, reused until automatic detection is requested again.
+ *
+ * @type {number|undefined}
+ */
+let detectedLevel = undefined
+
+/**
+ * Determines the color level the terminal supports from the environment,
+ * following the conventions most command line tools share:
+ *
+ * 1. `FORCE_COLOR` wins when set: `0` or `false` disable color, `2` and
+ *    `3` select 256 colors and truecolor, and anything else selects the
+ *    basic colors.
+ * 2. A non-empty `NO_COLOR` disables color.
+ * 3. Output that is not a TTY, or a `TERM` of `dumb`, gets no color.
+ * 4. `COLORTERM` of `truecolor` or `24bit` selects truecolor, and a `TERM`
+ *    mentioning `256` selects 256 colors. Other terminals get the basic
+ *    colors.
+ *
+ * Outside of Node, where there is no environment to consult, truecolor is
+ * assumed, as browser consoles render it.
+ *
+ * @param {object} [options] Where to look.
+ * @param {object} [options.env=process.env] The environment variables.
+ * @param {object} [options.stream=process.stdout] The stream that will be
+ * written to, checked for `isTTY`.
+ * @returns {number} An index into {@link ColorLevels}.
+ *
+ * @example
+ * detectColorLevel({ env: { NO_COLOR: '1' } })                  // 0
+ * detectColorLevel({ env: { COLORTERM: 'truecolor' }, stream })  // 3
+ */
+export function detectColorLevel(options = {}) {
+  const process = globalThis.process
+  const {
+    env = process?.env,
+    stream = process?.stdout,
+  } = options ?? {}
+
+  if (!env)
+    return 3
+
+  if (env.FORCE_COLOR !== undefined) {
+    const force = String(env.FORCE_COLOR).toLowerCase()
+
+    if (force === '0' || force === 'false')
+      return 0
+
+    return ['2', '3'].includes(force) ? Number(force) : 1
+  }
+
+  if (env.NO_COLOR)
+    return 0
+
+  if (!stream?.isTTY || env.TERM === 'dumb')
+    return 0
+
+  if (/^(truecolor|24bit)$/i.test(env.COLORTERM ?? ''))
+    return 3
+
+  if (/256/.test(env.TERM ?? ''))
+    return 2
+
+  return 1
+}
+
+/**
+ * Returns the color level all styled output in this library is rendered
+ * at: the one chosen with {@link setColorLevel}, or else the one
+ * {@link detectColorLevel} finds, detected once and then remembered.
+ *
+ * @returns {number} An index into {@link ColorLevels}.
+ */
+export function getColorLevel() {
+  if (chosenLevel !== undefined)
+    return chosenLevel
+
+  return detectedLevel ??= detectColorLevel()
+}
+
+/**
+ * Chooses the color level all styled output in this library is rendered
+ * at, overriding detection. Colors beyond the level are downgraded to the
+ * nearest color it supports, and level `0` removes styling altogether.
+ *
+ * @param {number|string} level A level, as an index into or name from
+ * {@link ColorLevels}, or `'auto'` to detect it again from the
+ * environment.
+ * @returns {number} The level now in effect.
+ * @throws {TypeError} If `level` is not a known level.
+ *
+ * @example
+ * setColorLevel('ansi256')
+ * String.sgr('hi', '#ff8800') // '\x1b[38;5;214mhi\x1b[39m'
+ */
+export function setColorLevel(level) {
+  if (level === 'auto') {
+    chosenLevel = detectedLevel = undefined
+
+    return getColorLevel()
+  }
+
+  const index = typeof level === 'string' ? ColorLevels.indexOf(level) : level
+
+  if (!Number.isInteger(index) || !ColorLevels[index])
+    throw new TypeError(`Unknown color level: ${String(level)}`)
+
+  return chosenLevel = index
+}
+
+/**
+ * Reads a color specification. Recognized forms are the names in
+ * {@link BasicColors}, hex colors (`'#f80'` or `'#ff8800'`), `rgb(r, g, b)`,
+ * `hsl(h, s%, l%)` and 256 color palette indices, either as a number or as
+ * `ansi256(n)`.
+ *
+ * @param {string|number} spec The color to read.
+ * @returns {ParsedColor|undefined} The color, or `undefined` if `spec` is
+ * not a color.
+ *
+ * @example
+ * parseColor('#f80')          // { kind: 'rgb', value: [255, 136, 0] }
+ * parseColor('ansi256(208)')  // { kind: 'ansi256', value: 208 }
+ * parseColor('cyan')          // { kind: 'basic', value: 6 }
+ */
+export function parseColor(spec) {
+  if (typeof spec === 'number')
+    return isByte(spec) ? { kind: 'ansi256', value: spec } : undefined
+
+  if (typeof spec !== 'string')
+    return undefined
+
+  const text = spec.trim().toLowerCase()
+  let match
+
+  if (BasicColors.includes(text))
+    return { kind: 'basic', value: BasicColors.indexOf(text) }
+
+  if ((match = /^#([\da-f]{3}|[\da-f]{6})$/.exec(text))) {
+    const hex = match[1].length === 3
+      ? [...match[1]].map((digit) => digit + digit).join('')
+      : match[1]
+
+    return {
+      kind: 'rgb',
+      value: [0, 2, 4].map((at) => parseInt(hex.slice(at, at + 2), 16)),
+    }
+  }
+
+  if ((match = /^ansi256\(\s*(\d+)\s*\)$/.exec(text)))
+    return isByte(Number(match[1]))
+      ? { kind: 'ansi256', value: Number(match[1]) }
+      : undefined
+
+  if ((match = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(text))) {
+    const value = match.slice(1).map(Number)
+
+    return value.every(isByte) ? { kind: 'rgb', value } : undefined
+  }
+
+  if ((match = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/.exec(text)))
+    return { kind: 'rgb', value: hslToRgb(...match.slice(1).map(Number)) }
+
+  return undefined
+}
+
+/**
+ * Builds the escape codes that turn a color on and back off, downgraded
+ * to the nearest color the color level supports.
+ *
+ * @param {string|number|ParsedColor} color The color, as accepted by
+ * {@link parseColor} or already parsed.
+ * @param {object} [options] How to render it.
+ * @param {boolean} [options.background=false] Color the background
+ * rather than the text.
+ * @param {boolean} [options.bright=false] Use the bright variant of a
+ * basic color.
+ * @param {number} [options.level] The color level to render at. Defaults
+ * to {@link getColorLevel}.
+ * @returns {[string, string]|undefined} The opening and closing codes,
+ * both empty at level `0`, or `undefined` if `color` is not a color.
+ *
+ * @example
+ * sgrColor('#ff8800', { level: 3 })  // ['\x1b[38;2;255;136;0m', '\x1b[39m']
+ * sgrColor('#ff8800', { level: 1 })  // ['\x1b[93m', '\x1b[39m']
+ */
+export function sgrColor(color, options = {}) {
+  const {
+    background = false,
+    bright = false,
+    level = getColorLevel(),
+  } = options ?? {}
+  const parsed = typeof color === 'object' ? color : parseColor(color)
+
+  if (!parsed?.kind)
+    return undefined
+
+  if (!level)
+    return ['', '']
+
+  const close = `\x1b[${background ? 49 : 39}m`
+  let { kind, value } = parsed
+
+  if (kind === 'rgb' && level < 3) {
+    kind = 'ansi256'
+    value = rgbToAnsi256(...value)
+  }
+
+  if (kind === 'ansi256' && level < 2) {
+    kind = 'basic'
+    value = ansi256ToBasic(value)
+  }
+
+  switch (kind) {
+    case 'rgb':
+      return [`\x1b[${background ? 48 : 38};2;${value.join(';')}m`, close]
+
+    case 'ansi256':
+      return [`\x1b[${background ? 48 : 38};5;${value}m`, close]
+
+    default: {
+      const isBright = bright || value > 7
+      const base = background
+        ? (isBright ? 100 : 40)
+        : (isBright ? 90 : 30)
+
+      return [`\x1b[${base + (value % 8)}m`, close]
+    }
+  }
+}
+
+/**
+ * A color read by {@link parseColor}. Basic colors are palette indices
+ * from 0 to 15, where 8 and above are the bright variants.
+ *
+ * ```
+ * interface ParsedColor {
+ *   kind: 'basic' | 'ansi256' | 'rgb';
+ *   value: number | [number, number, number];
+ * }
+ * ```
+ *
+ * @typedef {object} ParsedColor
+ */
+
+export default {
+  BasicColors,
+  ColorLevels,
+
+  detectColorLevel,
+  getColorLevel,
+  parseColor,
+  setColorLevel,
+  sgrColor,
+}
+
+function isByte(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 255
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const s = Math.min(saturation, 100) / 100
+  const l = Math.min(lightness, 100) / 100
+  const k = (n) => (n + hue / 30) % 12
+  const a = s * Math.min(l, 1 - l)
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))
+
+  return [0, 8, 4].map((n) => Math.round(f(n) * 255))
+}
+
+/**
+ * Finds the closest entry of the 256 color palette to an RGB color, using
+ * the 6×6×6 color cube or, for grays, the 24 step grayscale ramp.
+ *
+ * @param {number} red The red component, from 0 to 255.
+ * @param {number} green The green component, from 0 to 255.
+ * @param {number} blue The blue component, from 0 to 255.
+ * @returns {number} A palette index from 16 to 255.
+ */
+function rgbToAnsi256(red, green, blue) {
+  if (red === green && green === blue) {
+    if (red < 8)
+      return 16
+
+    if (red > 248)
+      return 231
+
+    return Math.round(((red - 8) / 247) * 24) + 232
+  }
+
+  return 16 +
+    36 * Math.round((red / 255) * 5) +
+    6 * Math.round((green / 255) * 5) +
+    Math.round((blue / 255) * 5)
+}
+
+/**
+ * Finds the closest of the 16 basic colors to an entry of the 256 color
+ * palette.
+ *
+ * @param {number} index A palette index from 0 to 255.
+ * @returns {number} A basic color index from 0 to 15.
+ */
+function ansi256ToBasic(index) {
+  if (index < 16)
+    return index
+
+  let red, green, blue
+
+  if (index >= 232) {
+    red = green = blue = ((index - 232) * 10 + 8) / 255
+  }
+  else {
+    const cube = index - 16
+
+    red = Math.floor(cube / 36) / 5
+    green = Math.floor((cube % 36) / 6) / 5
+    blue = (cube % 6) / 5
+  }
+
+  const value = Math.max(red, green, blue) * 2
+
+  if (value === 0)
+    return 0
+
+  const color = (Math.round(blue) << 2) | (Math.round(green) << 1) | Math.round(red)
+
+  return value >= 2 ? color + 8 : color
+}
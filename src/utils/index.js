@@ -1,3 +1,26 @@
+export * from './ansi.js'
+import {
+  AnsiPalette,
+
+  ansiPattern,
+  ansiStylesheet,
+  ansiToHtml,
+  ansiToText,
+  parseAnsi,
+} from './ansi.js'
+
+export * from './colors.js'
+import {
+  BasicColors,
+  ColorLevels,
+
+  detectColorLevel,
+  getColorLevel,
+  parseColor,
+  setColorLevel,
+  sgrColor,
+} from './colors.js'
+
 export * from './copy.object.js'
 import {
   COPropertyHandler,
@@ -20,25 +43,82 @@ import {
   kVisibilityKeys,
 } from './copy.object.js'
 
+export * from './native.counterparts.js'
+import {
+  applyCompatPlan,
+  declareNative,
+  entryDescriptor,
+  nativeCounterparts,
+  planCompat,
+  revertPolyfills,
+} from './native.counterparts.js'
+
+export * from './patch.conflicts.js'
+import {
+  ConflictPolicies,
+  PatchConflictError,
+
+  applyPatchWithPolicy,
+  findPatchConflicts,
+  isPatchApplied,
+  revertPatch,
+} from './patch.conflicts.js'
+
+export * from './realms.js'
+import {
+  clonePatch,
+  realmOf,
+  registerRealm,
+  resolveRealm,
+} from './realms.js'
+
 export * from './stdout.js'
 import {
   StringConsole,
   StringConsoleExtension,
   StdoutGlobalPatches,
 
+  captureOutput,
   captureStdout,
 } from './stdout.js'
 
+export * from './tokenizer.js'
+import {
+  TokenizerPresets,
+
+  tokenize,
+} from './tokenizer.js'
+
 export * from './toolkit.js'
 import {
+  AssertionError,
+  ConversionError,
+  ShapeError,
+  TypeAssertionError,
+
   as,
+  assert,
+  delete as del,
+  get,
   has,
   is,
+  set,
   si,
 
+  assertShape,
   createToolkit,
+  softAssert,
+  validateShape,
 } from './toolkit.js'
 
+export * from './type.registry.js'
+import {
+  TypeRegistry,
+
+  isClassLike,
+  typeRegistry,
+} from './type.registry.js'
+
 export * from './descriptor.utils.js'
 import {
   accessor,
@@ -54,38 +134,84 @@ import {
 } from './descriptor.utils.js'
 
 export default {
+  AnsiPalette,
+  AssertionError,
+  BasicColors,
   COPropertyHandler,
+  ColorLevels,
+  ConflictPolicies,
+  ConversionError,
   FlexiblyHiddenHandler,
   FlexiblyVisibleHandler,
   ImmutablyHiddenHandler,
   ImmutablyVisibleHandler,
   MutablyHiddenHandler,
   MutablyVisibleHandler,
+  PatchConflictError,
+  ShapeError,
   StdoutGlobalPatches,
   StringConsole,
+  TokenizerPresets,
+  TypeAssertionError,
+  TypeRegistry,
   VisibilityKeys,
   VisibilityScopeHandler,
 
   as,
+  assert,
+  delete: del,
+  get,
   has,
   is,
+  set,
   si,
 
   accessor,
+  ansiPattern,
+  ansiStylesheet,
+  ansiToHtml,
+  ansiToText,
+  applyCompatPlan,
+  applyPatchWithPolicy,
+  assertShape,
+  captureOutput,
   captureStdout,
+  clonePatch,
   copyObject,
   createToolkit,
   customCopyObject,
   data,
+  declareNative,
   describe,
   describeMany,
+  detectColorLevel,
+  entryDescriptor,
   extract,
+  findPatchConflicts,
+  getColorLevel,
+  isClassLike,
   isDescriptor,
+  isPatchApplied,
   makeTransducer,
+  nativeCounterparts,
+  parseAnsi,
+  parseColor,
+  planCompat,
+  realmOf,
   redescribe,
+  registerRealm,
+  resolveRealm,
+  revertPatch,
+  revertPolyfills,
+  setColorLevel,
+  sgrColor,
+  softAssert,
+  tokenize,
   transduceFrom,
   transduceFromCOHandler,
   tryIgnore,
+  typeRegistry,
+  validateShape,
 
   kAccessorDescriptorKeys,
   kDataDescriptorKeys,
@@ -0,0 +1,364 @@
+import { Patch } from '@nejs/extension'
+
+/**
+ * Declarations pairing patch entries with the native features they
+ * duplicate, keyed first by patch and then by patch entry key.
+ *
+ * @type {Map<Patch, Map<string|symbol, NativeCounterpart>>}
+ */
+const declarations = new Map()
+
+/**
+ * The polyfill patches applied on behalf of each patch by
+ * {@link applyCompatPlan}, so they can be reverted alongside it.
+ *
+ * @type {Map<Patch, Set<Patch>>}
+ */
+const appliedPolyfills = new Map()
+
+/**
+ * The own properties replaced when {@link applyCompatPlan} installed a
+ * held back fallback, keyed first by patch and then by key, so that
+ * {@link revertPolyfills} can put them back. Keys the owner did not have
+ * map to `undefined`.
+ *
+ * @type {Map<Patch, Map<string|symbol, PropertyDescriptor|undefined>>}
+ */
+const installedFallbacks = new Map()
+
+/**
+ * Declares that the entry `key` of `patch` duplicates a feature the
+ * runtime may ship natively. When patches are enabled in compatibility
+ * mode, the native feature is used if it is present and passes `probe`,
+ * and the entry, or `polyfill` when given, is installed otherwise.
+ *
+ * The entry may instead be given as `fallback`, a table shaped like the
+ * one passed to `new Patch()`, from which only `key` is taken. It is then
+ * added to the patch only if the native feature is missing or fails its
+ * probe right now, so that a working native is never overridden, or even
+ * captured as a conflict, when the patch is built. A fallback held back
+ * this way is still installed in compatibility mode should the native
+ * feature later fail its probe.
+ *
+ * The property found on the owner at the time of declaration is
+ * remembered, so the native feature can still be tested once the patch
+ * itself has been applied over it.
+ *
+ * @param {Patch} patch The patch containing the entry.
+ * @param {string|symbol} key The key of the entry.
+ * @param {object} options How to recognize the native feature.
+ * @param {function(*): boolean} options.probe Receives the native value
+ * and returns `true` if it behaves as the specification requires. Probes
+ * that throw are treated as having returned `false`.
+ * @param {object} [options.fallback] A patch table defining `key`, used
+ * in place of an existing entry of `patch`.
+ * @param {Patch[]} [options.polyfill] Patches to apply instead of the
+ * entry when the native feature is missing or fails its probe. Only
+ * needed when the entry is not itself a spec-accurate polyfill, as with
+ * the `Iterator` extension.
+ * @returns {NativeCounterpart} The declaration.
+ * @throws {TypeError} If `key` is neither an entry of `patch` nor defined
+ * by `fallback`, or `probe` is not a function.
+ *
+ * @example
+ * declareNative(MapExtensions, 'groupBy', {
+ *   probe: (groupBy) => groupBy([1, 2], (n) => n % 2).get(1)?.[0] === 1,
+ *   fallback: { [Patch.kMutablyHidden]: { groupBy(items, callback) {} } },
+ * })
+ */
+export function declareNative(patch, key, options) {
+  const { probe, polyfill = [], fallback } = options ?? {}
+  const picked = fallback === undefined
+    ? undefined
+    : pickFallback(fallback, key)
+
+  if (fallback === undefined && !Object.hasOwn(patch?.patchEntries ?? {}, key))
+    throw new TypeError(`${String(key)} is not an entry of this patch`)
+
+  if (fallback !== undefined && !picked)
+    throw new TypeError(`${String(key)} is not defined by its fallback`)
+
+  if (typeof probe !== 'function')
+    throw new TypeError(`The native ${String(key)} needs a probe function`)
+
+  const declared = Object.getOwnPropertyDescriptor(patch.owner, key)
+  const native = declared?.get ? declared.get.call(patch.owner) : declared?.value
+  const heldBack = !!picked &&
+    native !== undefined &&
+    passesProbe({ probe }, native)
+
+  if (picked && !heldBack)
+    patch.generatePatchEntries(picked.table)
+
+  const counterpart = Object.freeze({
+    patch,
+    key,
+    probe,
+    polyfill: [...polyfill],
+    declared,
+    fallback: heldBack ? picked.descriptor : undefined,
+  })
+
+  if (!declarations.has(patch))
+    declarations.set(patch, new Map())
+
+  declarations.get(patch).set(key, counterpart)
+
+  return counterpart
+}
+
+/**
+ * Finds the descriptor of `key` in `patch`, whether it is one of its
+ * entries or a fallback {@link declareNative} held back from it.
+ *
+ * @param {Patch} patch The patch to look in.
+ * @param {string|symbol} key The key to find.
+ * @returns {PropertyDescriptor|undefined} The descriptor, if there is one.
+ */
+export function entryDescriptor(patch, key) {
+  return (
+    patch.patchEntries[key]?.descriptor ??
+    declarations.get(patch)?.get(key)?.fallback
+  )
+}
+
+/**
+ * Lists the native counterparts declared for `patch`.
+ *
+ * @param {Patch} patch The patch to look up.
+ * @returns {NativeCounterpart[]} Its declarations, in declaration order.
+ */
+export function nativeCounterparts(patch) {
+  return [...(declarations.get(patch)?.values() ?? [])]
+}
+
+/**
+ * Decides, for every declared native counterpart among `entries`, whether
+ * the native feature or the polyfill should be used.
+ *
+ * @param {Array<[object, Patch, string]>} entries `[owner, patch,
+ * ownerName]` entries, as found in `StaticPatches` and `InstancePatches`.
+ * @returns {CompatDecision[]} One decision per declared counterpart.
+ */
+export function planCompat(entries) {
+  const plan = []
+
+  for (const [owner, patch, ownerName] of entries) {
+    const isPrototype = owner !== globalThis &&
+      Object.hasOwn(owner, 'constructor') &&
+      owner.constructor?.prototype === owner
+    const target = owner === globalThis
+      ? 'globalThis'
+      : isPrototype ? `${ownerName}.prototype` : ownerName
+
+    for (const counterpart of nativeCounterparts(patch)) {
+      const native = nativeValue(counterpart)
+      const present = native !== undefined
+      const compliant = present && passesProbe(counterpart, native)
+
+      plan.push({
+        target,
+        key: counterpart.key,
+        patch,
+        present,
+        compliant,
+        path: compliant ? 'native' : 'polyfill',
+      })
+    }
+  }
+
+  return plan
+}
+
+/**
+ * Applies `patch` following the decisions in `plan`, a subset of which
+ * may concern it. Entries whose native counterpart is used are left out,
+ * and separate polyfill patches are applied in place of their entries.
+ * Any other entries are applied by `applyEntries`.
+ *
+ * @param {Patch} patch The patch to apply.
+ * @param {CompatDecision[]} plan From {@link planCompat}.
+ * @param {function(Patch, Array<string|symbol>)} applyEntries Applies
+ * the patch, leaving out the supplied keys.
+ */
+export function applyCompatPlan(patch, plan, applyEntries) {
+  const decisions = plan.filter((decision) => decision.patch === patch)
+  const skipped = []
+
+  for (const { key, path } of decisions) {
+    const { polyfill, fallback } = declarations.get(patch).get(key)
+
+    if (path === 'native' || polyfill.length)
+      skipped.push(key)
+
+    if (path === 'polyfill' && fallback)
+      installFallback(patch, key, fallback)
+
+    if (path === 'polyfill' && polyfill.length) {
+      if (!appliedPolyfills.has(patch))
+        appliedPolyfills.set(patch, new Set())
+
+      for (const polyfillPatch of polyfill) {
+        if (!polyfillPatch.applied)
+          polyfillPatch.apply()
+
+        appliedPolyfills.get(patch).add(polyfillPatch)
+      }
+    }
+  }
+
+  applyEntries(patch, skipped)
+}
+
+/**
+ * Reverts any polyfill patches applied, and fallbacks installed, on behalf
+ * of `patch`.
+ *
+ * @param {Patch} patch The patch being reverted.
+ */
+export function revertPolyfills(patch) {
+  for (const polyfillPatch of appliedPolyfills.get(patch) ?? [])
+    polyfillPatch.revert()
+
+  for (const [key, descriptor] of installedFallbacks.get(patch) ?? []) {
+    if (descriptor)
+      Object.defineProperty(patch.owner, key, descriptor)
+    else
+      Reflect.deleteProperty(patch.owner, key)
+  }
+
+  appliedPolyfills.delete(patch)
+  installedFallbacks.delete(patch)
+}
+
+/**
+ * A declaration made with {@link declareNative}.
+ *
+ * ```
+ * interface NativeCounterpart {
+ *   patch: Patch;                  // the patch containing the entry
+ *   key: string | symbol;          // the entry's key
+ *   probe(native): boolean;        // true if native is spec-compliant
+ *   polyfill: Patch[];             // applied in place of the entry
+ *   declared?: PropertyDescriptor; // the owner's property when declared
+ *   fallback?: PropertyDescriptor; // the entry, if held back
+ * }
+ * ```
+ *
+ * @typedef {object} NativeCounterpart
+ */
+
+/**
+ * A decision made by {@link planCompat}.
+ *
+ * ```
+ * interface CompatDecision {
+ *   target: string;                // such as 'Set.prototype'
+ *   key: string | symbol;          // the entry's key
+ *   patch: Patch;                  // the patch containing the entry
+ *   present: boolean;              // true if the runtime defines it
+ *   compliant: boolean;            // true if it passed its probe
+ *   path: 'native' | 'polyfill';   // the implementation used
+ * }
+ * ```
+ *
+ * @typedef {object} CompatDecision
+ */
+
+export default {
+  applyCompatPlan,
+  declareNative,
+  entryDescriptor,
+  nativeCounterparts,
+  planCompat,
+  revertPolyfills,
+}
+
+/**
+ * Finds the value the runtime itself provides for a counterpart. If the
+ * owner currently holds the patch's entry or one of its polyfills, the
+ * value found when the counterpart was declared is used instead.
+ *
+ * @param {NativeCounterpart} counterpart The counterpart to look up.
+ * @returns {*} The native value, or `undefined` if there is none.
+ */
+function nativeValue({ patch, key, polyfill, declared }) {
+  const current = Object.getOwnPropertyDescriptor(patch.owner, key)
+  const ours = [
+    entryDescriptor(patch, key),
+    ...polyfill.map((polyfillPatch) => (
+      polyfillPatch.patchEntries[key]?.descriptor
+    )),
+  ]
+  const isOurs = ours.some((descriptor) => (
+    descriptor && current && (
+      descriptor.value === current.value &&
+      descriptor.get === current.get
+    )
+  ))
+  const descriptor = isOurs ? declared : current
+
+  return descriptor?.get ? descriptor.get.call(patch.owner) : descriptor?.value
+}
+
+function passesProbe({ probe }, native) {
+  try {
+    return probe(native) === true
+  }
+  catch {
+    return false
+  }
+}
+
+/**
+ * Takes the definition of `key` from a patch table, along with any
+ * visibility symbol it sits under, as a table of its own.
+ *
+ * @param {object} table A table shaped like the one passed to
+ * `new Patch()`.
+ * @param {string|symbol} key The key to take.
+ * @returns {{table: object, descriptor: PropertyDescriptor}|undefined} The
+ * single entry table and the descriptor the entry would be applied with,
+ * or `undefined` if `table` does not define `key`.
+ */
+function pickFallback(table, key) {
+  for (const tableKey of Reflect.ownKeys(table)) {
+    const isGroup = Patch.isKnownPatchSymbol(tableKey)
+    const source = isGroup ? table[tableKey] : table
+
+    if ((isGroup || tableKey === key) && Object.hasOwn(Object(source), key)) {
+      const own = Object.getOwnPropertyDescriptor(source, key)
+      const entry = Object.defineProperty({}, key, own)
+
+      return {
+        table: isGroup ? { [tableKey]: entry } : entry,
+        descriptor: {
+          ...own,
+          ...(isGroup ? Patch.getDescriptorOverridesFromSymbol(tableKey) : {}),
+        },
+      }
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Installs a held back fallback on the owner of `patch`, remembering what
+ * it replaced for {@link revertPolyfills}.
+ *
+ * @param {Patch} patch The patch the fallback was held back from.
+ * @param {string|symbol} key The key of the fallback.
+ * @param {PropertyDescriptor} descriptor The fallback's descriptor.
+ */
+function installFallback(patch, key, descriptor) {
+  if (!installedFallbacks.has(patch))
+    installedFallbacks.set(patch, new Map())
+
+  const replaced = installedFallbacks.get(patch)
+
+  if (!replaced.has(key))
+    replaced.set(key, Object.getOwnPropertyDescriptor(patch.owner, key))
+
+  Object.defineProperty(patch.owner, key, descriptor)
+}
@@ -0,0 +1,300 @@
+/**
+ * The own properties of each patch's owner that {@link applyPatchWithPolicy}
+ * replaced, keyed by entry key, as they were just before the patch was
+ * applied. Keys the owner did not have map to `undefined`.
+ *
+ * @type {Map<Patch, Map<string|symbol, PropertyDescriptor|undefined>>}
+ */
+const replacedProperties = new Map()
+
+/**
+ * The policies `Controls.enablePatches` accepts for `onConflict`.
+ *
+ * - `'override'` applies every patch, replacing whatever already exists.
+ *   This is the default and matches the historical behavior.
+ * - `'skip'` leaves existing properties alone, applying only the keys that
+ *   are not yet defined on their target.
+ * - `'throw'` applies nothing and throws a {@link PatchConflictError} if
+ *   any key already exists.
+ *
+ * @type {string[]}
+ */
+export const ConflictPolicies = ['override', 'skip', 'throw']
+
+/**
+ * Thrown when patches are enabled with `onConflict: 'throw'` and one or
+ * more of the keys they define already exist on their targets.
+ */
+export class PatchConflictError extends Error {
+  /**
+   * @param {PatchConflict[]} conflicts The conflicts that were found, as
+   * reported by {@link findPatchConflicts}.
+   */
+  constructor(conflicts) {
+    const names = conflicts.map(({ target, key }) => (
+      `${target}.${String(key)}`
+    ))
+
+    super(`Patches conflict with existing properties: ${names.join(', ')}`)
+
+    this.name = 'PatchConflictError'
+    this.conflicts = conflicts
+  }
+}
+
+/**
+ * Lists every key the supplied patches define that already exists on the
+ * object being patched, either as an own property or through its prototype
+ * chain. Keys currently holding the patch's own value are reported against
+ * the value they replaced, when there was one, and are otherwise not
+ * conflicts at all.
+ *
+ * @param {Array<[object, Patch, string]>} entries `[owner, patch,
+ * ownerName]` entries, as found in `StaticPatches` and `InstancePatches`.
+ * @returns {PatchConflict[]} One record per conflicting key.
+ *
+ * @example
+ * Set.prototype.union = function() {}
+ *
+ * findPatchConflicts(InstancePatches)
+ * // [{ target: 'Set.prototype', key: 'union', source: 'user-defined', ...}]
+ */
+export function findPatchConflicts(entries) {
+  const conflicts = []
+
+  for (const [owner, patch, ownerName] of entries) {
+    const isPrototype = owner !== globalThis &&
+      Object.hasOwn(owner, 'constructor') &&
+      owner.constructor?.prototype === owner
+    const target = isPrototype ? `${ownerName}.prototype` : ownerName
+
+    for (const [key, entry] of patch.entries) {
+      const found = existingDescriptor(owner, key, entry, patch)
+
+      if (!found)
+        continue
+
+      conflicts.push({
+        target,
+        key,
+        owner,
+        patch,
+        inherited: found.inherited,
+        source: isNativeDescriptor(found.descriptor) ? 'native' : 'user-defined',
+        existing: descriptorKind(found.descriptor),
+        replacement: descriptorKind(entry.descriptor),
+        differs: !sameBehavior(found.descriptor, entry.descriptor),
+      })
+    }
+  }
+
+  return conflicts
+}
+
+/**
+ * Applies `patch` according to an `onConflict` policy. Conflicts must
+ * already have been checked for `'throw'`; here it behaves as `'override'`.
+ *
+ * The own properties the patch replaces are read from its owner first, so
+ * that {@link revertPatch} restores what was there at apply time rather
+ * than when the patch was created. When keys are skipped, the remaining
+ * entries are applied one by one and the patch itself is left unapplied.
+ *
+ * @param {Patch} patch The patch to apply.
+ * @param {PatchConflict[]} conflicts The conflicts found for `patch`.
+ * @param {string} onConflict One of {@link ConflictPolicies}.
+ * @param {Array<string|symbol>} [leaveOut=[]] Keys to skip regardless of
+ * the policy, such as those deferring to a native implementation. Keys
+ * that are not entries of the patch are ignored.
+ */
+export function applyPatchWithPolicy(
+  patch,
+  conflicts,
+  onConflict,
+  leaveOut = []
+) {
+  const keys = new Set(leaveOut)
+
+  if (onConflict === 'skip')
+    conflicts.forEach(({ key }) => keys.add(key))
+
+  const entries = patch.entries.filter(([key]) => !keys.has(key))
+
+  recordReplaced(patch, entries)
+
+  if (entries.length === patch.entries.length) {
+    patch.apply()
+    return
+  }
+
+  entries
+    .filter(([, entry]) => entry.isAllowed)
+    .forEach(([, entry]) => entry.applyTo(patch.owner))
+}
+
+/**
+ * Checks whether `patch` is applied, either wholly by `apply()` or in
+ * part by {@link applyPatchWithPolicy} skipping some of its keys, which
+ * `applied` alone does not report.
+ *
+ * @param {Patch} patch The patch to check.
+ * @returns {boolean} True if any of its entries are applied.
+ */
+export function isPatchApplied(patch) {
+  return patch.applied || replacedProperties.has(patch)
+}
+
+/**
+ * Reverts `patch`, then puts back the properties its entries replaced
+ * when {@link applyPatchWithPolicy} applied it, removing those the owner
+ * did not have. Patches applied by other means are only reverted.
+ *
+ * @param {Patch} patch The patch to revert.
+ */
+export function revertPatch(patch) {
+  const replaced = replacedProperties.get(patch) ?? new Map()
+
+  patch.revert()
+  replacedProperties.delete(patch)
+
+  for (const [key, descriptor] of replaced) {
+    if (descriptor)
+      Object.defineProperty(patch.owner, key, descriptor)
+    else
+      Reflect.deleteProperty(patch.owner, key)
+  }
+}
+
+/**
+ * A single conflict found by {@link findPatchConflicts}.
+ *
+ * ```
+ * interface PatchConflict {
+ *   target: string;          // such as 'Array' or 'Array.prototype'
+ *   key: string | symbol;    // the conflicting key
+ *   owner: object;           // the object being patched
+ *   patch: Patch;            // the patch defining the key
+ *   inherited: boolean;      // true if found on the prototype chain
+ *   source: 'native' | 'user-defined';
+ *   existing: 'method' | 'accessor' | 'data';
+ *   replacement: 'method' | 'accessor' | 'data';
+ *   differs: boolean;        // false if both behave identically
+ * }
+ * ```
+ *
+ * @typedef {object} PatchConflict
+ */
+
+export default {
+  ConflictPolicies,
+  PatchConflictError,
+
+  applyPatchWithPolicy,
+  findPatchConflicts,
+  isPatchApplied,
+  revertPatch,
+}
+
+/**
+ * Finds the descriptor a patch entry would replace or shadow. If the
+ * patch is applied, the descriptor it replaced is used instead.
+ *
+ * @param {object} owner The object being patched.
+ * @param {string|symbol} key The key being patched.
+ * @param {PatchEntry} entry The patch's entry for `key`.
+ * @param {Patch} patch The patch `entry` belongs to.
+ * @returns {{descriptor: PropertyDescriptor, inherited: boolean}|undefined}
+ * The existing descriptor, if there is one.
+ */
+function existingDescriptor(owner, key, entry, patch) {
+  const own = Object.getOwnPropertyDescriptor(owner, key)
+
+  if (own && sameBehavior(own, entry.descriptor)) {
+    const replaced = replacedProperties.get(patch)?.has(key)
+      ? replacedProperties.get(patch).get(key)
+      : new Map(patch.conflicts).get(key)?.descriptor
+
+    return replaced && (replaced.value !== undefined || replaced.get)
+      ? { descriptor: replaced, inherited: false }
+      : undefined
+  }
+
+  if (own)
+    return { descriptor: own, inherited: false }
+
+  for (
+    let prototype = Object.getPrototypeOf(owner);
+    prototype;
+    prototype = Object.getPrototypeOf(prototype)
+  ) {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, key)
+
+    if (descriptor)
+      return { descriptor, inherited: true }
+  }
+
+  return undefined
+}
+
+/**
+ * Adds the own properties of the patch's owner that `entries` are about
+ * to replace to {@link replacedProperties}. Keys already recorded keep
+ * their first record, and keys holding the entry's own value, left by a
+ * plain `apply()`, are not recorded at all, so that reverting never
+ * restores the patch itself.
+ *
+ * @param {Patch} patch The patch about to be applied.
+ * @param {Array<[string|symbol, PatchEntry]>} entries The entries about to
+ * be applied.
+ */
+function recordReplaced(patch, entries) {
+  const { owner } = patch
+
+  if (!replacedProperties.has(patch))
+    replacedProperties.set(patch, new Map())
+
+  const replaced = replacedProperties.get(patch)
+
+  for (const [key, entry] of entries) {
+    const own = Object.getOwnPropertyDescriptor(owner, key)
+    const isEntry = own &&
+      own.value === entry.descriptor.value &&
+      own.get === entry.descriptor.get
+
+    if (!replaced.has(key) && !isEntry)
+      replaced.set(key, own)
+  }
+}
+
+function descriptorKind(descriptor) {
+  if (descriptor.get || descriptor.set)
+    return 'accessor'
+
+  return typeof descriptor.value === 'function' ? 'method' : 'data'
+}
+
+function isNativeDescriptor(descriptor) {
+  return [descriptor.value, descriptor.get, descriptor.set]
+    .filter((fn) => typeof fn === 'function')
+    .some((fn) => /\{\s*\[native code\]\s*\}$/.test(
+      Function.prototype.toString.call(fn)
+    ))
+}
+
+function sameBehavior(left, right) {
+  const sameFunction = (a, b) => a === b || (
+    typeof a === 'function' &&
+    typeof b === 'function' &&
+    !isNativeDescriptor({ value: a }) &&
+    Function.prototype.toString.call(a) === Function.prototype.toString.call(b)
+  )
+
+  if (descriptorKind(left) !== descriptorKind(right))
+    return false
+
+  if (descriptorKind(left) === 'accessor')
+    return sameFunction(left.get, right.get) && sameFunction(left.set, right.set)
+
+  return Object.is(left.value, right.value) ||
+    sameFunction(left.value, right.value)
+}
@@ -0,0 +1,141 @@
+import { Patch } from '@nejs/extension'
+
+/**
+ * The global object of every known realm, keyed by that realm's
+ * `Object.prototype`. The current realm is always known.
+ *
+ * @type {WeakMap<object, object>}
+ */
+const realms = new WeakMap([[Object.prototype, globalThis]])
+
+/**
+ * Resolves a `node:vm` context, or the global object of any realm, to that
+ * realm's global object. Contexts created with `vm.createContext` are
+ * evaluated to find their `globalThis`, since the object passed to
+ * `createContext` does not expose the context's built-ins.
+ *
+ * Worker threads are not supported. They do not share objects with the
+ * thread that created them, so their built-ins cannot be reached from
+ * outside. Import this package inside the worker and call
+ * `Controls.enableAll()` there instead.
+ *
+ * @param {object} contextOrGlobal A `vm` context, or a global object such
+ * as `globalThis` or an iframe's `contentWindow`.
+ * @returns {object} The realm's global object.
+ * @throws {TypeError} If `contextOrGlobal` is neither, naming the
+ * alternative when it is a `Worker`.
+ *
+ * @example
+ * const context = vm.createContext({})
+ *
+ * resolveRealm(context) === vm.runInContext('globalThis', context) // true
+ */
+export function resolveRealm(contextOrGlobal) {
+  const workers = globalThis.process?.getBuiltinModule?.('node:worker_threads')
+
+  if (workers && contextOrGlobal instanceof workers.Worker) {
+    throw new TypeError(
+      'Worker threads cannot be patched from outside; ' +
+      'call Controls.enableAll() within the worker'
+    )
+  }
+
+  const vm = globalThis.process?.getBuiltinModule?.('node:vm')
+  const realm = vm?.isContext?.(contextOrGlobal)
+    ? vm.runInContext('globalThis', contextOrGlobal)
+    : contextOrGlobal
+
+  if (
+    Object(realm) !== realm ||
+    typeof realm.Object !== 'function' ||
+    realm.Object.prototype !== rootPrototypeOf(realm.Object.prototype)
+  ) {
+    throw new TypeError('Expected a vm context or the global object of a realm')
+  }
+
+  return realm
+}
+
+/**
+ * Records `realm` so that {@link realmOf} can recognize its values. Called
+ * by `Controls.enableIn`, but useful on its own for realms that are never
+ * patched.
+ *
+ * @param {object} contextOrGlobal A `vm` context or a realm's global
+ * object, as accepted by {@link resolveRealm}.
+ * @returns {object} The realm's global object.
+ */
+export function registerRealm(contextOrGlobal) {
+  const realm = resolveRealm(contextOrGlobal)
+
+  realms.set(realm.Object.prototype, realm)
+
+  return realm
+}
+
+/**
+ * Finds the global object of the realm `value` was created in, by following
+ * its prototype chain to that realm's `Object.prototype`. Primitives, and
+ * objects from realms never passed to {@link registerRealm}, belong to
+ * `globalThis`.
+ *
+ * @param {*} value The value to look up.
+ * @returns {object} The global object of its realm.
+ *
+ * @example
+ * const other = registerRealm(vm.createContext({}))
+ *
+ * realmOf(new other.Map()) === other // true
+ * realmOf(new Map()) === globalThis  // true
+ */
+export function realmOf(value) {
+  if (Object(value) !== value)
+    return globalThis
+
+  return realms.get(rootPrototypeOf(value)) ?? globalThis
+}
+
+/**
+ * Copies `patch` for another owner, typically the same built-in in another
+ * realm. The copy installs the very same functions and accessors, so both
+ * share their implementation, but is applied and reverted independently.
+ *
+ * Because those functions belong to the current realm, installing them in
+ * a `vm` context hands the context a way out of it. See
+ * `Controls.enableIn`.
+ *
+ * @param {Patch} patch The patch to copy.
+ * @param {object} owner The object the copy will patch.
+ * @returns {Patch} The copy.
+ */
+export function clonePatch(patch, owner) {
+  const descriptors = Object.create(null)
+
+  for (const [key, entry] of patch.entries)
+    descriptors[key] = { ...entry.descriptor }
+
+  return new Patch(owner, Object.defineProperties({}, descriptors), {
+    displayName: patch.ownerDisplayName,
+  })
+}
+
+export default {
+  clonePatch,
+  realmOf,
+  registerRealm,
+  resolveRealm,
+}
+
+function rootPrototypeOf(value) {
+  let root = value
+
+  for (
+    let prototype = Object.getPrototypeOf(value);
+    prototype;
+    prototype = Object.getPrototypeOf(prototype)
+  ) {
+    root = prototype
+  }
+
+  return root
+}
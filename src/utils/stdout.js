@@ -1,4 +1,6 @@
 import { Extension, Patch } from '@nejs/extension'
+import { ansiToHtml } from './ansi.js'
+import { getColorLevel, parseColor, setColorLevel, sgrColor } from './colors.js'
 
 /**
  * True when running in an environment that has `process.stdout` (Node.js).
@@ -11,6 +13,26 @@ const hasProcess = (
   process?.stderr?.write
 )
 
+/**
+ * The storage tracking which capture, if any, the code currently running
+ * belongs to. Only available where `node:async_hooks` is.
+ *
+ * @type {AsyncLocalStorage|undefined}
+ */
+const captureStorage = (() => {
+  const hooks = globalThis.process?.getBuiltinModule?.('node:async_hooks')
+
+  return hooks?.AsyncLocalStorage ? new hooks.AsyncLocalStorage() : undefined
+})()
+
+/**
+ * How many {@link captureOutput} calls are running and, while any are, the
+ * stream writers they replaced and the writers replacing them.
+ *
+ * @type {{count: number, replaced: object, installed: object}}
+ */
+const captureWriters = { count: 0, replaced: {}, installed: {} }
+
 /**
  * Captures the output written to `process.stdout` during the execution of
  * a callback function. This function temporarily overrides the standard
@@ -27,7 +49,8 @@ const hasProcess = (
  * @param {Array} [args=[]] - Arguments to pass to the callback function.
  * @param {Object} [thisArg=console] - The value of `this` provided for
  *   the call to `callback`.
- * @returns {string} The captured output from `process.stdout`.
+ * @returns {string} The captured output from `process.stdout`, without
+ *   its final newline, if it ends with one.
  *
  * @example
  * const output = captureStdout(() => {
@@ -37,15 +60,11 @@ const hasProcess = (
  *
  * @description
  * This function is useful for testing or capturing console output without
- * displaying it in the terminal. It works by temporarily replacing
- * `process.stdout.write` with a custom function that appends output to a
- * string. After the callback is executed, the original `process.stdout.write`
- * is restored.
+ * displaying it in the terminal. It is a synchronous shorthand for
+ * {@link captureOutput}, which should be preferred for asynchronous
+ * callbacks or when `process.stderr` is also of interest.
  */
 export function captureStdout(callback, args = [], thisArg = console) {
-  let captured = ''
-  const originalWrite = hasProcess ? process.stdout.write : null
-
   if (typeof callback !== 'function') {
     let newArgs = [callback]
 
@@ -63,23 +82,107 @@ export function captureStdout(callback, args = [], thisArg = console) {
     args = []
   }
 
-  if (hasProcess) {
-    process.stdout.write = (chunk, encoding, callback) => {
-      captured += chunk
-    }
+  const { stdout } = captureOutput(() => callback.apply(thisArg, args), {
+    stderr: false,
+  })
+
+  return stdout.endsWith('\n') ? stdout.slice(0, -1) : stdout
+}
+
+/**
+ * Captures what is written to `process.stdout` and `process.stderr` while
+ * `fn` runs, including any asynchronous work it awaits. Writes from both
+ * streams are recorded in the order they happened.
+ *
+ * Captures are tracked with `AsyncLocalStorage`, so only writes made from
+ * within `fn`, or from callbacks and promises it started, are captured.
+ * Concurrent captures, such as those of tests running in parallel, each
+ * see only their own output, and writes from elsewhere still reach the
+ * streams. A nested capture passes the streams it ignores to the capture
+ * enclosing it.
+ *
+ * In browser environments, where there are no streams to capture, `fn` is
+ * still run but nothing is captured.
+ *
+ * @param {Function} fn The function to run. It may return a promise.
+ * @param {object} [options] Additional options.
+ * @param {boolean} [options.stdout=true] Capture `process.stdout`.
+ * @param {boolean} [options.stderr=true] Capture `process.stderr`.
+ * @param {boolean} [options.async=false] Always return a promise. One is
+ * returned regardless when `fn` returns a promise.
+ * @returns {CapturedOutput|Promise<CapturedOutput>} The captured output,
+ * once `fn` and any promise it returned have settled.
+ * @throws {TypeError} If `fn` is not a function.
+ *
+ * @example
+ * const { stdout, stderr, output } = await captureOutput(async () => {
+ *   console.log('one')
+ *   await somethingElse()
+ *   console.error('two')
+ * })
+ * // stdout: 'one\n', stderr: 'two\n', output: 'one\ntwo\n'
+ */
+export function captureOutput(fn, options = {}) {
+  const { stdout = true, stderr = true, async = false } = options ?? {}
+
+  if (typeof fn !== 'function')
+    throw new TypeError('captureOutput requires a function to run')
+
+  const capture = {
+    stdout,
+    stderr,
+    chunks: [],
+    parent: captureStorage?.getStore(),
   }
+  const finish = (result) => ({ ...summarize(capture.chunks), result })
+
+  if (!hasProcess || !captureStorage) {
+    const result = fn()
+
+    return async || typeof result?.then === 'function'
+      ? Promise.resolve(result).then(finish)
+      : finish(result)
+  }
+
+  installWriters()
+
+  let result
 
   try {
-    callback.apply(thisArg, args)
-  } finally {
-    if (hasProcess) {
-      process.stdout.write = originalWrite
-    }
+    result = captureStorage.run(capture, fn)
+  }
+  catch (error) {
+    uninstallWriters()
+    throw error
+  }
+
+  if (async || typeof result?.then === 'function') {
+    return Promise.resolve(result)
+      .finally(uninstallWriters)
+      .then(finish)
   }
 
-  return captured.substring(0, captured.length - 1)
+  uninstallWriters()
+
+  return finish(result)
 }
 
+/**
+ * The result of {@link captureOutput}.
+ *
+ * ```
+ * interface CapturedOutput {
+ *   stdout: string;           // everything written to stdout
+ *   stderr: string;           // everything written to stderr
+ *   output: string;           // both, in the order they were written
+ *   chunks: Array<{ stream: 'stdout' | 'stderr', text: string }>;
+ *   result: any;              // what fn returned, or resolved to
+ * }
+ * ```
+ *
+ * @typedef {object} CapturedOutput
+ */
+
 /**
  * A class that simulates a console for capturing and manipulating console
  * output as strings. This class provides methods to log messages, format
@@ -130,6 +233,79 @@ export class StringConsole {
    */
   captureOutput = true;
 
+  /**
+   * A structured record of every call captured by this console, in the
+   * order they were made. Unlike {@link StringConsole.buffer}, which only
+   * holds the rendered text, each record keeps the level, the time, the
+   * groups it was made within and the arguments as they were passed.
+   *
+   * @type {StringConsoleRecord[]}
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.warn('disk', 91)
+   * console.records[0].level // 'warn'
+   * console.records[0].args  // ['disk', 91]
+   */
+  records = [];
+
+  /**
+   * A single call captured by a {@link StringConsole}.
+   *
+   * ```
+   * interface StringConsoleRecord {
+   *   level: string;      // the method called: 'log', 'warn', 'count', ...
+   *   timestamp: number;  // milliseconds since the epoch
+   *   group: string[];    // the enclosing group names, outermost first
+   *   args: any[];        // the arguments, as passed
+   *   text: string;       // the rendered output, including ANSI codes
+   * }
+   * ```
+   *
+   * @typedef {object} StringConsoleRecord
+   */
+
+  /**
+   * The names of the groups opened with {@link StringConsole#group} and not
+   * yet closed with {@link StringConsole#groupEnd}, outermost first.
+   *
+   * @type {string[]}
+   */
+  #groups = [];
+
+  /**
+   * The counters kept by {@link StringConsole#count}, keyed by label.
+   *
+   * @type {Map<string, number>}
+   */
+  #counts = new Map();
+
+  /**
+   * The start times of the timers begun with {@link StringConsole#time},
+   * keyed by label.
+   *
+   * @type {Map<string, number>}
+   */
+  #timers = new Map();
+
+  /**
+   * The console calls are rendered with. It writes to a sink of its own
+   * rather than to `process.stdout`, so rendering neither disturbs nor is
+   * disturbed by anything replacing the global console or its streams.
+   * Created on first use, and `null` where there is no `console.Console`.
+   *
+   * @type {Console|null|undefined}
+   */
+  #renderer = undefined;
+
+  /**
+   * What {@link StringConsole#renderer} has written since it was last
+   * read.
+   *
+   * @type {string[]}
+   */
+  #rendered = [];
+
   /**
    * @typedef {
    *   Int8Array|Int16Array|Int32Array|Float32Array|Float64Array
@@ -198,10 +374,11 @@ export class StringConsole {
   }
 
   /**
-   * Clears the buffer by removing all elements.
+   * Clears the buffer and records by removing all elements.
    *
    * This method utilizes the `splice` function to remove all elements
-   * from the buffer array, effectively resetting it to an empty state.
+   * from the buffer and records arrays, effectively resetting them to an
+   * empty state.
    * This is useful when you want to discard all previously captured
    * console output and start fresh.
    *
@@ -215,6 +392,7 @@ export class StringConsole {
    */
   clear() {
     this.buffer.splice(0, this.buffer.length)
+    this.records.splice(0, this.records.length)
 
     return this
   }
@@ -258,8 +436,10 @@ export class StringConsole {
    * console.log('This will be stored in stringConsole.buffer')
    */
   startCapture() {
-    if (this.captureOutput === false)
+    if (this.captureOutput === false) {
       this.buffer = []
+      this.records = []
+    }
 
     if (hasProcess) {
       process.stdout.write = this.recorder
@@ -331,6 +511,202 @@ export class StringConsole {
     return this.buffer.join(joinOn)
   }
 
+  /**
+   * Converts the output captured so far to HTML, so that styled console
+   * output can be shown in reports. See `ansiToHtml` for the options.
+   *
+   * @param {object} [options] As accepted by `ansiToHtml`.
+   * @returns {string} The captured output as HTML, to be placed in a
+   * `<pre>`.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.error('failed')
+   * console.toHTML() // '<span style="color: #cd3131">failed</span>\n'
+   */
+  toHTML(options = undefined) {
+    return ansiToHtml(this.toString(), options)
+  }
+
+  /**
+   * Serializes the records captured so far as JSON Lines, one JSON object
+   * per line, ready to be appended to a log file. Timestamps are written
+   * as ISO 8601 strings. Arguments JSON cannot represent are converted:
+   * errors to their name, message and stack, `Map` and `Set` instances to
+   * arrays, bigints, symbols and functions to strings, and circular
+   * references to `'[Circular]'`.
+   *
+   * @param {object} [criteria] Only serialize the records matching these
+   * criteria, as accepted by {@link StringConsole#filter}.
+   * @returns {string} The records as JSON Lines, each line ending with a
+   * newline, or an empty string if there are none.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.info('started', { port: 8080 })
+   * console.toJSONLines()
+   * // '{"level":"info","timestamp":"2024-...","group":[],
+   * //   "args":["started",{"port":8080}],"text":"..."}\n'
+   */
+  toJSONLines(criteria = undefined) {
+    return this.filter(criteria)
+      .map(({ level, timestamp, group, args, text }) => JSON.stringify({
+        level,
+        timestamp: new Date(timestamp).toISOString(),
+        group,
+        args: toJSONSafe(args),
+        text,
+      }))
+      .map((line) => `${line}\n`)
+      .join('')
+  }
+
+  /**
+   * Lists the records matching every supplied criterion.
+   *
+   * @param {object} [criteria] The criteria to match. All records are
+   * returned when omitted.
+   * @param {string|string[]} [criteria.level] A level, or several, such as
+   * `'warn'` or `['warn', 'error']`.
+   * @param {Date|number} [criteria.since] Only records made at or after
+   * this time.
+   * @param {string|string[]} [criteria.group] A group name the record must
+   * have been made within, or a path of group names, outermost first, the
+   * record's groups must begin with.
+   * @returns {StringConsoleRecord[]} The matching records, in order.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.group('setup', ['info', 'ready'], ['warn', 'slow'])
+   * console.error('failed')
+   *
+   * console.filter({ level: 'warn', group: 'setup' }).length // 1
+   */
+  filter(criteria = undefined) {
+    const { level, since, group } = criteria ?? {}
+    const levels = level === undefined ? undefined : [level].flat()
+    const after = since === undefined ? undefined : Number(since)
+
+    return this.records.filter((record) => (
+      (!levels || levels.includes(record.level)) &&
+      (after === undefined || record.timestamp >= after) &&
+      (group === undefined || (Array.isArray(group)
+        ? group.every((name, index) => record.group[index] === name)
+        : record.group.includes(group)
+      ))
+    ))
+  }
+
+  /**
+   * Replays the captured records on another console, calling the method of
+   * the same level with the original arguments and opening and closing
+   * groups as the records require. Useful for printing logs that were
+   * captured during a test only once it has failed.
+   *
+   * @param {object} [targetConsole=console] The console to replay on. It
+   * must provide a method for each level recorded, as well as `group` and
+   * `groupEnd` if any record was made within a group.
+   * @param {object} [criteria] Only replay the records matching these
+   * criteria, as accepted by {@link StringConsole#filter}.
+   * @returns {StringConsole} `this`, for chaining.
+   *
+   * @example
+   * const captured = new StringConsole()
+   * captured.warn('retrying')
+   * captured.replay(console) // console.warn('retrying')
+   */
+  replay(targetConsole = console, criteria = undefined) {
+    let open = []
+
+    for (const { level, group, args } of this.filter(criteria)) {
+      let shared = 0
+
+      while (shared < open.length && open[shared] === group[shared])
+        shared++
+
+      open.slice(shared).forEach(() => targetConsole.groupEnd())
+      group.slice(shared).forEach((name) => targetConsole.group(name))
+      open = [...group]
+
+      targetConsole[level](...args)
+    }
+
+    open.forEach(() => targetConsole.groupEnd())
+
+    return this
+  }
+
+  /**
+   * Captures a failed assertion as `console.assert` would, as a warning
+   * beginning with `'Assertion failed'`. Nothing is output if `value` is
+   * truthy.
+   *
+   * @param {*} value The value asserted to be truthy.
+   * @param {...*} args The message and any further arguments, logged only
+   * if the assertion fails.
+   * @returns {string} The captured console output as a string.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.assert(1 + 1 === 3, 'math is %s', 'hard')
+   * // 'Assertion failed: math is hard\n', styled as a warning
+   */
+  assert(value, ...args) {
+    const values = [...args]
+
+    values[0] = `Assertion failed${values.length ? `: ${values[0]}` : ''}`
+
+    return this.#capture('assert', [value, ...args], {
+      style: 'warn',
+      values: value ? null : values,
+    })
+  }
+
+  /**
+   * Captures the number of times it has been called with `label`, as
+   * `console.count` would.
+   *
+   * @param {string} [label='default'] The counter to increment.
+   * @returns {string} The captured console output as a string.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.count()       // 'default: 1\n', styled
+   * console.count()       // 'default: 2\n', styled
+   * console.count('other') // 'other: 1\n', styled
+   */
+  count(label = 'default') {
+    label = `${label}`
+
+    const count = (this.#counts.get(label) ?? 0) + 1
+
+    this.#counts.set(label, count)
+
+    return this.#capture('count', [...arguments], {
+      style: 'log',
+      values: [`${label}: ${count}`],
+    })
+  }
+
+  /**
+   * Resets the counter for `label` kept by {@link StringConsole#count}. As
+   * with `console.countReset`, a warning is captured if there is no such
+   * counter.
+   *
+   * @param {string} [label='default'] The counter to reset.
+   * @returns {string} The captured console output as a string.
+   */
+  countReset(label = 'default') {
+    label = `${label}`
+
+    const exists = this.#counts.delete(label)
+
+    return this.#capture('countReset', [...arguments], {
+      style: 'warn',
+      values: exists ? null : [`Warning: Count for '${label}' does not exist`],
+    })
+  }
+
   /**
    * Captures formatted debug messages as though they'd been printed. The
    * resulting output that would have been printed is stored in the buffer
@@ -352,12 +728,38 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   debug(...args) {
-    args = this.constructor.colorArgs('debug', args)
+    return this.#capture('debug', args)
+  }
 
-    this.startCapture()
-    console.debug(...args)
+  /**
+   * Captures an inspection of `object`, as `console.dir` would, with the
+   * `log` level styling.
+   *
+   * @param {*} object The value to inspect.
+   * @param {object} [options] Options for `util.inspect`, such as `depth`.
+   * @returns {string} The captured console output as a string.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.dir({ a: { b: { c: {} } } }, { depth: 0 })
+   * // '{ a: [Object] }\n', styled
+   */
+  dir(object, options = undefined) {
+    return this.#capture('dir', [...arguments], {
+      style: 'log',
+      values: [this.#render('dir', [object, options])],
+    })
+  }
 
-    return this.stopCapture().lines.join('\n')
+  /**
+   * Captures its arguments as {@link StringConsole#log} does, since Node's
+   * `console.dirxml` is an alias for `console.log`.
+   *
+   * @param {...*} args The arguments to be captured.
+   * @returns {string} The captured console output as a string.
+   */
+  dirxml(...args) {
+    return this.#capture('dirxml', args, { style: 'log' })
   }
 
   /**
@@ -381,12 +783,7 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   error(...args) {
-    args = this.constructor.colorArgs('error', args)
-
-    this.startCapture()
-    console.error(...args)
-
-    return this.stopCapture().lines.join('\n')
+    return this.#capture('error', args)
   }
 
   /**
@@ -399,6 +796,10 @@ export class StringConsole {
    * group name. It captures the output of each invocation and stores it in
    * a buffer. The captured output is returned as a single string.
    *
+   * Called with only a name, as `console.group` usually is, the group stays
+   * open and everything captured is indented beneath it until the matching
+   * {@link StringConsole#groupEnd}.
+   *
    * @param {string} groupName - The name of the group under which the
    * messages will be logged.
    * @param {...Array} invocations - An array of invocations where each
@@ -419,29 +820,68 @@ export class StringConsole {
    */
   group(groupName, ...invocations) {
     const commands = ['log', 'info', 'warn', 'error', 'debug', 'trace']
-    const buffer = []
+    const name = groupName || 'grouped'
+    const label = this.constructor.style(name, ['underline', 'bold'])
+    const opening = !invocations.length
 
     invocations = invocations.filter(i => commands.includes(i?.[0]))
 
-    if (groupName)
-      groupName = this.constructor.style(groupName, ['underline', 'bold'])
-    else
-      groupName = this.constructor.style('grouped', ['underline', 'bold'])
+    const output = [
+      this.#capture('group', [label], { style: 'log', record: false })
+    ]
+
+    this.#groups.push(name)
+
+    if (opening)
+      return output[0]
 
-    this.startCapture()
-    console.group(groupName)
+    try {
+      for (const invocation of invocations) {
+        if (!Array.isArray(invocation) || invocation.length < 2)
+          continue
 
-    for (const invocation of invocations) {
-      if (!Array.isArray(invocation) || invocation.length < 2)
-        continue
+        const [level, ...args] = invocation
 
-      const [level, ...args] = invocation
-      console[level](...this.constructor.colorArgs(level, args))
+        output.push(this.#capture(level, args))
+      }
+    }
+    finally {
+      this.#groups.pop()
     }
 
-    console.groupEnd(groupName)
+    return output.join('')
+  }
+
+  /**
+   * An alias for {@link StringConsole#group}, as `console.groupCollapsed`
+   * is for `console.group` in Node.
+   *
+   * @param {string} groupName The name of the group.
+   * @param {...Array} invocations As accepted by
+   * {@link StringConsole#group}.
+   * @returns {string} The captured console output as a string.
+   */
+  groupCollapsed(groupName, ...invocations) {
+    return this.group(groupName, ...invocations)
+  }
+
+  /**
+   * Closes the innermost group opened by calling {@link StringConsole#group}
+   * with only a name. Does nothing if no group is open.
+   *
+   * @returns {string} An empty string, as nothing is output.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.group('Setup')
+   * console.log('inside')  // '  inside\n', styled
+   * console.groupEnd()
+   * console.log('outside') // 'outside\n', styled
+   */
+  groupEnd() {
+    this.#groups.pop()
 
-    return this.stopCapture().lines.join('')
+    return ''
   }
 
   /**
@@ -465,12 +905,7 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   info(...args) {
-    args = this.constructor.colorArgs('info', args)
-
-    this.startCapture()
-    console.info(...args)
-
-    return this.stopCapture().lines.join('\n')
+    return this.#capture('info', args)
   }
 
   /**
@@ -494,12 +929,90 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   log(...args) {
-    args = this.constructor.colorArgs('log', args)
+    return this.#capture('log', args)
+  }
+
+  /**
+   * Captures `data` rendered as a table, as `console.table` would, with the
+   * `log` level styling. Data that cannot be shown as a table is logged as
+   * is.
+   *
+   * @param {*} data The rows to show, as an array or object.
+   * @param {string[]} [properties] The columns to show. All are shown by
+   * default.
+   * @returns {string} The captured console output as a string.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.table([{ a: 1 }, { a: 2 }])
+   * // ┌─────────┬───┐
+   * // │ (index) │ a │
+   * // ├─────────┼───┤
+   * // │ 0       │ 1 │
+   * // │ 1       │ 2 │
+   * // └─────────┴───┘
+   */
+  table(data, properties = undefined) {
+    return this.#capture('table', [...arguments], {
+      style: 'log',
+      values: [this.#render('table', [...arguments])],
+    })
+  }
 
-    this.startCapture()
-    console.log(...args)
+  /**
+   * Starts a timer for `label`, to be reported by
+   * {@link StringConsole#timeLog} and {@link StringConsole#timeEnd}. As with
+   * `console.time`, a warning is captured if the timer already exists.
+   *
+   * @param {string} [label='default'] The timer to start.
+   * @returns {string} The captured console output as a string.
+   */
+  time(label = 'default') {
+    label = `${label}`
+
+    const exists = this.#timers.has(label)
+
+    if (!exists)
+      this.#timers.set(label, performance.now())
+
+    return this.#capture('time', [...arguments], {
+      style: 'warn',
+      values: exists
+        ? [`Warning: Label '${label}' already exists for console.time()`]
+        : null,
+    })
+  }
+
+  /**
+   * Captures the time elapsed since {@link StringConsole#time} was called
+   * with `label`, formatted as Node formats it, and stops the timer.
+   *
+   * @param {string} [label='default'] The timer to stop.
+   * @returns {string} The captured console output as a string.
+   *
+   * @example
+   * const console = new StringConsole()
+   * console.time('load')
+   * console.timeEnd('load') // 'load: 0.042ms\n', styled
+   */
+  timeEnd(label = 'default') {
+    const text = this.#elapsed('timeEnd', [...arguments], label)
+
+    this.#timers.delete(`${label}`)
+
+    return text
+  }
 
-    return this.stopCapture().lines.join('\n')
+  /**
+   * Captures the time elapsed since {@link StringConsole#time} was called
+   * with `label`, followed by `data`, leaving the timer running.
+   *
+   * @param {string} [label='default'] The timer to report.
+   * @param {...*} data Further values to log after the elapsed time.
+   * @returns {string} The captured console output as a string.
+   */
+  timeLog(label = 'default', ...data) {
+    return this.#elapsed('timeLog', [...arguments], label, data)
   }
 
   /**
@@ -523,12 +1036,7 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   trace(...args) {
-    args = this.constructor.colorArgs('trace', args)
-
-    this.startCapture()
-    console.trace(...args)
-
-    return this.stopCapture().lines.join('\n')
+    return this.#capture('trace', args)
   }
 
   /**
@@ -552,12 +1060,147 @@ export class StringConsole {
    * stringConsole.buffer // Contains the captured messages so far as an array
    */
   warn(...args) {
-    args = this.constructor.colorArgs('warn', args)
+    return this.#capture('warn', args)
+  }
+
+  /**
+   * Renders `values` as the console method for `style` would, indented for
+   * any open groups, storing the output in the buffer and a record of the
+   * call in the records.
+   *
+   * @param {string} level The method called, as recorded.
+   * @param {any[]} args The arguments, as passed.
+   * @param {object} [options] How to render the call.
+   * @param {string} [options.style=level] The console method, and level
+   * styling, to render with.
+   * @param {any[]|null} [options.values=args] The arguments to render, or
+   * `null` if the call produces no output.
+   * @param {boolean} [options.record=true] Whether to record the call.
+   * @returns {string} The rendered output.
+   */
+  #capture(level, args, options = {}) {
+    const { style = level, values = args, record = true } = options
+    let text = ''
+
+    if (values !== null) {
+      text = this.#renderWith(
+        style,
+        this.constructor.colorArgs(style, values),
+        this.#groups.length
+      )
+
+      if (this.captureOutput !== false)
+        this.buffer.push(text)
+    }
+
+    if (record)
+      this.#record(level, args, text)
+
+    return text
+  }
+
+  /**
+   * Appends a {@link StringConsoleRecord} to the records.
+   *
+   * @param {string} level The level of the call.
+   * @param {any[]} args The arguments, as passed.
+   * @param {string} text The rendered output.
+   * @param {string[]} [group] The enclosing group names, defaulting to
+   * those currently open.
+   */
+  #record(level, args, text, group = this.#groups) {
+    this.records.push({
+      level,
+      timestamp: Date.now(),
+      group: [...group],
+      args,
+      text,
+    })
+  }
+
+  /**
+   * Renders a call to the console method `method` as plain text, without
+   * indentation or level styling, so that the result can then be logged
+   * like any other message. Used for methods such as `table` whose output
+   * Node builds itself.
+   *
+   * @param {string} method The console method to render with.
+   * @param {any[]} args The arguments to pass to it.
+   * @returns {string} The rendered text, without its final newline.
+   */
+  #render(method, args) {
+    return this.#renderWith(method, args).replace(/\n$/, '')
+  }
+
+  /**
+   * Calls the console method `method` of the private renderer, within
+   * `depth` groups, and collects what it writes. Where there is no
+   * `console.Console`, the values are joined with spaces instead.
+   *
+   * @param {string} method The console method to render with.
+   * @param {any[]} values The arguments to pass to it.
+   * @param {number} [depth=0] How many groups to indent the output by.
+   * @returns {string} The rendered output, including its final newline.
+   */
+  #renderWith(method, values, depth = 0) {
+    this.#renderer ??= createRenderer(this.#rendered)
+
+    if (!this.#renderer)
+      return `${'  '.repeat(depth)}${values.map(String).join(' ')}\n`
+
+    try {
+      for (let i = 0; i < depth; i++) this.#renderer.group()
+      this.#renderer[method](...values)
+    }
+    finally {
+      for (let i = 0; i < depth; i++) this.#renderer.groupEnd()
+    }
+
+    return this.#rendered.splice(0).join('')
+  }
+
+  /**
+   * Captures the elapsed time of a timer for {@link StringConsole#timeLog}
+   * and {@link StringConsole#timeEnd}, or a warning if there is no such
+   * timer.
+   *
+   * @param {string} level The method called, as recorded.
+   * @param {any[]} args The arguments, as passed.
+   * @param {string} label The timer to report.
+   * @param {any[]} [data=[]] Further values to log.
+   * @returns {string} The rendered output.
+   */
+  #elapsed(level, args, label, data = []) {
+    label = `${label}`
+
+    if (!this.#timers.has(label)) {
+      return this.#capture(level, args, {
+        style: 'warn',
+        values: [`Warning: No such label '${label}' for console.${level}()`],
+      })
+    }
+
+    const elapsed = formatTime(performance.now() - this.#timers.get(label))
 
-    this.startCapture()
-    console.warn(...args)
+    return this.#capture(level, args, {
+      style: 'log',
+      values: [`${label}: ${elapsed}`, ...data],
+    })
+  }
 
-    return this.stopCapture().lines.join('\n')
+  /**
+   * Captures the text that would be logged to the console if
+   * `console.assert` were to be invoked, formatted according to the log
+   * colors. After formatting, the string is returned.
+   *
+   * @see {@link StringConsole#assert}
+   * @returns {string}
+   *
+   * @example
+   * const string = StringConsole.assert(isReady, 'not ready')
+   */
+  static assert(value, ...args) {
+    return this.#console.clear().assert(value, ...args)
   }
 
   /**
@@ -579,6 +1222,21 @@ export class StringConsole {
     return this.#console.clear().debug(...args)
   }
 
+  /**
+   * Captures the text that would be logged to the console if
+   * `console.dir` were to be invoked, formatted according to the log
+   * colors. After formatting, the string is returned.
+   *
+   * @see {@link StringConsole#dir}
+   * @returns {string}
+   *
+   * @example
+   * const string = StringConsole.dir(config, { depth: 1 })
+   */
+  static dir(object, options = undefined) {
+    return this.#console.clear().dir(...arguments)
+  }
+
   /**
    * Captures a single line of text that would be logged to the console if
    * the console function of the same name were to be invoked. The string
@@ -627,7 +1285,12 @@ export class StringConsole {
    * console.buffer // Contains the captured group output
    */
   static group(groupName, ...invocations) {
-    return this.#console.clear().group(groupName, ...invocations)
+    const output = this.#console.clear().group(groupName, ...invocations)
+
+    if (!invocations.length)
+      this.#console.groupEnd()
+
+    return output
   }
 
   /**
@@ -668,6 +1331,21 @@ export class StringConsole {
     return this.#console.clear().log(...args)
   }
 
+  /**
+   * Captures the text that would be logged to the console if
+   * `console.table` were to be invoked, formatted according to the log
+   * colors. After formatting, the string is returned.
+   *
+   * @see {@link StringConsole#table}
+   * @returns {string}
+   *
+   * @example
+   * const string = StringConsole.table(rows, ['name', 'size'])
+   */
+  static table(data, properties = undefined) {
+    return this.#console.clear().table(...arguments)
+  }
+
   /**
    * Captures a single line of text that would be logged to the console if
    * the console function of the same name were to be invoked. The string
@@ -723,7 +1401,11 @@ export class StringConsole {
    * color, while the second number suffix code to undo the color. These
    * codes are useless without the pen prefix code.
    *
-   * @type {Map<string, number[]>}
+   * Entries may instead hold any color `parseColor` accepts, such as a hex
+   * or `rgb()` string or a 256 color palette index, which are downgraded
+   * to suit the shared color level.
+   *
+   * @type {Map<string, number[]|string|number>}
    * @see {@link StringConsole.pens}
    *
    * @example
@@ -735,6 +1417,10 @@ export class StringConsole {
    * // Outputs: "Text" in red but "!!" in the default color
    * console.log(`${prefix}Text!!${suffix}`)
    *
+   * @example
+   * StringConsole.colors.set('orange', '#ff8800')
+   * StringConsole.color('Text', { color: 'orange' })
+   *
    * @description
    * This map is used to apply color coding to console messages, enhancing
    * readability and providing visual cues for different log levels.
@@ -783,6 +1469,10 @@ export class StringConsole {
           if (StringConsole.colors.has(value)) {
             return StringConsole.colors.get(value)
           }
+
+          if (!StringConsole.styles.has(value) && parseColor(value)) {
+            return value
+          }
         }
 
         return StringConsole.colors.get('white')
@@ -886,6 +1576,9 @@ export class StringConsole {
    * @param {Object} [options] - Configuration options for colorization.
    * @param {string} [options.level] - The log level determining
    *   which colors to apply.
+   * @param {string|number} [options.color] - The name of an entry in
+   *   {@link StringConsole.colors}, or any color `parseColor` accepts, such
+   *   as `'#ff8800'`, `'hsl(32, 100%, 50%)'` or a palette index.
    * @param {number[]} [options.rgb8] a single color code where 0 - 7, for
    * the 'standard' colors specified by the SGR sequences 30 to 37; 8-15 are
    * high intensity or bright colors,
@@ -904,6 +1597,9 @@ export class StringConsole {
    *   defined by 16 + 36 × r + 6 × g + b (0 ≤ r, g, b ≤ 5); 232-255:
    *   grayscale from dark to light in 24 steps.
    *
+   * Colors are downgraded to the nearest one the shared color level
+   * supports, and at level `0` neither colors nor styles are applied.
+   *
    * @returns {string} The colorized string with ANSI codes applied.
    *
    * @example
@@ -925,13 +1621,10 @@ export class StringConsole {
     after: [],
   }) {
     const { colors: Colors, styles: Styles, pens: Pens, levels: Levels } = this
+    const pen = Pens.has(options?.pen) ? options.pen : 'foreground'
     let useColors = undefined
-    let useRGB = false
     let styles = []
 
-    const pens = this.pens.get(options?.pen ?? 'foreground')
-    const [p0, p1] = pens
-
     if (options?.styles) {
       if (Array.isArray(options.styles))
         styles = options.styles
@@ -942,7 +1635,7 @@ export class StringConsole {
     }
 
     if (options?.level && Levels.has(options.level)) {
-      useColors = Levels.color(options.level)
+      useColors = this.#codesFor(Levels.color(options.level), pen)
 
       const addlStyles = Levels.styles(options.level)
       if (addlStyles.length)
@@ -950,28 +1643,27 @@ export class StringConsole {
     }
 
     else if (options?.color && Colors.has(options.color))
-      useColors = Colors.get(options.color)
+      useColors = this.#codesFor(Colors.get(options.color), pen)
 
-    else if (options?.rgb24 && Array.isArray(options.rgb24)) {
-      useColors = [`\x1b[${p0}8;2;${options.rgb24.join(';')};m`, `\x1b[${p1}9m`]
-      useRGB = true
-    }
+    else if (options?.color !== undefined && parseColor(options.color))
+      useColors = this.#codesFor(options.color, pen)
 
-    else if (options?.rgb8 && typeof options.rgb8 === 'number' ) {
-      useColors = [`\x1b[${p0}8;5;${options.rgb8}m`, `\x1b[${p1}9m`]
-      useRGB = true
-    }
+    else if (options?.rgb24 && Array.isArray(options.rgb24))
+      useColors = this.#codesFor({ kind: 'rgb', value: options.rgb24 }, pen)
 
-    else useColors = [9,9]
+    else if (options?.rgb8 !== undefined && typeof options.rgb8 === 'number')
+      useColors = this.#codesFor(options.rgb8, pen)
 
-    const [c0, c1] = (useRGB
-      ? useColors
-      : useColors?.map((c,i) => `\x1b[${pens[i]}${c}m`) ?? [`\x1b[39;49m`]
-    )
+    else useColors = this.#codesFor([9, 9], pen)
+
+    const [c0, c1] = useColors ?? this.#codesFor([9, 9], pen)
+
+    if (!getColorLevel())
+      styles = []
 
-    if (this.hasColor(string)) return string
-    if (typeof string !== 'string') return string
     if (string instanceof String) (string = String(string))
+    if (typeof string !== 'string') return string
+    if (this.hasColor(string)) return string
     if (!useColors) return string
 
     if (options?.buffer && !Array.isArray(options.buffer))
@@ -1004,6 +1696,51 @@ export class StringConsole {
     return [...buffer, before.join(''), string, after.join('')].join('')
   }
 
+  /**
+   * The color level that {@link StringConsole.color},
+   * {@link StringConsole.style} and `String.sgr` all render at. Reading it
+   * returns `getColorLevel()` and assigning it calls `setColorLevel()`, so
+   * `'auto'` or a level name may be assigned as well as a number.
+   *
+   * @type {number}
+   *
+   * @example
+   * StringConsole.colorLevel = 'ansi256'
+   * StringConsole.colorLevel // 2
+   */
+  static get colorLevel() {
+    return getColorLevel()
+  }
+
+  static set colorLevel(level) {
+    setColorLevel(level)
+  }
+
+  /**
+   * Builds the codes turning a color on and off for a pen. Entries of
+   * {@link StringConsole.colors} in the original `[on, off]` form are
+   * combined with the pen's prefixes, as they always have been; any other
+   * color is handed to `sgrColor` to be downgraded as needed.
+   *
+   * @param {number[]|string|number|ParsedColor} color The color.
+   * @param {string} pen A key of {@link StringConsole.pens}.
+   * @returns {string[]|undefined} The opening and closing codes.
+   */
+  static #codesFor(color, pen) {
+    const pens = this.pens.get(pen)
+
+    if (Array.isArray(color)) {
+      return getColorLevel()
+        ? color.map((code, i) => `\x1b[${pens[i]}${code}m`)
+        : ['', '']
+    }
+
+    return sgrColor(color, {
+      background: pen.endsWith('background'),
+      bright: pen.startsWith('bright'),
+    })
+  }
+
   /**
    * Applies color formatting to each argument based on the specified log level.
    *
@@ -1086,6 +1823,9 @@ export class StringConsole {
    * // styledText will have 'Hello' with bold and underline styles
    */
   static style(string, styles) {
+    if (!getColorLevel())
+      return String(string)
+
     const before = []
     const after = []
     const buffer = []
@@ -1164,6 +1904,7 @@ export const SC = StringConsole
 export const StringConsoleExtension = new Extension(StringConsole)
 export const StdoutGlobalPatches = new Patch(globalThis, {
   [Patch.kMutablyHidden]: {
+    captureOutput,
     captureStdout,
   }
 })
@@ -1174,5 +1915,200 @@ export default {
   StringConsoleExtension,
   StdoutGlobalPatches,
 
+  captureOutput,
   captureStdout,
-}
\ No newline at end of file
+}
+
+/**
+ * Replaces `process.stdout.write` and `process.stderr.write`, when the
+ * first capture begins, with writers that record the chunks written on
+ * behalf of the capture in the current async context. A stream the capture
+ * ignores is left to the capture enclosing it, if any, and otherwise to the
+ * writer that was replaced.
+ */
+function installWriters() {
+  if (captureWriters.count++ > 0)
+    return
+
+  for (const stream of ['stdout', 'stderr']) {
+    const original = process[stream].write
+    const write = function write(chunk, encoding, callback) {
+      let capture = captureStorage.getStore()
+
+      while (capture && !capture[stream])
+        capture = capture.parent
+
+      if (!capture)
+        return original.apply(this, arguments)
+
+      capture.chunks.push({ stream, text: chunkToString(chunk, encoding) })
+
+      const done = typeof encoding === 'function' ? encoding : callback
+
+      if (typeof done === 'function')
+        queueMicrotask(() => done())
+
+      return true
+    }
+
+    captureWriters.replaced[stream] = original
+    captureWriters.installed[stream] = write
+    process[stream].write = write
+  }
+}
+
+/**
+ * Restores the writers replaced by {@link installWriters} once the last
+ * capture has finished, unless something else has since replaced them.
+ */
+function uninstallWriters() {
+  if (--captureWriters.count > 0)
+    return
+
+  for (const stream of ['stdout', 'stderr']) {
+    if (process[stream].write === captureWriters.installed[stream])
+      process[stream].write = captureWriters.replaced[stream]
+
+    delete captureWriters.replaced[stream]
+    delete captureWriters.installed[stream]
+  }
+}
+
+/**
+ * Creates a console writing both of its streams to `chunks`. Objects are
+ * inspected with colors whenever the shared color level allows them.
+ *
+ * @param {string[]} chunks Receives everything the console writes.
+ * @returns {Console|null} The console, or `null` where the runtime has no
+ * `console.Console`.
+ */
+function createRenderer(chunks) {
+  if (typeof console?.Console !== 'function')
+    return null
+
+  const sink = {
+    write(chunk) {
+      chunks.push(String(chunk))
+
+      return true
+    },
+    get isTTY() {
+      return getColorLevel() > 0
+    },
+    getColorDepth() {
+      return [1, 4, 8, 24][getColorLevel()]
+    },
+  }
+
+  return new console.Console({
+    stdout: sink,
+    stderr: sink,
+    // the sink cannot fail, and is not an emitter to listen for errors on
+    ignoreErrors: false,
+  })
+}
+
+function chunkToString(chunk, encoding) {
+  if (typeof chunk === 'string')
+    return chunk
+
+  return globalThis.Buffer?.isBuffer?.(chunk)
+    ? chunk.toString(typeof encoding === 'string' ? encoding : 'utf8')
+    : new TextDecoder().decode(chunk)
+}
+
+function summarize(chunks) {
+  const join = (stream) => chunks
+    .filter((chunk) => !stream || chunk.stream === stream)
+    .map(({ text }) => text)
+    .join('')
+
+  return {
+    stdout: join('stdout'),
+    stderr: join('stderr'),
+    output: join(),
+    chunks: [...chunks],
+  }
+}
+
+function toJSONSafe(value, seen = new WeakSet()) {
+  switch (typeof value) {
+    case 'bigint': return `${value}n`
+    case 'symbol': return value.toString()
+    case 'function': return `[Function ${value.name || 'anonymous'}]`
+    case 'object': break
+    default: return value
+  }
+
+  if (value === null)
+    return null
+
+  if (seen.has(value))
+    return '[Circular]'
+
+  seen.add(value)
+
+  try {
+    if (value instanceof Error) {
+      const { name, message, stack } = value
+      return { name, message, stack }
+    }
+
+    if (value instanceof Map || value instanceof Set)
+      return toJSONSafe([...value], seen)
+
+    if (typeof value.toJSON === 'function')
+      return value.toJSON()
+
+    if (Array.isArray(value))
+      return value.map((item) => toJSONSafe(item, seen))
+
+    return Object.fromEntries(Object.entries(value).map(
+      ([key, item]) => [key, toJSONSafe(item, seen)]
+    ))
+  }
+  finally {
+    seen.delete(value)
+  }
+}
+
+/**
+ * Formats a duration the way Node's `console.timeEnd` does: milliseconds
+ * below a second, seconds below a minute, then `m:ss.mmm` or `h:mm:ss.mmm`
+ * followed by the format used.
+ *
+ * @param {number} ms The duration, in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatTime(ms) {
+  let hours = 0
+  let minutes = 0
+  let seconds = 0
+
+  if (ms >= 1000) {
+    if (ms >= 60000) {
+      if (ms >= 3600000) {
+        hours = Math.floor(ms / 3600000)
+        ms = ms % 3600000
+      }
+
+      minutes = Math.floor(ms / 60000)
+      ms = ms % 60000
+    }
+
+    seconds = ms / 1000
+  }
+
+  if (hours !== 0 || minutes !== 0) {
+    const [whole, fraction] = seconds.toFixed(3).split('.')
+    const pad = (value) => `${value}`.padStart(2, '0')
+    const prefix = hours !== 0 ? `${hours}:${pad(minutes)}` : minutes
+
+    return `${prefix}:${pad(whole)}.${fraction} (${hours !== 0 ? 'h:m' : ''}m:ss.mmm)`
+  }
+
+  if (seconds !== 0)
+    return `${seconds.toFixed(3)}s`
+
+  return `${Number(ms.toFixed(3))}ms`
+}
@@ -0,0 +1,278 @@
+/**
+ * Rule sets for {@link tokenize}, for the kinds of text most often scanned
+ * for balanced regions. Any of them may be spread into the options and
+ * adjusted.
+ *
+ * - `brackets` nests parentheses, square and curly brackets, with no
+ *   quotes, escapes or comments.
+ * - `javascript` adds the three JavaScript quotes, backslash escapes and
+ *   both kinds of comment.
+ * - `json` nests arrays and objects, with double quoted strings.
+ * - `config` nests brackets, with single and double quoted strings and
+ *   `#` and `;` line comments, as in INI and shell style configuration.
+ *
+ * @type {Object<string, TokenizerRules>}
+ */
+export const TokenizerPresets = {
+  brackets: {
+    pairs: [['(', ')'], ['[', ']'], ['{', '}']],
+    quotes: [],
+    escape: null,
+    comments: [],
+  },
+
+  javascript: {
+    pairs: [['(', ')'], ['[', ']'], ['{', '}']],
+    quotes: ['"', "'", '`'],
+    escape: '\\',
+    comments: ['//', ['/*', '*/']],
+  },
+
+  json: {
+    pairs: [['[', ']'], ['{', '}']],
+    quotes: ['"'],
+    escape: '\\',
+    comments: [],
+  },
+
+  config: {
+    pairs: [['(', ')'], ['[', ']'], ['{', '}']],
+    quotes: ['"', "'"],
+    escape: '\\',
+    comments: ['#', ';'],
+  },
+}
+
+/**
+ * Scans `input` for balanced regions and returns them as a tree. Regions
+ * are delimited by pairs, such as parentheses, which nest, and by quotes
+ * and comments, which do not: pairs and escapes have no effect inside
+ * them. An escape outside of a comment makes the character after it
+ * ordinary, so that it neither opens nor closes a region.
+ *
+ * Quotes and comments may be given as a single token or as an opening
+ * and closing pair of tokens. A single quote token closes itself and a
+ * single comment token comments out the rest of its line. Where tokens
+ * overlap, the closing token of the innermost pair is tried first and
+ * longer tokens are preferred to shorter ones.
+ *
+ * @param {string} input The text to scan.
+ * @param {TokenizerRules & {offset?: number, strict?: boolean}} [options]
+ * The rules to scan with, which default to the `javascript` preset of
+ * {@link TokenizerPresets}, along with where to start and how to handle
+ * unbalanced tokens. When `strict` is `false`, the default, closing tokens
+ * without an opening one are ignored and regions still open at the end of
+ * the input are marked as not `closed`.
+ * @returns {TokenNode} The root of the tree, spanning the scanned text.
+ * @throws {TypeError} If a rule is not a token or a pair of tokens.
+ * @throws {SyntaxError} If `strict` is set and the input is unbalanced.
+ *
+ * @example
+ * const [call] = tokenize('f(a, ")")').children
+ * call.text                // '(a, ")")'
+ * call.children[0].type    // 'quote'
+ * call.children[0].start   // 5
+ */
+export function tokenize(input, options = {}) {
+  const {
+    pairs = TokenizerPresets.javascript.pairs,
+    quotes = TokenizerPresets.javascript.quotes,
+    escape = TokenizerPresets.javascript.escape,
+    comments = TokenizerPresets.javascript.comments,
+    offset = 0,
+    strict = false,
+  } = options ?? {}
+
+  const text = String(input)
+  const openers = [
+    ...readRules(comments, 'comment', '\n'),
+    ...readRules(quotes, 'quote'),
+    ...readRules(pairs, 'pair'),
+  ].sort((left, right) => right.open.length - left.open.length)
+  const closers = openers
+    .filter(({ type }) => type === 'pair')
+    .map(({ close }) => close)
+    .sort((left, right) => right.length - left.length)
+
+  const root = {
+    type: 'root',
+    start: Math.max(0, Number(offset) || 0),
+    end: text.length,
+    depth: -1,
+    closed: true,
+    text: '',
+    children: [],
+  }
+  const stack = [root]
+  const lineComments = new WeakSet()
+
+  const finish = (node, end, closed) => {
+    node.end = end
+    node.closed = closed
+    node.text = text.slice(node.start, end)
+    stack.pop()
+  }
+
+  let index = root.start
+
+  while (index < text.length) {
+    const top = stack.at(-1)
+
+    if (top.type === 'comment') {
+      if (text.startsWith(top.close, index)) {
+        const end = lineComments.has(top) ? index : index + top.close.length
+
+        finish(top, end, true)
+        index = end
+      }
+      else
+        index++
+
+      continue
+    }
+
+    if (escape && text.startsWith(escape, index)) {
+      index += escape.length + 1
+      continue
+    }
+
+    if (top.type !== 'root' && text.startsWith(top.close, index)) {
+      finish(top, index + top.close.length, true)
+      index += top.close.length
+      continue
+    }
+
+    if (top.type === 'quote') {
+      index++
+      continue
+    }
+
+    const rule = openers.find(({ open }) => text.startsWith(open, index))
+
+    if (rule) {
+      const node = {
+        type: rule.type,
+        open: rule.open,
+        close: rule.close,
+        start: index,
+        end: -1,
+        depth: stack.length - 1,
+        closed: false,
+        text: '',
+        children: [],
+      }
+
+      if (rule.line)
+        lineComments.add(node)
+
+      top.children.push(node)
+      stack.push(node)
+      index += rule.open.length
+      continue
+    }
+
+    const stray = closers.find((close) => text.startsWith(close, index))
+
+    if (stray && strict)
+      throw new SyntaxError(`Unmatched '${stray}' at offset ${index}`)
+
+    index += stray?.length ?? 1
+  }
+
+  while (stack.length > 1) {
+    const node = stack.at(-1)
+
+    if (strict && !lineComments.has(node))
+      throw new SyntaxError(
+        `Missing '${node.close}' for '${node.open}' at offset ${node.start}`
+      )
+
+    finish(node, text.length, lineComments.has(node))
+  }
+
+  root.text = text.slice(root.start)
+
+  return root
+}
+
+/**
+ * The rules {@link tokenize} scans with. Pairs are given as an opening and
+ * a closing token; quotes and comments as either a pair or a single token.
+ * An `escape` of `null` disables escaping.
+ *
+ * ```
+ * interface TokenizerRules {
+ *   pairs?: Array<[string, string]>;
+ *   quotes?: Array<string | [string, string]>;
+ *   escape?: string | null;
+ *   comments?: Array<string | [string, string]>;
+ * }
+ * ```
+ *
+ * @typedef {object} TokenizerRules
+ */
+
+/**
+ * A region found by {@link tokenize}. Offsets index into the scanned
+ * string, with `end` just past the closing token, as `slice` expects. The
+ * root spans everything scanned and has a `depth` of `-1`.
+ *
+ * ```
+ * interface TokenNode {
+ *   type: 'root' | 'pair' | 'quote' | 'comment';
+ *   open?: string;
+ *   close?: string;
+ *   start: number;
+ *   end: number;
+ *   depth: number;
+ *   closed: boolean;
+ *   text: string;
+ *   children: TokenNode[];
+ * }
+ * ```
+ *
+ * @typedef {object} TokenNode
+ */
+
+export default {
+  TokenizerPresets,
+
+  tokenize,
+}
+
+/**
+ * Normalizes a list of rules into opening and closing tokens, where a
+ * lone token closes itself or, when `lineClose` is given, ends its line.
+ *
+ * @param {Array<string|[string, string]>} rules The rules to read.
+ * @param {string} type The type of region they delimit.
+ * @param {string} [lineClose] What ends the region of a lone token, if
+ * not the token itself.
+ * @returns {Array<{type: string, open: string, close: string, line:
+ * boolean}>} The rules.
+ * @throws {TypeError} If a rule is not a token or a pair of tokens.
+ */
+function readRules(rules, type, lineClose = undefined) {
+  return [...(rules ?? [])].map((rule) => {
+    const [open, close] = typeof rule === 'string'
+      ? [rule, lineClose ?? rule]
+      : [...(rule ?? [])]
+
+    if (
+      typeof open !== 'string' || !open ||
+      typeof close !== 'string' || !close ||
+      (type === 'pair' && typeof rule === 'string')
+    ) {
+      throw new TypeError(
+        `Expected a ${type} token or pair of tokens, got ${String(rule)}`
+      )
+    }
+
+    return {
+      type,
+      open,
+      close,
+      line: typeof rule === 'string' && lineClose !== undefined,
+    }
+  })
+}
@@ -1,3 +1,7 @@
+import { Deferred } from '../classes/deferred.js'
+import { Type } from '../classes/type.js'
+import { isClassLike, typeRegistry } from './type.registry.js'
+
 const map = new Map([
   ['object', Object],       [Object, 'object'],       ['Object', Object],
   ['number', Number],       [Number, 'number'],       ['Number', Number],
@@ -10,6 +14,45 @@ const map = new Map([
   ['null', null],           [null, 'null'],
 ])
 
+/**
+ * Marks functions built by the `is` combinators (`is.oneOf`, `is.arrayOf`
+ * and friends) so they can be told apart from classes and plain functions.
+ */
+const kPredicate = Symbol.for('@nejs.toolkit.predicate')
+
+/**
+ * The assertions returned by the combinators of {@link assert}, such as
+ * `assert.arrayOf(is.string)`, so that {@link softAssert} can tell them
+ * apart from values returned by a passing assertion.
+ *
+ * @type {WeakSet<Function>}
+ */
+const combinatorAssertions = new WeakSet()
+
+/**
+ * How {@link assert} describes the types its methods expect, where the
+ * name of the `is` method, split into words, would not read well.
+ *
+ * @type {Object<string, string>}
+ */
+const assertionExpectations = {
+  nullish: 'null or undefined',
+  shiny: 'object or function',
+}
+
+/**
+ * Stands in for a `*` segment once a path has been parsed, so that a
+ * literal '*' key (written `["*"]`) can still be told apart.
+ */
+const kWildcard = Symbol.for('@nejs.toolkit.path.wildcard')
+
+/**
+ * Path segments that {@link set#path} and {@link delete#path} refuse to
+ * walk through, since they lead from an object to its prototype and
+ * writing there would change every object that inherits from it.
+ */
+const kUnsafePathKeys = new Set(['__proto__', 'constructor', 'prototype'])
+
 /**
  * Utility functions to check the type and properties of a value.
  */
@@ -19,9 +62,14 @@ export const is = {
    *
    * This function determines if the provided value matches the specified
    * type or class. It supports both primitive types and class constructors.
+   * Predicates built by the combinators, such as {@link is#oneOf}, are
+   * called with the value and their result is returned. Names registered
+   * with the {@link typeRegistry} are tested using their registration.
    *
    * @param {*} value - The value to check.
    * @param {*} typeOrClass - The type or class to compare against.
+   * @param {object} [owner=globalThis] - The realm in which registered
+   *   type names are looked up.
    * @returns {boolean} True if the value matches the type or class,
    *   false otherwise.
    *
@@ -36,14 +84,29 @@ export const is = {
    * @example
    * // Returns false
    * is.a('string', Number)
+   *
+   * @example
+   * // Returns true
+   * is.a(null, is.oneOf(is.string, is.nullish))
+   *
+   * @example
+   * // Returns true, once 'Money' has been registered
+   * typeRegistry.register('Money', Money)
+   * is.a(new Money(5), 'Money')
    */
-  a(value, typeOrClass) {
+  a(value, typeOrClass, owner = globalThis) {
     const valueType = typeof value
     const valueTag = this.object(value) && value[Symbol.toStringTag]
 
     if (value === typeOrClass)
       return true
 
+    if (this.predicate(typeOrClass))
+      return typeOrClass(value)
+
+    if (typeof typeOrClass === 'string' && typeRegistry.has(typeOrClass, owner))
+      return typeRegistry.test(value, typeOrClass, owner)
+
     if (this.function(typeOrClass)) {
       const typeTag = this.object(typeOrClass) && typeOrClass[Symbol.toStringTag]
 
@@ -92,6 +155,28 @@ export const is = {
     )
   },
 
+  /**
+   * Builds a predicate that passes only when every one of the supplied
+   * predicates passes. Each argument may be anything {@link is#shape}
+   * accepts as a schema, so classes and type names work alongside `is.*`
+   * predicates.
+   *
+   * @param {...*} predicates The predicates, or schemas, to combine.
+   * @returns {Function} A named predicate such as
+   * `allOf(string, predicate)`.
+   *
+   * @example
+   * const shortString = is.allOf(is.string, (v) => v.length < 10)
+   * shortString('hello') // true
+   * shortString('hello, world') // false
+   */
+  allOf(...predicates) {
+    return makePredicate(
+      `allOf(${predicates.map(describeSchema).join(', ')})`,
+      (value) => predicates.every((predicate) => is.shape(value, predicate))
+    )
+  },
+
   /**
    * Check if a value is an array.
    *
@@ -106,6 +191,28 @@ export const is = {
     return Array.isArray(value)
   },
 
+  /**
+   * Builds a predicate that passes for arrays whose every element passes
+   * the supplied predicate. An empty array always passes.
+   *
+   * @param {*} predicate The predicate, or schema, for each element.
+   * @returns {Function} A named predicate such as `arrayOf(string)`.
+   *
+   * @example
+   * is.arrayOf(is.string)(['a', 'b']) // true
+   * is.arrayOf(is.string)(['a', 1]) // false
+   * is.arrayOf(Date)([new Date()]) // true
+   */
+  arrayOf(predicate) {
+    return makePredicate(
+      `arrayOf(${describeSchema(predicate)})`,
+      (value) => (
+        is.array(value) &&
+        value.every((element) => is.shape(element, predicate))
+      )
+    )
+  },
+
   /**
    * Check if a value is a bigint.
    *
@@ -323,6 +430,74 @@ export const is = {
     return object && Reflect.has(object, Symbol.iterator)
   },
 
+  /**
+   * Builds a predicate that passes when the value is strictly equal to one
+   * of the supplied values. This is useful for string unions such as
+   * status codes or log levels.
+   *
+   * @param {...*} values The permitted values.
+   * @returns {Function} A named predicate such as `literal("on", "off")`.
+   *
+   * @example
+   * const level = is.literal('log', 'warn', 'error')
+   * level('warn') // true
+   * level('debug') // false
+   */
+  literal(...values) {
+    const described = values.map((value) => (
+      is.string(value) ? JSON.stringify(String(value)) : describeSchema(value)
+    ))
+
+    return makePredicate(
+      `literal(${described.join(', ')})`,
+      (value) => values.some((literal) => Object.is(literal, value))
+    )
+  },
+
+  /**
+   * Builds a predicate that passes for `Map` instances whose every key
+   * passes `keyPredicate` and whose every value passes `valuePredicate`.
+   *
+   * @param {*} keyPredicate The predicate, or schema, for each key.
+   * @param {*} valuePredicate The predicate, or schema, for each value.
+   * @returns {Function} A named predicate such as `mapOf(string, number)`.
+   *
+   * @example
+   * const scores = is.mapOf(is.string, is.number)
+   * scores(new Map([['jane', 12]])) // true
+   * scores(new Map([[12, 'jane']])) // false
+   * scores({ jane: 12 }) // false
+   */
+  mapOf(keyPredicate, valuePredicate) {
+    const keys = describeSchema(keyPredicate)
+    const values = describeSchema(valuePredicate)
+
+    return makePredicate(
+      `mapOf(${keys}, ${values})`,
+      (value) => isCollection(value, Map) && [...value].every(([key, entry]) => (
+        is.shape(key, keyPredicate) && is.shape(entry, valuePredicate)
+      ))
+    )
+  },
+
+  /**
+   * Builds a predicate that inverts the supplied predicate.
+   *
+   * @param {*} predicate The predicate, or schema, to invert.
+   * @returns {Function} A named predicate such as `not(nullish)`.
+   *
+   * @example
+   * const present = is.not(is.nullish)
+   * present(0) // true
+   * present(null) // false
+   */
+  not(predicate) {
+    return makePredicate(
+      `not(${describeSchema(predicate)})`,
+      (value) => !is.shape(value, predicate)
+    )
+  },
+
   /**
    * Check if a value is null or undefined.
    *
@@ -417,6 +592,84 @@ export const is = {
     return this.string(value) || this.number(value) || this.symbol(value)
   },
 
+  /**
+   * Builds a predicate that passes for objects whose every own enumerable
+   * property value passes the supplied predicate. This describes objects
+   * used as dictionaries, where the keys are not known ahead of time.
+   *
+   * @param {*} predicate The predicate, or schema, for each value.
+   * @returns {Function} A named predicate such as `objectOf(number)`.
+   *
+   * @example
+   * is.objectOf(is.number)({ jane: 12, john: 7 }) // true
+   * is.objectOf(is.number)({ jane: '12' }) // false
+   */
+  objectOf(predicate) {
+    return makePredicate(
+      `objectOf(${describeSchema(predicate)})`,
+      (value) => (
+        is.object(value) &&
+        Object.values(value).every((entry) => is.shape(entry, predicate))
+      )
+    )
+  },
+
+  /**
+   * Builds a predicate that passes when at least one of the supplied
+   * predicates passes. {@link is#union} is an alias.
+   *
+   * @param {...*} predicates The predicates, or schemas, to combine.
+   * @returns {Function} A named predicate such as `oneOf(string, number)`.
+   *
+   * @example
+   * const id = is.oneOf(is.string, is.number)
+   * id('abc') // true
+   * id(12) // true
+   * id(null) // false
+   */
+  oneOf(...predicates) {
+    return makePredicate(
+      `oneOf(${predicates.map(describeSchema).join(', ')})`,
+      (value) => predicates.some((predicate) => is.shape(value, predicate))
+    )
+  },
+
+  /**
+   * Builds a predicate that passes when the value is `undefined` or passes
+   * the supplied predicate. Inside a schema given to {@link is#shape} this
+   * marks a key as optional.
+   *
+   * @param {*} predicate The predicate, or schema, for defined values.
+   * @returns {Function} A named predicate such as `optional(string)`.
+   *
+   * @example
+   * is.shape({}, { nickname: is.optional(is.string) }) // true
+   * is.shape({ nickname: 12 }, { nickname: is.optional(is.string) }) // false
+   */
+  optional(predicate) {
+    return makePredicate(
+      `optional(${describeSchema(predicate)})`,
+      (value) => value === undefined || is.shape(value, predicate)
+    )
+  },
+
+  /**
+   * Checks if a value is a predicate built by one of the combinators such
+   * as {@link is#oneOf} or {@link is#arrayOf}. Such predicates carry a
+   * readable `description` and are called directly by {@link is#a}.
+   *
+   * @param {*} value The value to check.
+   * @returns {boolean} `true` if the value is a combinator predicate,
+   * `false` otherwise.
+   *
+   * @example
+   * is.predicate(is.not(is.string)) // true
+   * is.predicate(is.string) // false
+   */
+  predicate(value) {
+    return this.function(value) && value?.[kPredicate] === true
+  },
+
   /**
    * Check if a value is a primitive type.
    *
@@ -457,6 +710,43 @@ export const is = {
     )
   },
 
+  /**
+   * Checks if a value structurally matches the supplied `schema`. This is
+   * the boolean face of {@link validateShape}; use that function when the
+   * list of failures is needed, or {@link assertShape} to throw instead.
+   *
+   * A schema is built from the following pieces, nested as deeply as the
+   * data being described:
+   *
+   * ```
+   * is.string, (v) => v > 0   // predicates; called with `is` as `this`
+   * Date, Money               // classes; matched with `is.a`
+   * 'number', 'Map'           // type names; matched with `is.a`
+   * [schema]                  // an array whose every element matches
+   * [schemaA, schemaB]        // a tuple, matched position by position
+   * { key: schema }           // an object whose keys each match
+   * /^\d{5}$/                 // a regular expression the value must pass
+   * 42, true, null            // any other value must be strictly equal
+   * ```
+   *
+   * @param {*} value The value to check.
+   * @param {*} schema The shape `value` is expected to have.
+   * @returns {boolean} `true` if `value` matches `schema`, `false` otherwise.
+   *
+   * @example
+   * const User = {
+   *   name: is.string,
+   *   born: Date,
+   *   addresses: [{ street: is.string, zip: /^\d{5}$/ }],
+   * }
+   *
+   * is.shape({ name: 'Jane', born: new Date(), addresses: [] }, User) // true
+   * is.shape({ name: 42 }, User) // false
+   */
+  shape(value, schema) {
+    return collectShapeFailures(value, schema).length === 0
+  },
+
   /**
    * The use of `typeof` is not a safe guarantor when it comes to Reflect
    * supported values. Any non-null value that returns a `typeof` either
@@ -543,6 +833,19 @@ export const is = {
   truthy(value) {
     return !!value
   },
+
+  /**
+   * Alias for {@link is#oneOf}.
+   *
+   * @param {...*} predicates The predicates, or schemas, to combine.
+   * @returns {Function} A named predicate such as `oneOf(string, number)`.
+   *
+   * @example
+   * is.union(is.string, is.nullish)(null) // true
+   */
+  union(...predicates) {
+    return this.oneOf(...predicates)
+  },
 }
 
 export const si = {
@@ -987,6 +1290,29 @@ export const si = {
     return ifThenElse(is.primitive(value), thenValue, elseValue)
   },
 
+  /**
+   * Inline if-then-else based on whether value matches the supplied schema.
+   * Delegates the condition check to {@link is#shape}.
+   *
+   * @param {*} value - The value to check.
+   * @param {*} schema - The shape value is expected to have.
+   * @param {function|*} thenValue - Returned (or called and its result
+   *   returned) if value matches the schema.
+   * @param {function|*} elseValue - Returned (or called and its result
+   *   returned) if value does not match the schema.
+   * @returns {*} The result of thenValue if the condition is true,
+   *   elseValue otherwise. If thenValue or elseValue is a function,
+   *   its return value is used instead.
+   *
+   * @example
+   * si.shape({ id: 1 }, { id: is.number }, 'yes', 'no') // 'yes'
+   * si.shape({ id: '1' }, { id: is.number }, 'yes', 'no') // 'no'
+   * si.shape([1, 2], is.arrayOf(is.number), () => 'computed', 'no') // 'computed'
+   */
+  shape(value, schema, thenValue, elseValue) {
+    return ifThenElse(is.shape(value, schema), thenValue, elseValue)
+  },
+
   /**
    * Inline if-then-else based on whether value is shiny (object or function).
    * Delegates the condition check to {@link is#shiny}.
@@ -1149,6 +1475,64 @@ export const si = {
   }
 }
 
+/**
+ * Async-aware mirror of {@link si}. Every method of `si` is available with
+ * the same arguments, but the values being checked may be promises, and
+ * `thenValue` and `elseValue` may be async thunks or promises. Rather than
+ * the chosen branch itself, each returns a {@link Deferred} that resolves
+ * to the chosen branch's (awaited) result, or rejects if the condition or
+ * the branch does.
+ *
+ * `si.async.then` additionally accepts a promise, or an async predicate,
+ * as its condition.
+ *
+ * @example
+ * const user = await si.async.object(
+ *   fetchUser(id),               // a promise for the value to check
+ *   async () => loadProfile(id), // awaited when the check passes
+ *   () => guestProfile()         // called when it does not
+ * )
+ *
+ * @example
+ * await si.async.then(
+ *   async () => (await stat(path)).isFile(),
+ *   () => readFile(path, 'utf8'),
+ *   ''
+ * )
+ */
+si.async = Object.assign(
+  Object.fromEntries(
+    Object.keys(si)
+      .filter((key) => key !== 'then')
+      .map((key) => [key, asyncMirrorOf(key)])
+  ),
+  {
+    /**
+     * Async inline if-then-else using an arbitrary condition. The
+     * condition may be a value, a promise, or a function (async or not)
+     * whose result is awaited and used as the condition.
+     *
+     * @param {function|Promise|*} condition - The condition to evaluate.
+     * @param {function|*} thenValue - Resolved to (or called and its
+     *   awaited result resolved to) if the condition is truthy.
+     * @param {function|*} elseValue - Resolved to (or called and its
+     *   awaited result resolved to) if the condition is falsy.
+     * @returns {Deferred} A deferred resolving to the chosen branch.
+     *
+     * @example
+     * await si.async.then(Promise.resolve(true), 'yes', 'no') // 'yes'
+     * await si.async.then(async () => false, 'yes', async () => 'no') // 'no'
+     */
+    then(condition, thenValue, elseValue) {
+      return asyncIfThenElse(
+        () => is.function(condition) ? condition() : condition,
+        thenValue,
+        elseValue
+      )
+    },
+  }
+)
+
 /**
  * Checks if an object contains a specific key.
  *
@@ -1156,8 +1540,16 @@ export const si = {
  * It supports various types of objects including Map, Set, WeakMap, and
  * WeakSet. For other objects, it uses the Reflect API to check for the key.
  *
+ * Optionally, a `predicate` can be supplied. When it is, the key must not
+ * only be present but the value stored under it must also pass the
+ * predicate. Anything {@link is#shape} accepts as a schema may be used,
+ * including the combinators such as {@link is#oneOf}. For a `Set` or
+ * `WeakSet` the key itself is tested.
+ *
  * @param object The object to check.
  * @param key The key to look for in the object.
+ * @param {*} [predicate] An optional predicate, or schema, that the value
+ * at `key` must pass.
  * @returns True if the object contains the key, false otherwise.
  *
  * @example
@@ -1167,13 +1559,23 @@ export const si = {
  * @example
  * // Returns false
  * has({}, 'key')
+ *
+ * @example
+ * // Returns false; the key exists but its value is not a number
+ * has({ age: '12' }, 'age', is.number)
  */
-export const has = function has(object, key) {
-  if ([Map, Set, WeakMap, WeakSet].some((i) => object instanceof i)) {
-    return object.has(key)
+export const has = function has(object, key, predicate = undefined) {
+  const test = (value) => predicate === undefined || is.shape(value, predicate)
+
+  if (isCollection(object, Map, WeakMap)) {
+    return object.has(key) && test(object.get(key))
+  }
+
+  if (isCollection(object, Set, WeakSet)) {
+    return object.has(key) && test(key)
   }
 
-  return is.shiny(object) && Reflect.has(object, key)
+  return is.shiny(object) && Reflect.has(object, key) && test(object[key])
 }
 
 Object.assign(has, {
@@ -1187,6 +1589,8 @@ Object.assign(has, {
    *
    * @param object The object to check.
    * @param keys The array of keys to look for in the object.
+   * @param {*} [predicate] An optional predicate, or schema, that the value
+   * at every key must pass. See {@link has}.
    * @returns True if the object contains all the keys, false otherwise.
    *
    * @example
@@ -1199,12 +1603,12 @@ Object.assign(has, {
    * // Returns false
    * has.all({}, ['key1', 'key2'])
    */
-  all(object, keys) {
+  all(object, keys, predicate = undefined) {
     if (!is.shiny(object) || !is.array(keys) || !keys.length) {
       return false
     }
 
-    return keys.every((key) => has(object, key))
+    return keys.every((key) => has(object, key, predicate))
   },
 
   /**
@@ -1217,6 +1621,8 @@ Object.assign(has, {
    *
    * @param object The object to check.
    * @param keys The array of keys to look for in the object.
+   * @param {*} [predicate] An optional predicate, or schema, that the value
+   * at a found key must pass. See {@link has}.
    * @returns True if the object contains at least one of the keys, false
    * otherwise.
    *
@@ -1228,12 +1634,48 @@ Object.assign(has, {
    * // Returns false
    * has.some({}, ['key1', 'key2'])
    */
-  some(object, keys) {
+  some(object, keys, predicate = undefined) {
     if (!is.shiny(object) || !is.array(keys) || !keys.length) {
       return false
     }
 
-    return keys.some((key) => has(object, key))
+    return keys.some((key) => has(object, key, predicate))
+  },
+
+  /**
+   * Checks if a value exists at a deep path within an object. Paths use
+   * dot and bracket notation, such as `'a.b[0].c'` or `'a["b.c"]'`, or
+   * may be given as an array of segments. Each step is taken the same way
+   * {@link has} takes one, so `Map` and `WeakMap` keys, `Set` members and
+   * symbol keys all work. A `*` segment matches every key at that level,
+   * in which case the check passes if any match is found.
+   *
+   * See {@link parsePath} for the full path syntax.
+   *
+   * @param object The object to search.
+   * @param {string|Array} path The path to look for.
+   * @param {*} [predicate] An optional predicate, or schema, that the value
+   * at the path must pass. See {@link has}.
+   * @returns True if a value exists at the path, false otherwise.
+   *
+   * @example
+   * // Returns true
+   * has.path({ a: { b: [{ c: 1 }] } }, 'a.b[0].c')
+   *
+   * @example
+   * // Returns true
+   * has.path({ users: new Map([['ada', { age: 36 }]]) }, 'users.ada.age')
+   *
+   * @example
+   * // Returns false
+   * has.path({ items: [{ id: 1 }] }, 'items.*.id', is.string)
+   */
+  path(object, path, predicate = undefined) {
+    const test = (value) => (
+      predicate === undefined || is.shape(value, predicate)
+    )
+
+    return resolvePath(object, parsePath(path)).some(({ value }) => test(value))
   },
 
   /**
@@ -1318,11 +1760,219 @@ Object.assign(has, {
   },
 })
 
+/**
+ * Deep path reads. Paths use the same syntax as {@link has#path}.
+ */
+export const get = {
+  /**
+   * Retrieves the value at a deep path within an object. Dot and bracket
+   * notation, symbol segments and `Map` keys are all understood; see
+   * {@link parsePath} for the full syntax.
+   *
+   * When the path contains a `*` wildcard segment, every match is returned
+   * instead, each as an object holding the value along with the concrete
+   * path that leads to it, both as a string and as an array of segments.
+   *
+   * @param object The object to read from.
+   * @param {string|Array} path The path to read.
+   * @param {*} [defaultValue] Returned if nothing exists at the path.
+   * @returns {*|PathMatch[]} The value at the path, or defaultValue, or
+   * for wildcard paths an array of every {@link PathMatch}.
+   *
+   * @example
+   * // Returns 1
+   * get.path({ a: { b: [{ c: 1 }] } }, 'a.b[0].c')
+   *
+   * @example
+   * // Returns 'none'
+   * get.path({}, 'a.b', 'none')
+   *
+   * @example
+   * // Returns [
+   * //   { path: 'items[0].id', segments: ['items', '0', 'id'], value: 1 },
+   * //   { path: 'items[1].id', segments: ['items', '1', 'id'], value: 2 },
+   * // ]
+   * get.path({ items: [{ id: 1 }, { id: 2 }] }, 'items.*.id')
+   */
+  path(object, path, defaultValue = undefined) {
+    const segments = parsePath(path)
+    const matches = resolvePath(object, segments)
+
+    if (segments.includes(kWildcard)) {
+      return matches.map(({ segments, value }) => ({
+        path: segments.reduce(joinPath, ''),
+        segments,
+        value,
+      }))
+    }
+
+    return matches.length ? matches[0].value : defaultValue
+  },
+}
+
+/**
+ * Deep path writes. Paths use the same syntax as {@link has#path}.
+ */
+export const set = {
+  /**
+   * Assigns a value at a deep path within an object. Missing containers
+   * along the way are created; a plain object, unless the following
+   * segment is a bracketed index such as `[0]`, in which case an array.
+   * Existing `Map`s are written to with `set()`.
+   *
+   * With a `*` wildcard segment, the value is assigned at every existing
+   * match and nothing is created.
+   *
+   * Only own properties are walked, new properties are defined rather
+   * than assigned, and paths with a `__proto__`, `constructor` or
+   * `prototype` segment are refused, so that a path taken from user input
+   * cannot reach, and pollute, `Object.prototype`.
+   *
+   * @param object The object to write to.
+   * @param {string|Array} path The path to write.
+   * @param {*} value The value to assign.
+   * @returns {boolean} True if at least one assignment was made, false if
+   * the path could not be written, such as when it runs through a
+   * primitive or a `Set` or has an unsafe segment.
+   *
+   * @example
+   * const config = {}
+   *
+   * set.path(config, 'server.ports[0]', 8080) // true
+   * config // { server: { ports: [8080] } }
+   *
+   * @example
+   * const data = { items: [{ id: 1 }, { id: 2 }] }
+   *
+   * set.path(data, 'items.*.seen', true)
+   * data.items // [{ id: 1, seen: true }, { id: 2, seen: true }]
+   */
+  path(object, path, value) {
+    const segments = parsePath(path)
+    const last = segments.at(-1)
+
+    if (!segments.length || !is.shiny(object) || hasUnsafeSegment(segments))
+      return false
+
+    if (!segments.includes(kWildcard)) {
+      let container = object
+
+      for (const [index, segment] of segments.slice(0, -1).entries()) {
+        const { found, value: next } = (
+          readPathSegment(container, segment, true)
+        )
+
+        if (found && is.shiny(next)) {
+          container = next
+          continue
+        }
+
+        if (found && next !== undefined && next !== null)
+          return false
+
+        const created = is.number(segments[index + 1]) ? [] : {}
+
+        if (!writePathSegment(container, segment, created))
+          return false
+
+        container = created
+      }
+
+      return writePathSegment(container, last, value)
+    }
+
+    const parents = resolvePath(object, segments.slice(0, -1), true)
+
+    return parents.reduce((written, { value: parent }) => {
+      const keys = last === kWildcard
+        ? pathEntries(parent).map(([key]) => key)
+        : [last]
+
+      return keys.reduce((wrote, key) => (
+        writePathSegment(parent, key, value) || wrote
+      ), written)
+    }, false)
+  },
+}
+
+/**
+ * Deep path removal. Paths use the same syntax as {@link has#path}.
+ * Exported as `delete`, which cannot be used as a variable name.
+ */
+const del = {
+  /**
+   * Removes the value at a deep path within an object. `Map` entries and
+   * `Set` members are removed with `delete()`, and properties with
+   * `Reflect.deleteProperty`. Array elements are deleted in place, leaving
+   * a hole, so that the indices of their siblings, and of any other
+   * wildcard matches, do not shift.
+   *
+   * As with {@link set#path}, only own properties are walked and paths
+   * with a `__proto__`, `constructor` or `prototype` segment are refused.
+   *
+   * @param object The object to remove from.
+   * @param {string|Array} path The path to remove.
+   * @returns {boolean} True if at least one value was removed.
+   *
+   * @example
+   * const data = { a: { b: 1, c: 2 } }
+   *
+   * del.path(data, 'a.b') // true
+   * data // { a: { c: 2 } }
+   *
+   * @example
+   * const data = { items: [{ id: 1, tmp: 'x' }, { id: 2, tmp: 'y' }] }
+   *
+   * del.path(data, 'items.*.tmp') // true
+   * data.items // [{ id: 1 }, { id: 2 }]
+   */
+  path(object, path) {
+    const segments = parsePath(path)
+    const last = segments.at(-1)
+
+    if (!segments.length || hasUnsafeSegment(segments))
+      return false
+
+    return resolvePath(object, segments.slice(0, -1), true)
+      .reduce((deleted, { value: parent }) => {
+        const keys = last === kWildcard
+          ? pathEntries(parent).map(([key]) => key)
+          : [last]
+
+        return keys.reduce((removed, key) => (
+          deletePathSegment(parent, key) || removed
+        ), deleted)
+      }, false)
+  },
+}
+
+export { del as delete }
+
+/**
+ * A single value found by a wildcard path. Keys visited by a wildcard are
+ * reported as `Reflect.ownKeys` gives them, so array indices matched by
+ * `*` are strings, while those written in the path, such as `[2]`, stay
+ * numbers.
+ *
+ * ```
+ * interface PathMatch {
+ *   path: string;      // the concrete path, e.g. 'items[2].id'
+ *   segments: Array;   // the concrete path as keys, e.g. ['items', '2', 'id']
+ *   value: any;        // the value found there
+ * }
+ * ```
+ *
+ * @typedef {object} PathMatch
+ */
+
 export const as = {
   /**
    * Converts a value to an array if it is iterable.
    *
    * @param value The value to convert.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   rather than returning undefined when value cannot be converted.
    * @returns The converted array if the value is iterable, otherwise undefined.
    *
    * @example
@@ -1336,9 +1986,16 @@ export const as = {
    * @example
    * // Returns undefined
    * as.array(123)
+   *
+   * @example
+   * // Throws ConversionError
+   * as.array(123, { strict: true })
    */
-  array(value) {
-    return (is.iterable(value) && Array.from(value)) || undefined
+  array(value, options = undefined) {
+    return converted(
+      (is.iterable(value) && Array.from(value)) || undefined,
+      value, 'array', options
+    )
   },
 
   /**
@@ -1349,6 +2006,9 @@ export const as = {
    * convert the primitive into this instance variant.
    *
    * @param value The value to convert.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   for `null` and `undefined` rather than returning an empty object.
    * @returns The converted object.
    *
    * @example
@@ -1365,7 +2025,10 @@ export const as = {
    * // Returns {}
    * as.object(null)
    */
-  object(value) {
+  object(value, options = undefined) {
+    if (options?.strict && is.nullish(value))
+      throw new ConversionError(value, 'object')
+
     return Object(value)
   },
 
@@ -1379,6 +2042,8 @@ export const as = {
    * @param use Optional configuration object:
    *        - description: If true, returns the description of a Symbol.
    *        - stringTag: If true, returns the [Symbol.toStringTag] value if present.
+   *        - strict: If true, throws a {@link ConversionError} for `null`
+   *          and `undefined` rather than returning 'null' or 'undefined'.
    * @returns The string representation of the value.
    *
    * @example
@@ -1412,10 +2077,14 @@ export const as = {
     use = {
       description: false,
       stringTag: false,
+      strict: false,
     }
   ) {
     // Check if the value is null or undefined directly
     if (value === null || value === undefined) {
+      if (use?.strict)
+        throw new ConversionError(value, 'string')
+
       return String(value)
     }
 
@@ -1466,6 +2135,9 @@ export const as = {
    * the integer part by splitting the string at the decimal point.
    *
    * @param value The value to convert to an integer string.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   rather than returning an empty string when value cannot be converted.
    * @returns The integer part of the value as a string.
    *
    * @example
@@ -1476,8 +2148,8 @@ export const as = {
    * // Returns '0'
    * as.integerString('0.789')
    */
-  integerString(value) {
-    return this.numberString(value).split(".")[0]
+  integerString(value, options = undefined) {
+    return this.numberString(value, options).split(".")[0]
   },
 
   /**
@@ -1490,6 +2162,9 @@ export const as = {
    * and after a single decimal point.
    *
    * @param value The value to convert to a number string.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   rather than returning an empty string when value cannot be converted.
    * @returns The sanitized number string or an empty string if no valid
    * float was found.
    *
@@ -1501,7 +2176,7 @@ export const as = {
    * // Returns '-0.789'
    * as.numberString('-0.789xyz')
    */
-  numberString(value) {
+  numberString(value, options = undefined) {
     // Trim the input string
     const string = this.string(value)
       .trim()
@@ -1513,7 +2188,10 @@ export const as = {
 
     // Return the sanitized string or an empty string if no valid float
     // was found
-    return sanitizedStr ? sanitizedStr[0] : ""
+    return converted(
+      sanitizedStr ? sanitizedStr[0] : "",
+      value, 'number', options, !sanitizedStr
+    )
   },
 
   /**
@@ -1523,6 +2201,9 @@ export const as = {
    * and then converts it to a number.
    *
    * @param value The value to convert to a number.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   rather than returning `0` or `NaN` when value cannot be converted.
    * @returns The numeric representation of the value.
    *
    * @example
@@ -1532,18 +2213,29 @@ export const as = {
    * @example
    * // Returns -0.789
    * as.number('-0.789xyz')
+   *
+   * @example
+   * // Throws ConversionError
+   * as.number('abc', { strict: true })
    */
-  number(value) {
-    return Number(this.numberString(value))
+  number(value, options = undefined) {
+    return converted(
+      Number(this.numberString(value, options)), value, 'number', options
+    )
   },
 
   /**
    * Converts a given value to a bigint.
    *
-   * This method uses the `integerString` method to sanitize the input value
-   * and then converts it to a bigint.
+   * This method uses the `numberString` method to sanitize the input value
+   * and then converts its integer part to a bigint. Numbers written with an
+   * exponent, such as `'1e5'`, cannot be converted exactly and are treated
+   * as invalid.
    *
    * @param value The value to convert to a bigint.
+   * @param {object} [options] Conversion options.
+   * @param {boolean} [options.strict=false] Throw a {@link ConversionError}
+   *   rather than returning `0n` when value cannot be converted.
    * @returns The bigint representation of the value.
    *
    * @example
@@ -1553,10 +2245,17 @@ export const as = {
    * @example
    * // Returns 0n
    * as.bigint('0.789xyz')
+   *
+   * @example
+   * // Throws ConversionError
+   * as.bigint('1e5', { strict: true })
    */
-  bigint(value) {
+  bigint(value, options = undefined) {
     const BigInt = globalThis?.BigInt
-    return BigInt(this.integerString(value))
+    const number = this.numberString(value)
+    const integer = /e/i.test(number) ? '' : number.split('.')[0]
+
+    return BigInt(converted(integer, value, 'bigint', options, !integer))
   },
 
   /**
@@ -1569,6 +2268,10 @@ export const as = {
    * it returns the boolean representation of the value.
    *
    * @param {*} value - The value to convert to a boolean.
+   * @param {object} [options] - Conversion options.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} for anything other than a boolean or one of
+   *   the recognized strings, rather than falling back to `Boolean(value)`.
    * @returns {boolean} The boolean representation of the value.
    *
    * @example
@@ -1602,8 +2305,12 @@ export const as = {
    * @example
    * // Returns false
    * as.boolean(null)
+   *
+   * @example
+   * // Throws ConversionError
+   * as.boolean('maybe', { strict: true })
    */
-  boolean(value) {
+  boolean(value, options = undefined) {
     switch (String(value).toLowerCase()) {
       case "1":
       case "yes":
@@ -1616,22 +2323,1350 @@ export const as = {
         return false
 
       default:
+        if (options?.strict)
+          throw new ConversionError(value, 'boolean')
+
         return Boolean(value)
     }
   },
+
+  /**
+   * Converts a byte size, such as '512', '10KB' or '2.5 GiB', into a
+   * number of bytes. SI units (kB, MB, GB, TB, PB) are powers of 1000 and
+   * IEC units (KiB, MiB, GiB, TiB, PiB) powers of 1024. Units are case
+   * insensitive and the trailing 'B' is optional, so '2g' and '2 GB' are
+   * the same. Numbers are taken to already be a count of bytes and, like
+   * parsed strings, are rounded to the nearest whole byte.
+   *
+   * @param {*} value - The value to convert.
+   * @param {object} [options] - Conversion options.
+   * @param {boolean} [options.binary=false] - Treat SI units as powers of
+   *   1024, as many memory settings (e.g. '512m') do.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} rather than returning undefined.
+   * @returns {number|undefined} The whole number of bytes, or undefined if
+   *   value could not be parsed.
+   *
+   * @example
+   * // Returns 2684354560
+   * as.bytes('2.5 GiB')
+   *
+   * @example
+   * // Returns 10000
+   * as.bytes('10KB')
+   *
+   * @example
+   * // Returns 536870912
+   * as.bytes('512m', { binary: true })
+   */
+  bytes(value, options = undefined) {
+    let bytes = undefined
+
+    if (is.number(value) && Number.isFinite(value))
+      bytes = Math.round(value)
+
+    else if (is.string(value)) {
+      const [, amount, unit] = (
+        /^([-+]?\d*\.?\d+(?:e[-+]?\d+)?)\s*([a-z]*)$/i.exec(value.trim()) ?? []
+      )
+      const [prefix, binary] = (
+        /^([kmgtp]?)(i?)b?$/.exec(unit?.toLowerCase() ?? '')?.slice(1) ?? []
+      )
+
+      if (amount !== undefined && prefix !== undefined) {
+        const base = (binary || options?.binary) ? 1024 : 1000
+        const power = ['', 'k', 'm', 'g', 't', 'p'].indexOf(prefix)
+
+        bytes = Math.round(Number(amount) * base ** power)
+      }
+    }
+
+    return converted(bytes, value, 'bytes', options)
+  },
+
+  /**
+   * Converts a value to a valid `Date`. Dates are returned as is, numbers
+   * and strings of digits are treated as milliseconds since the epoch, and
+   * any other string is parsed with `Date.parse`. Note that date-only ISO
+   * strings such as '2026-01-05' are parsed as UTC midnight, and that a
+   * bare year is a string of digits too: '2026' is 2026 milliseconds after
+   * the epoch, not the start of the year 2026. Write '2026-01-01' for that.
+   *
+   * @param {*} value - The value to convert.
+   * @param {object} [options] - Conversion options.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} rather than returning undefined.
+   * @returns {Date|undefined} The date, or undefined if value could not be
+   *   converted to a valid date.
+   *
+   * @example
+   * // Returns a Date for 2026-01-05T00:00:00.000Z
+   * as.date('2026-01-05')
+   *
+   * @example
+   * // Returns a Date for 1970-01-01T00:00:01.000Z
+   * as.date(1000)
+   *
+   * @example
+   * // Returns a Date for 1970-01-01T00:00:02.026Z
+   * as.date('2026')
+   *
+   * @example
+   * // Returns undefined
+   * as.date('next tuesday')
+   */
+  date(value, options = undefined) {
+    let date = undefined
+
+    if (value instanceof Date)
+      date = value
+
+    else if (is.number(value) || is.bigint(value))
+      date = new Date(Number(value))
+
+    else if (is.string(value) && value.trim().length) {
+      const string = value.trim()
+
+      date = /^[-+]?\d+$/.test(string)
+        ? new Date(Number(string))
+        : new Date(Date.parse(string))
+    }
+
+    if (date && isNaN(date.getTime()))
+      date = undefined
+
+    return converted(date, value, 'date', options)
+  },
+
+  /**
+   * Converts a duration into a number of milliseconds. Strings may combine
+   * several amounts, each followed by a unit, such as '15m', '1h 30m' or
+   * '2.5s'. Recognized units are ms, s, m, h, d and w, along with their
+   * longer spellings (sec, secs, second, seconds, min, minutes, hr, hours,
+   * days, weeks and so on). ISO 8601 durations, such as 'PT15M', are also
+   * accepted, as long as they hold at least one amount and any 'T' is
+   * followed by a time amount. Numbers, and strings holding only a number, are taken to
+   * already be milliseconds.
+   *
+   * @param {*} value - The value to convert.
+   * @param {object} [options] - Conversion options.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} rather than returning undefined.
+   * @returns {number|undefined} The duration in milliseconds, or undefined
+   *   if value could not be parsed.
+   *
+   * @example
+   * // Returns 900000
+   * as.duration('15m')
+   *
+   * @example
+   * // Returns 5400000
+   * as.duration('1h 30m')
+   *
+   * @example
+   * // Returns 90000
+   * as.duration('PT1M30S')
+   */
+  duration(value, options = undefined) {
+    let duration = undefined
+
+    if (is.number(value) && Number.isFinite(value))
+      duration = value
+
+    else if (is.string(value))
+      duration = parseDuration(value.trim())
+
+    return converted(duration, value, 'duration', options)
+  },
+
+  /**
+   * Converts a value into one of a set of allowed values. The allowed
+   * values may be an array, a `Set` or any other iterable, in which case
+   * value must match one of its items. When they are a plain object or a
+   * `Map`, value may match either a key or a value and the corresponding
+   * value is returned. String comparisons fall back to ignoring case when
+   * no exact match is found.
+   *
+   * @param {*} value - The value to convert.
+   * @param {Iterable|object|Map} allowed - The allowed values.
+   * @param {object} [options] - Conversion options.
+   * @param {boolean} [options.caseSensitive=false] - Disable the case
+   *   insensitive fallback for strings.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} rather than returning undefined.
+   * @returns {*} The matching allowed value, or undefined if there is none.
+   *
+   * @example
+   * // Returns 'warn'
+   * as.enumValue('WARN', ['debug', 'info', 'warn', 'error'])
+   *
+   * @example
+   * // Returns 2
+   * as.enumValue('high', { low: 0, medium: 1, high: 2 })
+   *
+   * @example
+   * // Returns undefined
+   * as.enumValue('verbose', ['debug', 'info', 'warn', 'error'])
+   */
+  enumValue(value, allowed, options = undefined) {
+    const pairs = (
+      (isCollection(allowed, Map) && [...allowed]) ||
+      (is.iterable(allowed) && [...allowed].map((item) => [item, item])) ||
+      Object.entries(Object(allowed ?? {}))
+    )
+    const fold = (item) => is.string(item) ? item.toLowerCase() : item
+    const find = (compare) => pairs.find(([key, item]) => (
+      compare(key, value) || compare(item, value)
+    ))
+
+    const match = (
+      find((left, right) => Object.is(left, right)) ??
+      (!options?.caseSensitive && is.string(value)
+        ? find((left, right) => fold(left) === fold(right))
+        : undefined
+      )
+    )
+
+    return converted(
+      match?.[1], value, 'enum value', options, match === undefined
+    )
+  },
+
+  /**
+   * Converts a value to a list. Strings are split on commas and whitespace,
+   * other iterables are copied into an array, `null` and `undefined`
+   * become an empty list and any other value becomes a list of itself.
+   * Each item is then passed through `convert`, which may be a function or
+   * the name of another `as` converter or of a registered type.
+   *
+   * Options are passed through to named converters, so `strict` applies to
+   * every item.
+   *
+   * @param {*} value - The value to convert.
+   * @param {function|string} [convert] - The per-item conversion.
+   * @param {object} [options] - Conversion options.
+   * @param {string|RegExp} [options.separator=/[\s,]+/] - How strings are
+   *   split into items.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} when value is `null` or `undefined`, or when
+   *   any item cannot be converted.
+   * @returns {Array} The list of converted items.
+   *
+   * @example
+   * // Returns [80, 443, 8080]
+   * as.list('80, 443 8080', 'number')
+   *
+   * @example
+   * // Returns [900000, 3600000]
+   * as.list('15m,1h', 'duration')
+   *
+   * @example
+   * // Returns ['A', 'B']
+   * as.list(new Set(['a', 'b']), (item) => item.toUpperCase())
+   */
+  list(value, convert = undefined, options = undefined) {
+    let items = []
+
+    if (is.string(value)) {
+      items = value
+        .split(options?.separator ?? /[\s,]+/)
+        .filter((item) => item.length)
+    }
+
+    else if (is.iterable(value))
+      items = Array.from(value)
+
+    else if (!is.nullish(value))
+      items = [value]
+
+    else if (options?.strict)
+      throw new ConversionError(value, 'list')
+
+    if (is.function(convert))
+      return items.map((item) => convert(item))
+
+    if (is.string(convert)) {
+      const converter = (
+        convert !== 'list' && is.function(as[convert])
+          ? (item) => as[convert](item, options)
+          : (item) => as.type(item, convert, options)
+      )
+
+      return items.map(converter)
+    }
+
+    return items
+  },
+
+  /**
+   * Converts a value to a type registered with the {@link typeRegistry}.
+   * Values already of that type are returned unchanged. Otherwise the
+   * registration's `convert` function is used; types registered with a
+   * class and no `convert` are constructed with `new Class(value)`.
+   *
+   * @param {*} value - The value to convert.
+   * @param {string} typeName - The registered name of the target type.
+   * @param {object} [options] - Conversion options.
+   * @param {object} [options.owner=globalThis] - The realm in which the
+   *   name is looked up.
+   * @param {boolean} [options.strict=false] - Throw a
+   *   {@link ConversionError} rather than returning undefined.
+   * @returns {*} The converted value, or undefined if the name is not
+   *   registered or the type has no way to convert values.
+   *
+   * @example
+   * typeRegistry.register('Money', Money)
+   *
+   * // Returns a Money instance with an amount of 12.5
+   * as.type('12.50', 'Money')
+   *
+   * @example
+   * // Returns undefined
+   * as.type('12.50', 'Unregistered')
+   */
+  type(value, typeName, options = undefined) {
+    const entry = typeRegistry.get(typeName, options?.owner ?? globalThis)
+
+    if (entry?.test(value))
+      return value
+
+    return converted(entry?.convert?.(value), value, typeName, options)
+  },
+}
+
+/**
+ * Assertion mirror of {@link is}. Each method runs the `is` predicate of
+ * the same name and, when it fails, throws a {@link TypeAssertionError}
+ * carrying the expected type, the received type, as named by
+ * `Type.named`, and an optional label. When it passes, the value is
+ * returned unchanged so that assertions can be used inline.
+ *
+ * The methods are generated from the keys of `is`, so every predicate has
+ * an assertion taking the same arguments followed by the label. The
+ * combinators (`is.arrayOf`, `is.oneOf` and friends) instead return an
+ * assertion of `(value, label)` for the predicate they build.
+ * `assert.shape` throws a {@link ShapeError} listing every failure, and
+ * `assert.undefined` is provided as `si.undefined` is.
+ *
+ * This replaces the familiar `if (!is.x(v)) throw new TypeError(...)`
+ * dance. Since {@link AssertionError} extends `TypeError`, existing
+ * `catch` blocks written for those hand rolled errors keep working.
+ *
+ * @example
+ * function greet(name) {
+ *   assert.string(name, 'name')
+ *   return `Hello, ${name}`
+ * }
+ *
+ * greet(42)
+ * // TypeAssertionError: Expected name to be string, received Number
+ *
+ * @example
+ * const assertTags = assert.arrayOf(is.string)
+ *
+ * assertTags(['a', 'b'], 'tags') // ['a', 'b']
+ * assertTags(['a', 1], 'tags')
+ * // TypeAssertionError: Expected tags to be arrayOf(string), received Array
+ */
+export const assert = Object.assign(
+  Object.fromEntries(Object.keys(is).map((key) => [key, assertionOf(key)])),
+  {
+    /**
+     * Asserts that value matches the supplied schema. Delegates the check
+     * to {@link is#shape}. The thrown {@link ShapeError} lists every
+     * failure found, each with its JSON-style path.
+     *
+     * @param {*} value - The value to check.
+     * @param {*} schema - The shape value is expected to have.
+     * @param {string} [label] - An optional name for value, used in the
+     *   error message.
+     * @returns {*} value, unchanged, if the assertion passes.
+     * @throws {ShapeError} If value does not match schema.
+     *
+     * @example
+     * assert.shape({ id: 1 }, { id: is.number }) // passes
+     * assert.shape({ id: '1' }, { id: is.number }, 'payload') // throws ShapeError
+     */
+    shape(value, schema, label = undefined) {
+      const failures = collectShapeFailures(value, schema)
+
+      if (failures.length)
+        throw new ShapeError(failures, undefined, { label, value })
+
+      return value
+    },
+
+    /**
+     * Asserts that value is undefined. Delegates the check to
+     * {@link is#a} with type 'undefined'.
+     *
+     * @param {*} value - The value to check.
+     * @param {string} [label] - An optional name for value, used in the
+     *   error message.
+     * @returns {*} value, unchanged, if the assertion passes.
+     * @throws {TypeAssertionError} If value is not undefined.
+     *
+     * @example
+     * assert.undefined(undefined) // passes
+     * assert.undefined('value') // throws TypeAssertionError
+     */
+    undefined(value, label = undefined) {
+      return assertThat(is.a(value, 'undefined'), 'undefined', value, label)
+    },
+  }
+)
+
+/**
+ * Creates a soft variant of {@link assert}. It offers the same methods,
+ * but rather than throwing, each records its {@link AssertionError} in
+ * `failures` and returns `false` (or `true` when it passes). This is
+ * useful for validating a batch of inputs and reporting every problem at
+ * once instead of stopping at the first.
+ *
+ * Call `verify()` once all checks are made to throw an `AggregateError`
+ * of the collected failures, if there were any. The combinators return
+ * soft assertions in the same way.
+ *
+ * @returns {object} An object with every method of {@link assert}, plus
+ * `failures` (an array of {@link AssertionError}), `ok` (`true` while no
+ * failures are recorded) and `verify()`.
+ *
+ * @example
+ * const check = softAssert()
+ *
+ * check.string(options.name, 'name')
+ * check.number(options.port, 'port')
+ * check.shape(options.tls, { cert: is.string }, 'tls')
+ *
+ * if (!check.ok)
+ *   check.failures.forEach((failure) => console.warn(failure.message))
+ *
+ * // or, to fail loudly with every problem listed
+ * check.verify()
+ */
+export function softAssert() {
+  const failures = []
+  const soft = {
+    failures,
+
+    get ok() { return failures.length === 0 },
+
+    verify() {
+      if (failures.length) {
+        throw new AggregateError(failures, [
+          `${failures.length} assertion(s) failed`,
+          ...failures.map((failure) => `  ${failure.message}`),
+        ].join('\n'))
+      }
+
+      return true
+    },
+  }
+
+  const record = (method) => (...args) => {
+    try {
+      const result = method.apply(assert, args)
+
+      return combinatorAssertions.has(result) ? record(result) : true
+    }
+    catch (error) {
+      if (!(error instanceof AssertionError))
+        throw error
+
+      failures.push(error)
+      return false
+    }
+  }
+
+  for (const [key, method] of Object.entries(assert))
+    soft[key] = record(method)
+
+  return soft
+}
+
+/**
+ * Thrown by the converters of {@link as} when called with
+ * `{ strict: true }` and the value cannot be converted. Without `strict`
+ * the same converters return `undefined` (or `NaN`, `0` and the like)
+ * instead.
+ *
+ * @example
+ * try {
+ *   as.duration(process.env.TIMEOUT, { strict: true })
+ * }
+ * catch (error) {
+ *   error.target // 'duration'
+ *   error.value  // '15 fortnights'
+ * }
+ */
+export class ConversionError extends TypeError {
+  /**
+   * @param {*} value The value that could not be converted.
+   * @param {string} target A description of what value was being
+   * converted to, such as 'number' or 'duration'.
+   */
+  constructor(value, target) {
+    const shown = is.string(value)
+      ? JSON.stringify(value)
+      : (is.primitive(value) || is.nullish(value))
+        ? String(value)
+        : Type.named(value)
+
+    super(`Cannot convert ${shown} to ${target}`)
+
+    this.value = value
+    this.target = target
+  }
+
+  get name() { return 'ConversionError' }
+}
+
+/**
+ * The base class for every error thrown by the assertion helpers in this
+ * module. It extends `TypeError` so code that already catches the
+ * `TypeError`s thrown by hand written checks keeps working when those
+ * checks are replaced with {@link assert}.
+ *
+ * @example
+ * try {
+ *   assert.number('42', 'port')
+ * }
+ * catch (error) {
+ *   error instanceof AssertionError // true
+ *   error instanceof TypeError      // true
+ * }
+ */
+export class AssertionError extends TypeError {
+  /**
+   * @param {string} message The message describing the failed assertion.
+   * @param {object} [details] Additional information about the failure.
+   * @param {string} [details.expected] A description of what was expected.
+   * @param {string} [details.received] A description of what was found.
+   * @param {string} [details.label] The name given to the value checked.
+   * @param {*} [details.value] The value that failed the assertion.
+   */
+  constructor(message, details = {}) {
+    super(message)
+
+    const { expected, received, label, value } = details ?? {}
+
+    this.expected = expected
+    this.received = received
+    this.label = label
+    this.value = value
+  }
+
+  get name() { return 'AssertionError' }
+}
+
+/**
+ * Thrown by the methods of {@link assert} when a value is not of the
+ * expected type. The message names both the expected and received types,
+ * and the label if one was given.
+ *
+ * @example
+ * assert.string(42, 'name')
+ * // TypeAssertionError: Expected name to be string, received Number
+ */
+export class TypeAssertionError extends AssertionError {
+  /**
+   * @param {string} expected A description of the expected type.
+   * @param {*} value The value that failed the assertion.
+   * @param {string} [label] The name given to the value checked.
+   */
+  constructor(expected, value, label = undefined) {
+    const received = Type.named(value)
+
+    super(
+      `Expected ${label ?? 'value'} to be ${expected}, received ${received}`,
+      { expected, received, label, value }
+    )
+  }
+
+  get name() { return 'TypeAssertionError' }
+}
+
+/**
+ * The error thrown by {@link assertShape} when a value does not match its
+ * schema. Every failure found is kept on the `failures` property so the
+ * caller does not have to validate a second time to learn what went wrong.
+ *
+ * @example
+ * try {
+ *   assertShape({ user: { age: '12' } }, { user: { age: is.number } })
+ * }
+ * catch (error) {
+ *   error.failures
+ *   // [{ path: 'user.age', expected: 'number', received: 'String', ... }]
+ * }
+ */
+export class ShapeError extends AssertionError {
+  /**
+   * @param {ShapeFailure[]} failures The failures reported by
+   * {@link validateShape}.
+   * @param {string} [message] An optional message to use in place of the
+   * one generated from `failures`.
+   * @param {object} [details] Additional {@link AssertionError} details,
+   * such as the `label` of the value checked, and the `value` itself,
+   * whose type is reported as `received`.
+   */
+  constructor(failures = [], message = undefined, details = {}) {
+    const { label } = details ?? {}
+    const subject = label ? `${label} does` : 'Value does'
+
+    super(message ?? [
+      `${subject} not match shape (${failures.length} failure(s))`,
+      ...failures.map(({ path, expected, received }) => (
+        `  ${path || '(root)'}: expected ${expected}, received ${received}`
+      )),
+    ].join('\n'), {
+      ...details,
+      expected: 'shape',
+      received: Type.named(details?.value),
+    })
+
+    this.failures = failures
+  }
+
+  get name() { return 'ShapeError' }
+}
+
+/**
+ * A single mismatch found while walking a schema.
+ *
+ * ```
+ * interface ShapeFailure {
+ *   path: string;      // JSON-style path, e.g. 'user.addresses[2].zip'
+ *   expected: string;  // description of the schema at that path
+ *   received: string;  // type name of the value found there
+ *   value: any;        // the value found there
+ * }
+ * ```
+ *
+ * @typedef {object} ShapeFailure
+ */
+
+/**
+ * Walks `value` alongside `schema` and reports every place the two
+ * disagree, rather than stopping at the first. See {@link is#shape} for
+ * the pieces a schema can be built from.
+ *
+ * @param {*} value The value to validate.
+ * @param {*} schema The shape `value` is expected to have.
+ * @returns {{valid: boolean, failures: ShapeFailure[]}} `valid` is `true`
+ * when no failures were found.
+ *
+ * @example
+ * const { valid, failures } = validateShape(
+ *   { user: { addresses: [{ zip: '90210' }, { zip: 90210 }] } },
+ *   { user: { addresses: [{ zip: is.string }] } }
+ * )
+ *
+ * valid // false
+ * failures[0].path // 'user.addresses[1].zip'
+ */
+export function validateShape(value, schema) {
+  const failures = collectShapeFailures(value, schema)
+
+  return { valid: failures.length === 0, failures }
+}
+
+/**
+ * The throwing variant of {@link validateShape}. This is useful at API
+ * boundaries where a malformed payload should stop execution outright.
+ *
+ * @param {*} value The value to validate.
+ * @param {*} schema The shape `value` is expected to have.
+ * @returns {*} `value`, unchanged, when it matches `schema`.
+ * @throws {ShapeError} If any part of `value` fails to match `schema`.
+ *
+ * @example
+ * const payload = assertShape(await request.json(), {
+ *   id: 'number',
+ *   tags: [is.string],
+ * })
+ */
+export function assertShape(value, schema) {
+  const failures = collectShapeFailures(value, schema)
+
+  if (failures.length)
+    throw new ShapeError(failures, undefined, { value })
+
+  return value
 }
 
 export function createToolkit() {
-  return { si, is, has, as }
+  return { si, is, has, as, assert, get, set, delete: del }
 }
 
 export default {
   as,
+  assert,
+  delete: del,
+  get,
   has,
   is,
+  set,
   si,
 
+  AssertionError,
+  ConversionError,
+  ShapeError,
+  TypeAssertionError,
+
+  assertShape,
   createToolkit,
+  softAssert,
+  validateShape,
+}
+
+/**
+ * Recursively compares `value` against `schema`, pushing a
+ * {@link ShapeFailure} for each mismatch into `failures`. Nested failures
+ * are reported at the deepest path possible so that a single bad field in
+ * a large payload is easy to find.
+ *
+ * @param {*} value The value being validated at `path`.
+ * @param {*} schema The schema `value` is expected to match.
+ * @param {string} [path=''] The JSON-style path to `value` from the root.
+ * @param {ShapeFailure[]} [failures=[]] The accumulated failures.
+ * @returns {ShapeFailure[]} The `failures` array.
+ */
+function collectShapeFailures(value, schema, path = '', failures = []) {
+  const fail = (expected = describeSchema(schema)) => {
+    failures.push({ path, expected, received: Type.named(value), value })
+    return failures
+  }
+
+  if (is.function(schema)) {
+    const passes = isClassLike(schema)
+      ? is.a(value, schema)
+      : !!schema.call(is, value)
+
+    return passes ? failures : fail()
+  }
+
+  if (is.string(schema))
+    return is.a(value, String(schema)) ? failures : fail()
+
+  if (schema instanceof RegExp) {
+    schema.lastIndex = 0
+    return is.string(value) && schema.test(value) ? failures : fail()
+  }
+
+  if (is.array(schema)) {
+    if (!is.array(value))
+      return fail()
+
+    if (schema.length === 1) {
+      value.forEach((element, index) => {
+        collectShapeFailures(
+          element, schema[0], joinPath(path, index), failures
+        )
+      })
+    }
+    else if (schema.length > 1) {
+      if (value.length !== schema.length)
+        return fail()
+
+      schema.forEach((elementSchema, index) => {
+        collectShapeFailures(
+          value[index], elementSchema, joinPath(path, index), failures
+        )
+      })
+    }
+
+    return failures
+  }
+
+  if (is.object(schema) && [Object.prototype, null].includes(
+    Object.getPrototypeOf(schema)
+  )) {
+    if (!is.shiny(value))
+      return fail()
+
+    for (const key of Reflect.ownKeys(schema)) {
+      collectShapeFailures(
+        value[key], schema[key], joinPath(path, key), failures
+      )
+    }
+
+    return failures
+  }
+
+  return value === schema ? failures : fail()
+}
+
+/**
+ * Produces a short, human readable description of a schema for use in
+ * failure reports and error messages.
+ *
+ * @param {*} schema The schema to describe.
+ * @returns {string} A description such as `'string'`, `'Date'` or
+ * `'Array<object>'`.
+ */
+function describeSchema(schema) {
+  if (is.predicate(schema))
+    return schema.description
+
+  if (is.function(schema))
+    return schema.name || (isClassLike(schema) ? 'class' : 'predicate')
+
+  if (is.string(schema))
+    return String(schema)
+
+  if (schema instanceof RegExp)
+    return `string matching ${schema}`
+
+  if (is.array(schema)) {
+    switch (schema.length) {
+      case 0: return 'Array'
+      case 1: return `Array<${describeSchema(schema[0])}>`
+      default:
+        return `[${schema.map((item) => describeSchema(item)).join(', ')}]`
+    }
+  }
+
+  if (is.object(schema))
+    return 'object'
+
+  if (is.symbol(schema))
+    return String(schema)
+
+  return JSON.stringify(schema) ?? String(schema)
+}
+
+/**
+ * Splits a path into its segments. Strings may use dot notation
+ * (`a.b.c`), bracket notation with numbers (`a[0]`) or quoted strings
+ * (`a["b.c"]`, `a['b']`), and `*` for a wildcard in either position
+ * (`items.*.id`, `items[*].id`). Bracketed `Symbol(name)` is read as
+ * `Symbol.for(name)`, or as the well-known symbol for names such as
+ * `Symbol(Symbol.iterator)`, which matches how {@link joinPath} writes
+ * symbols.
+ *
+ * Arrays are taken to already be segments, allowing any value, such as
+ * an object used as a `Map` key, to be used. A `'*'` in an array is still
+ * a wildcard.
+ *
+ * @param {string|Array} path The path to parse.
+ * @returns {Array} The segments, with wildcards replaced by `kWildcard`.
+ * @throws {TypeError} If a string path cannot be parsed, such as `'a..b'`.
+ *
+ * @example
+ * parsePath('a.b[0]["c.d"]') // ['a', 'b', 0, 'c.d']
+ */
+function parsePath(path) {
+  if (is.array(path))
+    return path.map((segment) => segment === '*' ? kWildcard : segment)
+
+  if (is.symbol(path) || is.number(path))
+    return [path]
+
+  if (!is.string(path) || !path.length)
+    return []
+
+  const segments = []
+  const token = new RegExp([
+    String.raw`(?:^|\.)([^.[\]]+)`,         // bare, or dotted, names
+    String.raw`|\[\s*(?:(-?\d+)`,           // [0]
+    String.raw`|"((?:[^"\\]|\\.)*)"`,       // ["double quoted"]
+    String.raw`|'((?:[^'\\]|\\.)*)'`,       // ['single quoted']
+    String.raw`|(\*)`,                      // [*]
+    String.raw`|([^\]]*))\s*\]`,            // [Symbol(name)]
+  ].join(''), 'y')
+
+  let match
+  while (token.lastIndex < path.length && (match = token.exec(path))) {
+    const [, bare, index, doubled, single, star, other] = match
+
+    if (bare !== undefined)
+      segments.push(bare === '*' ? kWildcard : bare)
+
+    else if (index !== undefined)
+      segments.push(Number(index))
+
+    else if (doubled !== undefined)
+      segments.push(JSON.parse(`"${doubled}"`))
+
+    else if (single !== undefined)
+      segments.push(single.replace(/\\(.)/g, '$1'))
+
+    else if (star !== undefined)
+      segments.push(kWildcard)
+
+    else
+      segments.push(parseSymbolSegment(other))
+  }
+
+  if (token.lastIndex !== path.length)
+    throw new TypeError(`Malformed path ${JSON.stringify(path)}`)
+
+  return segments
+}
+
+/**
+ * Reads a bracketed, unquoted segment. `Symbol(name)` becomes the symbol
+ * it describes and anything else is kept as a string.
+ *
+ * @param {string} text The text between the brackets.
+ * @returns {string|symbol} The segment.
+ */
+function parseSymbolSegment(text) {
+  const description = /^Symbol\((.*)\)$/.exec(text)?.[1]
+
+  if (description === undefined)
+    return text
+
+  const wellKnown = /^Symbol\.(\w+)$/.exec(description)?.[1]
+
+  return is.symbol(Symbol[wellKnown])
+    ? Symbol[wellKnown]
+    : Symbol.for(description)
+}
+
+/**
+ * Takes a single step along a path, the same way {@link has} does. `Map`
+ * and `WeakMap` are read with `get()`, `Set` and `WeakSet` members are
+ * their own values and anything else, primitives included, is read as a
+ * property. Numeric `Map` keys fall back to their string form and vice
+ * versa, since paths written as strings cannot tell the two apart.
+ *
+ * @param {*} container The value to step into.
+ * @param {*} key The segment to read.
+ * @param {boolean} [own=false] Only find properties of the container
+ * itself, not those it inherits.
+ * @returns {{found: boolean, value: *}} Whether `key` exists, and if so,
+ * its value.
+ */
+function readPathSegment(container, key, own = false) {
+  if (container === null || container === undefined)
+    return { found: false, value: undefined }
+
+  if (isCollection(container, Map, WeakMap)) {
+    const mapKey = pathMapKey(container, key)
+
+    return mapKey.found
+      ? { found: true, value: container.get(mapKey.value) }
+      : mapKey
+  }
+
+  if (isCollection(container, Set, WeakSet)) {
+    return container.has(key)
+      ? { found: true, value: key }
+      : { found: false, value: undefined }
+  }
+
+  const object = Object(container)
+  const found = own ? Object.hasOwn(object, key) : Reflect.has(object, key)
+
+  return found
+    ? { found: true, value: object[key] }
+    : { found: false, value: undefined }
+}
+
+/**
+ * Finds the key under which `key` is stored in a `Map`, allowing for the
+ * number and string forms of the same key.
+ *
+ * @param {Map|WeakMap} map The map to search.
+ * @param {*} key The key to find.
+ * @returns {{found: boolean, value: *}} Whether a key was found, and if
+ * so, the key itself.
+ */
+function pathMapKey(map, key) {
+  const alternate = is.number(key)
+    ? String(key)
+    : (is.string(key) && /^-?\d+$/.test(key) ? Number(key) : undefined)
+
+  for (const candidate of [key, alternate]) {
+    if (candidate !== undefined && map.has(candidate))
+      return { found: true, value: candidate }
+  }
+
+  return { found: false, value: undefined }
+}
+
+/**
+ * Lists the keys and values a wildcard segment visits: `Map` entries,
+ * `Set` members (keyed by themselves), array indices and the own
+ * enumerable string and symbol keys of any other object.
+ *
+ * @param {*} container The value being expanded.
+ * @returns {Array<[*, *]>} The key and value pairs.
+ */
+function pathEntries(container) {
+  if (isCollection(container, Map))
+    return [...container.entries()]
+
+  if (isCollection(container, Set))
+    return [...container].map((member) => [member, member])
+
+  if (!is.shiny(container))
+    return []
+
+  return Reflect.ownKeys(container)
+    .filter((key) => Object.prototype.propertyIsEnumerable.call(container, key))
+    .map((key) => [key, container[key]])
+}
+
+/**
+ * Walks `segments` from `object`, expanding wildcards, and reports every
+ * value reached along with the concrete segments that reach it.
+ *
+ * @param {*} object The root value.
+ * @param {Array} segments Parsed path segments.
+ * @param {boolean} [own=false] Only step through own properties.
+ * @returns {Array<{segments: Array, value: *}>} Every match found.
+ */
+function resolvePath(object, segments, own = false) {
+  let matches = [{ segments: [], value: object }]
+
+  for (const segment of segments) {
+    matches = matches.flatMap(({ segments: walked, value }) => {
+      if (segment === kWildcard) {
+        return pathEntries(value).map(([key, child]) => ({
+          segments: [...walked, key],
+          value: child,
+        }))
+      }
+
+      const { found, value: child } = readPathSegment(value, segment, own)
+
+      return found ? [{ segments: [...walked, segment], value: child }] : []
+    })
+  }
+
+  return matches
+}
+
+/**
+ * Assigns `value` at `key` in `container`, using `set()` for `Map`s.
+ * Existing own properties are assigned, so that their setters run, while
+ * missing ones are defined as plain data properties, so that setters
+ * inherited from a prototype do not.
+ *
+ * @param {*} container The object to write to.
+ * @param {*} key The key to write.
+ * @param {*} value The value to assign.
+ * @returns {boolean} True if the assignment succeeded.
+ */
+function writePathSegment(container, key, value) {
+  if (isCollection(container, Map, WeakMap)) {
+    const { found, value: mapKey } = pathMapKey(container, key)
+
+    container.set(found ? mapKey : key, value)
+    return true
+  }
+
+  if (isCollection(container, Set, WeakSet))
+    return false
+
+  if (!is.shiny(container))
+    return false
+
+  if (Object.hasOwn(container, key))
+    return Reflect.set(container, key, value)
+
+  return Reflect.defineProperty(container, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  })
+}
+
+/**
+ * Checks a parsed path for segments in {@link kUnsafePathKeys}.
+ *
+ * @param {Array} segments Parsed path segments.
+ * @returns {boolean} True if any segment could reach a prototype.
+ */
+function hasUnsafeSegment(segments) {
+  return segments.some((segment) => kUnsafePathKeys.has(segment))
+}
+
+/**
+ * Removes `key` from `container`, using `delete()` for `Map`s and `Set`s.
+ *
+ * @param {*} container The object to remove from.
+ * @param {*} key The key to remove.
+ * @returns {boolean} True if something was removed.
+ */
+function deletePathSegment(container, key) {
+  if (isCollection(container, Map, WeakMap)) {
+    const { found, value: mapKey } = pathMapKey(container, key)
+
+    return found && container.delete(mapKey)
+  }
+
+  if (isCollection(container, Set, WeakSet))
+    return container.delete(key)
+
+  return (
+    is.shiny(container) &&
+    Reflect.has(container, key) &&
+    Reflect.deleteProperty(container, key)
+  )
+}
+
+/**
+ * Appends `key` to a JSON-style `path`. Identifier-like strings use dot
+ * notation, numbers use bracket notation, and anything else (strings with
+ * spaces, symbols) is quoted inside brackets. The result can be read back
+ * by {@link parsePath}.
+ *
+ * @param {string} path The path so far.
+ * @param {string|number|symbol} key The next key.
+ * @returns {string} The combined path.
+ *
+ * @example
+ * joinPath('user.addresses', 2) // 'user.addresses[2]'
+ * joinPath('user', 'first name') // 'user["first name"]'
+ */
+function joinPath(path, key) {
+  if (is.number(key) || (is.string(key) && /^\d+$/.test(key)))
+    return `${path}[${key}]`
+
+  if (is.symbol(key))
+    return `${path}[${String(key)}]`
+
+  if (/^[A-Za-z_$][\w$]*$/.test(key))
+    return path ? `${path}.${key}` : key
+
+  return `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * Wraps `test` in a predicate function whose `name` and `description`
+ * are both `description`. The result is marked with `kPredicate` so that
+ * {@link is#predicate} and {@link is#a} recognize it, and it renders its
+ * description when converted to a string or inspected in nodejs.
+ *
+ * @param {string} description A readable description such as
+ * `'arrayOf(string)'`.
+ * @param {function(*): boolean} test The test to run against a value.
+ * @returns {Function} The named predicate.
+ */
+function makePredicate(description, test) {
+  const predicate = (value) => !!test(value)
+
+  return Object.defineProperties(predicate, {
+    name: { value: description, configurable: true },
+    description: { value: description, enumerable: true },
+    toString: { value: () => description, configurable: true },
+    [kPredicate]: { value: true },
+    [Symbol.for('nodejs.util.inspect.custom')]: {
+      value: () => `[Predicate: ${description}]`,
+      configurable: true,
+    },
+  })
+}
+
+/**
+ * Shared tail of the {@link as} converters. Returns `result` unless the
+ * conversion `failed` and the caller asked for `strict` conversion, in
+ * which case a {@link ConversionError} is thrown.
+ *
+ * @param {*} result The converted value.
+ * @param {*} value The original value.
+ * @param {string} target A description of the type converted to.
+ * @param {object} [options] The options passed to the converter.
+ * @param {boolean} [failed] Whether the conversion failed. Defaults to
+ * `true` when `result` is `undefined` or `NaN`.
+ * @returns {*} `result`, unchanged.
+ * @throws {ConversionError} If the conversion failed in strict mode.
+ */
+function converted(
+  result,
+  value,
+  target,
+  options,
+  failed = result === undefined || Number.isNaN(result)
+) {
+  if (failed && options?.strict)
+    throw new ConversionError(value, target)
+
+  return result
+}
+
+/**
+ * Milliseconds per duration unit, keyed by every spelling `as.duration`
+ * accepts.
+ *
+ * @type {Map<string, number>}
+ */
+const durationUnits = new Map([
+  ...['ms', 'msec', 'msecs', 'millisecond', 'milliseconds'].map(
+    (unit) => [unit, 1]
+  ),
+  ...['s', 'sec', 'secs', 'second', 'seconds'].map(
+    (unit) => [unit, 1000]
+  ),
+  ...['m', 'min', 'mins', 'minute', 'minutes'].map(
+    (unit) => [unit, 60 * 1000]
+  ),
+  ...['h', 'hr', 'hrs', 'hour', 'hours'].map(
+    (unit) => [unit, 60 * 60 * 1000]
+  ),
+  ...['d', 'day', 'days'].map(
+    (unit) => [unit, 24 * 60 * 60 * 1000]
+  ),
+  ...['w', 'wk', 'wks', 'week', 'weeks'].map(
+    (unit) => [unit, 7 * 24 * 60 * 60 * 1000]
+  ),
+])
+
+/**
+ * Parses a duration string for {@link as#duration}. Accepts plain
+ * numbers (milliseconds), ISO 8601 durations without years or months and
+ * sequences of amounts and units, optionally signed as a whole.
+ *
+ * @param {string} string The trimmed duration string.
+ * @returns {number|undefined} The duration in milliseconds, or undefined
+ * if string is not a recognized duration.
+ */
+function parseDuration(string) {
+  const number = String.raw`\d*\.?\d+`
+
+  if (new RegExp(`^[-+]?${number}$`).test(string))
+    return Number(string)
+
+  const iso = new RegExp([
+    `^P(?:(${number})W)?(?:(${number})D)?`,
+    `(?:T(?:(${number})H)?(?:(${number})M)?(?:(${number})S)?)?$`,
+  ].join(''), 'i').exec(string)
+
+  if (iso && !/^PT?$|T$/i.test(string)) {
+    return ['w', 'd', 'h', 'm', 's'].reduce((total, unit, index) => (
+      total + Number(iso[index + 1] ?? 0) * durationUnits.get(unit)
+    ), 0)
+  }
+
+  const [, sign, body] = /^([-+]?)\s*(.*)$/.exec(string)
+  const part = new RegExp(`(${number})\\s*([a-z]+)\\s*,?\\s*`, 'giy')
+  let total = 0
+  let matched = 0
+
+  for (const [text, amount, unit] of body.matchAll(part)) {
+    const scale = durationUnits.get(unit.toLowerCase())
+
+    if (scale === undefined)
+      return undefined
+
+    total += Number(amount) * scale
+    matched += text.length
+  }
+
+  if (!body.length || matched !== body.length)
+    return undefined
+
+  return sign === '-' ? -total : total
+}
+
+/**
+ * Returns `value` when `passed` is truthy, otherwise throws a
+ * {@link TypeAssertionError} describing the mismatch. Shared by every
+ * method of {@link assert}.
+ *
+ * @param {boolean} passed The result of the `is` predicate.
+ * @param {string} expected A description of the expected type.
+ * @param {*} value The value that was checked.
+ * @param {string} [label] The name given to the value checked.
+ * @returns {*} `value`, unchanged.
+ * @throws {TypeAssertionError} If `passed` is falsy.
+ */
+function assertThat(passed, expected, value, label) {
+  if (!passed)
+    throw new TypeAssertionError(expected, value, label)
+
+  return value
+}
+
+/**
+ * Builds the {@link assert} counterpart of `is[key]`. The arguments `is[key]`
+ * declares are handed to it and the one after them is the label. When
+ * `is[key]` is a combinator, and so returns a predicate, an assertion of
+ * that predicate is returned instead.
+ *
+ * @param {string} key The name of the `is` method to mirror.
+ * @returns {Function} The assertion.
+ */
+function assertionOf(key) {
+  const method = is[key]
+  const checkArgs = method.length
+
+  return function(...args) {
+    const result = method.apply(is, checkArgs ? args.slice(0, checkArgs) : args)
+
+    if (is.predicate(result)) {
+      const assertion = (value, label = undefined) => (
+        assertThat(result(value), result.description, value, label)
+      )
+
+      combinatorAssertions.add(assertion)
+
+      return assertion
+    }
+
+    const expected = key === 'a'
+      ? describeSchema(args[1])
+      : assertionExpectations[key] ??
+        key.replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`)
+
+    return assertThat(result, expected, args[0], args[checkArgs])
+  }
+}
+
+/**
+ * Builds the {@link si.async} counterpart of `si[key]`. The arguments
+ * before `thenValue` and `elseValue`, as many as `si[key]` declares, are
+ * awaited and handed to the synchronous `si[key]` to decide the
+ * condition.
+ *
+ * @param {string} key The name of the `si` method to mirror.
+ * @returns {function(...*): Deferred} The async mirror.
+ */
+function asyncMirrorOf(key) {
+  const method = si[key]
+  const conditionArgs = method.length - 2
+
+  return function(...args) {
+    const [thenValue, elseValue] = args.slice(conditionArgs)
+
+    return asyncIfThenElse(
+      async () => method.call(
+        si, ...(await Promise.all(args.slice(0, conditionArgs))), true, false
+      ),
+      thenValue,
+      elseValue
+    )
+  }
+}
+
+/**
+ * The async counterpart of {@link ifThenElse}. `condition` is called and
+ * its result awaited before the branch is chosen; the chosen branch, if a
+ * function, is called and its result awaited too.
+ *
+ * @param {function(): *} condition Produces the condition, or a promise
+ * for it.
+ * @param {function|*} thenCase The branch chosen for a truthy condition.
+ * @param {function|*} elseCase The branch chosen for a falsy condition.
+ * @returns {Deferred} A deferred settled with the chosen branch's result.
+ */
+function asyncIfThenElse(condition, thenCase, elseCase) {
+  const deferred = new Deferred()
+
+  Promise.resolve()
+    .then(condition)
+    .then((result) => ifThenElse(result, thenCase, elseCase))
+    .then(
+      (value) => deferred.resolve(value),
+      (reason) => deferred.reject(reason)
+    )
+
+  return deferred
 }
 
 function ifThenElse(condition, thenCase, elseCase) {
@@ -1654,3 +3689,38 @@ function ifThenElse(condition, thenCase, elseCase) {
       return elseCase
   }
 }
+
+/**
+ * Determines whether `value` is an instance of any of `types`, which must
+ * be `Map`, `WeakMap`, `Set` or `WeakSet`. Values from other realms, such
+ * as a `node:vm` context, fail `instanceof` against this realm's classes,
+ * so values tagged as one of the types are also tested by calling the
+ * type's own `has` method on them, which only succeeds for genuine
+ * instances whichever realm they come from.
+ *
+ * @param {*} value The value to test.
+ * @param {...Function} types The collection classes to accept.
+ * @returns {boolean} `true` if `value` is one of them.
+ */
+function isCollection(value, ...types) {
+  if (Object(value) !== value)
+    return false
+
+  const tag = Object.prototype.toString.call(value)
+
+  return types.some((type) => {
+    if (value instanceof type)
+      return true
+
+    if (tag !== `[object ${type.name}]`)
+      return false
+
+    try {
+      type.prototype.has.call(value, undefined)
+      return true
+    }
+    catch {
+      return false
+    }
+  })
+}
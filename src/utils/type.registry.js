@@ -0,0 +1,269 @@
+/**
+ * A registry of named types. Each name is paired with either a class or a
+ * predicate function and, optionally, a conversion function. Once
+ * registered, the name can be used anywhere a built-in type name can, such
+ * as `is.a(value, 'Money')`, `Type.is(value, 'Money')`,
+ * `Object.getType(value)` or `as.type(value, 'Money')`.
+ *
+ * Registrations are kept per realm. The `owner` argument, which defaults to
+ * `globalThis`, is the global object of the realm the name belongs to. A
+ * lookup against any other owner first searches that owner's names and
+ * then falls back to those registered against `globalThis`, so common
+ * types need only be registered once.
+ *
+ * @example
+ * class Money {
+ *   constructor(amount) { this.amount = Number(amount) }
+ * }
+ *
+ * typeRegistry.register('Money', Money)
+ * typeRegistry.register('Email', (value) => /^[^@]+@[^@]+$/.test(value))
+ *
+ * is.a(new Money(5), 'Money')        // true
+ * is.a('me@example.com', 'Email')    // true
+ * as.type('12.50', 'Money').amount   // 12.5
+ */
+export class TypeRegistry {
+  /**
+   * The registered entries, keyed first by owner (realm) and then by name.
+   *
+   * @type {WeakMap<object, Map<string, TypeRegistryEntry>>}
+   */
+  #realms = new WeakMap()
+
+  /**
+   * Registers `name` as a type. When `predicateOrClass` is a class, values
+   * are tested with `instanceof` and the class becomes the value reported
+   * by `Object.getType` and `Type.class`. Otherwise it is called with the
+   * value and its truthiness decides the match.
+   *
+   * Registering a name that already exists for the same owner replaces the
+   * previous entry.
+   *
+   * @param {string} name The name the type is known by.
+   * @param {Function} predicateOrClass A class, or a function receiving a
+   * value and returning `true` if it is of this type.
+   * @param {object} [options] Additional options.
+   * @param {object} [options.owner=globalThis] The realm the name belongs
+   * to.
+   * @param {function(*): *} [options.convert] A function converting an
+   * arbitrary value into this type, used by `as.type`. Classes default to
+   * `new Class(value)`.
+   * @returns {TypeRegistryEntry} The newly created entry.
+   * @throws {TypeError} If `name` is not a non-empty string or
+   * `predicateOrClass` is not a function.
+   */
+  register(name, predicateOrClass, options = {}) {
+    const { owner = globalThis, convert } = options ?? {}
+
+    if (typeof(name) !== 'string' || !name.length)
+      throw new TypeError('Type names must be non-empty strings')
+
+    if (typeof(predicateOrClass) !== 'function')
+      throw new TypeError(`Type ${name} must be a class or a predicate`)
+
+    if (convert !== undefined && typeof(convert) !== 'function')
+      throw new TypeError(`Type ${name} convert must be a function`)
+
+    const isClass = isClassLike(predicateOrClass)
+    const entry = Object.freeze({
+      name,
+      owner,
+      class: isClass ? predicateOrClass : undefined,
+      test: isClass
+        ? (value) => value instanceof predicateOrClass
+        : (value) => !!predicateOrClass(value),
+      convert: convert ?? (isClass
+        ? (value) => new predicateOrClass(value)
+        : undefined
+      ),
+    })
+
+    const names = this.#namesFor(owner, true)
+
+    // Deleting first moves a replaced name to the end, keeping
+    // registration order, and so match() precedence, accurate
+    names.delete(name)
+    names.set(name, entry)
+
+    return entry
+  }
+
+  /**
+   * Removes `name` from the registry for `owner`. Names registered against
+   * other realms are not affected.
+   *
+   * @param {string} name The name to remove.
+   * @param {object} [owner=globalThis] The realm the name belongs to.
+   * @returns {boolean} `true` if a registration was removed.
+   */
+  unregister(name, owner = globalThis) {
+    return this.#namesFor(owner)?.delete(name) ?? false
+  }
+
+  /**
+   * Finds the entry for `name`, searching `owner` first and `globalThis`
+   * second.
+   *
+   * @param {string} name The name to find.
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {TypeRegistryEntry|undefined} The entry, if one was found.
+   */
+  get(name, owner = globalThis) {
+    return (
+      this.#namesFor(owner)?.get(name) ??
+      this.#namesFor(globalThis)?.get(name)
+    )
+  }
+
+  /**
+   * Determines whether `name` can be found for `owner`.
+   *
+   * @param {string} name The name to find.
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {boolean} `true` if the name is registered.
+   */
+  has(name, owner = globalThis) {
+    return this.get(name, owner) !== undefined
+  }
+
+  /**
+   * Tests `value` against the type registered as `name`.
+   *
+   * @param {*} value The value to test.
+   * @param {string} name The registered name to test against.
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {boolean|undefined} The result of the test, or `undefined` if
+   * no type with that name is registered.
+   */
+  test(value, name, owner = globalThis) {
+    return this.get(name, owner)?.test(value)
+  }
+
+  /**
+   * Finds the most recently registered type that `value` matches. The
+   * owner's own registrations are searched before those of `globalThis`.
+   *
+   * @param {*} value The value to identify.
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {TypeRegistryEntry|undefined} The matching entry, if any.
+   */
+  match(value, owner = globalThis) {
+    for (const entry of this.entries(owner)) {
+      if (entry.test(value))
+        return entry
+    }
+
+    return undefined
+  }
+
+  /**
+   * Finds the class of the most recently registered type that `value` is
+   * an instance of. Types registered with only a predicate have no class
+   * to report and are skipped.
+   *
+   * @param {*} value The value to identify.
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {Function|undefined} The registered class, if any.
+   */
+  classOf(value, owner = globalThis) {
+    return this.entries(owner)
+      .find((entry) => entry.class && entry.test(value))
+      ?.class
+  }
+
+  /**
+   * Lists the entries visible from `owner`, most recently registered
+   * first. A name registered against both `owner` and `globalThis` is only
+   * reported once, using the owner's entry.
+   *
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {TypeRegistryEntry[]} The visible entries.
+   */
+  entries(owner = globalThis) {
+    const own = [...(this.#namesFor(owner)?.values() ?? [])].reverse()
+    const shared = owner === globalThis
+      ? []
+      : [...(this.#namesFor(globalThis)?.values() ?? [])].reverse()
+    const names = new Set(own.map(({ name }) => name))
+
+    return [...own, ...shared.filter(({ name }) => !names.has(name))]
+  }
+
+  /**
+   * Lists the names visible from `owner`.
+   *
+   * @param {object} [owner=globalThis] The realm to search first.
+   * @returns {string[]} The visible names.
+   */
+  names(owner = globalThis) {
+    return this.entries(owner).map(({ name }) => name)
+  }
+
+  /**
+   * Retrieves the name map for `owner`, optionally creating it.
+   *
+   * @param {object} owner The realm whose names are wanted.
+   * @param {boolean} [create=false] Create the map if it does not exist.
+   * @returns {Map<string, TypeRegistryEntry>|undefined} The name map.
+   */
+  #namesFor(owner, create = false) {
+    if (!owner || !['object', 'function'].includes(typeof(owner)))
+      return undefined
+
+    if (create && !this.#realms.has(owner))
+      this.#realms.set(owner, new Map())
+
+    return this.#realms.get(owner)
+  }
+
+  get [Symbol.toStringTag]() { return TypeRegistry.name }
+}
+
+/**
+ * A single registration in a {@link TypeRegistry}.
+ *
+ * ```
+ * interface TypeRegistryEntry {
+ *   name: string;                // the registered name
+ *   owner: object;               // the realm the name belongs to
+ *   class?: Function;            // the class, when registered with one
+ *   test(value): boolean;        // true if value is of this type
+ *   convert?(value): any;        // converts value into this type
+ * }
+ * ```
+ *
+ * @typedef {object} TypeRegistryEntry
+ */
+
+/**
+ * The registry shared by `is.a`, `Type.is`, `Type.class`,
+ * `Object.getType` and `as.type`.
+ *
+ * @type {TypeRegistry}
+ */
+export const typeRegistry = new TypeRegistry()
+
+/**
+ * Determines whether `fn` should be treated as a class rather than a
+ * predicate, both here and by the shape checks of the toolkit. A class
+ * uses `class` syntax, or is a function with a prototype and a capitalized
+ * name, which covers native constructors and pre-`class` constructor
+ * functions alike.
+ *
+ * @param {Function} fn The function to inspect.
+ * @returns {boolean} `true` if `fn` looks like a class.
+ */
+export function isClassLike(fn) {
+  if (/^class[\s{]/.test(Function.prototype.toString.call(fn)))
+    return true
+
+  return !!fn?.prototype && /^[A-Z]/.test(fn.name)
+}
+
+export default {
+  TypeRegistry,
+
+  isClassLike,
+  typeRegistry,
+}
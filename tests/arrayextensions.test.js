@@ -53,4 +53,27 @@ describe('ArrayPrototypeExtensions', () => {
       expect(arr.last).toBeUndefined();
     });
   });
-});
\ No newline at end of file
+
+  describe('fuzzyFind method', () => {
+    const commands = ['start', 'status', 'stop', 'restart', 'unrelated'];
+
+    it('should rank in-order matches first and keep ties in order', () => {
+      expect(commands.fuzzyFind('st', { limit: 3 }).map(({ item }) => item))
+        .toEqual(['stop', 'start', 'status']);
+    });
+
+    it('should suggest near misses above the threshold', () => {
+      const [best] = commands.fuzzyFind('stauts');
+
+      expect(best).toMatchObject({ item: 'status', index: 1 });
+      expect(commands.fuzzyFind('stauts', { threshold: 0.5 })).toEqual([]);
+    });
+
+    it('should read the text of each element through key', () => {
+      const items = [{ name: 'alpha' }, { name: 'beta' }];
+
+      expect(items.fuzzyFind('alp', { key: 'name' })[0].item).toBe(items[0]);
+      expect(items.fuzzyFind('bet', { key: (item) => item.name })[0].index).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import { Controls, StaticPatches, InstancePatches } from '../src/index.js'
+import * as fn from '../src/fn.js'
+
+describe('Standalone functions', () => {
+  test('every patch entry with a string key is exported', () => {
+    const entries = [...StaticPatches, ...InstancePatches]
+      .flatMap(([, patch]) => [...patch.entries])
+      .filter(([key]) => typeof key === 'string')
+      .filter(([key]) => !['null', 'min', 'max'].includes(key))
+
+    for (const [key] of entries)
+      expect(typeof fn[key], key).toBe('function');
+
+    expect(typeof fn.regExpNull).toBe('function');
+    expect(typeof fn.bigIntMax).toBe('function');
+    expect(typeof fn.mathMax).toBe('function');
+  });
+
+  test('nothing is patched by using them', () => {
+    expect(fn.first([1, 2, 3])).toBe(1);
+    expect(fn.last([1, 2, 3])).toBe(3);
+    expect(fn.onlyTruthy([0, 1, '', 2])).toEqual([1, 2]);
+    expect(fn.stripTo({ a: 1, b: 2 }, ['a'])).toEqual({ a: 1 });
+    expect(fn.isString('text')).toBe(true);
+    expect(fn.ifNumber(4, 'yes', 'no')).toBe('yes');
+
+    expect(Reflect.has([], 'first')).toBe(false);
+    expect(Reflect.has(Object, 'stripTo')).toBe(false);
+  });
+
+  test('static entries calling one another through this still work', () => {
+    expect(fn.areNumbers('every', 1, 2, 3)).toBe(true);
+    expect(fn.ifFunction(() => {}, 'yes', 'no')).toBe('yes');
+    expect(fn.clamp(12, 0, 10)).toBe(10);
+    expect(fn.hasAll({ a: 1, b: 2 }, 'a', 'b')).toBe(true);
+  });
+
+  test('shared names are qualified by owner', () => {
+    expect(fn.bigIntMin(1n, 3n)).toBe(1n);
+    expect(fn.min).toBeUndefined();
+    expect(fn.mathMin(1, 3)).toBe(1);
+    expect(fn.contains([1, 2], 2)).toBe(true);
+    expect(fn.setPrototypeContains(new Set([1, 2]), 2)).toBe(true);
+    expect(fn.bigIntPrototypeClamp(12n, 0n, 10n)).toBe(10n);
+  });
+
+  test('they match the patched behavior', () => {
+    Controls.enablePatches()
+
+    try {
+      const pairs = [{ name: 'Jane' }, { age: 25 }]
+
+      expect(fn.variants(pairs)).toEqual(pairs.variants());
+      expect(fn.getStringTag(new Map())).toBe(Object.getStringTag(new Map()));
+      expect(fn.definitionType()).toEqual(Object.definitionType);
+      expect(String(fn.sgr('text', 'red'))).toBe(String(String.sgr('text', 'red')));
+    }
+    finally {
+      Controls.disablePatches()
+    }
+  });
+
+  test('a bundle keeps only the functions it imports', async () => {
+    const { metafile, outputFiles } = await build({
+      stdin: {
+        contents: `export { first } from './src/fn.js'`,
+        resolveDir: fileURLToPath(new URL('..', import.meta.url)),
+      },
+      bundle: true,
+      format: 'esm',
+      metafile: true,
+      packages: 'external',
+      write: false,
+    })
+    const [output] = Object.values(metafile.outputs)
+    const bundled = Object.keys(output.inputs)
+
+    expect(output.exports).toEqual(['first']);
+    expect(bundled).toContain('src/array.extensions.js');
+    expect(bundled).not.toContain('src/object.extensions.js');
+    expect(bundled).not.toContain('src/set.extensions.js');
+    expect(outputFiles[0].text).not.toMatch(/"(last|stripTo)"/);
+  });
+});
@@ -1,5 +1,14 @@
-import { describe, beforeEach, afterEach, test, expect } from 'vitest';
-import { Controls } from '../src/index.js'
+import { describe, beforeEach, afterEach, test, expect, vi } from 'vitest';
+import vm from 'node:vm';
+import { Worker } from 'node:worker_threads';
+import { Patch } from '@nejs/extension'
+import {
+  Controls,
+  PatchConflictError,
+  Patches,
+  declareNative,
+  entryDescriptor,
+} from '../src/index.js'
 
 const { enableAll, disableAll } = Controls
 
@@ -37,3 +46,342 @@ describe('Enabled extensions', () => {
     expect(Reflect.hasAll(obj, 'a', 'c')).toBe(false);
   });
 });
+
+describe('Controls.withPatches', () => {
+  const { withPatches } = Controls
+
+  test('applies only the selected patches while fn runs', () => {
+    const result = withPatches(['Array.prototype'], () => [
+      [1, 2, 3].last,
+      typeof Array.ifArray,
+    ])
+
+    expect(result).toEqual([3, 'undefined'])
+    expect([1, 2, 3].last).toBeUndefined()
+  });
+
+  test('restores patches when fn throws', () => {
+    expect(() => withPatches('Object', () => {
+      throw new Error('boom')
+    })).toThrow('boom')
+
+    expect(Object.isObject).toBeUndefined()
+  });
+
+  test('restores patches after an async fn settles', async () => {
+    const pending = withPatches(['Object', 'Reflect'], async () => {
+      await Promise.resolve()
+      return Reflect.hasAll({ a: 1 }, 'a')
+    })
+
+    expect(typeof Reflect.hasAll).toBe('function')
+    await expect(pending).resolves.toBe(true)
+    expect(Reflect.hasAll).toBeUndefined()
+
+    await expect(withPatches('Reflect', async () => {
+      throw new Error('async boom')
+    })).rejects.toThrow('async boom')
+    expect(Reflect.hasAll).toBeUndefined()
+  });
+
+  test('releases the patches it applied when a later one fails', () => {
+    const failing = vi.spyOn(Patches.get(Reflect), 'apply')
+      .mockImplementationOnce(() => { throw new Error('apply failed') })
+    let ran = false
+
+    expect(() => withPatches(['Object', 'Reflect'], () => { ran = true }))
+      .toThrow('apply failed')
+    failing.mockRestore()
+
+    expect(ran).toBe(false)
+    expect(Object.isObject).toBeUndefined()
+
+    withPatches(['Object', 'Reflect'], () => {})
+    expect(Object.isObject).toBeUndefined()
+    expect(Reflect.hasAll).toBeUndefined()
+  });
+
+  test('keeps patches applied until the last overlapping scope ends', async () => {
+    let finishFirst
+    const first = withPatches(['Array'], () => new Promise((resolve) => {
+      finishFirst = resolve
+    }))
+    const second = withPatches(['Array'], async () => {
+      await Promise.resolve()
+      return [1, 2].first
+    })
+
+    await expect(second).resolves.toBe(1)
+    expect([1, 2].first).toBe(1)
+
+    finishFirst()
+    await first
+    expect([1, 2].first).toBeUndefined()
+  });
+
+  test('supports nested scopes and leaves prior patches applied', () => {
+    withPatches('Array', () => {
+      withPatches('Array', () => {})
+      expect([1].first).toBe(1)
+    })
+    expect([1].first).toBeUndefined()
+
+    enableAll()
+    withPatches('Array', () => {})
+    expect([1].first).toBe(1)
+    disableAll()
+  });
+});
+
+describe('Controls.preflight', () => {
+  const { preflight, enablePatches, disablePatches } = Controls
+
+  afterEach(() => {
+    disablePatches()
+    delete Array.prototype.first
+    delete Math.clamp
+  });
+
+  test('reports existing keys with their source', () => {
+    Array.prototype.first = function() { return 'theirs' }
+
+    const conflicts = preflight('Array.prototype')
+    const first = conflicts.find(({ key }) => key === 'first')
+
+    expect(first).toMatchObject({
+      target: 'Array.prototype',
+      source: 'user-defined',
+      inherited: false,
+      existing: 'method',
+      replacement: 'accessor',
+      differs: true,
+    })
+    expect(conflicts.some(({ key }) => key === 'last')).toBe(false)
+  });
+
+  test('reports native keys, even once patched', () => {
+    const before = preflight('Math')
+      .filter(({ source }) => source === 'native')
+      .map(({ key }) => key)
+
+    enablePatches()
+
+    const after = preflight('Math')
+      .filter(({ source }) => source === 'native')
+      .map(({ key }) => key)
+
+    expect(before).toEqual(expect.arrayContaining(['min', 'max']))
+    expect(after).toEqual(before)
+  });
+
+  test('enablePatches skips conflicting keys when asked', () => {
+    const theirs = function() { return 'theirs' }
+    Array.prototype.first = theirs
+
+    enablePatches({ onConflict: 'skip' })
+
+    expect([1, 2].first()).toBe('theirs')
+    expect([1, 2].last).toBe(2)
+
+    disablePatches()
+
+    expect(Array.prototype.first).toBe(theirs)
+    expect([1, 2].last).toBeUndefined()
+  });
+
+  test('enablePatches leaves the records of skipped patches untouched', () => {
+    const patch = Patches.get(Array.prototype)
+    const { condition } = patch.patchEntries.first
+    const conflicts = patch.conflicts.map(([key]) => key)
+    Array.prototype.first = function() { return 'theirs' }
+
+    enablePatches({ onConflict: 'skip' })
+
+    expect(patch.patchEntries.first.condition).toBe(condition)
+    expect(patch.conflicts.map(([key]) => key)).toEqual(conflicts)
+    expect(Controls.withPatches('Array.prototype', () => [1, 2].first()))
+      .toBe('theirs')
+    expect([1, 2].last).toBe(2)
+  });
+
+  test('enablePatches throws without applying anything when asked', () => {
+    Array.prototype.first = function() { return 'theirs' }
+
+    expect(() => enablePatches({ onConflict: 'throw' }))
+      .toThrow(PatchConflictError)
+    expect([1, 2].last).toBeUndefined()
+    expect(() => enablePatches({ onConflict: 'ignore' })).toThrow(TypeError)
+  });
+
+  test('enablePatches overrides by default and restores on disable', () => {
+    const theirs = function() { return 'theirs' }
+    Array.prototype.first = theirs
+
+    enablePatches()
+
+    expect([1, 2].first).toBe(1)
+
+    disablePatches()
+
+    expect(Array.prototype.first).toBe(theirs)
+  });
+});
+
+describe('Controls compatibility mode', () => {
+  const { compatReport, enableAll, disableAll } = Controls
+
+  afterEach(() => {
+    disableAll()
+  });
+
+  test('reports a path for every native counterpart', () => {
+    const report = compatReport()
+    const names = report.map(({ target, key }) => `${target}.${key}`)
+
+    expect(names).toEqual(expect.arrayContaining([
+      'Map.groupBy',
+      'RegExp.escape',
+      'Set.prototype.union',
+      'globalThis.Iterator',
+    ]))
+
+    for (const { present, compliant, path } of report)
+      expect(path).toBe(present && compliant ? 'native' : 'polyfill')
+  });
+
+  test('uses a compliant native and polyfills a broken one', () => {
+    const native = Map.groupBy
+    const compliant = function groupBy(items, callback) {
+      const groups = new Map()
+      let index = 0
+
+      for (const item of items) {
+        const key = Object.is(callback(item, index), -0) ? 0 : callback(item, index)
+        groups.set(key, [...(groups.get(key) ?? []), item])
+        index++
+      }
+
+      return groups
+    }
+
+    try {
+      Map.groupBy = compliant
+      expect(compatReport('Map').find(({ key }) => key === 'groupBy').path)
+        .toBe('native')
+
+      enableAll({ compat: true })
+      expect(Map.groupBy).toBe(compliant)
+      disableAll()
+
+      Map.groupBy = () => new Map()
+      const report = enableAll({ compat: true })
+      const decision = report.find(({ key }) => key === 'groupBy')
+
+      expect(decision).toMatchObject({
+        present: true, compliant: false, path: 'polyfill'
+      })
+      expect(Map.groupBy([1, 2, 3], (n) => n % 2).get(1)).toEqual([1, 3])
+    }
+    finally {
+      disableAll()
+
+      if (native)
+        Map.groupBy = native
+      else
+        delete Map.groupBy
+    }
+  });
+
+  test('holds back a fallback when a working native exists', () => {
+    const probe = (twice) => twice(2) === 4
+    const fallback = () => ({
+      [Patch.kMutablyHidden]: { twice(n) { return n + n } },
+    })
+
+    const native = new Patch({ twice: (n) => n * 2 }, {})
+    declareNative(native, 'twice', { probe, fallback: fallback() })
+
+    expect(native.entries).toEqual([])
+    expect(entryDescriptor(native, 'twice')).toMatchObject({
+      enumerable: false,
+    })
+    expect(entryDescriptor(native, 'twice').value(3)).toBe(6)
+
+    const missing = new Patch({}, {})
+    declareNative(missing, 'twice', { probe, fallback: fallback() })
+
+    expect(missing.entries.map(([key]) => key)).toEqual(['twice'])
+    expect(() => declareNative(missing, 'thrice', { probe, fallback: {} }))
+      .toThrow(TypeError)
+  });
+
+  test('provides spec behavior on either path', () => {
+    enableAll({ compat: true })
+
+    expect(RegExp.escape('a.b c')).toBe('\\x61\\.b\\x20c');
+    expect([...new Set([1]).union(new Set([2]))]).toEqual([1, 2]);
+    expect(Iterator.from([1, 2, 3]).map((n) => n * 2).toArray())
+      .toEqual([2, 4, 6]);
+    expect(typeof Iterator.keys).toBe('undefined');
+  });
+});
+
+describe('Controls.enableIn', () => {
+  test('patches the intrinsics of a vm context', () => {
+    const context = vm.createContext({})
+
+    Controls.enableIn(context)
+
+    try {
+      expect(vm.runInContext('[1, 2, 3].last', context)).toBe(3);
+      expect(vm.runInContext('Object.isObject({})', context)).toBe(true);
+      expect(vm.runInContext('typeof Iterable', context)).toBe('function');
+      expect([1, 2, 3].last).toBeUndefined();
+    }
+    finally {
+      Controls.disableIn(context)
+    }
+
+    expect(vm.runInContext('[1, 2, 3].last', context)).toBeUndefined();
+    expect(vm.runInContext('typeof Iterable', context)).toBe('undefined');
+  });
+
+  test('identifies types using the realm of the value', () => {
+    const context = vm.createContext({})
+    const realm = Controls.enableIn(context)
+
+    try {
+      expect(vm.runInContext('Object.getType(new Map()) === Map', context))
+        .toBe(true);
+      expect(Controls.enableIn(context)).toBe(realm);
+    }
+    finally {
+      Controls.disableIn(context)
+    }
+  });
+
+  test('honors onConflict against the other realm', () => {
+    const context = vm.createContext({})
+
+    vm.runInContext('Array.prototype.first = "mine"', context)
+
+    expect(() => Controls.enableIn(context, { onConflict: 'throw' }))
+      .toThrow(PatchConflictError);
+
+    Controls.enableIn(context, { onConflict: 'skip' })
+
+    try {
+      expect(vm.runInContext('[1].first', context)).toBe('mine');
+      expect(vm.runInContext('[1].last', context)).toBe(1);
+    }
+    finally {
+      Controls.disableIn(context)
+    }
+  });
+
+  test('rejects values that are not realms', () => {
+    expect(() => Controls.enableIn({})).toThrow(TypeError);
+    expect(() => Controls.enableIn(Object.create(Worker.prototype)))
+      .toThrow(/within the worker/);
+  });
+});
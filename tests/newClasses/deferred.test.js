@@ -1,5 +1,6 @@
 import { describe, beforeEach, test, expect, vi } from 'vitest';
-import { Extensions } from '../../src/index.js'
+import { inspect } from 'node:util';
+import { Extensions, setColorLevel } from '../../src/index.js'
 
 const Deferred = Extensions.Deferred.class
 
@@ -85,4 +86,17 @@ describe('Deferred', () => {
       new Deferred({ resolve: 'value', reject: 'reason' });
     }).toThrow(TypeError);
   });
-});
\ No newline at end of file
+
+  test('should only style its inspection when colors are enabled', async () => {
+    deferred.resolve(3);
+    await deferred.promise;
+
+    setColorLevel('basic');
+    expect(inspect(deferred)).toContain('\x1b[32m3\x1b[39m');
+
+    setColorLevel('none');
+    expect(inspect(deferred)).toBe('Deferred [Promise] { resolved with 3 }');
+
+    setColorLevel('auto');
+  });
+});
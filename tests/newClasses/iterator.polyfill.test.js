@@ -0,0 +1,91 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import {
+  IteratorHelpersPolyfill,
+  IteratorPolyfill,
+  isSpecIterator,
+} from '../../src/classes/iterator.polyfill.js'
+
+function* counting(limit, closed = {}) {
+  try {
+    for (let n = 1; n <= limit; n++)
+      yield n
+  }
+  finally {
+    closed.value = true
+  }
+}
+
+describe('IteratorPolyfill', () => {
+  beforeAll(() => { IteratorHelpersPolyfill.apply() });
+  afterAll(() => { IteratorHelpersPolyfill.revert() });
+
+  test('is abstract and shares the built-in iterator prototype', () => {
+    class Counter extends IteratorPolyfill {}
+
+    expect(() => new IteratorPolyfill()).toThrow(TypeError);
+    expect(new Counter()).toBeInstanceOf(IteratorPolyfill);
+    expect([].values()).toBeInstanceOf(IteratorPolyfill);
+  });
+
+  test('wraps iterables and bare iterators with from', () => {
+    let n = 0
+    const bare = { next: () => ({ value: ++n, done: n > 3 }) }
+
+    expect(IteratorPolyfill.from(bare).toArray()).toEqual([1, 2, 3]);
+    expect(IteratorPolyfill.from('ab').toArray()).toEqual(['a', 'b']);
+    expect(() => IteratorPolyfill.from(5)).toThrow(TypeError);
+  });
+
+  test('chains lazy helpers and closes the source early', () => {
+    const closed = {}
+    const result = counting(10, closed)
+      .map((n) => n * 2)
+      .filter((n) => n % 4 === 0)
+      .drop(1)
+      .take(2)
+      .toArray()
+
+    expect(result).toEqual([8, 12]);
+    expect(closed.value).toBe(true);
+  });
+
+  test('closes the source when a helper returns before its first next', () => {
+    const calls = []
+    const source = IteratorPolyfill.from({
+      next: () => ({ value: 1, done: false }),
+      return: () => { calls.push('return'); return { done: true } },
+    })
+    const mapped = source.map((n) => n + 1)
+
+    expect(Object.prototype.toString.call(mapped)).toBe('[object Iterator Helper]');
+    expect(mapped.return()).toEqual({ value: undefined, done: true });
+    expect(calls).toEqual(['return']);
+    expect(mapped.next()).toEqual({ value: undefined, done: true });
+    expect(mapped.return()).toEqual({ value: undefined, done: true });
+    expect(calls).toEqual(['return']);
+  });
+
+  test('closes the source when a callback throws', () => {
+    const closed = {}
+    const failing = counting(5, closed).filter(() => { throw new Error('no') })
+
+    expect(() => failing.next()).toThrow('no');
+    expect(closed.value).toBe(true);
+    expect(failing.next().done).toBe(true);
+  });
+
+  test('provides the eager helpers', () => {
+    expect(counting(4).reduce((sum, n) => sum + n)).toBe(10);
+    expect(counting(3).some((n) => n === 2)).toBe(true);
+    expect(counting(3).every((n) => n < 3)).toBe(false);
+    expect(counting(3).find((n) => n > 1)).toBe(2);
+    expect(counting(2).flatMap((n) => [n, n]).toArray()).toEqual([1, 1, 2, 2]);
+    expect(() => counting(0).reduce((a, b) => a + b)).toThrow(TypeError);
+    expect(() => counting(1).take(-1)).toThrow(RangeError);
+  });
+
+  test('satisfies its own specification probe', () => {
+    expect(isSpecIterator(IteratorPolyfill)).toBe(true);
+    expect(isSpecIterator(function Iterator() {})).toBe(false);
+  });
+});
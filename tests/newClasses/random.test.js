@@ -0,0 +1,130 @@
+import { describe, afterEach, test, expect } from 'vitest';
+import { Extensions } from '../../src/index.js'
+import { random36, randomRGBA } from '../../src/fn.js'
+
+const Random = Extensions.Random.class
+
+describe('Random', () => {
+  afterEach(() => {
+    Random.seed();
+  });
+
+  describe('seeding', () => {
+    test('should repeat the same sequence for the same seed', () => {
+      const first = new Random('seed');
+      const second = new Random('seed');
+
+      expect(Array.from({ length: 5 }, () => first.next()))
+        .toEqual(Array.from({ length: 5 }, () => second.next()));
+      expect(new Random(1).next()).not.toBe(new Random('1').next());
+    });
+
+    test('should make the library random helpers repeatable', () => {
+      const draw = () => [random36(), randomRGBA()];
+
+      Random.seed(42);
+      const first = draw();
+      Random.seed(42);
+
+      expect(draw()).toEqual(first);
+      expect(Random.withSeed(42, draw)).toEqual(first);
+    });
+
+    test('should restore the shared generator after withSeed', async () => {
+      const previous = Random.current;
+
+      expect(() => Random.withSeed(1, () => { throw new Error('nope') }))
+        .toThrow('nope');
+      expect(Random.current).toBe(previous);
+
+      const pending = Random.withSeed(1, async (generator) => {
+        await null;
+        return generator;
+      });
+
+      expect(Random.current).toBe(previous);
+      expect((await pending).seed).toBe(1);
+      expect(Random.current).toBe(previous);
+    });
+
+    test('should keep concurrent async withSeed calls apart', async () => {
+      const draw = (seed) => Random.withSeed(seed, async () => {
+        const values = [random36()];
+
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        values.push(random36());
+
+        return values;
+      });
+
+      const expected = [
+        Random.withSeed('a', () => [random36(), random36()]),
+        Random.withSeed('b', () => [random36(), random36()]),
+      ];
+
+      expect(await Promise.all([draw('a'), draw('b')])).toEqual(expected);
+    });
+
+    test('should not seed the tokens of Symkeys', () => {
+      const Symkeys = Extensions.Symkeys.class;
+      const tokens = [
+        Random.withSeed(5, () => Symkeys.token),
+        Random.withSeed(5, () => Symkeys.token),
+      ];
+
+      expect(tokens[0]).not.toBe(tokens[1]);
+    });
+
+    test('should not seed Random.key', () => {
+      const keys = [
+        Random.withSeed(5, () => Random.key()),
+        Random.withSeed(5, () => Random.key()),
+      ];
+
+      expect(keys[0]).toMatch(/^[0-9a-z]+$/);
+      expect(keys[0]).not.toBe(keys[1]);
+    });
+  });
+
+  describe('utilities', () => {
+    const random = new Random(7);
+
+    test('should keep numbers within their bounds', () => {
+      for (let index = 0; index < 200; index++) {
+        const float = random.float(5, 10);
+        const int = random.int(1, 6);
+
+        expect(float >= 5 && float < 10).toBe(true);
+        expect(Number.isInteger(int) && int >= 1 && int <= 6).toBe(true);
+      }
+
+      expect(() => random.int(Infinity)).toThrow(TypeError);
+    });
+
+    test('should choose, shuffle and sample without losing elements', () => {
+      const items = [1, 2, 3, 4, 5];
+
+      expect(items).toContain(random.choice(items));
+      expect(random.choice([])).toBeUndefined();
+      expect(random.shuffle(items).toSorted()).toEqual(items);
+      expect(new Set(random.sample(items, 3)).size).toBe(3);
+      expect(random.sample(items, 10)).toHaveLength(5);
+      expect(items).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should draw from normal and exponential distributions', () => {
+      const count = 5000;
+      let normal = 0;
+      let exponential = 0;
+
+      for (let index = 0; index < count; index++) {
+        normal += random.normal(10, 2);
+        exponential += random.exponential(4);
+      }
+
+      expect(normal / count).toBeCloseTo(10, 0);
+      expect(exponential / count).toBeCloseTo(0.25, 1);
+      expect(() => random.exponential(0)).toThrow(TypeError);
+    });
+  });
+});
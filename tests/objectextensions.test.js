@@ -1,5 +1,6 @@
 import { describe, beforeAll, afterAll, test, expect } from 'vitest';
 import { Patches } from '../src/index.js'
+import { toCamelCase } from '../src/fn.js'
 
 const ObjectExtensions = Patches.get(Object)
 
@@ -127,4 +128,58 @@ describe('ObjectExtensions', () => {
       expect(() => Object.stripTo(null, ['a'])).toThrow()
     })
   })
+
+  describe('mapKeys', () => {
+    const source = {
+      user_id: 1,
+      home_address: { zip_code: '1', tags: [{ tag_name: 'a' }] },
+      created_at: new Date(0),
+      [Symbol.for('raw')]: true,
+    }
+
+    test('should map only the top level keys by default', () => {
+      const mapped = Object.mapKeys(source, toCamelCase)
+
+      expect(Object.keys(mapped)).toEqual(['userId', 'homeAddress', 'createdAt'])
+      expect(mapped.homeAddress).toBe(source.home_address)
+      expect(mapped[Symbol.for('raw')]).toBe(true)
+    })
+
+    test('should map nested plain objects and arrays when deep', () => {
+      const mapped = Object.mapKeys(source, toCamelCase, { deep: true })
+
+      expect(mapped.homeAddress).toEqual({
+        zipCode: '1',
+        tags: [{ tagName: 'a' }],
+      })
+      expect(mapped.createdAt).toBe(source.created_at)
+    })
+
+    test('should keep the shape of cyclic graphs', () => {
+      const cyclic = { self_ref: null }
+      cyclic.self_ref = cyclic
+
+      const mapped = Object.mapKeys(cyclic, toCamelCase, { deep: true })
+
+      expect(mapped.selfRef).toBe(mapped)
+    })
+
+    test('should define __proto__ keys rather than set the prototype', () => {
+      const parsed = JSON.parse('{"__proto__":{"isAdmin":true}}')
+      const mapped = Object.mapKeys(parsed, (key) => key)
+
+      expect(Object.getPrototypeOf(mapped)).toBe(Object.prototype)
+      expect(mapped.isAdmin).toBeUndefined()
+      expect(Object.hasOwn(mapped, '__proto__')).toBe(true)
+      expect(mapped.__proto__).toEqual({ isAdmin: true })
+      expect(Object.getPrototypeOf(Object.mapKeys(parsed, (key) => key, {
+        deep: true,
+      }))).toBe(Object.prototype)
+    })
+
+    test('should reject non-objects and missing functions', () => {
+      expect(() => Object.mapKeys(null, toCamelCase)).toThrow(TypeError)
+      expect(() => Object.mapKeys({})).toThrow(TypeError)
+    })
+  })
 })
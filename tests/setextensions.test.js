@@ -87,5 +87,30 @@ describe('SetPrototypeExtensions', () => {
     expect(testSet.some(element => element > 5)).toBeFalsy();
   });
 
+  test('union, intersection and difference match the native methods', () => {
+    const odds = new Set([1, 3, 5])
+    const small = {
+      size: 2,
+      has: (n) => n === 2 || n === 3,
+      keys: () => [2, 3][Symbol.iterator](),
+    }
+
+    expect([...odds.union(new Set([2, 3]))]).toEqual([1, 3, 5, 2]);
+    expect([...odds.intersection(small)]).toEqual([3]);
+    expect([...odds.difference(small)]).toEqual([1, 5]);
+    expect([...odds.symmetricDifference(new Set([3, 4]))]).toEqual([1, 5, 4]);
+  });
+
+  test('subset, superset and disjoint checks accept set-like objects', () => {
+    const pair = new Set([1, 2])
+
+    expect(pair.isSubsetOf(new Set([1, 2, 3]))).toBe(true);
+    expect(pair.isSupersetOf(new Set([2]))).toBe(true);
+    expect(pair.isDisjointFrom(new Set([3]))).toBe(true);
+    expect(pair.isDisjointFrom(new Set([2, 9, 10]))).toBe(false);
+    expect(() => pair.union([1])).toThrow(TypeError);
+    expect(() => pair.union({ size: -1, has() {}, keys() {} })).toThrow(RangeError);
+  });
+
   // Add additional tests for error handling and edge cases
 });
\ No newline at end of file
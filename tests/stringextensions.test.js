@@ -1,5 +1,5 @@
 import { describe, beforeAll, test, expect } from 'vitest';
-import { Patches } from '../src/index.js'
+import { Patches, setColorLevel } from '../src/index.js'
 
 const StringExtensions = Patches.get(String)
 const StringPrototypeExtensions = Patches.get(String.prototype)
@@ -30,6 +30,133 @@ describe('StringExtensions', () => {
   test('curlyBracketsPair should return correct pair', () => {
     expect(String.curlyBracketsPair).toEqual(['{', '}']);
   });
+
+  test('sgr should accept extended colors at the shared color level', () => {
+    setColorLevel('truecolor');
+    expect(String(String.sgr('hi', '#ff8800', 'bg:#222')))
+      .toBe('\x1b[38;2;255;136;0m\x1b[48;2;34;34;34mhi\x1b[49m\x1b[39m');
+    expect(String(String.sgr('hi', 'rgb(255, 0, 0),u')))
+      .toBe('\x1b[38;2;255;0;0m\x1b[4mhi\x1b[24m\x1b[39m');
+
+    setColorLevel('basic');
+    expect(String(String.sgr('hi', 'ansi256(196)'))).toBe('\x1b[91mhi\x1b[39m');
+
+    setColorLevel('none');
+    expect(String(String.sgr('hi', 'red', 'bold'))).toBe('hi');
+
+    setColorLevel('auto');
+  });
+
+  test('style should compile brace markup like sgr', () => {
+    setColorLevel('truecolor');
+
+    const count = 3;
+    const saved = String.style`Saved {green.bold ${count}} files`;
+
+    expect(String(saved)).toBe(`Saved ${String.sgr(count, 'green', 'bold')} files`);
+    expect(Object.prototype.toString.call(saved)).toBe('[object SgrString]');
+
+    setColorLevel('auto');
+  });
+
+  test('style should restore enclosing styles and honor escapes', () => {
+    setColorLevel('truecolor');
+
+    expect(String(String.style`{red a {bold ${'{b}'}} c \{d\}}`))
+      .toBe('\x1b[31ma \x1b[1m{b}\x1b[22m\x1b[31m c {d}\x1b[39m');
+    expect(() => String.style`{gren x}`).toThrow(SyntaxError);
+    expect(() => String.style`{red x`).toThrow(SyntaxError);
+    expect(() => String.style`x}`).toThrow(SyntaxError);
+
+    setColorLevel('auto');
+  });
+
+  test('style should allow spaces within color functions', () => {
+    setColorLevel('truecolor');
+
+    expect(String(String.style`{hsl(32, 100%, 50%) warm}`))
+      .toBe(String(String.sgr('warm', 'hsl(32, 100%, 50%)')));
+    expect(String(String.style`{bg:rgb(1, 2, 3).bold x}`))
+      .toBe('\x1b[48;2;1;2;3m\x1b[1mx\x1b[22m\x1b[49m');
+    expect(() => String.style`{rgb(1, 2 x}`).toThrow(SyntaxError);
+
+    setColorLevel('auto');
+  });
+
+  test('visibleLength should measure printed columns', () => {
+    expect(String.visibleLength('\x1b[31mred\x1b[39m')).toBe(3);
+    expect(String.visibleLength('日本語')).toBe(6);
+    expect(String.visibleLength('👩‍👩‍👧 e\u0301')).toBe(4);
+    expect(String.visibleLength('\x1b]8;;https://example.com\x07a\x1b]8;;\x07')).toBe(1);
+  });
+
+  test('wrap should wrap properties and words by visible width', () => {
+    expect(String.wrap({ alpha: 1, beta: 2, gamma: 3 }, { maxLen: 16 }))
+      .toBe('  alpha, beta\n  gamma');
+    expect(String.wrap('the quick brown fox', { indent: 0, maxLen: 10 }))
+      .toBe('the quick\nbrown fox');
+    expect(String.wrap('日本語 日本語', { indent: 0, maxLen: 8, lineEnding: null }))
+      .toEqual(['日本語', '日本語']);
+  });
+
+  test('wrap should close and reopen styles across lines', () => {
+    setColorLevel('truecolor');
+
+    const text = String(String.sgr('red words that wrap', 'red'));
+
+    expect(String.wrap(text, { indent: 0, maxLen: 10, lineEnding: null }))
+      .toEqual(['\x1b[31mred words\x1b[39m', '\x1b[31mthat wrap\x1b[39m']);
+
+    setColorLevel('auto');
+  });
+
+  test('wrap should align, justify and hang indents', () => {
+    const options = { indent: 0, maxLen: 12, lineEnding: null };
+
+    expect(String.wrap('the quick brown fox', { ...options, align: 'right' }))
+      .toEqual(['   the quick', '   brown fox']);
+    expect(String.wrap('the quick brown fox', { ...options, align: 'center' }))
+      .toEqual([' the quick', ' brown fox']);
+    expect(String.wrap('the quick brown fox jumps', { ...options, align: 'justify' }))
+      .toEqual(['the    quick', 'brown    fox', 'jumps']);
+    expect(String.wrap('- item one that is long\n- two', { ...options, hangingIndent: 2 }))
+      .toEqual(['- item one', '  that is', '  long', '- two']);
+  });
+
+  test('wrap should break and hyphenate words as asked', () => {
+    const options = { indent: 0, maxLen: 8, lineEnding: null };
+
+    expect(String.wrap('supercalifragilistic', options))
+      .toEqual(['supercalifragilistic']);
+    expect(String.wrap('supercalifragilistic', {
+      ...options, wordBreak: 'break-word', hyphens: 'auto'
+    })).toEqual(['superca-', 'lifragi-', 'listic']);
+    expect(String.wrap('ab supercalifragilistic', { ...options, wordBreak: 'break-all' }))
+      .toEqual(['ab super', 'califrag', 'ilistic']);
+    expect(String.wrap('a well-known hy\u00ADphen\u00ADation', { ...options, maxLen: 9 }))
+      .toEqual(['a well-', 'known hy-', 'phenation']);
+  });
+
+  test('distances should count edits by code point', () => {
+    expect(String.levenshteinDistance('kitten', 'sitting')).toBe(3);
+    expect(String.levenshteinDistance('stauts', 'status')).toBe(2);
+    expect(String.damerauDistance('stauts', 'status')).toBe(1);
+    expect(String.levenshteinDistance('😀a', 'a')).toBe(1);
+  });
+
+  test('jaroWinklerSimilarity should favor shared prefixes', () => {
+    expect(String.jaroWinklerSimilarity('MARTHA', 'MARHTA')).toBeCloseTo(0.9611, 4);
+    expect(String.jaroWinklerSimilarity('DIXON', 'DICKSONX')).toBeCloseTo(0.8133, 4);
+    expect(String.jaroWinklerSimilarity('abc', 'xyz')).toBe(0);
+    expect(String.jaroWinklerSimilarity('', '')).toBe(1);
+  });
+
+  test('columns should lay blocks out side by side', () => {
+    expect(String.columns(['left side', 'right'], { widths: 4, gutter: ' | ' }))
+      .toBe('left | righ\nside | t');
+    expect(String.columns(['a\nbb', '日本\nx'], { align: ['right', 'left'] }))
+      .toBe(' a  日本\nbb  x');
+  });
 });
 
 describe('StringPrototypeExtensions', () => {
@@ -59,4 +186,85 @@ describe('StringPrototypeExtensions', () => {
       leadingToken: '',
     });
   });
-});
\ No newline at end of file
+
+  test('extractSubstring should honor quotes and comments when asked', () => {
+    const testString = 'call(")", /* ) */ x) and more';
+
+    expect(testString.extractSubstring(0, ['(', ')'], 'javascript')).toEqual({
+      extracted: '(")", /* ) */ x)',
+      range: [4, 19],
+      newOffset: 20,
+      leadingToken: 'call',
+    });
+    expect(testString.extractSubstring().extracted).toBe('(")');
+    expect(() => testString.extractSubstring(0, ['(', ')'], 'nope'))
+      .toThrow(TypeError);
+  });
+
+  test('toWords should split on separators, case changes and acronyms', () => {
+    expect('XMLHttpRequest'.toWords()).toEqual(['XML', 'Http', 'Request']);
+    expect('utf8_encoder-v2'.toWords()).toEqual(['utf8', 'encoder', 'v2']);
+    expect('ÉcoleNormale'.toWords()).toEqual(['École', 'Normale']);
+    expect('日本語Text'.toWords()).toEqual(['日本語', 'Text']);
+  });
+
+  test('case conversions should share the word splitter', () => {
+    const text = 'parseXMLDocument';
+
+    expect(text.toCamelCase()).toBe('parseXmlDocument');
+    expect(text.toPascalCase()).toBe('ParseXmlDocument');
+    expect(text.toSnakeCase()).toBe('parse_xml_document');
+    expect(text.toKebabCase()).toBe('parse-xml-document');
+    expect(text.toConstantCase()).toBe('PARSE_XML_DOCUMENT');
+    expect(text.toTitleCase()).toBe('Parse XML Document');
+    expect(text.toSentenceCase()).toBe('Parse XML document');
+    expect('straße_name'.toCamelCase()).toBe('straßeName');
+  });
+
+  test('fuzzyMatch should score matches and report their ranges', () => {
+    expect('status'.fuzzyMatch('status')).toEqual({ score: 1, ranges: [[0, 6]] });
+    expect('getStringTag'.fuzzyMatch('gst').ranges).toEqual([[0, 1], [3, 5]]);
+    expect('status'.fuzzyMatch('stat').score)
+      .toBeGreaterThan('list'.fuzzyMatch('st').score);
+
+    const typo = 'status'.fuzzyMatch('stauts');
+
+    expect(typo.score).toBeLessThan(0.5);
+    expect(typo.ranges).toEqual([[0, 3], [4, 6]]);
+  });
+
+  test('fuzzyMatch should handle long strings and refuse huge ones', () => {
+    const long = 'a'.repeat(200000) + 'b';
+
+    expect(long.fuzzyMatch('b').ranges).toEqual([[200000, 200001]]);
+    expect(() => long.fuzzyMatch('abcdefghij')).toThrow(RangeError);
+  });
+
+  test('stripAnsi should remove escape sequences', () => {
+    expect('\x1b[1m\x1b[31mbold red\x1b[39m\x1b[22m'.stripAnsi()).toBe('bold red');
+  });
+
+  test('sliceVisible should reopen and close styles across the cut', () => {
+    const text = `plain \x1b[31mred\x1b[39m text`;
+
+    expect(text.sliceVisible(6, 9)).toBe('\x1b[31mred\x1b[39m');
+    expect(text.sliceVisible(7, 11)).toBe('\x1b[31med\x1b[39m t');
+    expect(text.sliceVisible(-4)).toBe('text');
+    expect('日本語'.sliceVisible(1, 5)).toBe('本');
+  });
+
+  test('padVisible should pad to a visible width', () => {
+    expect('\x1b[32mok\x1b[39m'.padVisible(5, '.')).toBe('\x1b[32mok\x1b[39m...');
+    expect('日本'.padVisible(6, ' ', 'right')).toBe('  日本');
+    expect('ab'.padVisible(7, '-=', 'center')).toBe('-=ab-=-');
+    expect('wide'.padVisible(2)).toBe('wide');
+  });
+
+  test('truncateVisible should cut to a visible width', () => {
+    expect('Hello, World!'.truncateVisible(8)).toBe('Hello, …');
+    expect('\x1b[31mHello, World!\x1b[39m'.truncateVisible(8))
+      .toBe('\x1b[31mHello, …\x1b[39m');
+    expect('日本語'.truncateVisible(4)).toBe('日…');
+    expect('short'.truncateVisible(5)).toBe('short');
+  });
+});
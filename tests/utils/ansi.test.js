@@ -0,0 +1,95 @@
+import { afterAll, beforeAll, describe, it, expect } from 'vitest'
+import {
+  ansiStylesheet,
+  ansiToHtml,
+  ansiToText,
+  parseAnsi,
+} from '../../src/utils/ansi.js'
+import { StringConsole } from '../../src/utils/stdout.js'
+import { setColorLevel } from '../../src/utils/colors.js'
+
+describe('parseAnsi', () => {
+  it('groups text into spans by style', () => {
+    expect(parseAnsi('plain \x1b[1;31mbold red\x1b[0m')).toEqual({
+      type: 'root',
+      children: [
+        { type: 'text', value: 'plain ' },
+        {
+          type: 'span',
+          style: { bold: true, foreground: { kind: 'basic', value: 1 } },
+          children: [{ type: 'text', value: 'bold red' }],
+        },
+      ],
+    })
+  })
+
+  it('reads 256 and 24-bit colors', () => {
+    const [span] = parseAnsi('\x1b[38;5;214;48;2;1;2;3mx').children
+
+    expect(span.style).toEqual({
+      foreground: { kind: 'ansi256', value: 214 },
+      background: { kind: 'rgb', value: [1, 2, 3] },
+    })
+  })
+
+  it('reads colon separated colors with or without a color space', () => {
+    const [span] = parseAnsi('\x1b[38:2::255:136:0;48:2:1:2:3;4:3mx').children
+
+    expect(span.style).toEqual({
+      foreground: { kind: 'rgb', value: [255, 136, 0] },
+      background: { kind: 'rgb', value: [1, 2, 3] },
+      underline: true,
+    })
+    expect(parseAnsi('\x1b[38:5:214;3mx').children[0].style).toEqual({
+      foreground: { kind: 'ansi256', value: 214 },
+      italic: true,
+    })
+  })
+})
+
+describe('ansiToHtml', () => {
+  it('renders inline styles and escapes the text', () => {
+    expect(ansiToHtml('\x1b[31mfailed\x1b[39m: 1 < 2'))
+      .toBe('<span style="color: #cd3131">failed</span>: 1 &lt; 2')
+  })
+
+  it('renders classes for the basic palette and decorations', () => {
+    expect(ansiToHtml('\x1b[1;32mok\x1b[0m', { classes: true }))
+      .toBe('<span class="ansi-fg-green ansi-bold">ok</span>')
+    expect(ansiStylesheet()).toContain('.ansi-bold { font-weight: bold }')
+  })
+
+  it('combines line decorations rather than letting one override another', () => {
+    const html = ansiToHtml('\x1b[4;9mgone\x1b[0m', { classes: true })
+    const rules = ansiStylesheet().split('\n')
+
+    expect(html).toBe('<span class="ansi-underline ansi-strike">gone</span>')
+    expect(rules).toContain(
+      '.ansi-underline.ansi-strike { text-decoration: underline line-through }'
+    )
+    expect(rules).toContain(
+      '.ansi-underline.ansi-blink.ansi-strike.ansi-overline ' +
+      '{ text-decoration: underline blink line-through overline }'
+    )
+  })
+})
+
+describe('ansiToText', () => {
+  it('drops escape sequences and hyperlinks', () => {
+    expect(ansiToText('\x1b]8;;http://x\x07\x1b[32m✔\x1b[39m done\x1b]8;;\x07'))
+      .toBe('✔ done')
+  })
+})
+
+describe('StringConsole#toHTML', () => {
+  beforeAll(() => setColorLevel('truecolor'))
+  afterAll(() => setColorLevel('auto'))
+
+  it('converts the captured buffer', () => {
+    const console = new StringConsole()
+
+    console.error('failed')
+
+    expect(console.toHTML()).toBe('<span style="color: #cd3131">failed</span>\n')
+  })
+})
@@ -0,0 +1,64 @@
+import { afterAll, describe, it, expect } from 'vitest'
+import {
+  detectColorLevel,
+  getColorLevel,
+  parseColor,
+  setColorLevel,
+  sgrColor,
+} from '../../src/utils/colors.js'
+
+describe('detectColorLevel', () => {
+  const tty = { isTTY: true }
+
+  it('lets FORCE_COLOR win over everything else', () => {
+    expect(detectColorLevel({ env: { FORCE_COLOR: '0', COLORTERM: 'truecolor' }, stream: tty })).toBe(0)
+    expect(detectColorLevel({ env: { FORCE_COLOR: '2', NO_COLOR: '1' }, stream: {} })).toBe(2)
+    expect(detectColorLevel({ env: { FORCE_COLOR: '' }, stream: {} })).toBe(1)
+  })
+
+  it('honors NO_COLOR, TTYs and the terminal type', () => {
+    expect(detectColorLevel({ env: { NO_COLOR: '1', COLORTERM: 'truecolor' }, stream: tty })).toBe(0)
+    expect(detectColorLevel({ env: { COLORTERM: 'truecolor' }, stream: {} })).toBe(0)
+    expect(detectColorLevel({ env: { TERM: 'dumb' }, stream: tty })).toBe(0)
+    expect(detectColorLevel({ env: { COLORTERM: '24bit' }, stream: tty })).toBe(3)
+    expect(detectColorLevel({ env: { TERM: 'xterm-256color' }, stream: tty })).toBe(2)
+    expect(detectColorLevel({ env: { TERM: 'xterm' }, stream: tty })).toBe(1)
+  })
+})
+
+describe('setColorLevel', () => {
+  afterAll(() => setColorLevel('auto'))
+
+  it('accepts level names and numbers, rejecting anything else', () => {
+    expect(setColorLevel('ansi256')).toBe(2)
+    expect(getColorLevel()).toBe(2)
+    expect(setColorLevel(0)).toBe(0)
+    expect(() => setColorLevel(4)).toThrow(TypeError)
+    expect(() => setColorLevel('vivid')).toThrow(TypeError)
+  })
+})
+
+describe('parseColor', () => {
+  it('reads hex, rgb, hsl, palette and basic colors', () => {
+    expect(parseColor('#f80')).toEqual({ kind: 'rgb', value: [255, 136, 0] })
+    expect(parseColor('#FF8800')).toEqual({ kind: 'rgb', value: [255, 136, 0] })
+    expect(parseColor('rgb(1, 2, 3)')).toEqual({ kind: 'rgb', value: [1, 2, 3] })
+    expect(parseColor('hsl(120, 100%, 25%)')).toEqual({ kind: 'rgb', value: [0, 128, 0] })
+    expect(parseColor('ansi256(208)')).toEqual({ kind: 'ansi256', value: 208 })
+    expect(parseColor(42)).toEqual({ kind: 'ansi256', value: 42 })
+    expect(parseColor('cyan')).toEqual({ kind: 'basic', value: 6 })
+    expect(parseColor('rgb(300, 0, 0)')).toBeUndefined()
+    expect(parseColor('bold')).toBeUndefined()
+  })
+})
+
+describe('sgrColor', () => {
+  it('downgrades colors to the level given', () => {
+    expect(sgrColor('#ff8800', { level: 3 })).toEqual(['\x1b[38;2;255;136;0m', '\x1b[39m'])
+    expect(sgrColor('#ff8800', { level: 2 })).toEqual(['\x1b[38;5;214m', '\x1b[39m'])
+    expect(sgrColor('#ff8800', { level: 1 })).toEqual(['\x1b[93m', '\x1b[39m'])
+    expect(sgrColor('#ff8800', { level: 0 })).toEqual(['', ''])
+    expect(sgrColor('#222', { level: 2, background: true })).toEqual(['\x1b[48;5;235m', '\x1b[49m'])
+    expect(sgrColor('nope', { level: 3 })).toBeUndefined()
+  })
+})
@@ -0,0 +1,282 @@
+import { afterAll, beforeAll, describe, it, expect } from 'vitest'
+import {
+  StringConsole,
+
+  captureOutput,
+  captureStdout,
+} from '../../src/utils/stdout.js'
+import { setColorLevel } from '../../src/utils/colors.js'
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms))
+
+describe('captureOutput', () => {
+  it('captures both streams in the order they were written', () => {
+    const { stdout, stderr, output, chunks, result } = captureOutput(() => {
+      process.stdout.write('one\n')
+      process.stderr.write('two\n')
+      process.stdout.write(Buffer.from('three\n'))
+      return 42
+    })
+
+    expect(stdout).toBe('one\nthree\n')
+    expect(stderr).toBe('two\n')
+    expect(output).toBe('one\ntwo\nthree\n')
+    expect(chunks.map(({ stream }) => stream))
+      .toEqual(['stdout', 'stderr', 'stdout'])
+    expect(result).toBe(42)
+  })
+
+  it('only captures the streams asked for', () => {
+    const { stdout, stderr } = captureOutput(() => {
+      captureOutput(() => process.stderr.write('passed on\n'), {
+        stderr: false,
+      })
+    })
+
+    expect(stdout).toBe('')
+    expect(stderr).toBe('passed on\n')
+  })
+
+  it('awaits asynchronous callbacks', async () => {
+    const pending = captureOutput(async () => {
+      process.stdout.write('before\n')
+      await tick(5)
+      process.stderr.write('after\n')
+    })
+
+    expect(pending).toBeInstanceOf(Promise)
+
+    const { output } = await pending
+
+    expect(output).toBe('before\nafter\n')
+  })
+
+  it('returns a promise for synchronous callbacks when async is set', async () => {
+    const pending = captureOutput(() => process.stdout.write('sync\n'), {
+      async: true,
+    })
+
+    expect(pending).toBeInstanceOf(Promise)
+    expect((await pending).stdout).toBe('sync\n')
+  })
+
+  it('keeps concurrent captures apart', async () => {
+    const write = (label, ms) => captureOutput(async () => {
+      for (let index = 0; index < 3; index++) {
+        process.stdout.write(`${label}${index}`)
+        await tick(ms)
+      }
+    })
+
+    const [first, second] = await Promise.all([write('a', 3), write('b', 2)])
+
+    expect(first.stdout).toBe('a0a1a2')
+    expect(second.stdout).toBe('b0b1b2')
+  })
+
+  it('restores the streams when the callback throws', () => {
+    const { write } = process.stdout
+
+    expect(() => captureOutput(() => { throw new Error('nope') }))
+      .toThrow('nope')
+    expect(process.stdout.write).toBe(write)
+  })
+})
+
+describe('captureStdout', () => {
+  it('only removes a final newline', () => {
+    expect(captureStdout(() => process.stdout.write('line\n'))).toBe('line')
+    expect(captureStdout(() => process.stdout.write('partial')))
+      .toBe('partial')
+  })
+})
+
+describe('StringConsole records', () => {
+  const populated = () => {
+    const console = new StringConsole()
+
+    console.info('started', { port: 8080 })
+    console.group('setup', ['info', 'ready'], ['warn', 'slow', 2n])
+    console.error('failed')
+
+    return console
+  }
+
+  it('records the level, groups and raw arguments of each call', () => {
+    const { records } = populated()
+
+    expect(records.map(({ level }) => level))
+      .toEqual(['info', 'info', 'warn', 'error'])
+    expect(records.map(({ group }) => group))
+      .toEqual([[], ['setup'], ['setup'], []])
+    expect(records[0].args).toEqual(['started', { port: 8080 }])
+    expect(records[2].args).toEqual(['slow', 2n])
+    expect(typeof records[0].timestamp).toBe('number')
+    expect(typeof records[0].text).toBe('string')
+  })
+
+  it('filters by level, time and group', () => {
+    const console = populated()
+
+    expect(console.filter({ level: 'info' })).toHaveLength(2)
+    expect(console.filter({ level: ['warn', 'error'] })).toHaveLength(2)
+    expect(console.filter({ group: 'setup' })).toHaveLength(2)
+    expect(console.filter({ group: ['setup'], level: 'warn' })).toHaveLength(1)
+    expect(console.filter({ since: Date.now() + 1000 })).toHaveLength(0)
+    expect(console.filter({ since: new Date(0) })).toHaveLength(4)
+  })
+
+  it('serializes records as JSON Lines', () => {
+    const console = populated()
+    const lines = console.toJSONLines().split('\n')
+
+    expect(lines).toHaveLength(5)
+    expect(lines.pop()).toBe('')
+
+    const warning = JSON.parse(lines[2])
+
+    expect(warning).toMatchObject({
+      level: 'warn',
+      group: ['setup'],
+      args: ['slow', '2n'],
+    })
+    expect(new Date(warning.timestamp).getTime()).not.toBeNaN()
+    expect(console.toJSONLines({ level: 'error' }).split('\n'))
+      .toHaveLength(2)
+  })
+
+  it('replays records on another console', () => {
+    const calls = []
+    const target = Object.fromEntries(
+      ['log', 'info', 'warn', 'error', 'group', 'groupEnd'].map((method) => [
+        method, (...args) => calls.push([method, ...args])
+      ])
+    )
+
+    populated().replay(target)
+
+    expect(calls).toEqual([
+      ['info', 'started', { port: 8080 }],
+      ['group', 'setup'],
+      ['info', 'ready'],
+      ['warn', 'slow', 2n],
+      ['groupEnd'],
+      ['error', 'failed'],
+    ])
+  })
+
+  it('clears records along with the buffer', () => {
+    const console = populated()
+
+    console.clear()
+
+    expect(console.records).toEqual([])
+  })
+})
+
+describe('StringConsole console API', () => {
+  const plain = (text) => text.replace(/\x1b\[[0-9;]*m/g, '')
+
+  beforeAll(() => setColorLevel('truecolor'))
+  afterAll(() => setColorLevel('auto'))
+
+  it('renders without writing to or reading from the process streams', () => {
+    const console = new StringConsole();
+    const { output, result } = captureOutput(() => console.warn('quiet'))
+
+    expect(output).toBe('')
+    expect(plain(result)).toBe('quiet\n')
+    expect(plain(console.toString())).toBe('quiet\n')
+  })
+
+  it('counts calls per label', () => {
+    const console = new StringConsole();
+
+    expect(plain(console.count())).toBe('default: 1\n')
+    expect(plain(console.count())).toBe('default: 2\n')
+    expect(plain(console.count('other'))).toBe('other: 1\n')
+    expect(console.countReset()).toBe('')
+    expect(plain(console.count())).toBe('default: 1\n')
+    expect(plain(console.countReset('missing')))
+      .toBe(`Warning: Count for 'missing' does not exist\n`)
+  })
+
+  it('reports timers as Node formats them', () => {
+    const console = new StringConsole();
+
+    expect(console.time('load')).toBe('')
+    expect(plain(console.timeLog('load', 'step'))).toMatch(/^load: [\d.]+ms step\n$/)
+    expect(plain(console.timeEnd('load'))).toMatch(/^load: [\d.]+ms\n$/)
+    expect(plain(console.timeEnd('load')))
+      .toBe(`Warning: No such label 'load' for console.timeEnd()\n`)
+  })
+
+  it('only outputs failed assertions, as warnings', () => {
+    const console = new StringConsole();
+
+    expect(console.assert(true, 'fine')).toBe('')
+    expect(plain(console.assert(false))).toBe('Assertion failed\n')
+    expect(plain(console.assert(0, 'got %d', 3)))
+      .toBe('Assertion failed: got 3\n')
+    expect(console.records.map(({ level }) => level))
+      .toEqual(['assert', 'assert', 'assert'])
+    expect(console.records[2].args).toEqual([0, 'got %d', 3])
+  })
+
+  it('renders tables and inspections with level styling', () => {
+    const console = new StringConsole();
+    const table = console.table([{ a: 1 }, { a: 2 }])
+
+    expect(StringConsole.hasColor(table)).toBe(true)
+    expect(plain(table).split('\n')).toEqual([
+      '┌─────────┬───┐',
+      '│ (index) │ a │',
+      '├─────────┼───┤',
+      '│ 0       │ 1 │',
+      '│ 1       │ 2 │',
+      '└─────────┴───┘',
+      '',
+    ])
+    expect(plain(console.dir({ a: { b: {} } }, { depth: 0 })))
+      .toBe('{ a: [Object] }\n')
+  })
+
+  it('indents output within groups left open until groupEnd', () => {
+    const console = new StringConsole();
+
+    expect(plain(console.group('outer'))).toBe('outer\n')
+    expect(plain(console.groupCollapsed('inner', ['log', 'deep'])))
+      .toBe('  inner\n    deep\n')
+    expect(plain(console.log('shallow'))).toBe('  shallow\n')
+    console.groupEnd()
+    expect(plain(console.log('top'))).toBe('top\n')
+    expect(console.records.map(({ group }) => group))
+      .toEqual([['outer', 'inner'], ['outer'], []])
+  })
+})
+
+describe('StringConsole colors', () => {
+  afterAll(() => setColorLevel('auto'))
+
+  it('accepts extended colors, downgraded to the color level', () => {
+    StringConsole.colorLevel = 'truecolor'
+    expect(StringConsole.color('go', { color: '#00ff00' }))
+      .toBe('\x1b[38;2;0;255;0mgo\x1b[39m')
+
+    StringConsole.colorLevel = 'ansi256'
+    expect(StringConsole.color('go', { color: '#00ff00' }))
+      .toBe('\x1b[38;5;46mgo\x1b[39m')
+
+    StringConsole.colorLevel = 'basic'
+    expect(StringConsole.color('go', { color: '#00ff00' }))
+      .toBe('\x1b[92mgo\x1b[39m')
+  })
+
+  it('applies no styling at all at level 0', () => {
+    StringConsole.colorLevel = 'none'
+
+    expect(StringConsole.color('plain', { level: 'debug' })).toBe('plain')
+    expect(StringConsole.style('plain', ['bold'])).toBe('plain')
+    expect(new StringConsole().warn('plain')).toBe('plain\n')
+  })
+})
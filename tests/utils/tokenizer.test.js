@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { TokenizerPresets, tokenize } from '../../src/utils/tokenizer.js'
+
+describe('tokenize', () => {
+  it('nests pairs and reports their offsets', () => {
+    const { children: [call] } = tokenize('f(a, [b])')
+
+    expect(call).toMatchObject({
+      type: 'pair',
+      open: '(',
+      start: 1,
+      end: 9,
+      depth: 0,
+      closed: true,
+      text: '(a, [b])',
+    })
+    expect(call.children[0]).toMatchObject({ text: '[b]', start: 5, depth: 1 })
+  })
+
+  it('ignores tokens within quotes and comments, and escaped ones', () => {
+    const { children } = tokenize('(")" /* ) */ \\) x) // (')
+
+    expect(children.map(({ type, text }) => [type, text])).toEqual([
+      ['pair', '(")" /* ) */ \\) x)'],
+      ['comment', '// ('],
+    ])
+    expect(children[0].children.map(({ type }) => type))
+      .toEqual(['quote', 'comment'])
+  })
+
+  it('ends line comments before the line break', () => {
+    const { children } = tokenize('a = 1 # note\n[b]', TokenizerPresets.config)
+
+    expect(children.map(({ text }) => text)).toEqual(['# note', '[b]'])
+  })
+
+  it('marks unclosed regions, or throws when strict', () => {
+    expect(tokenize('(a "b').children[0].closed).toBe(false)
+    expect(() => tokenize('(a', { strict: true })).toThrow(SyntaxError)
+    expect(() => tokenize('a)', { strict: true })).toThrow(SyntaxError)
+    expect(() => tokenize('', { pairs: ['('] })).toThrow(TypeError)
+  })
+})
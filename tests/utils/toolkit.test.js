@@ -1,5 +1,18 @@
 import { describe, it, expect } from 'vitest'
-import { is, si, has, as } from '../../src/index.js'
+import vm from 'node:vm'
+import {
+  is, si, has, as, get, set, delete as del,
+
+  AssertionError,
+  ConversionError,
+  ShapeError,
+  TypeAssertionError,
+  assert,
+  assertShape,
+  softAssert,
+  validateShape,
+} from '../../src/index.js'
+import { Deferred } from '../../src/classes/deferred.js'
 
 describe('is utility functions', () => {
   it('should correctly identify types via is.a', () => {
@@ -399,6 +412,15 @@ describe('has utility functions', () => {
     expect(has({}, 'key')).toBe(false)
   })
 
+  it('should recognize collections from other realms', () => {
+    const map = vm.runInNewContext('new Map([["key", "value"]])')
+    const set = vm.runInNewContext('new Set(["key"])')
+
+    expect(has(map, 'key')).toBe(true)
+    expect(has(set, 'key')).toBe(true)
+    expect(has(map, 'size')).toBe(false)
+  })
+
   it('should correctly identify if an object has all keys', () => {
     expect(has.all(new Map([['key1', 'value1'], ['key2', 'value2']]), ['key1', 'key2'])).toBe(true)
     expect(has.all({}, ['key1', 'key2'])).toBe(false)
@@ -474,6 +496,8 @@ describe('as utility functions', () => {
   it('should correctly convert values to bigints', () => {
     expect(as.bigint('123.456abc')).toBe(123n)
     expect(as.bigint('0.789xyz')).toBe(0n)
+    expect(as.bigint('1e5')).toBe(0n)
+    expect(as.bigint('1.5e3')).toBe(0n)
   })
 
   it('should correctly convert values to booleans', () => {
@@ -487,3 +511,443 @@ describe('as utility functions', () => {
     expect(as.boolean(null)).toBe(false)
   })
 })
+
+describe('shape validation', () => {
+  const User = {
+    name: is.string,
+    born: Date,
+    addresses: [{ street: 'string', zip: /^\d{5}$/ }],
+  }
+
+  it('should accept values matching a nested schema', () => {
+    const user = {
+      name: 'Jane',
+      born: new Date(),
+      addresses: [{ street: 'Main', zip: '90210' }],
+    }
+
+    expect(is.shape(user, User)).toBe(true)
+    expect(validateShape(user, User)).toEqual({ valid: true, failures: [] })
+    expect(assertShape(user, User)).toBe(user)
+  })
+
+  it('should report every failure with a JSON-style path', () => {
+    const user = {
+      name: 42,
+      born: new Date(),
+      addresses: [
+        { street: 'Main', zip: '90210' },
+        { street: 'Elm', zip: '902' },
+      ],
+    }
+
+    const { valid, failures } = validateShape(user, User)
+
+    expect(valid).toBe(false)
+    expect(failures.map(({ path }) => path)).toEqual([
+      'name',
+      'addresses[1].zip',
+    ])
+    expect(failures[0].expected).toBe('string')
+    expect(failures[0].received).toBe('Number')
+  })
+
+  it('should quote keys that are not identifiers', () => {
+    const { failures } = validateShape({}, { 'first name': is.string })
+    expect(failures[0].path).toBe('["first name"]')
+  })
+
+  it('should match tuples position by position', () => {
+    expect(is.shape([1, 'a'], ['number', 'string'])).toBe(true)
+    expect(is.shape(['a', 1], ['number', 'string'])).toBe(false)
+    expect(is.shape([1], ['number', 'string'])).toBe(false)
+  })
+
+  it('should throw a ShapeError carrying the failures', () => {
+    expect(() => assertShape({ name: 1 }, { name: is.string }))
+      .toThrow(ShapeError)
+
+    try {
+      assertShape({ name: 1 }, { name: is.string })
+    }
+    catch (error) {
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.failures).toHaveLength(1)
+      expect(error.message).toContain('name: expected string')
+    }
+  })
+})
+
+describe('is combinators', () => {
+  it('should build named predicates', () => {
+    const ids = is.arrayOf(is.oneOf(is.string, 'number'))
+
+    expect(ids.name).toBe('arrayOf(oneOf(string, number))')
+    expect(String(ids)).toBe('arrayOf(oneOf(string, number))')
+    expect(is.predicate(ids)).toBe(true)
+    expect(is.predicate(is.string)).toBe(false)
+    expect(ids(['a', 1])).toBe(true)
+    expect(ids(['a', null])).toBe(false)
+  })
+
+  it('should combine with not, allOf, oneOf and union', () => {
+    expect(is.not(is.nullish)(0)).toBe(true)
+    expect(is.not(is.nullish)(null)).toBe(false)
+    expect(is.allOf(is.string, (v) => v.length < 3)('ab')).toBe(true)
+    expect(is.allOf(is.string, (v) => v.length < 3)('abc')).toBe(false)
+    expect(is.oneOf(is.string, is.number)(1)).toBe(true)
+    expect(is.union(is.string, is.nullish)(null)).toBe(true)
+    expect(is.union(is.string, is.nullish)(1)).toBe(false)
+  })
+
+  it('should check collections with arrayOf, objectOf and mapOf', () => {
+    expect(is.arrayOf(Date)([new Date()])).toBe(true)
+    expect(is.arrayOf(is.string)('abc')).toBe(false)
+    expect(is.objectOf(is.number)({ a: 1, b: 2 })).toBe(true)
+    expect(is.objectOf(is.number)({ a: '1' })).toBe(false)
+    expect(is.mapOf(is.string, is.number)(new Map([['a', 1]]))).toBe(true)
+    expect(is.mapOf(is.string, is.number)(new Map([[1, 'a']]))).toBe(false)
+    expect(is.mapOf(is.string, is.number)({ a: 1 })).toBe(false)
+  })
+
+  it('should support literal and optional values', () => {
+    const level = is.literal('log', 'warn')
+
+    expect(level.name).toBe('literal("log", "warn")')
+    expect(level('warn')).toBe(true)
+    expect(level('debug')).toBe(false)
+    expect(is.optional(is.string)(undefined)).toBe(true)
+    expect(is.optional(is.string)(null)).toBe(false)
+  })
+
+  it('should be consumable by is.a, si, has and shapes', () => {
+    const names = is.arrayOf(is.string)
+
+    expect(is.a(['a'], names)).toBe(true)
+    expect(si.a([1], names, 'yes', 'no')).toBe('no')
+    expect(si.shape({ id: 1 }, { id: is.number }, 'yes', 'no')).toBe('yes')
+    expect(has({ age: 12 }, 'age', is.number)).toBe(true)
+    expect(has({ age: '12' }, 'age', is.number)).toBe(false)
+    expect(has(new Map([['age', 12]]), 'age', is.number)).toBe(true)
+    expect(has.all({ a: 1, b: 2 }, ['a', 'b'], is.number)).toBe(true)
+    expect(has.some({ a: 'x', b: 2 }, ['a', 'b'], is.number)).toBe(true)
+
+    const { failures } = validateShape(
+      { tags: ['a', 2] },
+      { tags: names, nickname: is.optional(is.string) }
+    )
+    expect(failures).toHaveLength(1)
+    expect(failures[0].expected).toBe('arrayOf(string)')
+  })
+})
+
+describe('assert', () => {
+  it('should return the value when the assertion passes', () => {
+    const list = [1, 2, 3]
+
+    expect(assert.array(list)).toBe(list)
+    expect(assert.string('hello', 'greeting')).toBe('hello')
+    expect(assert.a(42, 'number')).toBe(42)
+    expect(assert.undefined(undefined)).toBe(undefined)
+  })
+
+  it('should throw a descriptive TypeAssertionError on failure', () => {
+    let error
+
+    try { assert.string(42, 'name') }
+    catch (caught) { error = caught }
+
+    expect(error).toBeInstanceOf(TypeAssertionError)
+    expect(error).toBeInstanceOf(AssertionError)
+    expect(error).toBeInstanceOf(TypeError)
+    expect(error.name).toBe('TypeAssertionError')
+    expect(error.message).toBe('Expected name to be string, received Number')
+    expect(error.expected).toBe('string')
+    expect(error.received).toBe('Number')
+    expect(error.label).toBe('name')
+    expect(error.value).toBe(42)
+  })
+
+  it('should describe classes and predicates passed to assert.a', () => {
+    expect(() => assert.a('1', Number, 'count')).toThrow(
+      'Expected count to be Number, received String'
+    )
+    expect(() => assert.a([1], is.arrayOf(is.string))).toThrow(
+      'Expected value to be arrayOf(string), received Array'
+    )
+  })
+
+  it('should mirror every predicate of is, combinators included', () => {
+    for (const key of Object.keys(is))
+      expect(typeof assert[key], key).toBe('function')
+
+    const assertTags = assert.arrayOf(is.string)
+
+    expect(assertTags(['a', 'b'], 'tags')).toEqual(['a', 'b'])
+    expect(() => assertTags(['a', 1], 'tags')).toThrow(
+      'Expected tags to be arrayOf(string), received Array'
+    )
+    expect(assert.optional(is.number)(undefined)).toBe(undefined)
+    expect(() => assert.literal('a', 'b')('c')).toThrow(TypeAssertionError)
+    expect(() => assert.nullish(0)).toThrow('to be null or undefined')
+    expect(() => assert.dataDescriptor({ get() {} }))
+      .toThrow('to be data descriptor')
+  })
+
+  it('should throw a ShapeError from assert.shape', () => {
+    expect(assert.shape({ id: 1 }, { id: is.number })).toEqual({ id: 1 })
+    expect(() => assert.shape({ id: '1' }, { id: is.number }, 'payload'))
+      .toThrow(ShapeError)
+
+    try { assertShape({ id: '1' }, { id: is.number }) }
+    catch (error) {
+      expect(error).toBeInstanceOf(AssertionError)
+      expect(error.received).toBe('Object')
+    }
+  })
+})
+
+describe('softAssert', () => {
+  it('should collect failures instead of throwing', () => {
+    const check = softAssert()
+
+    expect(check.string('a', 'first')).toBe(true)
+    expect(check.number('2', 'second')).toBe(false)
+    expect(check.shape({}, { id: 'number' }, 'third')).toBe(false)
+    expect(check.ok).toBe(false)
+    expect(check.failures).toHaveLength(2)
+    expect(check.failures[0].label).toBe('second')
+    expect(check.failures[1]).toBeInstanceOf(ShapeError)
+
+    expect(check.arrayOf(is.number)([1, 'two'], 'fourth')).toBe(false)
+    expect(check.failures).toHaveLength(3)
+  })
+
+  it('should throw an AggregateError from verify when failures exist', () => {
+    const check = softAssert()
+
+    expect(check.verify()).toBe(true)
+
+    check.boolean('yes', 'flag')
+
+    expect(() => check.verify()).toThrow(AggregateError)
+  })
+})
+
+describe('as converters', () => {
+  it('should convert byte sizes', () => {
+    expect(as.bytes('2.5 GiB')).toBe(2.5 * 1024 ** 3)
+    expect(as.bytes('10KB')).toBe(10000)
+    expect(as.bytes('512m', { binary: true })).toBe(512 * 1024 ** 2)
+    expect(as.bytes('512')).toBe(512)
+    expect(as.bytes(1.5)).toBe(2)
+    expect(as.bytes('12 parsecs')).toBeUndefined()
+  })
+
+  it('should convert dates', () => {
+    expect(as.date('2026-01-05').toISOString())
+      .toBe('2026-01-05T00:00:00.000Z')
+    expect(as.date(1000).getTime()).toBe(1000)
+    expect(as.date('1000').getTime()).toBe(1000)
+    expect(as.date('next tuesday')).toBeUndefined()
+    expect(as.date(new Date(NaN))).toBeUndefined()
+  })
+
+  it('should convert durations to milliseconds', () => {
+    expect(as.duration('15m')).toBe(15 * 60 * 1000)
+    expect(as.duration('1h 30m')).toBe(90 * 60 * 1000)
+    expect(as.duration('2.5s')).toBe(2500)
+    expect(as.duration('1 day, 2 hours')).toBe(26 * 60 * 60 * 1000)
+    expect(as.duration('-5 minutes')).toBe(-5 * 60 * 1000)
+    expect(as.duration('PT1M30S')).toBe(90 * 1000)
+    expect(as.duration('P1DT')).toBeUndefined()
+    expect(as.duration('250')).toBe(250)
+    expect(as.duration('15 fortnights')).toBeUndefined()
+    expect(as.duration('')).toBeUndefined()
+  })
+
+  it('should convert enum values', () => {
+    const levels = ['debug', 'info', 'warn', 'error']
+
+    expect(as.enumValue('warn', levels)).toBe('warn')
+    expect(as.enumValue('WARN', levels)).toBe('warn')
+    expect(as.enumValue('WARN', levels, { caseSensitive: true }))
+      .toBeUndefined()
+    expect(as.enumValue('high', { low: 0, high: 2 })).toBe(2)
+    expect(as.enumValue(2, { low: 0, high: 2 })).toBe(2)
+    expect(as.enumValue('b', new Map([['a', 1], ['b', 2]]))).toBe(2)
+    expect(as.enumValue('verbose', levels)).toBeUndefined()
+  })
+
+  it('should convert lists with per-item conversion', () => {
+    expect(as.list('80, 443 8080', 'number')).toEqual([80, 443, 8080])
+    expect(as.list('15m,1h', 'duration')).toEqual([900000, 3600000])
+    expect(as.list(new Set(['a', 'b']), (item) => item.toUpperCase()))
+      .toEqual(['A', 'B'])
+    expect(as.list('a|b', undefined, { separator: '|' })).toEqual(['a', 'b'])
+    expect(as.list(undefined)).toEqual([])
+    expect(as.list(5)).toEqual([5])
+
+    const { list } = as
+    expect(list('1,2', 'number')).toEqual([1, 2])
+  })
+
+  it('should throw ConversionErrors in strict mode', () => {
+    const strict = { strict: true }
+
+    expect(as.number('abc')).toBe(0)
+    expect(() => as.number('abc', strict)).toThrow(ConversionError)
+    expect(() => as.bigint('abc', strict)).toThrow(ConversionError)
+    expect(() => as.bigint('1e5', strict)).toThrow(ConversionError)
+    expect(() => as.bigint('1.5e3', strict)).toThrow(ConversionError)
+    expect(() => as.boolean('maybe', strict)).toThrow(ConversionError)
+    expect(as.boolean('yes', strict)).toBe(true)
+    expect(() => as.array(1, strict)).toThrow(ConversionError)
+    expect(() => as.object(null, strict)).toThrow(ConversionError)
+    expect(() => as.string(undefined, strict)).toThrow(ConversionError)
+    expect(() => as.bytes('lots', strict)).toThrow(ConversionError)
+    expect(() => as.date('soon', strict)).toThrow(ConversionError)
+    expect(() => as.duration('a while', strict)).toThrow(ConversionError)
+    expect(() => as.enumValue('x', ['a'], strict)).toThrow(ConversionError)
+    expect(() => as.list('1,x', 'number', strict)).toThrow(ConversionError)
+    expect(() => as.type(1, 'Unregistered', strict)).toThrow(ConversionError)
+
+    try { as.duration('15 fortnights', strict) }
+    catch (error) {
+      expect(error).toBeInstanceOf(TypeError)
+      expect(error.message)
+        .toBe('Cannot convert "15 fortnights" to duration')
+      expect(error.target).toBe('duration')
+      expect(error.value).toBe('15 fortnights')
+    }
+  })
+})
+
+describe('deep paths', () => {
+  const symbol = Symbol.for('meta')
+  const build = () => ({
+    a: { b: [{ c: 1 }], 'x.y': 2, [symbol]: 3 },
+    users: new Map([['ada', { age: 36 }], [1, 'one']]),
+    tags: new Set(['new']),
+    items: [{ id: 1 }, { id: 2 }],
+  })
+
+  it('should find values with has.path', () => {
+    const data = build()
+
+    expect(has.path(data, 'a.b[0].c')).toBe(true)
+    expect(has.path(data, 'a["x.y"]')).toBe(true)
+    expect(has.path(data, "a['x.y']")).toBe(true)
+    expect(has.path(data, 'a[Symbol(meta)]')).toBe(true)
+    expect(has.path(data, ['a', symbol])).toBe(true)
+    expect(has.path(data, 'users.ada.age')).toBe(true)
+    expect(has.path(data, 'users[1]')).toBe(true)
+    expect(has.path(data, 'tags.new')).toBe(true)
+    expect(has.path(data, 'a.b[1].c')).toBe(false)
+    expect(has.path(data, 'items.*.id', is.number)).toBe(true)
+    expect(has.path(data, 'items.*.id', is.string)).toBe(false)
+    expect(() => has.path(data, 'a..b')).toThrow(TypeError)
+  })
+
+  it('should read values and wildcard matches with get.path', () => {
+    const data = build()
+
+    expect(get.path(data, 'a.b[0].c')).toBe(1)
+    expect(get.path(data, 'users.ada')).toEqual({ age: 36 })
+    expect(get.path(data, 'a.missing', 'none')).toBe('none')
+    expect(get.path(data, 'items[*].id')).toEqual([
+      { path: 'items[0].id', segments: ['items', '0', 'id'], value: 1 },
+      { path: 'items[1].id', segments: ['items', '1', 'id'], value: 2 },
+    ])
+    expect(get.path(data, 'users.*').map(({ path }) => path))
+      .toEqual(['users.ada', 'users[1]'])
+  })
+
+  it('should write values with set.path', () => {
+    const data = build()
+    const config = {}
+
+    expect(set.path(config, 'server.ports[0]', 8080)).toBe(true)
+    expect(config).toEqual({ server: { ports: [8080] } })
+    expect(set.path(data, 'users.bob.age', 3)).toBe(true)
+    expect(data.users.get('bob')).toEqual({ age: 3 })
+    expect(set.path(data, 'items.*.seen', true)).toBe(true)
+    expect(data.items).toEqual([{ id: 1, seen: true }, { id: 2, seen: true }])
+    expect(set.path(data, 'a.b[0].c.d', 1)).toBe(false)
+  })
+
+  it('should refuse paths that reach a prototype', () => {
+    const target = {}
+
+    expect(set.path(target, '__proto__.polluted', 'yes')).toBe(false)
+    expect(set.path(target, 'constructor.prototype.polluted', 'yes'))
+      .toBe(false)
+    expect(set.path(target, ['__proto__', 'polluted'], 'yes')).toBe(false)
+    expect(del.path(target, '__proto__.toString')).toBe(false)
+    expect({}.polluted).toBeUndefined()
+    expect(Object.prototype.toString).toBeTypeOf('function')
+
+    expect(set.path(target, 'toString.polluted', 'yes')).toBe(true)
+    expect(Object.hasOwn(target, 'toString')).toBe(true)
+    expect(Object.prototype.toString.polluted).toBeUndefined()
+  })
+
+  it('should remove values with delete.path', () => {
+    const data = build()
+
+    expect(del.path(data, 'a.b')).toBe(true)
+    expect(data.a.b).toBeUndefined()
+    expect(del.path(data, 'users.ada')).toBe(true)
+    expect(data.users.has('ada')).toBe(false)
+    expect(del.path(data, 'tags.new')).toBe(true)
+    expect(data.tags.size).toBe(0)
+    expect(del.path(data, 'items.*.id')).toBe(true)
+    expect(data.items).toEqual([{}, {}])
+    expect(del.path(data, 'a.missing')).toBe(false)
+  })
+})
+
+describe('si.async', () => {
+  it('should mirror every si method', () => {
+    const keys = Object.keys(si).filter((key) => key !== 'async')
+
+    expect(Object.keys(si.async).sort()).toEqual(keys.sort())
+  })
+
+  it('should await values and async branches', async () => {
+    const result = si.async.string(
+      Promise.resolve('text'),
+      async () => 'yes',
+      'no'
+    )
+
+    expect(result).toBeInstanceOf(Deferred)
+    expect(await result).toBe('yes')
+    expect(result.value).toBe('yes')
+    expect(await si.async.number(Promise.resolve('1'), 'yes', 'no'))
+      .toBe('no')
+    expect(await si.async.a(Promise.resolve(1), 'number', 'yes', 'no'))
+      .toBe('yes')
+    expect(await si.async.shape(
+      Promise.resolve({ id: 1 }),
+      { id: is.number },
+      () => Promise.resolve('valid'),
+      'invalid'
+    )).toBe('valid')
+  })
+
+  it('should accept promises and async predicates as conditions', async () => {
+    expect(await si.async.then(Promise.resolve(true), 'yes', 'no'))
+      .toBe('yes')
+    expect(await si.async.then(async () => false, 'yes', async () => 'no'))
+      .toBe('no')
+    expect(await si.async.then(async () => 0)).toBe(false)
+  })
+
+  it('should reject when the condition or branch rejects', async () => {
+    await expect(si.async.then(Promise.reject(new Error('condition'))))
+      .rejects.toThrow('condition')
+    await expect(si.async.true(true, async () => { throw new Error('then') }))
+      .rejects.toThrow('then')
+  })
+})
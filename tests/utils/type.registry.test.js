@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import {
+  Patches,
+  TypeRegistry,
+
+  as,
+  is,
+  typeRegistry,
+} from '../../src/index.js'
+import { Type } from '../../src/classes/type.js'
+
+class Money {
+  constructor(amount) { this.amount = Number(amount) }
+}
+
+const isEmail = (value) => /^[^@\s]+@[^@\s]+$/.test(value)
+const ObjectExtensions = Patches.get(Object)
+
+beforeAll(() => {
+  ObjectExtensions.apply()
+})
+
+afterAll(() => {
+  ObjectExtensions.revert()
+})
+
+afterEach(() => {
+  typeRegistry.unregister('Money')
+  typeRegistry.unregister('Email')
+})
+
+describe('TypeRegistry', () => {
+  it('should register classes and predicates by name', () => {
+    const registry = new TypeRegistry()
+
+    registry.register('Money', Money)
+    registry.register('Email', isEmail)
+
+    expect(registry.has('Money')).toBe(true)
+    expect(registry.get('Money').class).toBe(Money)
+    expect(registry.get('Email').class).toBeUndefined()
+    expect(registry.test(new Money(1), 'Money')).toBe(true)
+    expect(registry.test('me@example.com', 'Email')).toBe(true)
+    expect(registry.test('nope', 'Email')).toBe(false)
+    expect(registry.test('nope', 'Missing')).toBeUndefined()
+    expect(registry.names()).toEqual(['Email', 'Money'])
+  })
+
+  it('should reject invalid registrations', () => {
+    const registry = new TypeRegistry()
+
+    expect(() => registry.register('', Money)).toThrow(TypeError)
+    expect(() => registry.register('Money', 'Money')).toThrow(TypeError)
+    expect(() => registry.register('Money', Money, { convert: 1 }))
+      .toThrow(TypeError)
+  })
+
+  it('should keep registrations per realm with a global fallback', () => {
+    const registry = new TypeRegistry()
+    const realm = {}
+    class RealmMoney {}
+
+    registry.register('Money', Money)
+    registry.register('Money', RealmMoney, { owner: realm })
+    registry.register('Local', isEmail, { owner: realm })
+
+    expect(registry.get('Money').class).toBe(Money)
+    expect(registry.get('Money', realm).class).toBe(RealmMoney)
+    expect(registry.has('Local')).toBe(false)
+    expect(registry.has('Local', realm)).toBe(true)
+    expect(registry.names(realm)).toEqual(['Local', 'Money'])
+
+    expect(registry.unregister('Money', realm)).toBe(true)
+    expect(registry.get('Money', realm).class).toBe(Money)
+  })
+
+  it('should match values against the most recent registration', () => {
+    const registry = new TypeRegistry()
+
+    registry.register('Money', Money)
+    registry.register('Email', isEmail)
+
+    expect(registry.match('me@example.com').name).toBe('Email')
+    expect(registry.match(new Money(1)).name).toBe('Money')
+    expect(registry.match(42)).toBeUndefined()
+    expect(registry.classOf(new Money(1))).toBe(Money)
+    expect(registry.classOf('me@example.com')).toBeUndefined()
+  })
+})
+
+describe('typeRegistry integration', () => {
+  it('should be used by is.a and Type.is', () => {
+    typeRegistry.register('Money', Money)
+    typeRegistry.register('Email', isEmail)
+
+    expect(is.a(new Money(5), 'Money')).toBe(true)
+    expect(is.a({ amount: 5 }, 'Money')).toBe(false)
+    expect(is.a('me@example.com', 'Email')).toBe(true)
+    expect(Type.is(new Money(5), 'Money')).toBe(true)
+    expect(Type.is('not an email', 'Email')).toBe(false)
+    expect(Type.is(42, 'number')).toBe(true)
+  })
+
+  it('should be used by Type.class and Object.getType', () => {
+    const realm = {}
+    class Tagged { get [Symbol.toStringTag]() { return 'Tagged' } }
+
+    typeRegistry.register('Money', Money)
+    typeRegistry.register('Tagged', Tagged, { owner: realm })
+
+    expect(Type.class(new Money(5))).toBe(Money)
+    expect(Object.getType(new Money(5))).toBe(Money)
+    expect(Object.getType(new Tagged())).toBeUndefined()
+    expect(Object.getType(new Tagged(), realm)).toBe(Tagged)
+    expect(Object.getType([])).toBe(Array)
+  })
+
+  it('should convert values with as.type', () => {
+    typeRegistry.register('Money', Money)
+    typeRegistry.register('Email', isEmail, {
+      convert: (value) => String(value).trim().toLowerCase()
+    })
+
+    const money = new Money(1)
+
+    expect(as.type('12.50', 'Money')).toBeInstanceOf(Money)
+    expect(as.type('12.50', 'Money').amount).toBe(12.5)
+    expect(as.type(money, 'Money')).toBe(money)
+    expect(as.type(' Me@Example.com ', 'Email')).toBe('me@example.com')
+    expect(as.type('12.50', 'Unregistered')).toBeUndefined()
+  })
+})